@@ -0,0 +1,41 @@
+/**
+ * Achievements (runtime: src/achievements.js, toasts: src/ui/toasts.js,
+ * Hero screen tab: src/ui/hero/tabs/achievements.js).
+ *
+ * Each achievement watches one progress stat and unlocks once the stat reaches `goal`.
+ * Stats are kept per save slot:
+ *   kills          - enemies slain (any tier)
+ *   kills.<tier>   - enemies slain of one tier: normal | tough | elite | boss
+ *   level          - highest hero level reached
+ *   mapsUnlocked   - highest map unlocked (Acts, then endless depths)
+ *   villages       - distinct villages visited (the origin village excluded)
+ *   skillLevel     - highest level of any single skill (skills have no cap, so "mastered" is a goal)
+ *   marks          - mark flags placed
+ *
+ * ACHIEVEMENTS: [{ id, icon, stat, goal, name, desc }]
+ *   name / desc are English fallbacks; locales override them as achievements.list.<id>.name / .desc
+ */
+
+export const ACHIEVEMENTS = [
+  { id: "first_blood", icon: "🩸", stat: "kills", goal: 1, name: "First Blood", desc: "Slay your first enemy" },
+  { id: "slayer", icon: "⚔️", stat: "kills", goal: 250, name: "Slayer", desc: "Slay 250 enemies" },
+  { id: "legion_bane", icon: "🔥", stat: "kills", goal: 2500, name: "Bane of Legions", desc: "Slay 2500 enemies" },
+  { id: "tough_crowd", icon: "🛡️", stat: "kills.tough", goal: 50, name: "Tough Crowd", desc: "Slay 50 tough enemies" },
+  { id: "elite_hunter", icon: "💀", stat: "kills.elite", goal: 10, name: "Elite Hunter", desc: "Slay 10 elite enemies" },
+  { id: "elite_bane", icon: "☠️", stat: "kills.elite", goal: 100, name: "Scourge of Champions", desc: "Slay 100 elite enemies" },
+  { id: "boss_slayer", icon: "👑", stat: "kills.boss", goal: 1, name: "Kingslayer", desc: "Defeat a boss" },
+  { id: "boss_bane", icon: "🏆", stat: "kills.boss", goal: 10, name: "Tyrant's End", desc: "Defeat 10 bosses" },
+  { id: "level_10", icon: "⭐", stat: "level", goal: 10, name: "Rising Flame", desc: "Reach hero level 10" },
+  { id: "level_25", icon: "🌟", stat: "level", goal: 25, name: "Burning Star", desc: "Reach hero level 25" },
+  { id: "level_50", icon: "☀️", stat: "level", goal: 50, name: "Living Sun", desc: "Reach hero level 50" },
+  { id: "new_lands", icon: "🗺️", stat: "mapsUnlocked", goal: 2, name: "New Lands", desc: "Unlock the second map" },
+  { id: "all_acts", icon: "🧭", stat: "mapsUnlocked", goal: 5, name: "Across the Acts", desc: "Unlock the fifth map" },
+  { id: "the_depths", icon: "🕳️", stat: "mapsUnlocked", goal: 8, name: "Into the Depths", desc: "Unlock map 8 in the endless depths" },
+  { id: "wanderer", icon: "🏘️", stat: "villages", goal: 1, name: "Wanderer", desc: "Visit another village" },
+  { id: "pathfinder", icon: "🛤️", stat: "villages", goal: 5, name: "Pathfinder", desc: "Visit 5 villages" },
+  { id: "cartographer", icon: "🌍", stat: "villages", goal: 15, name: "Cartographer", desc: "Visit 15 villages" },
+  { id: "skill_adept", icon: "📘", stat: "skillLevel", goal: 5, name: "Adept", desc: "Raise a skill to level 5" },
+  { id: "skill_master", icon: "📕", stat: "skillLevel", goal: 10, name: "Master of Flame", desc: "Raise a skill to level 10" },
+  { id: "first_mark", icon: "🚩", stat: "marks", goal: 1, name: "Planted Flag", desc: "Place a mark flag" },
+  { id: "surveyor", icon: "📍", stat: "marks", goal: 10, name: "Surveyor", desc: "Place 10 mark flags" },
+];
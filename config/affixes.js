@@ -0,0 +1,78 @@
+/**
+ * Elite affixes (runtime: src/enemy_affixes.js, rolled by the spawner and on Enemy.respawn).
+ *
+ * ELITE_AFFIXES - keyed by id:
+ *   name       - prefix shown in the name label above the enemy ("Fast Vampiric Ravager")
+ *   minDepth   - only rolled at this endless depth or deeper (MapManager _endlessDepth, Acts = 0)
+ *   excludes   - affix ids that never roll together with this one
+ *   stats      - applied once when rolled: { speedMul, attackCooldownMul, hpMul, damageMul, scale, resist }
+ *   onHit      - extra status effects applied to the hero by regular attacks (config/status_effects.js)
+ *   effect     - optional { type, ...params } handled by src/enemy_affixes.js:
+ *     vampiric  - { leechPct } heals a share of the damage dealt
+ *     molten    - { range, interval, radius, duration, dps, deathRadius, deathDamageMul } leaves fire pools
+ *                 (dps × attack damage) while near the hero, bursts on death
+ *     shielding - { cooldown, duration, range } turns invulnerable for a moment while fighting
+ *     teleport  - { cooldown, minRange, range, offset } blinks next to the hero
+ *     splitter  - { count, hpPct, scale } splits into smaller copies on death
+ *
+ * AFFIX_ROLL - how many affixes each tier gets:
+ *   tiers        - { tier: [min, max] } (tiers not listed never roll affixes)
+ *   depthStep    - every this many endless depths adds one more affix...
+ *   maxExtra     - ...up to this many on top of the tier max
+ *   xpPerAffix   - kill XP bonus per affix (0.25 = +25%)
+ *   labelColor   - name label color per tier
+ */
+
+export const ELITE_AFFIXES = {
+  fast: {
+    name: "Fast", minDepth: 0,
+    stats: { speedMul: 1.45, attackCooldownMul: 0.75 },
+  },
+  vampiric: {
+    name: "Vampiric", minDepth: 0,
+    effect: { type: "vampiric", leechPct: 0.6 },
+  },
+  molten: {
+    name: "Molten", minDepth: 0, excludes: ["frozen_touch"],
+    stats: { resist: { fire: 0.4, frost: -0.2 } },
+    effect: { type: "molten", range: 30, interval: 1.6, radius: 2.4, duration: 5, dps: 0.35, deathRadius: 5, deathDamageMul: 1.5 },
+  },
+  frozen_touch: {
+    name: "Frozen-Touch", minDepth: 0, excludes: ["molten"],
+    stats: { resist: { frost: 0.4 } },
+    onHit: [{ type: "slow", duration: 2.5, magnitude: 0.45 }],
+  },
+  shielding: {
+    name: "Shielding", minDepth: 0,
+    effect: { type: "shielding", cooldown: 9, duration: 2.5, range: 16 },
+  },
+  teleporter: {
+    name: "Teleporter", minDepth: 0,
+    effect: { type: "teleport", cooldown: 6, minRange: 8, range: 30, offset: 2.5 },
+  },
+  splitter: {
+    name: "Splitter", minDepth: 0,
+    effect: { type: "splitter", count: 3, hpPct: 0.25, scale: 0.65 },
+  },
+  // Deeper endless levels widen the pool
+  juggernaut: {
+    name: "Juggernaut", minDepth: 2,
+    stats: { hpMul: 1.6, speedMul: 0.85, scale: 1.15, resist: { physical: 0.2 } },
+  },
+  warded: {
+    name: "Warded", minDepth: 4,
+    stats: { resist: { water: 0.25, frost: 0.25, fire: 0.25, arcane: 0.25 } },
+  },
+  berserk: {
+    name: "Berserk", minDepth: 6,
+    stats: { damageMul: 1.4, attackCooldownMul: 0.85 },
+  },
+};
+
+export const AFFIX_ROLL = {
+  tiers: { elite: [1, 2], boss: [2, 3] },
+  depthStep: 3,
+  maxExtra: 2,
+  xpPerAffix: 0.25,
+  labelColor: { elite: "#ffd86a", boss: "#ffb347" },
+};
@@ -0,0 +1,130 @@
+/**
+ * Boss encounters (runtime: src/bosses.js, HUD bar: src/ui/hud/boss_bar.js).
+ *
+ * Each Act names its boss in config/map.js (MAPS[].boss). Defeating it unlocks
+ * the next map (MapManager.recordBossDefeat) on top of the level requirement.
+ *
+ * BOSSES - keyed by id:
+ *   name       - HUD bar title
+ *   archetype  - config/enemies.js archetype for stats/attack style (tier is always "boss")
+ *   mesh       - { variant, color } overrides; scale is the boss mesh scale
+ *   hpMul / damageMul - × the boss-tier values
+ *   phases     - entered when HP ratio drops to `at` (first phase at 1):
+ *     attacks      - ids from BOSS_ATTACKS, used in order
+ *     interval     - seconds between telegraphed attacks
+ *     adds         - { archetype, count } spawned around the boss on entering the phase
+ *     speedMul / damageMul - applied on entering the phase (relative to the base boss)
+ *   reward     - reward chest: { gold: [min, max], gear: { count, rarity weights }, items: [{ id, qty }] }
+ *
+ * BOSS_ATTACKS - telegraphed ground AOEs, keyed by id:
+ *   shape      - "circle" | "ring" (safe inside `inner`) | "line" (from the boss toward the hero)
+ *   target     - "self" (centered on the boss) | "player" (hero position at cast time)
+ *   radius / inner / length / width - shape size (world units)
+ *   count / spread - extra copies scattered around the target ("player" circles)
+ *   windup     - seconds the telegraph is shown before it resolves
+ *   damageMul  - × boss attack damage
+ *   damageType - optional (default: boss attack type)
+ *   statuses   - applied to the hero on hit (config/status_effects.js)
+ *
+ * BOSS_ENCOUNTER - arena and chest tuning.
+ */
+
+export const BOSS_ATTACKS = {
+  slam: { shape: "circle", target: "self", radius: 7, windup: 1.2, damageMul: 1.6 },
+  quake: { shape: "circle", target: "self", radius: 9, windup: 1.4, damageMul: 1.4, statuses: [{ type: "stun", duration: 0.8 }] },
+  cleave: { shape: "line", target: "player", length: 18, width: 4, windup: 1.0, damageMul: 1.5 },
+  meteors: {
+    shape: "circle", target: "player", radius: 3.5, count: 3, spread: 6, windup: 1.4, damageMul: 1.2,
+    damageType: "fire", statuses: [{ type: "burn", duration: 3, magnitude: 4 }],
+  },
+  frost_nova: {
+    shape: "ring", target: "self", inner: 5, radius: 15, windup: 1.6, damageMul: 1.3,
+    damageType: "frost", statuses: [{ type: "slow", duration: 2.5, magnitude: 0.5 }],
+  },
+  arcane_lance: { shape: "line", target: "player", length: 26, width: 3, windup: 0.9, damageMul: 1.8, damageType: "arcane" },
+};
+
+export const BOSSES = {
+  ashen_warlord: {
+    name: "Ashen Warlord",
+    archetype: "ravager",
+    mesh: { variant: "horned", color: 0x5a1a10 },
+    scale: 2.2,
+    hpMul: 0.8,
+    damageMul: 0.8,
+    phases: [
+      { at: 1, attacks: ["cleave", "slam"], interval: 4.5 },
+      { at: 0.6, attacks: ["cleave", "meteors", "slam"], interval: 4, adds: { archetype: "embercaster", count: 2 } },
+      { at: 0.3, attacks: ["meteors", "cleave", "slam"], interval: 3, adds: { archetype: "ravager", count: 3 }, speedMul: 1.2, damageMul: 1.2 },
+    ],
+    reward: { gold: [150, 250], gear: { count: 1, rarity: { rare: 70, epic: 30 } }, items: [{ id: "molten_core", qty: 1 }] },
+  },
+  magma_behemoth: {
+    name: "Magma Behemoth",
+    archetype: "brute",
+    mesh: { variant: "colossus", color: 0x7a2a12 },
+    scale: 2.4,
+    hpMul: 1,
+    damageMul: 0.9,
+    phases: [
+      { at: 1, attacks: ["slam", "meteors"], interval: 4.5 },
+      { at: 0.65, attacks: ["meteors", "quake", "slam"], interval: 4, adds: { archetype: "flame_hound", count: 3 } },
+      { at: 0.3, attacks: ["quake", "meteors", "meteors"], interval: 3.2, adds: { archetype: "ballistarius", count: 2 }, damageMul: 1.25 },
+    ],
+    reward: { gold: [250, 400], gear: { count: 1, rarity: { rare: 55, epic: 40, legendary: 5 } }, items: [{ id: "molten_core", qty: 2 }] },
+  },
+  harpy_empress: {
+    name: "Harpy Empress",
+    archetype: "harpy_matron",
+    mesh: { variant: "winged", color: 0xb07a2a },
+    scale: 2.0,
+    hpMul: 1,
+    damageMul: 1,
+    phases: [
+      { at: 1, attacks: ["cleave", "meteors"], interval: 4 },
+      { at: 0.6, attacks: ["meteors", "cleave", "slam"], interval: 3.5, adds: { archetype: "harpy_matron", count: 2 }, speedMul: 1.15 },
+      { at: 0.3, attacks: ["meteors", "cleave", "meteors"], interval: 2.8, adds: { archetype: "fire_shaman", count: 2 }, damageMul: 1.25 },
+    ],
+    reward: { gold: [400, 650], gear: { count: 2, rarity: { rare: 45, epic: 45, legendary: 10 } }, items: [{ id: "phoenix_feather", qty: 1 }] },
+  },
+  citadel_arbiter: {
+    name: "Citadel Arbiter",
+    archetype: "sentinel_construct",
+    mesh: { variant: "construct", color: 0x9fd3ff },
+    scale: 2.2,
+    hpMul: 1,
+    damageMul: 1,
+    phases: [
+      { at: 1, attacks: ["arcane_lance", "frost_nova"], interval: 4.2 },
+      { at: 0.6, attacks: ["frost_nova", "arcane_lance", "slam"], interval: 3.6, adds: { archetype: "zealous_templar", count: 3 } },
+      { at: 0.3, attacks: ["arcane_lance", "frost_nova", "arcane_lance"], interval: 2.8, adds: { archetype: "sentinel_construct", count: 2 }, damageMul: 1.3 },
+    ],
+    reward: { gold: [650, 1000], gear: { count: 2, rarity: { epic: 75, legendary: 25 } }, items: [{ id: "phoenix_feather", qty: 1 }] },
+  },
+  godforge_titan: {
+    name: "Godforge Titan",
+    archetype: "forge_colossus",
+    mesh: { variant: "colossus", color: 0x2a2320 },
+    scale: 2.0,
+    hpMul: 1.2,
+    damageMul: 1,
+    phases: [
+      { at: 1, attacks: ["quake", "cleave"], interval: 4 },
+      { at: 0.7, attacks: ["meteors", "quake", "arcane_lance"], interval: 3.5, adds: { archetype: "aether_smith", count: 2 } },
+      { at: 0.4, attacks: ["frost_nova", "meteors", "arcane_lance", "quake"], interval: 3, adds: { archetype: "forge_colossus", count: 1 }, speedMul: 1.1 },
+      { at: 0.15, attacks: ["meteors", "arcane_lance", "quake"], interval: 2.2, damageMul: 1.4 },
+    ],
+    reward: { gold: [1000, 1600], gear: { count: 3, rarity: { epic: 60, legendary: 40 } }, items: [{ id: "phoenix_feather", qty: 2 }] },
+  },
+};
+
+export const BOSS_ENCOUNTER = {
+  arenaRadius: 26,       // hero and boss are held inside while the fight lasts
+  summonDistance: 12,    // boss appears this far ahead of the hero
+  fleeDistance: 60,      // leaving this far (recall/portal) abandons the fight
+  firstAttackDelay: 3,   // seconds before the first telegraph
+  addRadius: 6,          // adds appear around the boss
+  chestOpenRadius: 2.6,  // hero opens the chest inside this distance
+  chestLifetime: 300,    // seconds before an unopened chest disappears
+  arenaLinger: 4,        // seconds the arena stays after the boss dies
+};
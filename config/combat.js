@@ -0,0 +1,66 @@
+/**
+ * Combat configuration: damage types, resistances and critical hits
+ * (runtime in src/combat.js and Entity.takeDamage).
+ *
+ * DAMAGE_TYPES       - damage type ids with damage popup colors
+ * SKILL_DAMAGE_TYPE  - default type for skills without `damageType` (config/skills_pool.js)
+ * BASIC_DAMAGE_TYPE  - hero basic attack type
+ * ENEMY_RESISTANCES  - per enemy kind (brute/raider/archer/shocker): { type: fraction }
+ *                      0.3 = takes 30% less, negative = weakness (takes more)
+ * ENEMY_ATTACK_TYPE  - damage type dealt by each enemy kind
+ * RESIST_CAP         - resistances are clamped to [-RESIST_CAP, RESIST_CAP]
+ * CRIT               - hero base chance/multiplier (gear adds critChance/critDamage),
+ *                      enemy chance per tier and multiplier
+ * ENEMY_PROJECTILES  - ranged enemy shots per attackEffect (src/enemy_projectiles.js):
+ *                      speed (units/s), radius (hit radius added to the hero's), size (visual),
+ *                      rangeMul (× attackRange before the shot fizzles)
+ * DODGE              - hero dodge roll (PlayerSystem.dodge, keys D / Shift):
+ *                      distance, duration (s), cooldown (s), invulnerable (i-frame seconds)
+ *
+ * Maps add their `affinity` (config/map.js) on top of the kind resistances.
+ */
+
+export const DAMAGE_TYPES = {
+  physical: { color: "#ffe1e1", icon: "⚔️" },
+  water: { color: "#8fd8ff", icon: "💧" },
+  frost: { color: "#d4f4ff", icon: "❄️" },
+  fire: { color: "#ffb36b", icon: "🔥" },
+  arcane: { color: "#e0a8ff", icon: "🔮" },
+};
+
+export const SKILL_DAMAGE_TYPE = "water";
+export const BASIC_DAMAGE_TYPE = "water";
+
+export const ENEMY_RESISTANCES = {
+  brute: { physical: 0.3, frost: -0.2 },
+  raider: { physical: 0.15, water: -0.15 },
+  archer: { frost: 0.25, arcane: -0.2 },
+  shocker: { arcane: 0.4, water: 0.15, physical: -0.25 },
+};
+
+export const ENEMY_ATTACK_TYPE = {
+  brute: "physical",
+  raider: "physical",
+  archer: "physical",
+  shocker: "arcane",
+};
+
+export const RESIST_CAP = 0.75;
+
+export const CRIT = {
+  hero: { chance: 0.05, mult: 1.5 },
+  enemyChance: { normal: 0.02, tough: 0.04, elite: 0.08, boss: 0.12 },
+  enemyMult: 1.5,
+};
+
+export const ENEMY_PROJECTILES = {
+  beam: { speed: 24, radius: 0.35, size: 0.28, rangeMul: 1.4 },
+  fire: { speed: 18, radius: 0.5, size: 0.36, rangeMul: 1.4 },
+};
+
+export const DODGE = {
+  distance: 7,
+  duration: 0.22,
+  cooldown: 1.6,
+  invulnerable: 0.3,
+};
@@ -0,0 +1,70 @@
+/**
+ * Skill combos (runtime: src/combos.js, evaluated by SkillsSystem on every Q/W/E/R cast).
+ *
+ * A combo fires when its trigger skill is cast while its conditions hold, and boosts that cast.
+ * Conditions read the recent-cast history and the targets' status effects as they were
+ * before the triggering cast applied its own.
+ *
+ * COMBO_HISTORY: { size, maxAge } - how many casts (and for how many seconds) SkillsSystem remembers
+ * SKILL_COMBOS: [{ id, icon, name, desc, skill, after?, targetStatus?, insideAfter?, bonus }]
+ *   - skill         triggering skill id (config/skills_pool.js)
+ *   - after         { skill, within? } - that skill was cast within `within` seconds before the
+ *                   trigger; without `within` it must still be running (its `duration`)
+ *   - targetStatus  status id (config/status_effects.js) a target must already carry
+ *   - insideAfter   targets must stand inside the `after` cast's radius around where it was cast
+ *   - bonus
+ *       damageMul   × damage of the whole triggering cast
+ *       shatter     { damageMul } extra hit of damageMul × cast damage on every matching target
+ *       statuses    extra statuses applied to every matching target
+ *       extraJumps  chain skills: extra jumps each time the chain hits a matching target,
+ *                   up to maxExtraJumps (applied by the effect, src/effects/flame_chain.js)
+ *   Combos with target conditions only fire when at least one target matches
+ *   (extraJumps combos are checked per chain hit instead).
+ * name / desc are English fallbacks; locales override them as combos.<id>.name / .desc
+ */
+
+export const COMBO_HISTORY = { size: 8, maxAge: 30 };
+
+export const SKILL_COMBOS = [
+  // Frost Nova inside a running Freezing Aura shatters the chilled enemies
+  {
+    id: "shatter",
+    icon: "💎",
+    name: "Shatter",
+    desc: "Frost Nova on enemies inside Freezing Aura shatters them for 150% damage",
+    skill: "flame_nova",
+    after: { skill: "burning_aura" },
+    insideAfter: true,
+    bonus: { shatter: { damageMul: 1.5 } }
+  },
+  // Slowed enemies conduct Frost Chain further
+  {
+    id: "frozen_links",
+    icon: "🔗",
+    name: "Frozen Links",
+    desc: "Frost Chain jumps once more for every slowed enemy it hits (up to 3)",
+    skill: "flame_chain",
+    targetStatus: "slow",
+    bonus: { extraJumps: 1, maxExtraJumps: 3 }
+  },
+  // Cast sequence: the chain marks the tide's path
+  {
+    id: "undertow_surge",
+    icon: "🌊",
+    name: "Undertow Surge",
+    desc: "Tsunami Blast within 4s of Frost Chain deals 35% more damage",
+    skill: "inferno_blast",
+    after: { skill: "flame_chain", within: 4 },
+    bonus: { damageMul: 1.35 }
+  },
+  // Slowed enemies caught under a new Ice Storm become brittle
+  {
+    id: "brittle_storm",
+    icon: "🧊",
+    name: "Brittle Storm",
+    desc: "Ice Storm makes slowed enemies in its area take 30% more damage for 5s",
+    skill: "meteor_storm",
+    targetStatus: "slow",
+    bonus: { statuses: [{ type: "vulnerable", duration: 5, magnitude: 0.3 }] }
+  },
+];
@@ -0,0 +1,129 @@
+/**
+ * Enemy archetypes (runtime: src/enemy_archetypes.js, Enemy constructor,
+ * src/enemy_behaviors.js).
+ *
+ * ENEMY_ARCHETYPES - keyed by id:
+ *   name              - display name
+ *   kind              - base kind for resistances / attack type (config/combat.js):
+ *                       brute | raider | archer | shocker
+ *   attackType        - optional damage type override (default ENEMY_ATTACK_TYPE[kind])
+ *   attackRange       - world units
+ *   attackCooldownMul - × WORLD.aiAttackCooldown
+ *   attackEffect      - "melee" | "beam" | "fire"
+ *   beamColor         - projectile color for ranged attacks
+ *   speedMul / damageMul / hpMul - × the tier/level scaled base values
+ *   scale             - mesh scale
+ *   mesh              - { variant, color? } EnemyMesh silhouette (src/meshes.js):
+ *                       "horned" | "robed" | "hound" | "armored" | "construct" | "winged" | "colossus"
+ *   resist            - extra resistances on top of the kind table
+ *   onHit             - status effects applied to the hero on hit (config/status_effects.js)
+ *   behavior          - optional { type, ...params } (src/enemy_behaviors.js):
+ *     pack        - { radius, dmgPerAlly, maxAllies, packSize } spawns in packs, hits harder near packmates
+ *     shield      - { pct, regenDelay, regenRate } absorb shield (pct of max HP) that regenerates out of combat
+ *     dive        - { minRange, range, speedMul, duration, cooldown, damageMul, radius } leaps onto the hero
+ *     support     - { radius, healPct, interval } heals the most wounded nearby ally
+ *     coordinated - { radius, window, dmgPerAlly, maxAllies } nearby allies strike together, harder
+ *     slam        - { radius, windup, cooldown, damageMul, stun } telegraphed ground slam
+ *     channel     - { range, duration, tick, tickDamageMul, cooldown } channels a beam on the hero
+ *
+ * BASE_ARCHETYPES  - spawned on every map
+ * ARCHETYPE_SPAWN  - chance that a spawn is one of the current map's signature
+ *                    archetypes (MAPS[].archetypes in config/map.js)
+ */
+
+export const ENEMY_ARCHETYPES = {
+  // Base kinds
+  brute: {
+    name: "Brute", kind: "brute", attackRange: 2.4, attackCooldownMul: 0.95, attackEffect: "melee",
+    beamColor: 0xff8844, speedMul: 0.9, damageMul: 1.2, scale: 1.25,
+  },
+  raider: {
+    name: "Raider", kind: "raider", attackRange: 2.2, attackCooldownMul: 0.85, attackEffect: "melee",
+    beamColor: 0xffaa66, speedMul: 1.15, damageMul: 0.9, scale: 1.05,
+  },
+  archer: {
+    name: "Archer", kind: "archer", attackRange: 18, attackCooldownMul: 1.1, attackEffect: "beam",
+    beamColor: 0xffcc88, speedMul: 1.0, damageMul: 1.0, scale: 0.95,
+  },
+  shocker: {
+    // Ranged arcane (no fire – hero-exclusive). Use non-fire beam.
+    name: "Shocker", kind: "shocker", attackRange: 24, attackCooldownMul: 1.25, attackEffect: "beam",
+    beamColor: 0xc070ff, speedMul: 0.95, damageMul: 0.95, scale: 1.1,
+  },
+
+  // Act I — Fields of Awakening
+  ravager: {
+    name: "Ravager", kind: "raider", attackRange: 2.2, attackCooldownMul: 0.7, attackEffect: "melee",
+    beamColor: 0xff6a4a, speedMul: 1.35, damageMul: 1.0, hpMul: 0.9, scale: 1.0,
+    mesh: { variant: "horned", color: 0x8a2b1e },
+  },
+  embercaster: {
+    name: "Embercaster", kind: "shocker", attackType: "fire", attackRange: 20, attackCooldownMul: 1.2,
+    attackEffect: "fire", beamColor: 0xff7a2e, speedMul: 0.95, damageMul: 0.85, scale: 1.0,
+    mesh: { variant: "robed", color: 0x7a2a12 },
+    resist: { fire: 0.3 },
+    onHit: [{ type: "burn", duration: 3, magnitude: 3 }],
+  },
+
+  // Act II — Volcanic Plains
+  flame_hound: {
+    name: "Flame Hound", kind: "raider", attackType: "fire", attackRange: 2.0, attackCooldownMul: 0.8,
+    attackEffect: "melee", beamColor: 0xff8a3c, speedMul: 1.3, damageMul: 0.7, hpMul: 0.6, scale: 0.9,
+    mesh: { variant: "hound", color: 0xb8461c },
+    behavior: { type: "pack", radius: 10, dmgPerAlly: 0.15, maxAllies: 4, packSize: 3 },
+  },
+  ballistarius: {
+    name: "Ballistarius", kind: "archer", attackRange: 22, attackCooldownMul: 1.3, attackEffect: "beam",
+    beamColor: 0xffe0a0, speedMul: 0.85, damageMul: 1.3, hpMul: 1.4, scale: 1.05,
+    mesh: { variant: "armored", color: 0x6b5a48 },
+    resist: { physical: 0.25, water: 0.15 },
+  },
+
+  // Act III — Inferno Peaks
+  harpy_matron: {
+    name: "Harpy Matron", kind: "raider", attackRange: 2.4, attackCooldownMul: 0.9, attackEffect: "melee",
+    beamColor: 0xffc36b, speedMul: 1.1, damageMul: 1.0, hpMul: 0.9, scale: 1.0,
+    mesh: { variant: "winged", color: 0x9c6b2f },
+    behavior: { type: "dive", minRange: 6, range: 22, speedMul: 5, duration: 0.7, cooldown: 6, damageMul: 1.8, radius: 3 },
+  },
+  fire_shaman: {
+    name: "Fire Shaman", kind: "shocker", attackType: "fire", attackRange: 20, attackCooldownMul: 1.4,
+    attackEffect: "fire", beamColor: 0xff9a3c, speedMul: 0.9, damageMul: 0.7, scale: 1.0,
+    mesh: { variant: "robed", color: 0x5c2410 },
+    behavior: { type: "support", radius: 16, healPct: 0.08, interval: 3 },
+  },
+
+  // Act IV — Sky Citadel
+  sentinel_construct: {
+    name: "Sentinel Construct", kind: "brute", attackRange: 2.6, attackCooldownMul: 1.1, attackEffect: "melee",
+    beamColor: 0x7fe8ff, speedMul: 0.8, damageMul: 1.1, hpMul: 1.2, scale: 1.3,
+    mesh: { variant: "construct", color: 0x3f6f78 },
+    behavior: { type: "shield", pct: 0.5, regenDelay: 4, regenRate: 0.25 },
+  },
+  zealous_templar: {
+    name: "Zealous Templar", kind: "brute", attackRange: 2.4, attackCooldownMul: 1.0, attackEffect: "melee",
+    beamColor: 0xfff2b0, speedMul: 1.0, damageMul: 1.0, scale: 1.1,
+    mesh: { variant: "armored", color: 0xc9b67a },
+    behavior: { type: "coordinated", radius: 14, window: 1.5, dmgPerAlly: 0.2, maxAllies: 4 },
+  },
+
+  // Act V — The Godforge
+  forge_colossus: {
+    name: "Forge Colossus", kind: "brute", attackRange: 3, attackCooldownMul: 1.4, attackEffect: "melee",
+    beamColor: 0xff9b4a, speedMul: 0.7, damageMul: 1.4, hpMul: 2.2, scale: 1.7,
+    mesh: { variant: "colossus", color: 0x4a3a34 },
+    behavior: { type: "slam", radius: 7, windup: 1.0, cooldown: 7, damageMul: 2.2, stun: 0.6 },
+  },
+  aether_smith: {
+    name: "Aether Smith", kind: "shocker", attackRange: 22, attackCooldownMul: 1.3, attackEffect: "beam",
+    beamColor: 0x7fd8ff, speedMul: 0.9, damageMul: 0.9, scale: 1.05,
+    mesh: { variant: "robed", color: 0x2f4f6f },
+    behavior: { type: "channel", range: 22, duration: 2.5, tick: 0.25, tickDamageMul: 0.35, cooldown: 8 },
+  },
+};
+
+export const BASE_ARCHETYPES = ["brute", "raider", "archer", "shocker"];
+
+export const ARCHETYPE_SPAWN = {
+  signatureChance: 0.35,
+};
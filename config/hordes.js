@@ -0,0 +1,58 @@
+/**
+ * Horde events (runtime: src/hordes.js, HUD bar: src/ui/hud/horde_bar.js, messages: src/ui/horde.js).
+ *
+ * Every few minutes a horde is announced, then escalating waves spawn around the
+ * hero, or around a village when the hero is close to one. Clearing the last wave
+ * grants bonus XP and loot. The event fails when the hero dies, runs away from the
+ * event (leash), or lets a village be overrun (too many horde enemies at its
+ * fence for too long).
+ *
+ * HORDE_EVENTS:
+ *   firstDelay    - seconds after start before the first event can happen
+ *   interval      - [min, max] seconds between events (from the end of the previous one)
+ *   retryDelay    - seconds to wait when an event cannot start (dead hero, boss fight)
+ *   announce      - seconds of warning before the first wave
+ *   waveGap       - pause between waves
+ *   waveTimeout   - the next wave comes after this many seconds even if the current one lives
+ *   waves         - number of waves
+ *   count         - wave size: base + perWave × (wave - 1) + perLevel × hero level, capped at max
+ *   eliteChance   - chance per enemy to be elite: base + perWave × (wave - 1)
+ *   toughChance   - chance for a non-elite enemy to be tough (the rest are normal)
+ *   finalLeader   - the last wave is led by an elite (pack leader for src/enemy_tactics.js)
+ *   spawnRadius   - [min, max] distance from the hero (field hordes)
+ *   village       - village hordes: { range, spawnPad, overrunMargin, overrunCount, overrunTime, rewardMul }
+ *                   range: hero within village radius + range picks that village;
+ *                   spawnPad: [min, max] beyond the village radius;
+ *                   overrun: overrunCount horde enemies within radius + overrunMargin for overrunTime seconds
+ *   leash         - the event fails when the hero gets this far from where it started (village: beyond the fence)
+ *   reward        - { xpPerLevel, xpPerKill, drops } drops: LOOT_TABLES tiers rolled once each
+ */
+
+export const HORDE_EVENTS = {
+  firstDelay: 120,
+  interval: [180, 300],
+  retryDelay: 20,
+  announce: 6,
+  waveGap: 5,
+  waveTimeout: 45,
+  waves: 3,
+  count: { base: 6, perWave: 4, perLevel: 0.2, max: 22 },
+  eliteChance: { base: 0.03, perWave: 0.05 },
+  toughChance: 0.25,
+  finalLeader: true,
+  spawnRadius: [24, 34],
+  village: {
+    range: 45,
+    spawnPad: [12, 22],
+    overrunMargin: 6,
+    overrunCount: 8,
+    overrunTime: 10,
+    rewardMul: 1.5,
+  },
+  leash: 90,
+  reward: {
+    xpPerLevel: 30,
+    xpPerKill: 6,
+    drops: ["elite", "elite", "tough"],
+  },
+};
@@ -0,0 +1,322 @@
+/**
+ * Items and loot configuration.
+ *
+ * ITEMS       - item definitions keyed by id (consumables, materials, gear bases)
+ * EQUIP_SLOTS - hero equipment slots; gear `slot` "ring" fits either ring slot
+ * GEAR_AFFIXES / GEAR_AFFIX_COUNT - rolled gear modifiers (stat keys from config/stats.js HERO_STATS)
+ * ITEM_RARITY - rarity tiers with display colors (ground glow, UI accents)
+ * LOOT_TABLES - per enemy tier drop tables (normal/tough/elite/boss)
+ * LOOT        - ground item tuning (pickup radius, magnet, lifetime, caps)
+ * GEAR_PRICE  - merchant price of gear by rolled rarity (other items carry `price`)
+ * MERCHANT    - village merchant interaction radius and stock composition
+ * HOTBAR      - consumables bound to the quick-use slots (keys 1-4) next to Q/W/E/R
+ *
+ * Consumables may declare `cooldown` (seconds); items sharing a `cdGroup`
+ * share that cooldown (e.g. both potions).
+ *
+ * Drop table format:
+ *   rolls      - number of independent rolls
+ *   chance     - probability each roll yields something (0..1)
+ *   entries    - weighted pool: { id, weight, min, max }
+ *   guaranteed - optional entries always dropped once: { id, min, max }
+ *   gear       - optional gear roll: { chance, rarity: { common: weight, ... } }
+ *   gold       - optional gold pile: { chance, min, max } (scaled by map depth, LOOT.goldDepthGrowth)
+ */
+
+export const ITEM_RARITY = {
+  common: { color: "#d9d9d9", order: 0 },
+  uncommon: { color: "#6fe36f", order: 1 },
+  rare: { color: "#5aa9ff", order: 2 },
+  epic: { color: "#c070ff", order: 3 },
+  legendary: { color: "#ffb347", order: 4 },
+};
+
+export const ITEMS = {
+  // Currency (picked up into the wallet, never stored in the inventory)
+  gold: {
+    id: "gold",
+    name: "Gold",
+    icon: "🪙",
+    type: "currency",
+    rarity: "common",
+    color: "#ffd24a",
+    maxStack: 1,
+    desc: "Spend it at village merchants.",
+  },
+
+  // Consumables (usable from the Inventory tab and the hotbar)
+  potion_hp: {
+    id: "potion_hp",
+    name: "Health Potion",
+    icon: "🧪",
+    type: "consumable",
+    rarity: "common",
+    maxStack: 20,
+    use: { healPct: 0.35 },
+    cooldown: 8,
+    cdGroup: "potion",
+    price: 25,
+    desc: "Restores 35% of max HP.",
+  },
+  potion_mp: {
+    id: "potion_mp",
+    name: "Mana Potion",
+    icon: "🔷",
+    type: "consumable",
+    rarity: "common",
+    maxStack: 20,
+    use: { manaPct: 0.4 },
+    cooldown: 8,
+    cdGroup: "potion",
+    price: 25,
+    desc: "Restores 40% of max MP.",
+  },
+  elixir_speed: {
+    id: "elixir_speed",
+    name: "Speed Elixir",
+    icon: "🍃",
+    type: "consumable",
+    rarity: "uncommon",
+    maxStack: 10,
+    use: { buff: "speed", mul: 1.5, duration: 8 },
+    cooldown: 25,
+    price: 45,
+    desc: "+50% move speed for 8s.",
+  },
+  tonic_damage: {
+    id: "tonic_damage",
+    name: "Damage Tonic",
+    icon: "🍷",
+    type: "consumable",
+    rarity: "uncommon",
+    maxStack: 10,
+    use: { buff: "damage", mul: 1.25, duration: 12 },
+    cooldown: 40,
+    price: 70,
+    desc: "+25% damage for 12s.",
+  },
+
+  // Scrolls: timed buffs on the hero's existing combat modifiers
+  scroll_haste: {
+    id: "scroll_haste",
+    name: "Scroll of Haste",
+    icon: "📜",
+    type: "consumable",
+    rarity: "uncommon",
+    maxStack: 10,
+    use: { buff: "speed", mul: 1.35, duration: 20 },
+    price: 60,
+    desc: "+35% move speed for 20s.",
+  },
+  scroll_fury: {
+    id: "scroll_fury",
+    name: "Scroll of Fury",
+    icon: "📜",
+    type: "consumable",
+    rarity: "uncommon",
+    maxStack: 10,
+    use: { buff: "atkSpeed", mul: 1.3, duration: 20 },
+    price: 60,
+    desc: "+30% attack speed for 20s.",
+  },
+  scroll_ward: {
+    id: "scroll_ward",
+    name: "Scroll of Warding",
+    icon: "📜",
+    type: "consumable",
+    rarity: "rare",
+    maxStack: 10,
+    use: { buff: "defense", pct: 0.25, duration: 20 },
+    price: 75,
+    desc: "Take 25% less damage for 20s.",
+  },
+
+  // Materials (stack high; spent by later systems)
+  ember_shard: {
+    id: "ember_shard",
+    name: "Ember Shard",
+    icon: "💠",
+    type: "material",
+    rarity: "uncommon",
+    maxStack: 99,
+    price: 8,
+    desc: "A warm fragment of condensed flame.",
+  },
+  molten_core: {
+    id: "molten_core",
+    name: "Molten Core",
+    icon: "🔶",
+    type: "material",
+    rarity: "rare",
+    maxStack: 99,
+    price: 40,
+    desc: "The still-beating heart of an elite foe.",
+  },
+  phoenix_feather: {
+    id: "phoenix_feather",
+    name: "Phoenix Feather",
+    icon: "🪶",
+    type: "material",
+    rarity: "epic",
+    maxStack: 20,
+    price: 150,
+    desc: "Rare trophy carried only by bosses.",
+  },
+
+  // Gear bases (one per stack; rarity and affixes are rolled per drop)
+  ember_staff: {
+    id: "ember_staff",
+    name: "Ember Staff",
+    icon: "🪄",
+    type: "gear",
+    slot: "weapon",
+    rarity: "common",
+    maxStack: 1,
+    implicit: { basicDamage: 0.08 },
+    desc: "A charred staff that focuses basic fire.",
+  },
+  ashen_robe: {
+    id: "ashen_robe",
+    name: "Ashen Robe",
+    icon: "🥋",
+    type: "gear",
+    slot: "armor",
+    rarity: "common",
+    maxStack: 1,
+    implicit: { damageReduction: 0.05 },
+    desc: "Woven from fireproof ash silk.",
+  },
+  cinder_amulet: {
+    id: "cinder_amulet",
+    name: "Cinder Amulet",
+    icon: "📿",
+    type: "gear",
+    slot: "amulet",
+    rarity: "common",
+    maxStack: 1,
+    implicit: { skillDamage: 0.05 },
+    desc: "Glows brighter with every spell.",
+  },
+  flame_ring: {
+    id: "flame_ring",
+    name: "Flame Ring",
+    icon: "💍",
+    type: "gear",
+    slot: "ring",
+    rarity: "common",
+    maxStack: 1,
+    implicit: { hpRegen: 2 },
+    desc: "Warm to the touch, it mends small wounds.",
+  },
+};
+
+export const EQUIP_SLOTS = ["weapon", "armor", "amulet", "ring1", "ring2"];
+
+// Affix pool: each rolled affix picks a distinct stat and a value in [min, max]
+export const GEAR_AFFIXES = {
+  skillDamage: { min: 0.04, max: 0.12 },
+  basicDamage: { min: 0.05, max: 0.15 },
+  cooldownReduction: { min: 0.02, max: 0.06 },
+  manaCostReduction: { min: 0.03, max: 0.08 },
+  moveSpeed: { min: 0.02, max: 0.06 },
+  damageReduction: { min: 0.02, max: 0.05 },
+  hpRegen: { min: 1, max: 4 },
+  critChance: { min: 0.01, max: 0.04 },
+  critDamage: { min: 0.05, max: 0.2 },
+};
+
+// Affixes rolled per rarity
+export const GEAR_AFFIX_COUNT = {
+  common: 1,
+  uncommon: 2,
+  rare: 3,
+  epic: 4,
+  legendary: 5,
+};
+
+export const LOOT_TABLES = {
+  normal: {
+    rolls: 1,
+    chance: 0.22,
+    entries: [
+      { id: "potion_hp", weight: 40, min: 1, max: 1 },
+      { id: "potion_mp", weight: 30, min: 1, max: 1 },
+      { id: "ember_shard", weight: 30, min: 1, max: 2 },
+    ],
+    gear: { chance: 0.03, rarity: { common: 80, uncommon: 20 } },
+    gold: { chance: 0.6, min: 2, max: 6 },
+  },
+  tough: {
+    rolls: 1,
+    chance: 0.45,
+    entries: [
+      { id: "potion_hp", weight: 35, min: 1, max: 2 },
+      { id: "potion_mp", weight: 30, min: 1, max: 2 },
+      { id: "ember_shard", weight: 35, min: 1, max: 3 },
+      { id: "elixir_speed", weight: 8, min: 1, max: 1 },
+    ],
+    gear: { chance: 0.08, rarity: { common: 60, uncommon: 32, rare: 8 } },
+    gold: { chance: 0.8, min: 5, max: 12 },
+  },
+  elite: {
+    rolls: 2,
+    chance: 0.85,
+    entries: [
+      { id: "potion_hp", weight: 30, min: 1, max: 2 },
+      { id: "potion_mp", weight: 25, min: 1, max: 2 },
+      { id: "ember_shard", weight: 30, min: 2, max: 4 },
+      { id: "molten_core", weight: 15, min: 1, max: 1 },
+      { id: "elixir_speed", weight: 8, min: 1, max: 1 },
+      { id: "tonic_damage", weight: 8, min: 1, max: 1 },
+    ],
+    gear: { chance: 0.35, rarity: { uncommon: 55, rare: 35, epic: 10 } },
+    gold: { chance: 1, min: 15, max: 35 },
+  },
+  boss: {
+    rolls: 4,
+    chance: 1,
+    guaranteed: [{ id: "phoenix_feather", min: 1, max: 1 }],
+    entries: [
+      { id: "potion_hp", weight: 25, min: 2, max: 3 },
+      { id: "potion_mp", weight: 25, min: 2, max: 3 },
+      { id: "ember_shard", weight: 25, min: 3, max: 6 },
+      { id: "molten_core", weight: 25, min: 1, max: 2 },
+      { id: "tonic_damage", weight: 15, min: 1, max: 2 },
+    ],
+    gear: { chance: 1, rarity: { rare: 55, epic: 35, legendary: 10 } },
+    gold: { chance: 1, min: 120, max: 250 },
+  },
+};
+
+export const LOOT = {
+  pickupRadius: 2.2,      // hero auto-collects items within this distance
+  magnetRadius: 6,        // items glide toward the hero inside this radius
+  magnetSpeed: 14,        // units/sec while magnetized
+  scatterRadius: 1.6,     // drops spread around the corpse
+  lifetime: 120,          // seconds before an uncollected item disappears
+  maxGroundItems: 60,     // oldest items are removed past this cap
+  inventorySlots: 30,     // distinct stacks the hero can carry
+  goldDepthGrowth: 1.12,  // gold multiplier per endless map depth
+};
+
+export const GEAR_PRICE = {
+  common: 120,
+  uncommon: 250,
+  rare: 500,
+  epic: 1000,
+  legendary: 2200,
+};
+
+export const MERCHANT = {
+  interactRadius: 5,             // hero must stand this close to trade
+  offset: { x: -4, z: 3 },       // stall position relative to the village center
+  potions: ["potion_hp", "potion_mp", "elixir_speed", "tonic_damage"], // always in stock, unlimited
+  scrolls: ["scroll_haste", "scroll_fury", "scroll_ward"],
+  scrollCount: 2,                // scrolls offered per village (unlimited each)
+  gearCount: 3,                  // one-off gear pieces per village
+  gearRarity: { common: 45, uncommon: 35, rare: 15, epic: 5 },
+  sellRatio: 0.25,               // fraction of the price paid when selling
+};
+
+// Quick-use slots, in key order ("1".."4"); each slot uses the first stack of its item
+export const HOTBAR = ["potion_hp", "potion_mp", "elixir_speed", "tonic_damage"];
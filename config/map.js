@@ -20,7 +20,11 @@ export const MAP_EMOJIS = [
   "🌫️","⛏️","🌧️","🌥️","🌠"
 ];
 
-// Definitions: tune per-map enemy tint and multipliers
+// Definitions: tune per-map enemy tint and multipliers.
+// `affinity` adds damage-type resistances to every enemy on the map
+// (fractions like config/combat.js ENEMY_RESISTANCES; negative = weakness).
+// `archetypes` are the signature enemies behind `strongEnemies` (config/enemies.js).
+// `boss` is the Act's boss encounter (config/bosses.js); defeating it unlocks the next map.
 export const MAPS = [
   {
     index: 1,
@@ -31,8 +35,11 @@ export const MAPS = [
     enemyDmgMul: 1.0,
     enemySpeedMul: 1.0,
     enemyCountMul: 1.0,
+    affinity: {},
     desc: "A scorched grove outside the origin village. Fallen scouts and burning beasts swarm the ashen woods.",
     strongEnemies: ["Ravagers (fast melee)", "Embercasters (ranged fire)"],
+    archetypes: ["ravager", "embercaster"],
+    boss: "ashen_warlord",
     imgHint: "Square art: dark forest clearing under a smoke-filled sky; faint ruins; red-tinted foes.",
   },
   {
@@ -44,8 +51,11 @@ export const MAPS = [
     enemyDmgMul: 1.2,
     enemySpeedMul: 1.02,
     enemyCountMul: 1.1,
+    affinity: { fire: 0.3, water: -0.15 },
     desc: "Open grasslands where flames never die. Raiding packs and fire-touched archers roam freely.",
     strongEnemies: ["Flame Hounds (pack hunters)", "Ballistarii (armored archers)"],
+    archetypes: ["flame_hound", "ballistarius"],
+    boss: "magma_behemoth",
     imgHint: "Square art: windswept plains with distant volcanic peaks; orange-tinted foes.",
   },
   {
@@ -57,8 +67,11 @@ export const MAPS = [
     enemyDmgMul: 1.45,
     enemySpeedMul: 1.05,
     enemyCountMul: 1.25,
+    affinity: { fire: 0.2, physical: 0.1, frost: -0.15 },
     desc: "Knife-edged ridgelines where the heat rises like a beast. Altitude and fire converge to test your mettle.",
     strongEnemies: ["Harpy Matrons (dive assaults)", "Fire Shamans (support casters)"],
+    archetypes: ["harpy_matron", "fire_shaman"],
+    boss: "harpy_empress",
     imgHint: "Square art: volcanic mountain ridge with lava flows; golden-tinted foes, smoke-filled sky.",
   },
   {
@@ -70,8 +83,11 @@ export const MAPS = [
     enemyDmgMul: 1.8,
     enemySpeedMul: 1.08,
     enemyCountMul: 1.45,
+    affinity: { arcane: 0.25, frost: 0.1 },
     desc: "A floating bastion crackling with bound sigils. Only the resolute can breach its shining walls.",
     strongEnemies: ["Sentinel Constructs (shielded)", "Zealous Templars (coordinated strikes)"],
+    archetypes: ["sentinel_construct", "zealous_templar"],
+    boss: "citadel_arbiter",
     imgHint: "Square art: floating fortress with crackling runes; teal-tinted foes.",
   },
   {
@@ -83,8 +99,11 @@ export const MAPS = [
     enemyDmgMul: 2.3,
     enemySpeedMul: 1.12,
     enemyCountMul: 1.7,
+    affinity: { physical: 0.15, water: 0.1, frost: 0.1 },
     desc: "An eldritch foundry where power is hammered into being. Sparks of divinity burn those who trespass.",
     strongEnemies: ["Forge Colossus (heavy slam)", "Aether Smiths (channeling blasts)"],
+    archetypes: ["forge_colossus", "aether_smith"],
+    boss: "godforge_titan",
     imgHint: "Square art: colossal heavenly forge, molten channels, pale-blue aura; azure-tinted foes.",
   },
 ];
@@ -0,0 +1,36 @@
+/**
+ * Quests and village bounty boards (runtime: src/quests.js, UI: src/ui/quests.js,
+ * Hero screen tab: src/ui/hero/tabs/quests.js, HUD tracker: src/ui/hud/quest_tracker.js).
+ *
+ * Every village (origin included) has a bounty board next to its merchant. Standing at a
+ * board shows its offers in the Hero screen's Quests tab; accepted quests are tracked in
+ * the HUD and complete automatically, paying XP and gold.
+ *
+ * QUESTS:
+ *   maxActive       - accepted quests at once
+ *   offersPerBoard  - offers rolled per board
+ *   boardRefresh    - seconds before a board rolls fresh offers (taken offers are replaced then)
+ *   interactRadius  - hero must stand this close to a board
+ *   boardOffset     - board position relative to the village center (merchant stall is at -4, 3)
+ *   kinds           - objective kinds, each with a roll `weight` and reward
+ *                     { xp: { perLevel, perCount }, gold: [min, max] }:
+ *     kill   - slay `count` [min, max] enemies of one archetype (the current map's signature
+ *              kinds or the base kinds)
+ *     elite  - defeat `count` [min, max] elite (or boss) enemies
+ *     reach  - travel to another discovered village at least `minDistance` from the board
+ *     visit  - visit a structure (temple, villa, ...) at least `minDistance` from the board
+ */
+
+export const QUESTS = {
+  maxActive: 3,
+  offersPerBoard: 3,
+  boardRefresh: 300,
+  interactRadius: 5,
+  boardOffset: { x: 4, z: 3 },
+  kinds: {
+    kill: { weight: 3, count: [8, 15], xp: { perLevel: 10, perCount: 4 }, gold: [20, 45] },
+    elite: { weight: 2, count: [1, 3], xp: { perLevel: 15, perCount: 30 }, gold: [40, 80] },
+    reach: { weight: 1, minDistance: 150, xp: { perLevel: 25, perCount: 0 }, gold: [30, 60] },
+    visit: { weight: 2, minDistance: 40, xp: { perLevel: 18, perCount: 0 }, gold: [20, 40] },
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * Respec pricing (runtime: src/respec.js, button in the Hero screen Talents tab).
+ *
+ * A respec refunds every skill point and talent point, clears skill runes and the
+ * level-milestone uplift choices, then re-runs skill unlocks for the hero level.
+ *
+ * RESPEC:
+ *   freeUntilLevel  - respecs are free up to and including this hero level
+ *   gold            - gold price past that: base + perLevel * hero level
+ *   item            - alternative price: qty of a rare item from config/items.js
+ */
+
+export const RESPEC = {
+  freeUntilLevel: 10,
+  gold: { base: 100, perLevel: 20 },
+  item: { id: "molten_core", qty: 2 },
+};
@@ -0,0 +1,65 @@
+/**
+ * Village sieges (runtime: src/sieges.js) and village prosperity (src/village_prosperity.js).
+ *
+ * Every so often a discovered village comes under siege. The minimap marks it during a
+ * warning countdown; then the village has its own HP (gate and houses). While the hero
+ * stays away it loses HP slowly; once the hero comes within `engageRange` the siege waves
+ * spawn around the fence and every attacker standing at the fence deals damage. Clearing
+ * all waves before the HP runs out is a successful defense and raises the village's
+ * prosperity level; a village that falls keeps its level.
+ *
+ * VILLAGE_SIEGES:
+ *   firstDelay     - seconds after start before the first siege can happen
+ *   interval       - [min, max] seconds between sieges (from the end of the previous one)
+ *   retryDelay     - seconds to wait when no village can be besieged (none discovered, hero dead)
+ *   maxDistance    - only villages this close to the hero are picked (reachable in time)
+ *   warning        - seconds the minimap warning runs before the assault begins
+ *   hp             - village HP: base + perProsperity × prosperity level
+ *   unattendedDps  - HP lost per second while the hero is beyond engageRange
+ *   attackerDps    - HP lost per second per siege enemy at the fence
+ *   fenceReach     - enemies within village radius + this count as attacking the fence
+ *   engageRange    - hero within village radius + this makes the waves spawn
+ *   heroEngage     - siege enemies break off toward the hero when it comes this close
+ *   waves          - number of waves
+ *   count          - wave size: base + perWave × (wave - 1) + perLevel × hero level, capped at max
+ *   eliteChance    - chance per enemy to be elite: base + perWave × (wave - 1)
+ *   spawnPad       - [min, max] spawn distance beyond the village radius
+ *   waveGap        - pause between waves
+ *   reward         - { xpPerLevel, gold: [min, max] } paid on a successful defense
+ *
+ * PROSPERITY (per village key, saved in the active slot):
+ *   maxLevel       - level cap
+ *   regenPerLevel  - village rest regen multiplier bonus per level (+20% per level)
+ *   gearPerLevel   - extra one-off gear pieces in the village merchant's stock per level
+ *   gearRarity     - rarity weights for those extra pieces
+ */
+
+export const VILLAGE_SIEGES = {
+  firstDelay: 300,
+  interval: [360, 600],
+  retryDelay: 60,
+  maxDistance: 400,
+  warning: 45,
+  hp: { base: 600, perProsperity: 150 },
+  unattendedDps: 4,
+  attackerDps: 3,
+  fenceReach: 4,
+  engageRange: 80,
+  heroEngage: 14,
+  waves: 3,
+  count: { base: 5, perWave: 3, perLevel: 0.15, max: 18 },
+  eliteChance: { base: 0.05, perWave: 0.05 },
+  spawnPad: [14, 22],
+  waveGap: 6,
+  reward: {
+    xpPerLevel: 40,
+    gold: [40, 90],
+  },
+};
+
+export const PROSPERITY = {
+  maxLevel: 5,
+  regenPerLevel: 0.2,
+  gearPerLevel: 1,
+  gearRarity: { uncommon: 40, rare: 40, epic: 18, legendary: 2 },
+};
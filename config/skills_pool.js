@@ -5,6 +5,14 @@
  * - Visual FX have moved to src/skills_fx.js (per-id mapping).
  * - Descriptions/behaviors have moved to src/skills_docs.js (per-id mapping).
  * - This file now contains only the runtime parameters used by logic and UI stats.
+ * - `damageType` is a config/combat.js DAMAGE_TYPES id (resisted per enemy kind / map affinity).
+ * - `statuses` lists status effects applied on hit (types in config/status_effects.js),
+ *   e.g. [{ type: "burn", duration: 4, magnitude: 4 }]; slowFactor/slowDuration is a slow shorthand.
+ * - `runes` (optional) are per-skill modifiers that change how the skill behaves:
+ *   [{ id, icon, name, desc, unlockLevel, ...params }]. `unlockLevel` is the skill's upgrade level;
+ *   one rune per skill is selected in the Hero Skills tab (src/skills_upgrade.js) and reaches the
+ *   matching src/effects/<id>.js as `params.rune`. name/desc are English fallbacks for
+ *   skills.runes.<skillId>.<runeId>.name / .desc in the locales.
  */
 export const SKILLS_POOL = [
   {
@@ -13,6 +21,7 @@ export const SKILLS_POOL = [
     short: "Chain",
     icon: "❄️",
     type: "chain",
+    damageType: "frost",
     cd: 5,
     mana: 22,
     range: 45,
@@ -20,7 +29,13 @@ export const SKILLS_POOL = [
     jumpRange: 24,
     dmg: 24,
     slowFactor: 0.25,
-    slowDuration: 0.9
+    slowDuration: 0.9,
+    runes: [
+      // Every link also sends a short side chain into another enemy
+      { id: "fork", icon: "🔱", name: "Forking Chain", desc: "Each of the first links forks into a side chain", unlockLevel: 2, forks: 2, forkJumps: 2, forkDamageMul: 0.6 },
+      // The last enemy hit shatters, damaging everything around it
+      { id: "shatter", icon: "💠", name: "Shatter", desc: "The final link shatters in a frost burst", unlockLevel: 4, shatterRadius: 8, shatterDamageMul: 1.2 }
+    ]
   },
   {
     id: "inferno_blast",
@@ -28,12 +43,19 @@ export const SKILLS_POOL = [
     short: "Blast",
     icon: "🌊",
     type: "aoe",
+    damageType: "water",
     cd: 8,
     mana: 34,
     radius: 16,
     dmg: 35,
     slowFactor: 0.45,
-    slowDuration: 1.5
+    slowDuration: 1.5,
+    runes: [
+      // Enemies in the blast are dragged toward its center
+      { id: "undertow", icon: "🌀", name: "Undertow", desc: "Pulls enemies in the blast toward its center", unlockLevel: 2, pull: 0.75, pullTime: 0.45 },
+      // Enemies are thrown outward instead
+      { id: "riptide", icon: "🌊", name: "Riptide", desc: "Hurls enemies away from the blast", unlockLevel: 4, push: 9, pullTime: 0.3 }
+    ]
   },
   {
     id: "burning_aura",
@@ -41,6 +63,7 @@ export const SKILLS_POOL = [
     short: "Freeze",
     icon: "❄️",
     type: "aura",
+    damageType: "frost",
     cd: 15,
     mana: 0,
     radius: 14,
@@ -55,12 +78,19 @@ export const SKILLS_POOL = [
     short: "Storm",
     icon: "🌨️",
     type: "storm",
+    damageType: "frost",
     cd: 22,
     mana: 55,
     radius: 30,
     strikes: 22,
     dmg: 20,
-    duration: 7
+    duration: 7,
+    runes: [
+      // The storm moves with the hero instead of staying where it was cast
+      { id: "eye", icon: "👁️", name: "Eye of the Storm", desc: "The storm follows the hero", unlockLevel: 2, follow: true },
+      // Hailstones drop on enemies instead of random ground
+      { id: "seeking", icon: "🎯", name: "Seeking Hail", desc: "Hailstones strike enemies inside the storm", unlockLevel: 4, seek: true }
+    ]
   },
   {
     id: "fire_bolt",
@@ -68,6 +98,7 @@ export const SKILLS_POOL = [
     short: "Bolt+",
     icon: "💧",
     type: "beam",
+    damageType: "frost",
     cd: 2.5,
     mana: 14,
     range: 36,
@@ -79,6 +110,7 @@ export const SKILLS_POOL = [
     short: "Nova",
     icon: "❄️",
     type: "nova",
+    damageType: "frost",
     cd: 12,
     mana: 26,
     radius: 14,
@@ -90,6 +122,7 @@ export const SKILLS_POOL = [
     short: "Glacial",
     icon: "❄️",
     type: "aura",
+    damageType: "frost",
     cd: 18,
     mana: 0,
     radius: 12,
@@ -104,6 +137,7 @@ export const SKILLS_POOL = [
     short: "Frozen",
     icon: "❄️",
     type: "aura",
+    damageType: "frost",
     cd: 14,
     mana: 0,
     radius: 13,
@@ -118,6 +152,7 @@ export const SKILLS_POOL = [
     short: "Deluge",
     icon: "🌊",
     type: "aura",
+    damageType: "water",
     cd: 16,
     mana: 0,
     radius: 15,
@@ -132,6 +167,7 @@ export const SKILLS_POOL = [
     short: "Ball",
     icon: "💧",
     type: "beam",
+    damageType: "water",
     cd: 2.2,
     mana: 16,
     range: 48,
@@ -143,6 +179,7 @@ export const SKILLS_POOL = [
     short: "Spear",
     icon: "🔱",
     type: "beam",
+    damageType: "frost",
     cd: 3.2,
     mana: 18,
     range: 52,
@@ -154,6 +191,7 @@ export const SKILLS_POOL = [
     short: "Tidal",
     icon: "🌊",
     type: "beam",
+    damageType: "water",
     cd: 2.8,
     mana: 15,
     range: 40,
@@ -165,6 +203,7 @@ export const SKILLS_POOL = [
     short: "Wrath",
     icon: "🌊",
     type: "storm",
+    damageType: "water",
     cd: 18,
     mana: 42,
     radius: 24,
@@ -178,6 +217,7 @@ export const SKILLS_POOL = [
     short: "Dome",
     icon: "💧",
     type: "storm",
+    damageType: "water",
     cd: 24,
     mana: 60,
     radius: 32,
@@ -191,6 +231,7 @@ export const SKILLS_POOL = [
     short: "Hail",
     icon: "🌨️",
     type: "storm",
+    damageType: "frost",
     cd: 20,
     mana: 50,
     radius: 28,
@@ -204,6 +245,7 @@ export const SKILLS_POOL = [
     short: "Ring",
     icon: "❄️",
     type: "aoe",
+    damageType: "frost",
     cd: 10,
     mana: 32,
     radius: 18,
@@ -217,6 +259,7 @@ export const SKILLS_POOL = [
     short: "Droplet",
     icon: "💧",
     type: "aoe",
+    damageType: "water",
     cd: 7,
     mana: 28,
     radius: 15,
@@ -228,6 +271,7 @@ export const SKILLS_POOL = [
     short: "Cata",
     icon: "🌊",
     type: "aoe",
+    damageType: "arcane",
     cd: 11,
     mana: 36,
     radius: 20,
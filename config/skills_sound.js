@@ -262,4 +262,17 @@ export const DEFAULT_SOUNDS = {
     dur: 0.10,
     gain: 0.6
   },
+  pickup: {
+    type: "blip",
+    freq: 980,
+    dur: 0.06,
+    gain: 0.22
+  },
+  boss_summon: {
+    type: "boom"
+  },
+  boss_defeated: [
+    { type: "boom" },
+    { type: "blip", freq: 660, dur: 0.25, gain: 0.3 }
+  ],
 };
\ No newline at end of file
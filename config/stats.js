@@ -7,3 +7,31 @@ export const STATS_BASE = {
   // Increase XP required to level to give longer progression window
   xpToLevel: 200,
 };
+
+/**
+ * Aggregated hero stat modifiers (see src/hero_stats.js).
+ * Sources (equipment, talents, uplifts) contribute additive values per stat;
+ * "pct" stats are fractions (0.1 = +10%) clamped to `max`, "flat" stats are raw units.
+ */
+export const HERO_STATS = {
+  skillDamage: { kind: "pct", max: 3 },         // × skill damage
+  basicDamage: { kind: "pct", max: 3 },         // × basic attack damage
+  cooldownReduction: { kind: "pct", max: 0.5 }, // shortens Q/W/E/R cooldowns
+  manaCostReduction: { kind: "pct", max: 0.6 }, // cheaper skill casts
+  moveSpeed: { kind: "pct", max: 1 },           // × movement speed
+  damageReduction: { kind: "pct", max: 0.75 },  // less damage taken
+  hpRegen: { kind: "flat" },                    // extra HP per second
+  critChance: { kind: "pct", max: 0.75 },       // added to the base crit chance (config/combat.js)
+  critDamage: { kind: "pct", max: 3 },          // added to the base crit multiplier
+  mpRegen: { kind: "flat" },                    // extra MP per second
+  cooldownResetChance: { kind: "pct", max: 0.5 }, // chance a skill cast skips its cooldown
+  lastStandReduction: { kind: "pct", max: 0.6 },  // extra damage reduction below LOW_HP_FRACTION
+  restRegen: { kind: "pct", max: 3 },           // × HP/MP regen after REST_REGEN_DELAY without taking damage
+  dodgeCooldownReduction: { kind: "pct", max: 0.6 }, // shortens the dodge cooldown (config/combat.js DODGE)
+  xpGain: { kind: "pct", max: 2 },              // × experience gained
+  goldFind: { kind: "pct", max: 3 },            // × gold picked up
+};
+
+// Thresholds for the conditional stats above
+export const LOW_HP_FRACTION = 0.35;   // hp / maxHP below which lastStandReduction applies
+export const REST_REGEN_DELAY = 5;     // seconds since the last hit before restRegen applies
@@ -0,0 +1,43 @@
+/**
+ * Status effects configuration (runtime in src/status_effects.js).
+ *
+ * STATUS_EFFECTS - typed effects keyed by id:
+ *   kind      - "dot" (damages every `tick` seconds), "debuff" or "buff"
+ *   stacking  - how re-applying an active effect combines:
+ *               "refresh" - replace magnitude, restart duration
+ *               "stack"   - add a stack (up to maxStacks), restart duration; magnitude is per stack
+ *               "max"     - keep the strongest magnitude and the longest remaining duration
+ *   maxStacks - cap for "stack" effects
+ *   max       - clamp for the (total) magnitude
+ *   tick      - seconds between damage ticks ("dot" only)
+ *   damageType - config/combat.js damage type of the ticks ("dot" only)
+ *   magnitude - default when the caller does not pass one
+ *   color     - indicator pip on the enemy billboard HP bar
+ *   icon      - shown in the hero Info tab
+ *
+ * Magnitude meaning per type:
+ *   burn/poison  - damage per second (per stack)
+ *   slow         - fraction of move speed removed (0.4 = 40% slower)
+ *   vulnerable   - extra damage taken (0.25 = +25%)
+ *   fortify      - damage reduction (0.25 = 25% less)
+ *   stun/invulnerable - unused (presence is the effect)
+ *
+ * STATUS_IMMUNITY - effect ids ignored per enemy tier (normal/tough/elite/boss).
+ *
+ * Skills apply effects declaratively through `statuses` in config/skills_pool.js:
+ *   statuses: [{ type: "burn", duration: 4, magnitude: 6 }]
+ */
+
+export const STATUS_EFFECTS = {
+  burn: { kind: "dot", damageType: "fire", stacking: "stack", maxStacks: 5, tick: 0.5, magnitude: 5, color: "#ff7a2e", icon: "🔥" },
+  poison: { kind: "dot", damageType: "physical", stacking: "stack", maxStacks: 10, tick: 1, magnitude: 3, color: "#7bd13f", icon: "☠️" },
+  slow: { kind: "debuff", stacking: "max", max: 0.9, magnitude: 0.5, color: "#7ec8ff", icon: "🐌" },
+  stun: { kind: "debuff", stacking: "refresh", color: "#ffe66b", icon: "💫" },
+  vulnerable: { kind: "debuff", stacking: "max", max: 2, magnitude: 0.25, color: "#c070ff", icon: "⚡" },
+  fortify: { kind: "buff", stacking: "max", max: 0.95, magnitude: 0.25, color: "#9fd3ff", icon: "🛡️" },
+  invulnerable: { kind: "buff", stacking: "refresh", color: "#ffffff", icon: "✨" },
+};
+
+export const STATUS_IMMUNITY = {
+  boss: ["stun"],
+};
@@ -30,4 +30,6 @@ export const STORAGE_KEYS = {
   skillLevels: storageKey("skill_levels"),
   skillPoints: storageKey("skill_points"),
   unlockedSkills: storageKey("unlocked_skills"),
+  saveSlotPrefix: storageKey("save.slot"),
+  saveActiveSlot: storageKey("save.activeSlot"),
 };
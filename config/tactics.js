@@ -0,0 +1,51 @@
+/**
+ * Enemy group tactics (runtime: src/enemy_tactics.js, run by EnemiesSystem after
+ * archetype behaviors and before the default chase/attack/wander).
+ *
+ * ENEMY_TACTICS - keyed by tactic id; `order` is the priority (first tactic with
+ * an intent wins the frame). Every tactic can be switched off with `enabled: false`.
+ *   flee     - wounded enemies break off and run back to their group:
+ *              { hpPct, groupRadius, minAllies, regroupDist, speedMul, duration, cooldown, exemptTiers }
+ *   kite     - ranged enemies (attackEffect other than "melee") back away when the hero closes in,
+ *              shooting whenever ready: { minRangePct, preferredPct, speedMul }
+ *   pack     - elite/boss leaders (leaderTiers) gather nearby normal/tough followers; followers
+ *              trail the leader while idle and join its fight even outside their own aggro radius:
+ *              { leaderTiers, followRadius, followDist, rescan, speedMul }
+ *   surround - melee enemies close to the hero spread over a ring of attack slots instead of
+ *              stacking on one point: { engageRange, ringPct, slots }
+ */
+
+export const ENEMY_TACTICS = {
+  order: ["flee", "kite", "pack", "surround"],
+  flee: {
+    enabled: true,
+    hpPct: 0.25,          // flee at or below this share of max HP
+    groupRadius: 35,      // allies searched within this radius
+    minAllies: 2,         // no group, no retreat
+    regroupDist: 4,       // close enough to the group's center
+    speedMul: 1.15,
+    duration: 4,          // seconds before turning back to fight regardless
+    cooldown: 12,         // seconds before the same enemy may flee again
+    exemptTiers: ["boss"],
+  },
+  kite: {
+    enabled: true,
+    minRangePct: 0.45,    // hero closer than attackRange × this -> back off
+    preferredPct: 0.8,    // ...to attackRange × this
+    speedMul: 0.85,
+  },
+  pack: {
+    enabled: true,
+    leaderTiers: ["elite", "boss"],
+    followRadius: 22,     // followers join a leader within this radius
+    followDist: 4,        // idle followers stay this close to their leader
+    rescan: 1.5,          // seconds between leader lookups
+    speedMul: 0.8,        // idle following pace
+  },
+  surround: {
+    enabled: true,
+    engageRange: 10,      // slotting starts this close to the hero
+    ringPct: 0.75,        // slot ring radius = attackRange × this
+    slots: 8,             // minimum angular spacing = 360° / slots
+  },
+};
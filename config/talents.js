@@ -0,0 +1,46 @@
+/**
+ * Talent tree (runtime: src/talents.js, Hero screen tab: src/ui/hero/tabs/talents.js).
+ *
+ * Talents are passive ranks bought with talent points, a currency separate from skill points:
+ * one point every `every` hero levels plus one more every `bonusEvery` levels.
+ * Ranks feed the hero stat layer (src/hero_stats.js) as the "talents" source, so every
+ * talent is expressed through HERO_STATS (config/stats.js).
+ *
+ * TALENT_BRANCHES: [{ id, icon, name }]
+ * TALENTS: [{ id, branch, tier, icon, name, desc, maxRank, perRank: { stat: value },
+ *             requires?: { talentId: rank }, branchPoints?: n, capstone?: true }]
+ *   - tier       row within the branch (0 = top), for layout only
+ *   - requires   ranks needed in other talents before the first rank can be bought
+ *   - branchPoints  points already spent in the branch before the first rank can be bought
+ *   name / desc are English fallbacks; locales override them as talents.list.<id>.name / .desc
+ */
+
+export const TALENT_POINTS = { every: 2, bonusEvery: 10 };
+
+export const TALENT_BRANCHES = [
+  { id: "offense", icon: "🔥", name: "Offense" },
+  { id: "defense", icon: "🛡️", name: "Defense" },
+  { id: "utility", icon: "✨", name: "Utility" },
+];
+
+export const TALENTS = [
+  // Offense
+  { id: "searing_power", branch: "offense", tier: 0, icon: "🔥", name: "Searing Power", desc: "+4% skill damage per rank", maxRank: 5, perRank: { skillDamage: 0.04 } },
+  { id: "brutal_strikes", branch: "offense", tier: 0, icon: "👊", name: "Brutal Strikes", desc: "+6% basic attack damage per rank", maxRank: 3, perRank: { basicDamage: 0.06 } },
+  { id: "keen_eye", branch: "offense", tier: 1, icon: "🎯", name: "Keen Eye", desc: "+2% critical chance per rank", maxRank: 3, perRank: { critChance: 0.02 }, requires: { searing_power: 2 } },
+  { id: "deadly_focus", branch: "offense", tier: 2, icon: "💥", name: "Deadly Focus", desc: "+15% critical damage per rank", maxRank: 3, perRank: { critDamage: 0.15 }, requires: { keen_eye: 2 } },
+  { id: "overload", branch: "offense", tier: 3, icon: "⚡", name: "Overload", desc: "Skill casts have a 12% chance to skip their cooldown", maxRank: 1, perRank: { cooldownResetChance: 0.12 }, requires: { deadly_focus: 3 }, branchPoints: 10, capstone: true },
+
+  // Defense
+  { id: "toughness", branch: "defense", tier: 0, icon: "🪨", name: "Toughness", desc: "+2% damage reduction per rank", maxRank: 5, perRank: { damageReduction: 0.02 } },
+  { id: "vitality", branch: "defense", tier: 0, icon: "❤️", name: "Vitality", desc: "+2 HP regeneration per second per rank", maxRank: 3, perRank: { hpRegen: 2 } },
+  { id: "iron_will", branch: "defense", tier: 1, icon: "🛡️", name: "Iron Will", desc: "+3% damage reduction per rank", maxRank: 3, perRank: { damageReduction: 0.03 }, requires: { toughness: 3 } },
+  { id: "last_stand", branch: "defense", tier: 2, icon: "🏰", name: "Last Stand", desc: "Take 35% less damage while below 35% HP", maxRank: 1, perRank: { lastStandReduction: 0.35 }, requires: { iron_will: 2 }, branchPoints: 8, capstone: true },
+
+  // Utility
+  { id: "swiftness", branch: "utility", tier: 0, icon: "👟", name: "Swiftness", desc: "+3% movement speed per rank", maxRank: 3, perRank: { moveSpeed: 0.03 } },
+  { id: "clarity", branch: "utility", tier: 0, icon: "💧", name: "Clarity", desc: "-4% skill mana cost per rank", maxRank: 3, perRank: { manaCostReduction: 0.04 } },
+  { id: "meditation", branch: "utility", tier: 1, icon: "🧘", name: "Meditation", desc: "+1.5 MP regeneration per second per rank", maxRank: 3, perRank: { mpRegen: 1.5 } },
+  { id: "haste", branch: "utility", tier: 1, icon: "⏱️", name: "Haste", desc: "-3% skill cooldowns per rank", maxRank: 3, perRank: { cooldownReduction: 0.03 }, requires: { clarity: 2 } },
+  { id: "second_wind", branch: "utility", tier: 2, icon: "🌬️", name: "Second Wind", desc: "Double HP and MP regeneration out of combat", maxRank: 1, perRank: { restRegen: 1 }, requires: { meditation: 2 }, branchPoints: 8, capstone: true },
+];
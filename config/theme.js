@@ -70,6 +70,7 @@ export const THEME_COLORS = {
   portal: "#4D7CFFE6",           // bright water blue portal
   portalAlt: "#78B4FFE6",        // lighter water portal
   enemyDot: "#5080FFF2",         // blue enemy dot
+  siegeAlert: "#FF3B30E6",       // red besieged-village marker
   yellowGlowStrong: "#75D7FFF2", // cyan glow (repurposed yellow)
   playerDot: "#7ECCFFFF",
 
@@ -0,0 +1,72 @@
+/**
+ * Level-milestone uplifts (runtime: src/uplift.js, popup markup in index.html + css/uplift.css).
+ *
+ * At every milestone (UPLIFT_MILESTONE) the hero is offered `cards` distinct cards drawn from
+ * UPLIFTS, weighted by rarity, and keeps one. The offer is stored with the save slot so
+ * "decide later" shows the same cards again.
+ *
+ * UPLIFT_RARITY: { rarity: { weight, color } } - draw weight and card accent color
+ * UPLIFTS: [{ id, category, rarity, icon, name, desc, stats?: { stat: value }, maxPicks? }]
+ *   - category   "basic" | "skills" | "defense" | "mobility" | "economy"
+ *   - stats      added per pick to the hero stat layer (HERO_STATS, config/stats.js)
+ *   - maxPicks   cards already picked this many times are no longer offered
+ *   The "basic-*" cards carry no stats: getBasicUplift() turns their picks into
+ *   basic attack AoE / chain / impact, and their ids match older saves.
+ * UPLIFT_SYNERGIES: [{ id, icon, name, desc, requires: { category: picks }, stats }]
+ *   - active once the picked cards reach every category count in `requires`
+ *   - cards of a category an unfinished synergy still needs are drawn `synergyWeight` times more often
+ * name / desc are English fallbacks; locales override them as uplift.cards.<id>.* / uplift.synergies.<id>.*
+ */
+
+export const UPLIFT_MILESTONE = { start: 5, step: 5, cards: 3, synergyWeight: 1.5 };
+
+export const UPLIFT_CATEGORIES = [
+  { id: "basic", icon: "🔥", name: "Basic Attack" },
+  { id: "skills", icon: "✨", name: "Skills" },
+  { id: "defense", icon: "🛡️", name: "Defense" },
+  { id: "mobility", icon: "👟", name: "Mobility" },
+  { id: "economy", icon: "🪙", name: "Economy" },
+];
+
+export const UPLIFT_RARITY = {
+  common: { weight: 60, color: "#d9d9d9" },
+  rare: { weight: 30, color: "#5aa9ff" },
+  epic: { weight: 10, color: "#c070ff" },
+};
+
+export const UPLIFTS = [
+  // Basic attack (effects in getBasicUplift)
+  { id: "basic-aoe", category: "basic", rarity: "common", icon: "💥", name: "Explosive Bolts", desc: "Basic attacks explode around the target; more picks widen the blast" },
+  { id: "basic-chain", category: "basic", rarity: "rare", icon: "🔗", name: "Chain Bolts", desc: "Basic attacks bounce to one more nearby enemy per pick" },
+  { id: "basic-impact", category: "basic", rarity: "common", icon: "🎯", name: "Heavy Impact", desc: "+5% basic attack damage per pick with a fiery hit" },
+
+  // Skills
+  { id: "arcane_focus", category: "skills", rarity: "common", icon: "🔮", name: "Arcane Focus", desc: "+6% skill damage", stats: { skillDamage: 0.06 }, maxPicks: 3 },
+  { id: "mana_well", category: "skills", rarity: "common", icon: "💧", name: "Mana Well", desc: "-6% skill mana cost", stats: { manaCostReduction: 0.06 }, maxPicks: 3 },
+  { id: "quickened_mind", category: "skills", rarity: "rare", icon: "⏱️", name: "Quickened Mind", desc: "-5% skill cooldowns", stats: { cooldownReduction: 0.05 }, maxPicks: 3 },
+  { id: "spell_crit", category: "skills", rarity: "rare", icon: "🎯", name: "Precision", desc: "+3% critical chance", stats: { critChance: 0.03 }, maxPicks: 3 },
+  { id: "archmage", category: "skills", rarity: "epic", icon: "🌟", name: "Archmage", desc: "+15% skill damage and +25% critical damage", stats: { skillDamage: 0.15, critDamage: 0.25 }, maxPicks: 1 },
+
+  // Defense
+  { id: "stone_skin", category: "defense", rarity: "common", icon: "🪨", name: "Stone Skin", desc: "+4% damage reduction", stats: { damageReduction: 0.04 }, maxPicks: 3 },
+  { id: "regrowth", category: "defense", rarity: "common", icon: "🌿", name: "Regrowth", desc: "+3 HP regeneration per second", stats: { hpRegen: 3 }, maxPicks: 3 },
+  { id: "bulwark", category: "defense", rarity: "rare", icon: "🛡️", name: "Bulwark", desc: "+8% damage reduction", stats: { damageReduction: 0.08 }, maxPicks: 2 },
+  { id: "undying", category: "defense", rarity: "epic", icon: "🏰", name: "Undying", desc: "Take 25% less damage while below 35% HP", stats: { lastStandReduction: 0.25 }, maxPicks: 1 },
+
+  // Mobility
+  { id: "fleet_foot", category: "mobility", rarity: "common", icon: "👟", name: "Fleet Foot", desc: "+5% movement speed", stats: { moveSpeed: 0.05 }, maxPicks: 3 },
+  { id: "tumble", category: "mobility", rarity: "rare", icon: "🌀", name: "Tumble", desc: "-15% dodge cooldown", stats: { dodgeCooldownReduction: 0.15 }, maxPicks: 2 },
+  { id: "wind_walker", category: "mobility", rarity: "epic", icon: "🌪️", name: "Wind Walker", desc: "+10% movement speed and -10% dodge cooldown", stats: { moveSpeed: 0.1, dodgeCooldownReduction: 0.1 }, maxPicks: 1 },
+
+  // Economy
+  { id: "prospector", category: "economy", rarity: "common", icon: "🪙", name: "Prospector", desc: "+15% gold from pickups", stats: { goldFind: 0.15 }, maxPicks: 3 },
+  { id: "scholar", category: "economy", rarity: "rare", icon: "📚", name: "Scholar", desc: "+8% experience gained", stats: { xpGain: 0.08 }, maxPicks: 3 },
+  { id: "midas", category: "economy", rarity: "epic", icon: "👑", name: "Midas Touch", desc: "+30% gold from pickups and +5% experience", stats: { goldFind: 0.3, xpGain: 0.05 }, maxPicks: 1 },
+];
+
+export const UPLIFT_SYNERGIES = [
+  { id: "spellweaver", icon: "🔮", name: "Spellweaver", desc: "3 Skills cards: -5% cooldowns, +5% skill damage", requires: { skills: 3 }, stats: { cooldownReduction: 0.05, skillDamage: 0.05 } },
+  { id: "battle_mage", icon: "⚔️", name: "Battle Mage", desc: "2 Basic Attack + 2 Skills cards: +25% critical damage", requires: { basic: 2, skills: 2 }, stats: { critDamage: 0.25 } },
+  { id: "juggernaut", icon: "🪨", name: "Juggernaut", desc: "2 Defense + 2 Basic Attack cards: +15% basic damage, +4% damage reduction", requires: { defense: 2, basic: 2 }, stats: { basicDamage: 0.15, damageReduction: 0.04 } },
+  { id: "wanderer", icon: "🧭", name: "Wanderer", desc: "2 Mobility + 1 Economy cards: +5% movement speed, +10% gold", requires: { mobility: 2, economy: 1 }, stats: { moveSpeed: 0.05, goldFind: 0.1 } },
+];
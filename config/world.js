@@ -37,6 +37,17 @@ export const WORLD = {
   aiAttackCooldown: 1.2,
   aiAttackDamage: 14,
   enemyRespawnDelay: 8,
+  // Enemy navigation around structures and village fences (src/navigation.js)
+  navigation: {
+    enabled: true,
+    refreshInterval: 0.5,  // seconds between obstacle list rebuilds
+    clearance: 1.2,        // extra gap kept from obstacle edges
+    lookAhead: 60,         // obstacles farther along the path are ignored
+  },
+  // Uniform grid for enemy queries (src/spatial_index.js)
+  spatialIndex: {
+    cellSize: 10,          // world units per cell; ~ typical query radius
+  },
   // Chunked world streaming
   chunking: {
     enabled: true,      // enable streaming chunks for environment/structures
@@ -0,0 +1,167 @@
+/**
+ * Achievement System
+ * - Tracks progress stats (config/achievements.js) and unlocks achievements when a stat reaches its goal
+ * - Progress is fed by game events (GameApp forwards the window events):
+ *     "enemy-killed"    (EnemiesSystem)      -> achievements.onEnemyKilled(detail)   kills, kills.<tier>
+ *     "player-levelup"  (Player.gainXP)      -> achievements.onLevelUp(detail)       level
+ *     "maps-unlocked"   (MapManager)         -> achievements.onMapsUnlocked(detail)  mapsUnlocked
+ *     "village-visited" (villages)           -> achievements.onVillageVisited(detail) villages
+ *     "skill-upgraded"  (SkillUpgradeManager) -> achievements.onSkillUpgraded(detail) skillLevel
+ *     "mark-placed"     (portals)            -> achievements.onMarkPlaced(detail)    marks
+ * - On creation, "highest value" stats are synced from the current hero, maps, skills and marks
+ *   so older saves get credit for what they already reached
+ * - Persists per save slot ("achievements" section: { stats, unlocked: { id: timestamp }, villages })
+ * - Dispatches a window "achievement-unlocked" { id, icon, name } event (toasted by src/ui/toasts.js)
+ *
+ * Public API:
+ *   import { AchievementSystem } from './achievements.js';
+ *   const achievements = new AchievementSystem({ player, mapManager, portals, skillUpgrades });
+ *   achievements.list()              -> [{ id, icon, name, desc, goal, progress, unlockedAt }]
+ *   achievements.getStat(stat)       -> number
+ *   achievements.getUnlockedCount()  -> number
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected
+ */
+
+import { ACHIEVEMENTS } from "../config/achievements.js";
+import { getSaveManager } from "./save_manager.js";
+
+const SAVE_SECTION = "achievements";
+const SAVE_DELAY_MS = 2000; // counter-only changes (kills) are coalesced into one write
+
+export class AchievementSystem {
+  #stats = {};
+  #unlocked = {};
+  #villages = new Set();
+  #saveTimer = null;
+
+  constructor({ player, mapManager, portals, skillUpgrades } = {}) {
+    this.#load();
+    this.#sync({ player, mapManager, portals, skillUpgrades });
+  }
+
+  list() {
+    return ACHIEVEMENTS.map((a) => ({
+      id: a.id,
+      icon: a.icon,
+      name: a.name,
+      desc: a.desc,
+      goal: a.goal,
+      progress: Math.min(a.goal, this.getStat(a.stat)),
+      unlockedAt: this.#unlocked[a.id] || null,
+    }));
+  }
+
+  getStat(stat) {
+    return this.#stats[stat] || 0;
+  }
+
+  getUnlockedCount() {
+    return Object.keys(this.#unlocked).length;
+  }
+
+  // ---- progress events ----
+
+  onEnemyKilled(detail = {}) {
+    this.#add("kills", 1);
+    if (detail.tier) this.#add(`kills.${detail.tier}`, 1);
+    this.#commit();
+  }
+
+  onLevelUp(detail = {}) {
+    this.#max("level", detail.level || 0);
+    this.#commit();
+  }
+
+  onMapsUnlocked(detail = {}) {
+    this.#max("mapsUnlocked", detail.unlockedMax || 0);
+    this.#commit();
+  }
+
+  onVillageVisited(detail = {}) {
+    if (!detail.key || detail.key === "origin" || this.#villages.has(detail.key)) return;
+    this.#villages.add(detail.key);
+    this.#max("villages", this.#villages.size);
+    this.#commit();
+  }
+
+  onSkillUpgraded(detail = {}) {
+    this.#max("skillLevel", detail.level || 0);
+    this.#commit();
+  }
+
+  onMarkPlaced() {
+    this.#add("marks", 1);
+    this.#commit();
+  }
+
+  // ---- internals ----
+
+  #add(stat, amount) {
+    this.#stats[stat] = this.getStat(stat) + amount;
+  }
+
+  #max(stat, value) {
+    if (value > this.getStat(stat)) this.#stats[stat] = value;
+  }
+
+  /** Unlock whatever reached its goal, then save (right away on unlocks, deferred otherwise) */
+  #commit() {
+    const fresh = ACHIEVEMENTS.filter((a) => !this.#unlocked[a.id] && this.getStat(a.stat) >= a.goal);
+    for (const a of fresh) this.#unlocked[a.id] = Date.now();
+    if (fresh.length) this.#save();
+    else this.#saveSoon();
+    for (const a of fresh) {
+      try {
+        window.dispatchEvent(new CustomEvent("achievement-unlocked", { detail: { id: a.id, icon: a.icon, name: a.name } }));
+      } catch (_) {}
+    }
+  }
+
+  #sync({ player, mapManager, portals, skillUpgrades }) {
+    try { this.#max("level", player?.level || 0); } catch (_) {}
+    try { this.#max("mapsUnlocked", mapManager?.getUnlockedMax?.() || 0); } catch (_) {}
+    try { this.#max("marks", portals?.listPersistentMarks?.().length || 0); } catch (_) {}
+    try {
+      for (const level of skillUpgrades?.skillLevels?.values?.() || []) this.#max("skillLevel", Number(level) || 0);
+    } catch (_) {}
+    // Earlier unlocks are not re-announced on load: anything reached here unlocks silently
+    for (const a of ACHIEVEMENTS) {
+      if (!this.#unlocked[a.id] && this.getStat(a.stat) >= a.goal) this.#unlocked[a.id] = Date.now();
+    }
+    this.#save();
+  }
+
+  #load() {
+    try {
+      const saved = getSaveManager().get(SAVE_SECTION, null);
+      if (!saved || typeof saved !== "object") return;
+      for (const [stat, v] of Object.entries(saved.stats || {})) {
+        if (Number.isFinite(v) && v > 0) this.#stats[stat] = v;
+      }
+      for (const [id, at] of Object.entries(saved.unlocked || {})) {
+        if (ACHIEVEMENTS.some((a) => a.id === id)) this.#unlocked[id] = Number(at) || Date.now();
+      }
+      if (Array.isArray(saved.villages)) this.#villages = new Set(saved.villages.filter((k) => typeof k === "string"));
+    } catch (_) {}
+  }
+
+  #saveSoon() {
+    if (this.#saveTimer) return;
+    try {
+      this.#saveTimer = setTimeout(() => this.#save(), SAVE_DELAY_MS);
+    } catch (_) {
+      this.#save();
+    }
+  }
+
+  #save() {
+    try { clearTimeout(this.#saveTimer); } catch (_) {}
+    this.#saveTimer = null;
+    try {
+      getSaveManager().set(SAVE_SECTION, { stats: this.#stats, unlocked: this.#unlocked, villages: [...this.#villages] });
+    } catch (_) {}
+  }
+}
@@ -0,0 +1,482 @@
+/**
+ * Boss System
+ * - Summons the current Act's boss (config/map.js MAPS[].boss, config/bosses.js) inside an arena
+ *   that holds the hero and the boss until the fight ends
+ * - Scripted phases by HP threshold: attack rotation, adds, speed/damage ramps
+ * - Telegraphed ground AOEs (circle / ring / line) that resolve after a windup, so they can be dodged
+ * - Victory drops a reward chest and records the kill in MapManager (unlocks the next map);
+ *   hero death or fleeing the arena abandons the fight
+ * - Dispatches window events for the HUD: "boss-encounter" { state, name, map }, "boss-phase" { phase }
+ *
+ * Public API:
+ *   import { BossSystem } from './bosses.js';
+ *   const bosses = new BossSystem(deps);
+ *   bosses.canSummon()     -> { ok, reason?, boss? }  reason: "active" | "noBoss" | "village" | "dead"
+ *   bosses.summon()        -> boolean
+ *   bosses.getEncounter()  -> { name, hp, maxHP, phase, phases: [at], shield } | null
+ *   bosses.update(dt)      -> per frame (after the enemies system)
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected
+ */
+
+import { BOSSES, BOSS_ATTACKS, BOSS_ENCOUNTER } from "../config/bosses.js";
+import { ITEMS } from "../config/items.js";
+import { createBossArenaMesh, createRewardChestMesh, createTelegraphMesh } from "./meshes.js";
+import { dealDamage, enemyCrit } from "./combat.js";
+import { applyStatuses } from "./status_effects.js";
+import { rollGear } from "./equipment.js";
+import { pickWeighted } from "./utils.js";
+
+export class BossSystem {
+  #THREE;
+  #scene;
+  #player;
+  #enemies;
+  #mapManager;
+  #villages;
+  #effects;
+  #lootSystem;
+  #audio;
+  #now;
+  #distance2D;
+  #EnemyClass;
+  #applyMapModifiersToEnemy;
+  #VILLAGE_POS;
+  #REST_RADIUS;
+
+  #encounter = null; // { id, def, boss, mapIndex, center, arena, phase, attackIdx, nextAttackAt, baseSpeed, baseDamage, endedAt }
+  #telegraphs = []; // [{ attack, mesh, origin, dir, startAt, resolveAt }]
+  #chests = []; // [{ mesh, reward, bornAt, openedAt }]
+
+  constructor({
+    THREE,
+    scene,
+    player,
+    enemies,
+    mapManager,
+    villages,
+    effects,
+    lootSystem,
+    audio,
+    now,
+    distance2D,
+    EnemyClass,
+    applyMapModifiersToEnemy,
+    VILLAGE_POS,
+    REST_RADIUS,
+  }) {
+    this.#THREE = THREE;
+    this.#scene = scene;
+    this.#player = player;
+    this.#enemies = enemies;
+    this.#mapManager = mapManager;
+    this.#villages = villages;
+    this.#effects = effects;
+    this.#lootSystem = lootSystem;
+    this.#audio = audio;
+    this.#now = now;
+    this.#distance2D = distance2D;
+    this.#EnemyClass = EnemyClass;
+    this.#applyMapModifiersToEnemy = applyMapModifiersToEnemy;
+    this.#VILLAGE_POS = VILLAGE_POS;
+    this.#REST_RADIUS = REST_RADIUS;
+  }
+
+  canSummon() {
+    if (this.#encounter) return { ok: false, reason: "active" };
+    const map = this.#mapManager?.getCurrent?.();
+    const def = map && BOSSES[map.boss];
+    if (!def) return { ok: false, reason: "noBoss" };
+    if (!this.#player.alive) return { ok: false, reason: "dead" };
+    if (this.#nearVillage(this.#player.pos())) return { ok: false, reason: "village", boss: def.name };
+    return { ok: true, boss: def.name };
+  }
+
+  summon() {
+    if (!this.canSummon().ok) return false;
+    const map = this.#mapManager.getCurrent();
+    const def = BOSSES[map.boss];
+    const center = this.#player.pos().clone();
+    center.y = 0;
+
+    // Boss appears ahead of the hero, inside the arena
+    const fwd = new this.#THREE.Vector3(0, 0, 1).applyQuaternion(this.#player.mesh.quaternion);
+    fwd.y = 0;
+    if (fwd.lengthSq() < 1e-6) fwd.set(0, 0, 1);
+    fwd.normalize();
+    const spawnAt = center.clone().addScaledVector(fwd, BOSS_ENCOUNTER.summonDistance);
+
+    const boss = new this.#EnemyClass(spawnAt, this.#player.level, { archetype: def.archetype, tier: "boss", mesh: def.mesh });
+    boss.name = def.name;
+    boss.bossId = map.boss;
+    boss.noRespawn = true;
+    boss.noLoot = true; // the reward chest replaces the corpse drop
+    boss.maxHP = Math.max(1, Math.floor(boss.maxHP * (def.hpMul || 1)));
+    boss.hp = boss.maxHP;
+    boss.attackDamage = Math.max(1, Math.floor(boss.attackDamage * (def.damageMul || 1)));
+    if (def.scale) boss.mesh.scale.setScalar(def.scale);
+    this.#addEnemy(boss);
+
+    const arena = createBossArenaMesh({ radius: BOSS_ENCOUNTER.arenaRadius });
+    arena.position.set(center.x, 0, center.z);
+    this.#scene.add(arena);
+
+    const t = this.#now();
+    this.#encounter = {
+      id: map.boss,
+      def,
+      boss,
+      mapIndex: map.index,
+      center,
+      arena,
+      phase: -1,
+      attackIdx: 0,
+      nextAttackAt: t + BOSS_ENCOUNTER.firstAttackDelay,
+      baseSpeed: boss.speed,
+      baseDamage: boss.attackDamage,
+      endedAt: 0,
+    };
+    this.#enterPhase(0);
+    try { this.#effects.spawnRing(spawnAt, 6, 0xff3b30, 0.8, 1.2, 0.7); } catch (_) {}
+    try { this.#audio?.sfx?.("boss_summon"); } catch (_) {}
+    this.#dispatch("boss-encounter", { state: "start", name: def.name, map: map.index });
+    return true;
+  }
+
+  getEncounter() {
+    const enc = this.#encounter;
+    if (!enc || enc.endedAt) return null;
+    return {
+      name: enc.def.name,
+      hp: enc.boss.hp,
+      maxHP: enc.boss.maxHP,
+      shield: enc.boss.maxShield > 0 ? enc.boss.shield / enc.boss.maxShield : 0,
+      phase: enc.phase,
+      phases: enc.def.phases.map((p) => p.at),
+    };
+  }
+
+  update(dt) {
+    const t = this.#now();
+    this.#updateChests(t);
+    const enc = this.#encounter;
+    if (!enc) return;
+
+    if (enc.endedAt) {
+      // Victory: keep the arena briefly, then clean up
+      if (t - enc.endedAt >= BOSS_ENCOUNTER.arenaLinger) this.#teardown();
+      return;
+    }
+
+    const boss = enc.boss;
+    if (!this.#player.alive) return this.#fail("defeat");
+    if (this.#distance2D(this.#player.pos(), enc.center) > BOSS_ENCOUNTER.fleeDistance) return this.#fail("fled");
+    if (!boss.alive) return this.#victory();
+
+    // Hold hero and boss inside the arena
+    this.#confine(this.#player, enc.center, BOSS_ENCOUNTER.arenaRadius - 0.8);
+    this.#confine(boss, enc.center, BOSS_ENCOUNTER.arenaRadius - 1.5);
+
+    // Phase transitions by HP threshold (can skip several on a big hit)
+    const ratio = boss.hp / boss.maxHP;
+    while (enc.phase + 1 < enc.def.phases.length && ratio <= enc.def.phases[enc.phase + 1].at) {
+      this.#enterPhase(enc.phase + 1);
+    }
+
+    // Telegraphed attacks
+    if (t >= enc.nextAttackAt && !boss.status.isStunned()) {
+      const phase = enc.def.phases[enc.phase];
+      const list = phase.attacks || [];
+      if (list.length) {
+        this.#castAttack(list[enc.attackIdx % list.length]);
+        enc.attackIdx++;
+      }
+      enc.nextAttackAt = t + (phase.interval || 4);
+    }
+    this.#updateTelegraphs(t);
+  }
+
+  // ---- encounter flow ----
+
+  #enterPhase(index) {
+    const enc = this.#encounter;
+    const phase = enc.def.phases[index];
+    enc.phase = index;
+    enc.attackIdx = 0;
+    enc.boss.speed = enc.baseSpeed * (phase.speedMul || 1);
+    enc.boss.attackDamage = Math.max(1, Math.floor(enc.baseDamage * (phase.damageMul || 1)));
+    if (index > 0) {
+      try {
+        this.#effects.spawnRing(enc.boss.pos(), 8, 0xffd24a, 0.6, 1.0, 0.8);
+        this.#effects.spawnTextPopup?.(enc.boss.pos(), `⚠ ${index + 1}`, "#ffd24a", { scale: 1.6 });
+      } catch (_) {}
+      this.#dispatch("boss-phase", { phase: index, name: enc.def.name });
+    }
+    if (phase.adds) this.#spawnAdds(phase.adds);
+  }
+
+  #spawnAdds({ archetype, count = 1 }) {
+    const enc = this.#encounter;
+    const origin = enc.boss.pos();
+    for (let i = 0; i < count; i++) {
+      const a = (i / count) * Math.PI * 2 + Math.random() * 0.5;
+      const pos = new this.#THREE.Vector3(
+        origin.x + Math.cos(a) * BOSS_ENCOUNTER.addRadius,
+        0,
+        origin.z + Math.sin(a) * BOSS_ENCOUNTER.addRadius
+      );
+      const add = new this.#EnemyClass(pos, this.#player.level, { archetype, tier: "normal" });
+      add.noRespawn = true;
+      this.#addEnemy(add);
+      try { this.#effects.spawnRing(pos, 1.6, 0xff3b30, 0.5, 0.4, 0.7); } catch (_) {}
+    }
+  }
+
+  #victory() {
+    const enc = this.#encounter;
+    enc.endedAt = this.#now();
+    this.#clearTelegraphs();
+    this.#spawnChest(enc.boss.pos(), enc.def.reward);
+    let unlocked = false;
+    try { unlocked = !!this.#mapManager?.recordBossDefeat?.(enc.mapIndex); } catch (_) {}
+    try { this.#audio?.sfx?.("boss_defeated"); } catch (_) {}
+    this.#dispatch("boss-encounter", { state: "victory", name: enc.def.name, map: enc.mapIndex, unlocked: unlocked ? enc.mapIndex + 1 : null });
+  }
+
+  #fail(reason) {
+    const enc = this.#encounter;
+    // The boss leaves with the arena; a new attempt starts from full HP
+    try { this.#scene.remove(enc.boss.mesh); } catch (_) {}
+    enc.boss._despawned = true;
+    enc.boss.alive = false;
+    enc.boss._xpGranted = true;
+    this.#teardown();
+    this.#dispatch("boss-encounter", { state: reason, name: enc.def.name, map: enc.mapIndex });
+  }
+
+  #teardown() {
+    const enc = this.#encounter;
+    this.#clearTelegraphs();
+    if (enc?.arena) {
+      try { this.#scene.remove(enc.arena); } catch (_) {}
+      this.#dispose(enc.arena);
+    }
+    this.#encounter = null;
+  }
+
+  // ---- telegraphs ----
+
+  #castAttack(id) {
+    const atk = BOSS_ATTACKS[id];
+    if (!atk) return;
+    const boss = this.#encounter.boss;
+    const t = this.#now();
+    const bp = boss.pos();
+    const pp = this.#player.pos();
+
+    if (atk.shape === "line") {
+      const dir = new this.#THREE.Vector3(pp.x - bp.x, 0, pp.z - bp.z);
+      if (dir.lengthSq() < 1e-6) dir.set(0, 0, 1);
+      dir.normalize();
+      this.#addTelegraph(atk, new this.#THREE.Vector3(bp.x, 0, bp.z), dir, t);
+      return;
+    }
+    const base = atk.target === "player" ? pp : bp;
+    const count = Math.max(1, atk.count || 1);
+    for (let i = 0; i < count; i++) {
+      const p = new this.#THREE.Vector3(base.x, 0, base.z);
+      if (i > 0) {
+        const a = Math.random() * Math.PI * 2;
+        const r = (atk.spread || 0) * (0.4 + Math.random() * 0.6);
+        p.x += Math.cos(a) * r;
+        p.z += Math.sin(a) * r;
+      }
+      this.#addTelegraph(atk, p, null, t);
+    }
+  }
+
+  #addTelegraph(attack, origin, dir, t) {
+    const mesh = createTelegraphMesh(attack);
+    mesh.position.set(origin.x, 0, origin.z);
+    if (dir) mesh.rotation.y = Math.atan2(dir.x, dir.z);
+    this.#scene.add(mesh);
+    // Self-centered shapes follow the boss while winding up
+    const follow = attack.target === "self";
+    this.#telegraphs.push({ attack, mesh, origin, dir, follow, startAt: t, resolveAt: t + (attack.windup || 1) });
+  }
+
+  #updateTelegraphs(t) {
+    const boss = this.#encounter?.boss;
+    for (let i = this.#telegraphs.length - 1; i >= 0; i--) {
+      const tg = this.#telegraphs[i];
+      if (tg.follow && boss) {
+        tg.origin.set(boss.pos().x, 0, boss.pos().z);
+        tg.mesh.position.set(tg.origin.x, 0, tg.origin.z);
+      }
+      if (t < tg.resolveAt) {
+        tg.mesh.setProgress((t - tg.startAt) / (tg.resolveAt - tg.startAt));
+        continue;
+      }
+      this.#resolveTelegraph(tg);
+      this.#removeTelegraphAt(i);
+    }
+  }
+
+  #resolveTelegraph(tg) {
+    const { attack, origin, dir } = tg;
+    const color = attack.damageType === "frost" ? 0x7ec8ff : attack.damageType === "arcane" ? 0xc070ff : 0xff6b35;
+    try {
+      if (attack.shape === "line") {
+        const end = origin.clone().addScaledVector(dir, attack.length);
+        this.#effects.spawnBeam(origin.clone().setY(1), end.setY(1), color, 0.3);
+        this.#effects.spawnStrike(origin.clone().addScaledVector(dir, attack.length / 2), attack.width, color);
+      } else {
+        this.#effects.spawnRing(origin, attack.radius, color, 0.4, 0.9, 0.75);
+        this.#effects.spawnStrike(origin, Math.min(4, attack.radius * 0.5), color);
+      }
+    } catch (_) {}
+
+    if (!this.#player.alive || !this.#inShape(this.#player.pos(), tg)) return;
+    const boss = this.#encounter?.boss;
+    if (!boss) return;
+    const amount = Math.max(1, Math.floor(boss.attackDamage * (attack.damageMul || 1)));
+    const hit = dealDamage(this.#player, amount, { damageType: attack.damageType || boss.attackType, ...enemyCrit(boss) });
+    if (hit && hit.amount > 0) applyStatuses(this.#player, attack.statuses);
+    try { this.#audio?.sfx?.("player_hit"); } catch (_) {}
+    try { this.#effects.spawnDamagePopup(this.#player.pos(), hit || amount, "#ffb3a7"); } catch (_) {}
+  }
+
+  #inShape(pos, { attack, origin, dir }) {
+    const dx = pos.x - origin.x;
+    const dz = pos.z - origin.z;
+    if (attack.shape === "line") {
+      const along = dx * dir.x + dz * dir.z;
+      const across = Math.abs(dx * dir.z - dz * dir.x);
+      return along >= 0 && along <= attack.length && across <= attack.width / 2;
+    }
+    const d = Math.hypot(dx, dz);
+    if (attack.shape === "ring") return d >= (attack.inner || 0) && d <= attack.radius;
+    return d <= attack.radius;
+  }
+
+  #removeTelegraphAt(i) {
+    const tg = this.#telegraphs[i];
+    this.#telegraphs.splice(i, 1);
+    try { this.#scene.remove(tg.mesh); } catch (_) {}
+    this.#dispose(tg.mesh);
+  }
+
+  #clearTelegraphs() {
+    for (let i = this.#telegraphs.length - 1; i >= 0; i--) this.#removeTelegraphAt(i);
+  }
+
+  // ---- reward chest ----
+
+  #spawnChest(pos, reward) {
+    const mesh = createRewardChestMesh();
+    mesh.position.set(pos.x, 0, pos.z);
+    this.#scene.add(mesh);
+    this.#chests.push({ mesh, reward, bornAt: this.#now(), openedAt: 0 });
+  }
+
+  #updateChests(t) {
+    if (!this.#chests.length) return;
+    const pp = this.#player.alive ? this.#player.pos() : null;
+    for (let i = this.#chests.length - 1; i >= 0; i--) {
+      const c = this.#chests[i];
+      try { c.mesh.glow.material.opacity = 0.25 + 0.15 * Math.sin(t * 3); } catch (_) {}
+      if (c.openedAt) {
+        if (t - c.openedAt > 6) this.#removeChestAt(i);
+        continue;
+      }
+      if (t - c.bornAt > BOSS_ENCOUNTER.chestLifetime) {
+        this.#removeChestAt(i);
+        continue;
+      }
+      if (pp && this.#distance2D(pp, c.mesh.position) <= BOSS_ENCOUNTER.chestOpenRadius) {
+        c.openedAt = t;
+        c.mesh.setOpen(true);
+        this.#dropReward(c.mesh.position, c.reward);
+      }
+    }
+  }
+
+  /**
+   * Chest contents: the boss loot table, plus the boss's guaranteed gold, gear and items
+   */
+  #dropReward(origin, reward = {}) {
+    const drops = this.#lootSystem?.rollDrops?.("boss") || [];
+    if (Array.isArray(reward.gold)) {
+      const [min, max] = reward.gold;
+      drops.push({ id: "gold", qty: min + Math.floor(Math.random() * (Math.max(min, max) - min + 1)) });
+    }
+    for (let i = 0; i < (reward.gear?.count || 0); i++) {
+      const rarity = pickWeighted(reward.gear.rarity || { rare: 1 });
+      if (rarity) drops.push({ qty: 1, ...rollGear(rarity) });
+    }
+    (reward.items || []).forEach((it) => {
+      if (ITEMS[it.id]) drops.push({ id: it.id, qty: it.qty || 1 });
+    });
+
+    drops.forEach((d, i) => {
+      const a = (i / Math.max(1, drops.length)) * Math.PI * 2;
+      const r = 1.8 + Math.random() * 0.8;
+      const pos = new this.#THREE.Vector3(origin.x + Math.cos(a) * r, 0, origin.z + Math.sin(a) * r);
+      try { this.#lootSystem?.spawnGroundItem?.(d.id, d.qty, pos, d.gear); } catch (_) {}
+    });
+    try { this.#effects.spawnRing(origin, 3, 0xffd24a, 0.6, 0.8, 0.8); } catch (_) {}
+    try { this.#audio?.sfx?.("pickup"); } catch (_) {}
+  }
+
+  #removeChestAt(i) {
+    const c = this.#chests[i];
+    this.#chests.splice(i, 1);
+    try { this.#scene.remove(c.mesh); } catch (_) {}
+    this.#dispose(c.mesh);
+  }
+
+  // ---- helpers ----
+
+  #addEnemy(en) {
+    try { this.#applyMapModifiersToEnemy && this.#applyMapModifiersToEnemy(en); } catch (_) {}
+    en.mesh.userData.enemyRef = en;
+    this.#scene.add(en.mesh);
+    this.#enemies.push(en);
+  }
+
+  #confine(entity, center, radius) {
+    const p = entity.mesh.position;
+    const dx = p.x - center.x;
+    const dz = p.z - center.z;
+    const d = Math.hypot(dx, dz);
+    if (d <= radius) return;
+    p.x = center.x + (dx / d) * radius;
+    p.z = center.z + (dz / d) * radius;
+  }
+
+  #nearVillage(pos) {
+    const arena = BOSS_ENCOUNTER.arenaRadius;
+    if (this.#VILLAGE_POS && this.#distance2D(pos, this.#VILLAGE_POS) < (this.#REST_RADIUS || 0) + arena) return true;
+    try {
+      for (const v of this.#villages?.listVillages?.() || []) {
+        if (this.#distance2D(pos, v.center) < (v.radius || 0) + arena) return true;
+      }
+    } catch (_) {}
+    return false;
+  }
+
+  #dispose(obj) {
+    try {
+      obj.traverse((o) => {
+        o.geometry?.dispose?.();
+        o.material?.dispose?.();
+      });
+    } catch (_) {}
+  }
+
+  #dispatch(type, detail) {
+    try { window.dispatchEvent(new CustomEvent(type, { detail })); } catch (_) {}
+  }
+}
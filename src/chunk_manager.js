@@ -1,6 +1,7 @@
 import * as THREE from "../vendor/three/build/three.module.js";
 import { hashStringToInt, createSeededRNG, seededRange } from "./utils.js";
 import { STORAGE_KEYS } from "../config/index.js";
+import { getSaveManager } from "./save_manager.js";
 import { createEnvironmentTree, createEnvironmentRock, createEnvironmentFlower } from "./environment.js";
 import { createStructureWithLabel, getStructureProtectionRadius, getStructureProtectionColor } from "./structures.js";
 
@@ -330,13 +331,15 @@ export class ChunkManager {
 
 /**
  * Persist or retrieve a stable world seed so generation is consistent across sessions.
+ * The seed belongs to the active save slot, so each slot has its own world.
  */
-export function getOrInitWorldSeed(key = STORAGE_KEYS.worldSeed) {
+export function getOrInitWorldSeed(section = "worldSeed") {
   try {
-    const existing = localStorage.getItem(key);
-    if (existing) return parseInt(existing, 10);
+    const save = getSaveManager();
+    const existing = parseInt(save.get(section), 10);
+    if (Number.isFinite(existing)) return existing;
     const seed = (Date.now() ^ Math.floor(Math.random() * 0x7fffffff)) >>> 0;
-    localStorage.setItem(key, String(seed));
+    save.set(section, seed);
     return seed;
   } catch (_) {
     // Fallback: deterministic but time-based
@@ -0,0 +1,60 @@
+/**
+ * src/combat.js
+ *
+ * Typed damage and critical hits. Attackers roll crits here and pass the
+ * damage type to Entity.takeDamage, which applies the target's resistances
+ * and returns a hit record that damage popups render (crit / resisted).
+ * Tuning lives in config/combat.js.
+ *
+ * Public API:
+ *   dealDamage(target, amount, { damageType, critChance, critMult })
+ *     -> hit { amount, type, crit, resisted, weak, absorbed } | null
+ *   heroCrit()                        -> { critChance, critMult } (base + gear stats)
+ *   enemyCrit(enemy)                  -> { critChance, critMult } (by tier)
+ *   enemyResistances(kind, ...extra)  -> { type: fraction } (kind table + archetype/map tables)
+ *   resistanceOf(entity, type)        -> clamped fraction (negative = weakness)
+ */
+
+import { CRIT, ENEMY_RESISTANCES, RESIST_CAP } from "../config/combat.js";
+import { getHeroStats } from "./hero_stats.js";
+
+export function resistanceOf(entity, type) {
+  const r = entity && entity.resist ? entity.resist[type] || 0 : 0;
+  return Math.max(-RESIST_CAP, Math.min(RESIST_CAP, r));
+}
+
+export function enemyResistances(kind, ...extra) {
+  const out = { ...(ENEMY_RESISTANCES[kind] || {}) };
+  for (const table of extra) {
+    for (const [type, v] of Object.entries(table || {})) {
+      out[type] = (out[type] || 0) + v;
+    }
+  }
+  return out;
+}
+
+export function heroCrit() {
+  const stats = getHeroStats();
+  return {
+    critChance: CRIT.hero.chance + stats.get("critChance"),
+    critMult: CRIT.hero.mult + stats.get("critDamage"),
+  };
+}
+
+export function enemyCrit(enemy) {
+  return {
+    critChance: CRIT.enemyChance[enemy?.tier] || 0,
+    critMult: CRIT.enemyMult,
+  };
+}
+
+/**
+ * Roll a crit and apply typed damage to target. Returns the hit record from
+ * takeDamage (null when the target is already dead).
+ */
+export function dealDamage(target, amount, { damageType = "physical", critChance = 0, critMult = 1 } = {}) {
+  if (!target || typeof target.takeDamage !== "function") return null;
+  const crit = critChance > 0 && Math.random() < critChance;
+  const raw = crit ? Math.floor(amount * critMult) : amount;
+  return target.takeDamage(raw, { type: damageType, crit }) || null;
+}
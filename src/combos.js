@@ -0,0 +1,97 @@
+/**
+ * src/combos.js
+ *
+ * Skill combo detection (config/combos.js).
+ *
+ * Features:
+ * - Remembers the hero's recent casts (skill id, time, where, radius, duration)
+ * - Matches a new cast against SKILL_COMBOS: cast sequence (`after`), target status
+ *   (`targetStatus`) and standing inside an earlier cast's area (`insideAfter`)
+ * - Pure logic: SkillsSystem applies the bonuses and shows the feedback
+ *
+ * Public API:
+ *   const combos = new ComboTracker({ now });
+ *   combos.evaluate(def, { targets })  -> [{ combo, matches(enemy), targets }] combos this cast triggers
+ *   combos.recordCast(def, center)     -> remember a finished cast
+ *   combos.clear()
+ *   comboName(combo) / comboDesc(combo) -> localized combo name / description
+ */
+
+import { COMBO_HISTORY, SKILL_COMBOS } from "../config/combos.js";
+import { hasStatus } from "./status_effects.js";
+import { distance2D } from "./utils.js";
+import { tOr } from "./i18n.js";
+
+export function comboName(combo) {
+  return tOr(`combos.${combo.id}.name`, combo.name);
+}
+
+export function comboDesc(combo) {
+  return tOr(`combos.${combo.id}.desc`, combo.desc);
+}
+
+export class ComboTracker {
+  #now;
+  #history = []; // [{ id, at, center, radius, duration }], oldest first
+
+  constructor({ now }) {
+    this.#now = now;
+  }
+
+  recordCast(def, center) {
+    if (!def?.id) return;
+    const at = this.#now();
+    this.#history.push({
+      id: def.id,
+      at,
+      center: center ? { x: center.x, z: center.z } : null,
+      radius: def.radius || 0,
+      duration: def.duration || 0,
+    });
+    this.#history = this.#history
+      .filter((h) => at - h.at <= COMBO_HISTORY.maxAge)
+      .slice(-COMBO_HISTORY.size);
+  }
+
+  clear() {
+    this.#history = [];
+  }
+
+  evaluate(def, { targets = [] } = {}) {
+    const out = [];
+    const at = this.#now();
+    for (const combo of SKILL_COMBOS) {
+      if (combo.skill !== def?.id) continue;
+
+      let prior = null;
+      if (combo.after) {
+        prior = this.#lastCast(combo.after.skill);
+        const window = combo.after.within ?? prior?.duration ?? 0;
+        if (!prior || at - prior.at > window) continue;
+      }
+
+      const matches = (en) => {
+        if (!en || !en.alive) return false;
+        if (combo.targetStatus && !hasStatus(en, combo.targetStatus)) return false;
+        if (combo.insideAfter) {
+          if (!prior?.center || typeof en.pos !== "function") return false;
+          if (distance2D(en.pos(), prior.center) > prior.radius) return false;
+        }
+        return true;
+      };
+
+      const targeted = !!(combo.targetStatus || combo.insideAfter);
+      const hit = targeted ? targets.filter(matches) : targets.slice();
+      if (targeted && !combo.bonus?.extraJumps && !hit.length) continue;
+      out.push({ combo, matches, targets: hit });
+    }
+    return out;
+  }
+
+  #lastCast(id) {
+    for (let i = this.#history.length - 1; i >= 0; i--) {
+      if (this.#history[i].id === id) return this.#history[i];
+    }
+    return null;
+  }
+}
@@ -11,7 +11,7 @@ import { UIManager } from "../ui/hud/index.js";
 import { EffectsManager, createGroundRing } from "../effects_manager.js";
 import { SkillsSystem } from "../skills.js";
 import { THEME_COLORS } from "../../config/index.js";
-import { handWorldPos } from "../entities.js";
+import { handWorldPos, Enemy } from "../entities.js";
 import { isMobile, MOBILE_OPTIMIZATIONS, applyMobileRendererHints } from "../mobile.js";
 import { createPerformanceTracker, initVfxGating } from "../perf.js";
 import { createIndicators } from "../ui/indicators.js";
@@ -31,6 +31,19 @@ import { startInstructionGuide as startInstructionGuideOverlay } from "../ui/gui
 import { CameraSystem } from "../camera_system.js";
 import { PlayerSystem } from "../player_system.js";
 import { EnemiesSystem } from "../enemies_system.js";
+import { LootSystem } from "../loot.js";
+import { getInventory } from "../inventory.js";
+import { getHeroStats } from "../hero_stats.js";
+import { getEquipment } from "../equipment.js";
+import { getWallet } from "../wallet.js";
+import { getSkillUpgradeManager } from "../skills_upgrade.js";
+import { getEnemyIndex } from "../spatial_index.js";
+import { MerchantSystem } from "../merchants.js";
+import { BossSystem } from "../bosses.js";
+import { HordeSystem } from "../hordes.js";
+import { SiegeSystem } from "../sieges.js";
+import { QuestSystem } from "../quests.js";
+import { AchievementSystem } from "../achievements.js";
 import { BuffManager } from "../managers/BuffManager.js";
 import { ProximityManager } from "../managers/ProximityManager.js";
 import { UIController } from "../managers/UIController.js";
@@ -72,6 +85,13 @@ export class GameApp {
     this.cameraSystem = null;
     this.playerSystem = null;
     this.enemiesSystem = null;
+    this.lootSystem = null;
+    this.merchantSystem = null;
+    this.bossSystem = null;
+    this.hordeSystem = null;
+    this.siegeSystem = null;
+    this.questSystem = null;
+    this.achievementSystem = null;
     this.skillsSystem = null;
     this.respawnSystem = null;
 
@@ -268,6 +288,29 @@ export class GameApp {
       distance2D: (await import("../utils.js")).distance2D,
       WORLD: (await import("../../config/index.js")).WORLD,
       renderer: this.renderer,
+      heroStats: getHeroStats(),
+    });
+    // Equipment registers its stat source on creation
+    getEquipment();
+    this.lootSystem = new LootSystem({
+      THREE,
+      scene: this.scene,
+      player,
+      now,
+      inventory: getInventory(),
+      wallet: getWallet(),
+      mapManager: this.mapManager,
+      effects: this.effects,
+      audio,
+    });
+    this.merchantSystem = new MerchantSystem({
+      THREE,
+      scene: this.scene,
+      player,
+      villages,
+      inventory: getInventory(),
+      wallet: getWallet(),
+      VILLAGE_POS,
     });
     this.enemiesSystem = new EnemiesSystem({
       THREE,
@@ -290,6 +333,76 @@ export class GameApp {
       shouldSpawnVfx: this.shouldSpawnVfx,
       applyMapModifiersToEnemy: this.mapManager.applyMapModifiersToEnemy?.bind(this.mapManager),
       chunkMgr: this.environmentCoordinator.getChunkManager(),
+      lootSystem: this.lootSystem,
+      EnemyClass: Enemy,
+      enemyIndex: getEnemyIndex(),
+    });
+    this.bossSystem = new BossSystem({
+      THREE,
+      scene: this.scene,
+      player,
+      enemies,
+      mapManager: this.mapManager,
+      villages,
+      effects: this.effects,
+      lootSystem: this.lootSystem,
+      audio,
+      now,
+      distance2D: (await import("../utils.js")).distance2D,
+      EnemyClass: Enemy,
+      applyMapModifiersToEnemy: this.mapManager.applyMapModifiersToEnemy?.bind(this.mapManager),
+      VILLAGE_POS,
+      REST_RADIUS: (await import("../../config/index.js")).REST_RADIUS,
+    });
+    this.hordeSystem = new HordeSystem({
+      THREE,
+      scene: this.scene,
+      player,
+      enemies,
+      villages,
+      mapManager: this.mapManager,
+      bosses: this.bossSystem,
+      tactics: this.enemiesSystem.getTactics(),
+      effects: this.effects,
+      lootSystem: this.lootSystem,
+      audio,
+      now,
+      distance2D: (await import("../utils.js")).distance2D,
+      EnemyClass: Enemy,
+      applyMapModifiersToEnemy: this.mapManager.applyMapModifiersToEnemy?.bind(this.mapManager),
+      VILLAGE_POS,
+      REST_RADIUS: (await import("../../config/index.js")).REST_RADIUS,
+    });
+    this.siegeSystem = new SiegeSystem({
+      THREE,
+      scene: this.scene,
+      player,
+      enemies,
+      villages,
+      mapManager: this.mapManager,
+      bosses: this.bossSystem,
+      hordes: this.hordeSystem,
+      tactics: this.enemiesSystem.getTactics(),
+      effects: this.effects,
+      lootSystem: this.lootSystem,
+      audio,
+      now,
+      distance2D: (await import("../utils.js")).distance2D,
+      EnemyClass: Enemy,
+      applyMapModifiersToEnemy: this.mapManager.applyMapModifiersToEnemy?.bind(this.mapManager),
+    });
+    // Hordes and sieges never run at the same time
+    this.hordeSystem.setSieges(this.siegeSystem);
+    this.questSystem = new QuestSystem({
+      THREE,
+      scene: this.scene,
+      player,
+      villages,
+      chunkMgr: this.environmentCoordinator.getChunkManager(),
+      mapManager: this.mapManager,
+      wallet: getWallet(),
+      now,
+      VILLAGE_POS,
     });
 
     // Skills System
@@ -330,6 +443,25 @@ export class GameApp {
     window.addEventListener("village-enter", () => this.buffManager.applyVillageBuff());
     window.addEventListener("village-leave", () => this.buffManager.removeVillageBuff());
 
+    // Wire quest progress events
+    window.addEventListener("enemy-killed", (e) => this.questSystem.onEnemyKilled(e.detail));
+    window.addEventListener("village-visited", (e) => this.questSystem.onVillageVisited(e.detail));
+    window.addEventListener("structure-visited", (e) => this.questSystem.onStructureVisited(e.detail));
+
+    // Achievements (synced from the current save, then fed by gameplay events)
+    this.achievementSystem = new AchievementSystem({
+      player,
+      mapManager: this.mapManager,
+      portals: this.entityCoordinator.getPortals(),
+      skillUpgrades: getSkillUpgradeManager(),
+    });
+    window.addEventListener("enemy-killed", (e) => this.achievementSystem.onEnemyKilled(e.detail));
+    window.addEventListener("player-levelup", (e) => this.achievementSystem.onLevelUp(e.detail));
+    window.addEventListener("maps-unlocked", (e) => this.achievementSystem.onMapsUnlocked(e.detail));
+    window.addEventListener("village-visited", (e) => this.achievementSystem.onVillageVisited(e.detail));
+    window.addEventListener("skill-upgraded", (e) => this.achievementSystem.onSkillUpgraded(e.detail));
+    window.addEventListener("mark-placed", (e) => this.achievementSystem.onMarkPlaced(e.detail));
+
     // Respawn system
     this.respawnSystem = createRespawnSystem({
       THREE,
@@ -373,6 +505,7 @@ export class GameApp {
       skillsSystem: this.skillsSystem,
       uiController: this.uiController,
       loadoutCoordinator: this.loadoutCoordinator,
+      playerSystem: this.playerSystem,
     });
     this.inputCoordinator.init();
 
@@ -390,6 +523,12 @@ export class GameApp {
       renderer: this.renderer,
       cameraOffset: this.cameraOffset,
       effects: this.effects,
+      merchantSystem: this.merchantSystem,
+      bossSystem: this.bossSystem,
+      hordeSystem: this.hordeSystem,
+      siegeSystem: this.siegeSystem,
+      questSystem: this.questSystem,
+      achievementSystem: this.achievementSystem,
     });
     this.uiSetupCoordinator.setup();
   }
@@ -415,6 +554,12 @@ export class GameApp {
       perfTracker: this.perfTracker,
       indicators: this.indicators,
       skillsSystem: this.skillsSystem,
+      lootSystem: this.lootSystem,
+      merchantSystem: this.merchantSystem,
+      bossSystem: this.bossSystem,
+      hordeSystem: this.hordeSystem,
+      siegeSystem: this.siegeSystem,
+      questSystem: this.questSystem,
     });
 
     // Set strides
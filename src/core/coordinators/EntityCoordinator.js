@@ -12,7 +12,8 @@ import { createDynamicSpawner } from "../../spawn.js";
 import { VILLAGE_POS, REST_RADIUS, THEME_COLORS, WORLD } from "../../../config/index.js";
 import { now, distance2D } from "../../utils.js";
 import { t } from "../../i18n.js";
-import { promptBasicUpliftIfNeeded } from "../../uplift.js";
+import { promptUpliftIfNeeded } from "../../uplift.js";
+import { getSaveManager } from "../../save_manager.js";
 import { updateEnvironmentFollow } from "../../environment.js";
 
 export class EntityCoordinator {
@@ -144,6 +145,11 @@ export class EntityCoordinator {
       this.player.moveTarget = null;
       this.player.target = null;
     };
+
+    // Restored mid-death from the save slot: show the death message until respawn
+    if (!this.player.alive) {
+      try { this.uiController.setCenterMsg(t("death.msg")); } catch (_) {}
+    }
   }
 
   _initPortals() {
@@ -241,11 +247,11 @@ export class EntityCoordinator {
 
     // Uplift prompts
     try {
-      promptBasicUpliftIfNeeded(this.player);
+      promptUpliftIfNeeded(this.player);
       
       window.addEventListener("player-levelup", () => {
         try {
-          promptBasicUpliftIfNeeded(this.player);
+          promptUpliftIfNeeded(this.player);
         } catch (_) {}
         try {
           this.adjustEnemyCountForCurrentMap();
@@ -253,6 +259,19 @@ export class EntityCoordinator {
       });
     } catch (_) {}
 
+    // Persist mid-level progress when the page is hidden or closed
+    // (not during the reload after a slot switch or save import: that would write this hero into the new slot)
+    try {
+      const persist = () => {
+        if (getSaveManager().isReloadPending()) return;
+        try { this.player.saveStateToStorage(); } catch (_) {}
+      };
+      window.addEventListener("pagehide", persist);
+      document.addEventListener("visibilitychange", () => {
+        if (document.hidden) persist();
+      });
+    } catch (_) {}
+
     // Expose global helper
     try {
       window.adjustEnemyCountForMap = this.adjustEnemyCountForCurrentMap.bind(this);
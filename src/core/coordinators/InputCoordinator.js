@@ -7,6 +7,9 @@ import { createInputService } from "../../input_service.js";
 import { initTouchControls } from "../../touch.js";
 import { getNearestEnemy } from "../../entities.js";
 import { WORLD } from "../../../config/index.js";
+import { getInventory } from "../../inventory.js";
+import { wireDodgeUI } from "../../ui/dodge.js";
+import { t } from "../../i18n.js";
 
 export class InputCoordinator {
   constructor({
@@ -20,6 +23,7 @@ export class InputCoordinator {
     skillsSystem,
     uiController,
     loadoutCoordinator,
+    playerSystem,
   }) {
     this.renderer = renderer;
     this.camera = camera;
@@ -31,11 +35,13 @@ export class InputCoordinator {
     this.skillsSystem = skillsSystem;
     this.uiController = uiController;
     this.loadoutCoordinator = loadoutCoordinator;
+    this.playerSystem = playerSystem;
 
     this.inputService = null;
     this.touch = null;
     this.raycast = null;
     this._enemyMeshRefreshInterval = null;
+    this._disposeDodgeUI = null;
   }
 
   /**
@@ -84,15 +90,25 @@ export class InputCoordinator {
       enemies: this.enemies,
       effects: this.effects,
       skills: this.skillsSystem,
+      inventory: getInventory(),
       WORLD,
       aimPreview: null,
       attackPreview: null,
       setCenterMsg: (msg) => this.uiController.setCenterMsg(msg),
       clearCenterMsg: () => this.uiController.clearCenterMsg(),
+      dodge: (dir) => this.playerSystem?.dodge(this.player, dir) || false,
     });
 
     this.inputService.attachCaptureListeners();
 
+    // Dodge button (keyboard: D / Shift)
+    this._disposeDodgeUI = wireDodgeUI({
+      elements: { btnDodge: document.getElementById("btnDodge") },
+      onDodge: () => this.inputService.tryDodge(),
+      getCooldown: () => this.playerSystem?.getDodgeCooldown(this.player) || 0,
+      t,
+    });
+
     // Initialize touch controls
     const skillAPI = this.loadoutCoordinator.getSkillAPI();
     this.touch = initTouchControls({
@@ -105,6 +121,7 @@ export class InputCoordinator {
       getNearestEnemy,
       WORLD,
       skillApi: skillAPI,
+      inventory: getInventory(),
     });
 
     // Connect touch to input service
@@ -135,5 +152,9 @@ export class InputCoordinator {
       clearInterval(this._enemyMeshRefreshInterval);
       this._enemyMeshRefreshInterval = null;
     }
+    if (this._disposeDodgeUI) {
+      this._disposeDodgeUI();
+      this._disposeDodgeUI = null;
+    }
   }
 }
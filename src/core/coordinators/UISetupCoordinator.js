@@ -5,6 +5,13 @@
 import { setupSettingsScreen } from "../../ui/settings/index.js";
 import { wireUIBindings } from "../../ui/bindings.js";
 import { wireMarkCooldownUI } from "../../ui/mark_cooldown.js";
+import { wireMerchantUI } from "../../ui/merchant/index.js";
+import { wireBossUI } from "../../ui/boss.js";
+import { wireHordeUI } from "../../ui/horde.js";
+import { wireSiegeUI } from "../../ui/siege.js";
+import { wireQuestUI } from "../../ui/quests.js";
+import { wireToastUI } from "../../ui/toasts.js";
+import { wireHotbarUI } from "../../ui/hotbar.js";
 import { wireTopBar } from "../../ui/topbar.js";
 import { renderHeroScreen as renderHeroScreenUI } from "../../ui/hero/index.js";
 import { initHeroPreview } from "../../ui/hero/preview.js";
@@ -38,6 +45,12 @@ export class UISetupCoordinator {
     renderer,
     cameraOffset,
     effects,
+    merchantSystem,
+    bossSystem,
+    hordeSystem,
+    siegeSystem,
+    questSystem,
+    achievementSystem,
   }) {
     this.ui = ui;
     this.settingsManager = settingsManager;
@@ -51,9 +64,22 @@ export class UISetupCoordinator {
     this.renderer = renderer;
     this.cameraOffset = cameraOffset;
     this.effects = effects;
+    this.merchantSystem = merchantSystem;
+    this.bossSystem = bossSystem;
+    this.hordeSystem = hordeSystem;
+    this.siegeSystem = siegeSystem;
+    this.questSystem = questSystem;
+    this.achievementSystem = achievementSystem;
 
     this._disposeMarkCooldownUI = null;
     this._disposeTopBar = null;
+    this._disposeMerchantUI = null;
+    this._disposeBossUI = null;
+    this._disposeHordeUI = null;
+    this._disposeSiegeUI = null;
+    this._disposeQuestUI = null;
+    this._disposeToastUI = null;
+    this._disposeHotbarUI = null;
   }
 
   /**
@@ -90,6 +116,8 @@ export class UISetupCoordinator {
       portals,
       enemies,
       effects: this.effects,
+      quests: this.questSystem,
+      achievements: this.achievementSystem,
       WORLD,
       setCenterMsg: (msg) => this.ui.setCenterMsg(msg),
       clearCenterMsg: () => this.ui.clearCenterMsg(),
@@ -126,6 +154,41 @@ export class UISetupCoordinator {
         this._disposeTopBar();
       } catch (_) {}
     }
+    if (this._disposeMerchantUI) {
+      try {
+        this._disposeMerchantUI();
+      } catch (_) {}
+    }
+    if (this._disposeHotbarUI) {
+      try {
+        this._disposeHotbarUI();
+      } catch (_) {}
+    }
+    if (this._disposeBossUI) {
+      try {
+        this._disposeBossUI();
+      } catch (_) {}
+    }
+    if (this._disposeHordeUI) {
+      try {
+        this._disposeHordeUI();
+      } catch (_) {}
+    }
+    if (this._disposeSiegeUI) {
+      try {
+        this._disposeSiegeUI();
+      } catch (_) {}
+    }
+    if (this._disposeQuestUI) {
+      try {
+        this._disposeQuestUI();
+      } catch (_) {}
+    }
+    if (this._disposeToastUI) {
+      try {
+        this._disposeToastUI();
+      } catch (_) {}
+    }
   }
 
   _setupSettingsScreen() {
@@ -227,6 +290,9 @@ export class UISetupCoordinator {
       window.__disposeMarkCooldownUI = this._disposeMarkCooldownUI;
     } catch (_) {}
 
+    // Wire consumable hotbar (icons, counts, cooldown wedges)
+    this._disposeHotbarUI = wireHotbarUI({ t, intervalMs: 100 });
+
     // Wire top bar
     const player = this.entityCoordinator.getPlayer();
     const heroBars = this.entityCoordinator.getHeroBars();
@@ -258,6 +324,60 @@ export class UISetupCoordinator {
       window.__disposeTopBar = this._disposeTopBar;
     } catch (_) {}
 
+    // Wire village merchant trade button + shop screen
+    this._disposeMerchantUI = wireMerchantUI({
+      elements: {
+        btnTrade: document.getElementById("btnTrade"),
+        merchantScreen: document.getElementById("merchantScreen"),
+      },
+      merchants: this.merchantSystem,
+      player,
+      t,
+    });
+
+    // Wire boss summon button + encounter announcements
+    this._disposeBossUI = wireBossUI({
+      elements: {
+        btnBoss: document.getElementById("btnBoss"),
+      },
+      bosses: this.bossSystem,
+      setCenterMsg: (msg) => this.ui.setCenterMsg(msg),
+      clearCenterMsg: () => this.ui.clearCenterMsg(),
+    });
+
+    // Wire horde event announcements
+    this._disposeHordeUI = wireHordeUI({
+      setCenterMsg: (msg) => this.ui.setCenterMsg(msg),
+      clearCenterMsg: () => this.ui.clearCenterMsg(),
+    });
+
+    // Wire village siege announcements
+    this._disposeSiegeUI = wireSiegeUI({
+      setCenterMsg: (msg) => this.ui.setCenterMsg(msg),
+      clearCenterMsg: () => this.ui.clearCenterMsg(),
+    });
+
+    // Wire bounty board button + quest completion messages
+    this._disposeQuestUI = wireQuestUI({
+      elements: {
+        btnQuests: document.getElementById("btnQuests"),
+      },
+      quests: this.questSystem,
+      showHeroScreen: (tab) => {
+        this.showHeroScreen(tab);
+        try {
+          document.getElementById("heroScreen").classList.remove("hidden");
+        } catch (_) {}
+      },
+      setCenterMsg: (msg) => this.ui.setCenterMsg(msg),
+      clearCenterMsg: () => this.ui.clearCenterMsg(),
+    });
+
+    // Wire toast notifications (skill points, unlocks, achievements)
+    this._disposeToastUI = wireToastUI({
+      container: document.getElementById("toasts"),
+    });
+
     // Wire general UI bindings
     const audioCtl = this.audioCoordinator.createAudioController();
     const scene = this.worldManager.getWorld().scene;
@@ -7,6 +7,7 @@ import { now } from "../../utils.js";
 import { updateEnvironmentFollow } from "../../environment.js";
 
 const MOVE_PING_INTERVAL = 0.3;
+const AUTOSAVE_INTERVAL = 5; // seconds between player state snapshots
 
 export class UpdateLoopCoordinator {
   constructor({
@@ -28,6 +29,12 @@ export class UpdateLoopCoordinator {
     perfTracker,
     indicators,
     skillsSystem,
+    lootSystem,
+    merchantSystem,
+    bossSystem,
+    hordeSystem,
+    siegeSystem,
+    questSystem,
   }) {
     this.worldManager = worldManager;
     this.cameraSystem = cameraSystem;
@@ -47,6 +54,12 @@ export class UpdateLoopCoordinator {
     this.perfTracker = perfTracker;
     this.indicators = indicators;
     this.skillsSystem = skillsSystem;
+    this.lootSystem = lootSystem;
+    this.merchantSystem = merchantSystem;
+    this.bossSystem = bossSystem;
+    this.hordeSystem = hordeSystem;
+    this.siegeSystem = siegeSystem;
+    this.questSystem = questSystem;
 
     // State
     this.lastMoveDir = new THREE.Vector3(0, 0, 0);
@@ -57,6 +70,7 @@ export class UpdateLoopCoordinator {
     this.adaptNextT = 0;
     this.aiStride = 1;
     this.bbStride = 2;
+    this.nextAutosaveT = 0;
   }
 
   /**
@@ -104,6 +118,36 @@ export class UpdateLoopCoordinator {
       bbOffset: this.bbOffset,
     });
 
+    // Boss encounter (phases, telegraphs, arena, reward chest)
+    try {
+      this.bossSystem?.update(dt);
+    } catch (e) {}
+
+    // Horde events (waves, kill progress, village overrun)
+    try {
+      this.hordeSystem?.update(dt);
+    } catch (e) {}
+
+    // Village sieges (warning, waves, village HP)
+    try {
+      this.siegeSystem?.update(dt);
+    } catch (e) {}
+
+    // Ground loot (magnet + pickup)
+    try {
+      this.lootSystem?.update(dt);
+    } catch (e) {}
+
+    // Village merchants (stall spawning + trade range)
+    try {
+      this.merchantSystem?.update(dt);
+    } catch (e) {}
+
+    // Village bounty boards (board spawning + board range)
+    try {
+      this.questSystem?.update(dt);
+    } catch (e) {}
+
     // Dynamic spawner
     try {
       spawner?.update(dt);
@@ -123,8 +167,13 @@ export class UpdateLoopCoordinator {
 
     // UI updates (throttled via UIController)
     this.uiController.updateHUD();
-    this.uiController.updateMinimap(enemies, portals, villages, chunkMgr);
+    const siege = this.siegeSystem?.getSiege() || null;
+    this.uiController.updateMinimap(enemies, portals, villages, chunkMgr, siege ? [siege] : null);
     this.uiController.updateHeroBars();
+    this.uiController.updateBossBar(this.bossSystem?.getEncounter() || null);
+    this.uiController.updateHordeBar(this.hordeSystem?.getEvent() || null);
+    this.uiController.updateSiegeBar(siege);
+    this.uiController.updateQuestTracker(this.questSystem?.getActive() || null);
 
     // Skills, effects, environment
     this.skillsSystem.update(t, dt, this.cameraShake);
@@ -145,6 +194,9 @@ export class UpdateLoopCoordinator {
       this.respawnSystem.update();
     }
 
+    // Periodic snapshot of XP/HP/MP/position/buffs (throttled)
+    this._autosave(player, t);
+
     if (!isOverBudget()) {
       this.bbOffset = (this.bbOffset + 1) % this.bbStride;
     }
@@ -234,6 +286,14 @@ export class UpdateLoopCoordinator {
     } catch (_) {}
   }
 
+  _autosave(player, t) {
+    if (t < this.nextAutosaveT) return;
+    this.nextAutosaveT = t + AUTOSAVE_INTERVAL;
+    try {
+      player.saveStateToStorage();
+    } catch (_) {}
+  }
+
   _updateVillageStreaming(player, villages) {
     if (!window.__lastVillageStreamT) window.__lastVillageStreamT = 0;
     const nowMs = performance.now();
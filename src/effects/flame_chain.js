@@ -1,7 +1,10 @@
 import * as THREE from "../../vendor/three/build/three.module.js";
 import { SKILL_FX } from "../../config/skills_fx.js";
 import { now } from "../utils.js";
+import { applyStatuses } from "../status_effects.js";
+import { dealDamage } from "../combat.js";
 import { createSkillEffect } from "./effect_base_interface.js";
+import { getEnemyIndex } from "../spatial_index.js";
 
 /**
  * Flame Chain Effect
@@ -9,8 +12,11 @@ import { createSkillEffect } from "./effect_base_interface.js";
  * Self-contained chain lightning-style fire spell that:
  * - Chains between enemies intelligently (prefers aimed targets)
  * - Creates visual chain links with fire effects
- * - Applies damage and slow to each hit
+ * - Applies damage and the skill's status effects (slow) to each hit
  * - Handles miss case (fires forward if no targets)
+ * - Runes (params.rune): "fork" branches side chains off the first links,
+ *   "shatter" bursts around the last enemy hit
+ * - Combos (params.combos, src/combos.js): extra jumps when a link hits a matching enemy
  * - Manages complete lifecycle independently
  *
  * Follows SkillEffect interface:
@@ -38,13 +44,15 @@ class FlameChainEffect {
     this.damage = this.params?.dmg || 15;
     this.jumps = (this.params?.jumps || 0) + 1; // +1 for initial hit
     this.jumpRange = this.params?.jumpRange || 18;
-    this.slowFactor = this.params?.slowFactor;
-    this.slowDuration = this.params?.slowDuration || 1.2;
+    this.statuses = this.params?.statuses || [];
 
     // Track chain segments for cleanup
     this.chainSegments = [];
     this.startTime = now();
     this.duration = 1.2; // Keep effect alive for visuals
+    this._shaken = false; // camera shakes once, on the first hit of any chain
+    this._comboJumps = new Map(); // combo id -> extra jumps granted so far
+    this._candidates = new Set(); // enemies this cast may jump to (set in _executeChain)
 
     // Execute the chain
     this._executeChain();
@@ -86,21 +94,47 @@ class FlameChainEffect {
     }
 
     // Select initial target (prefer aimed target, or closest)
-    let current = this._selectInitialTarget(candidates, center);
+    const current = this._selectInitialTarget(candidates, center);
     if (!current) {
       this._handleMiss(center, effRange);
       return;
     }
 
+    // Jumps stay within this cast's candidates (alive targets in range at cast time)
+    this._candidates = new Set(candidates);
+
     // Execute chain jumps
-    let lastPoint = center.clone().add(new THREE.Vector3(0, 1.6, 0));
-    let jumpsRemaining = this.jumps;
-    let first = true;
+    const start = center.clone().add(new THREE.Vector3(0, 1.6, 0));
     const hitTargets = new Set();
+    const rune = this.params?.rune || null;
+    let forksLeft = rune?.forks || 0;
+    const last = this._runChain(current, start, this.jumps, this.damage, hitTargets, (target, hitPoint) => {
+      // Forking Chain rune: the first links each branch into a weaker side chain
+      if (forksLeft <= 0) return;
+      forksLeft--;
+      const branch = this._findNextTarget(target, hitTargets);
+      if (branch) {
+        const forkDamage = Math.max(1, Math.round(this.damage * (rune.forkDamageMul ?? 0.5)));
+        this._runChain(branch, hitPoint, rune.forkJumps || 1, forkDamage, hitTargets, null);
+      }
+    });
+
+    // Shatter rune: the final link bursts around the last enemy hit
+    if (rune?.shatterRadius && last) {
+      this._shatter(last, rune);
+    }
+  }
 
-    while (current && jumpsRemaining > 0) {
-      jumpsRemaining--;
+  /**
+   * Chain from `current` through up to `jumps` enemies, skipping anything in hitTargets.
+   * onHit(target, hitPoint) runs after each hit. Returns the last enemy hit.
+   */
+  _runChain(current, lastPoint, jumps, damage, hitTargets, onHit) {
+    let last = null;
+    while (current && jumps > 0) {
+      jumps--;
       hitTargets.add(current);
+      const first = !this._shaken;
 
       // Get hit point on target
       const hitPoint = current.pos().clone().add(new THREE.Vector3(0, 1.2, 0));
@@ -108,23 +142,21 @@ class FlameChainEffect {
       // Visual chain link
       this._createChainLink(lastPoint, hitPoint, first);
 
+      // Combo jumps are checked before this hit applies its own statuses
+      jumps += this._extraComboJumps(current);
+
       // Apply damage
       try {
-        if (typeof current.takeDamage === "function") {
-          current.takeDamage(this.damage);
-        }
+        const hit = dealDamage(current, damage, this.params);
 
-        // Apply slow effect
-        if (this.slowFactor && typeof current.slowUntil !== "undefined") {
-          current.slowUntil = now() + this.slowDuration;
-          current.slowFactor = this.slowFactor;
-        }
+        // Apply status effects (slow, ...)
+        applyStatuses(current, this.statuses);
 
         // Damage popup
         if (typeof current.pos === "function") {
           this.baseEffects.spawnDamagePopup(
             current.pos(),
-            this.damage,
+            hit || damage,
             this.colors.impact
           );
         }
@@ -139,12 +171,60 @@ class FlameChainEffect {
       if (first && this.baseEffects.requestShake) {
         const shake = this.params?.shake || 0.2;
         this.baseEffects.requestShake(shake);
-        first = false;
       }
+      this._shaken = true;
+
+      if (onHit) onHit(current, hitPoint);
 
       // Find next target in chain
+      last = current;
       lastPoint = hitPoint;
-      current = this._findNextTarget(current, candidates, hitTargets);
+      current = this._findNextTarget(current, hitTargets);
+    }
+    return last;
+  }
+
+  /**
+   * Extra jumps granted by combos whose condition `current` meets (capped per combo)
+   */
+  _extraComboJumps(current) {
+    let extra = 0;
+    for (const c of this.params?.combos || []) {
+      const used = this._comboJumps.get(c.id) || 0;
+      if (!c.extraJumps || used >= c.maxExtraJumps) continue;
+      try {
+        if (!c.matches(current)) continue;
+      } catch (_) {
+        continue;
+      }
+      const add = Math.min(c.extraJumps, c.maxExtraJumps - used);
+      this._comboJumps.set(c.id, used + add);
+      extra += add;
+      if (used === 0) {
+        try { c.onTrigger?.(current); } catch (_) {}
+      }
+    }
+    return extra;
+  }
+
+  /**
+   * Shatter rune: frost burst around the last enemy of the chain
+   */
+  _shatter(target, rune) {
+    try {
+      const pos = target.pos().clone();
+      const radius = rune.shatterRadius;
+      const dmg = Math.max(1, Math.round(this.damage * (rune.shatterDamageMul ?? 1)));
+      this.baseEffects.spawnRing(pos, radius, this.colors.core, 0.45, 1.2, 0.7);
+      this.baseEffects.spawnStrike(pos, 1.6, this.colors.impact);
+      for (const en of getEnemyIndex().queryRadius(pos, radius)) {
+        if (!en.alive) continue;
+        const hit = dealDamage(en, dmg, this.params);
+        applyStatuses(en, this.statuses);
+        this.baseEffects.spawnDamagePopup(en.pos(), hit || dmg, this.colors.impact);
+      }
+    } catch (err) {
+      console.warn("[flame_chain] shatter failed", err);
     }
   }
 
@@ -179,41 +259,18 @@ class FlameChainEffect {
   }
 
   /**
-   * Find next target in chain
+   * Find next target in chain: closest unhit candidate within jump range
+   * (the spatial index only narrows the search to nearby cells)
    */
-  _findNextTarget(currentTarget, allCandidates, hitTargets) {
+  _findNextTarget(currentTarget, hitTargets) {
     if (!currentTarget || typeof currentTarget.pos !== "function") return null;
-
-    const currentPos = currentTarget.pos();
     const jumpRange = this.jumpRange + 2.5;
-
-    // Find candidates in jump range that haven't been hit
-    const nextCandidates = allCandidates.filter((en) => {
-      if (!en || !en.alive) return false;
-      if (hitTargets.has(en)) return false;
-
-      try {
-        const dist = this._distance2D(currentPos, en.pos());
-        return dist <= jumpRange;
-      } catch (_) {
-        return false;
-      }
-    });
-
-    if (nextCandidates.length === 0) return null;
-
-    // Sort by distance and return closest
-    nextCandidates.sort((a, b) => {
-      try {
-        const distA = this._distance2D(currentPos, a.pos());
-        const distB = this._distance2D(currentPos, b.pos());
-        return distA - distB;
-      } catch (_) {
-        return 0;
-      }
-    });
-
-    return nextCandidates[0];
+    const candidates = this._candidates;
+    return getEnemyIndex().nearest(
+      currentTarget.pos(),
+      jumpRange,
+      (en) => !!candidates?.has(en) && !hitTargets.has(en)
+    );
   }
 
   /**
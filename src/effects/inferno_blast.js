@@ -1,6 +1,8 @@
 import * as THREE from "../../vendor/three/build/three.module.js";
 import { SKILL_FX } from "../../config/skills_fx.js";
 import { createSkillEffect } from "./effect_base_interface.js";
+import { applyStatuses } from "../status_effects.js";
+import { dealDamage } from "../combat.js";
 
 /**
  * Inferno Blast Effect
@@ -9,14 +11,16 @@ import { createSkillEffect } from "./effect_base_interface.js";
  * - Play hand effects on caster
  * - Expanding ring from caster position
  * - Impact flash on each enemy hit
- * - Apply damage and slow to all enemies in radius
+ * - Apply damage and the skill's status effects to all enemies in radius
  * - Camera shake effect
  * - Ignores line of sight
+ * - Runes (params.rune): "undertow" drags enemies toward the center (`pull` = fraction of
+ *   their distance), "riptide" hurls them outward (`push` units), both over `pullTime` seconds
  * 
  * Follows SkillEffect interface:
- * - update(dt, t): No ongoing animation (instant effect)
+ * - update(dt, t): Moves enemies displaced by a rune (otherwise nothing to animate)
  * - dispose(): Cleans up any resources
- * - finished: Set to true immediately after cast
+ * - finished: Set to true immediately after cast, or once rune displacement ends
  */
 class InfernoBlastEffect {
   constructor(baseEffects, params) {
@@ -24,7 +28,7 @@ class InfernoBlastEffect {
     this.params = params || {};
     this.finished = true; // Instant effect, mark as finished immediately
 
-    const { player, center, radius = 8, targets = [], slowFactor = 0.5, slowDuration = 2 } = this.params;
+    const { player, center, radius = 8, targets = [], statuses = [] } = this.params;
     
     // Get skill colors
     const fx = SKILL_FX.inferno_blast || {};
@@ -38,16 +42,45 @@ class InfernoBlastEffect {
     // Damage
     this.damage = this.params?.dmg ?? this.params?.damage ?? 25;
 
+    // Rune displacement: [{ target, dx, dz }] applied gradually over pullTime
+    this.displaced = [];
+    this.moveTime = 0;
+    this.moveElapsed = 0;
+
     // Execute the blast effects
     if (center) {
-      this._executeBlast(player, center, radius, targets, slowFactor, slowDuration);
+      this._executeBlast(player, center, radius, targets, statuses);
+      this._startDisplacement(center, targets, this.params.rune);
+    }
+  }
+
+  /**
+   * Undertow / Riptide runes: work out how far each enemy hit is moved
+   */
+  _startDisplacement(center, targets, rune) {
+    if (!rune || !(rune.pull || rune.push) || !Array.isArray(targets)) return;
+    for (const target of targets) {
+      if (!target?.alive || target.tier === "boss" || typeof target.pos !== "function") continue;
+      const p = target.pos();
+      const ox = p.x - center.x;
+      const oz = p.z - center.z;
+      const dist = Math.hypot(ox, oz);
+      if (rune.pull) {
+        this.displaced.push({ target, dx: -ox * rune.pull, dz: -oz * rune.pull });
+      } else if (dist > 1e-3) {
+        this.displaced.push({ target, dx: (ox / dist) * rune.push, dz: (oz / dist) * rune.push });
+      }
+    }
+    if (this.displaced.length) {
+      this.moveTime = Math.max(0.05, rune.pullTime || 0.4);
+      this.finished = false;
     }
   }
 
   /**
    * Execute the instant blast effects
    */
-  _executeBlast(player, center, radius, targets, slowFactor, slowDuration) {
+  _executeBlast(player, center, radius, targets, statuses) {
     try {
       // 1. Play hand effect on caster
       if (player && this.baseEffects.spawnHandFlash) {
@@ -80,7 +113,7 @@ class InfernoBlastEffect {
       // 4. Impact flash and damage on each enemy hit
       if (Array.isArray(targets) && targets.length > 0) {
         for (const target of targets) {
-          this._hitTarget(target, slowFactor, slowDuration);
+          this._hitTarget(target, statuses);
         }
       }
 
@@ -99,9 +132,9 @@ class InfernoBlastEffect {
   }
 
   /**
-   * Hit a single target with damage, slow, and impact effect
+   * Hit a single target with damage, status effects, and impact effect
    */
-  _hitTarget(target, slowFactor, slowDuration) {
+  _hitTarget(target, statuses) {
     try {
       // Get target position
       let targetPos;
@@ -121,20 +154,16 @@ class InfernoBlastEffect {
         );
       }
 
-      // Apply damage
-      if (typeof target.takeDamage === 'function') {
-        target.takeDamage(this.damage);
-      }
+      // Apply damage (typed, may crit)
+      const hit = dealDamage(target, this.damage, this.params);
 
       // Show damage popup
       if (targetPos && this.baseEffects.spawnDamagePopup) {
-        this.baseEffects.spawnDamagePopup(targetPos, this.damage, "#ffb3b3");
+        this.baseEffects.spawnDamagePopup(targetPos, hit || this.damage, "#ffb3b3");
       }
 
-      // Apply slow effect (if target supports it)
-      if (typeof target.applySlow === 'function') {
-        target.applySlow(slowFactor, slowDuration);
-      }
+      // Apply status effects (slow, stun, ...)
+      applyStatuses(target, statuses);
 
     } catch (err) {
       console.warn('[inferno_blast] hit target failed', err);
@@ -192,10 +221,26 @@ class InfernoBlastEffect {
 
   /**
    * Update method (required by SkillEffect interface)
-   * No ongoing animation needed for this instant effect
+   * Moves rune-displaced enemies; nothing to animate otherwise
    */
   update(dt, t) {
-    // Instant effect - nothing to update
+    if (!this.displaced.length) return;
+    // Ease-out: most of the movement happens right after the blast
+    const prev = 1 - Math.pow(1 - this.moveElapsed / this.moveTime, 2);
+    this.moveElapsed = Math.min(this.moveTime, this.moveElapsed + (dt || 0));
+    const cur = 1 - Math.pow(1 - this.moveElapsed / this.moveTime, 2);
+    const step = cur - prev;
+    for (const d of this.displaced) {
+      try {
+        if (!d.target.alive || !d.target.mesh) continue;
+        d.target.mesh.position.x += d.dx * step;
+        d.target.mesh.position.z += d.dz * step;
+      } catch (_) {}
+    }
+    if (this.moveElapsed >= this.moveTime) {
+      this.displaced = [];
+      this.finished = true;
+    }
   }
 
   /**
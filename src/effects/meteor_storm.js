@@ -3,6 +3,9 @@ import { FX } from "../../config/index.js";
 import { SKILL_FX } from "../../config/skills_fx.js";
 import { now } from "../utils.js";
 import { createSkillEffect } from "./effect_base_interface.js";
+import { applyStatuses } from "../status_effects.js";
+import { dealDamage } from "../combat.js";
+import { getEnemyIndex } from "../spatial_index.js";
 
 /**
  * Meteor Storm Effect
@@ -15,6 +18,9 @@ import { createSkillEffect } from "./effect_base_interface.js";
  * - Spawns meteors over time at configurable rate
  * - Targets enemies in area or random ground points
  * - Applies damage and visual effects on impact
+ * - Runes (params.rune): "eye" (`follow`) keeps the storm centered on the hero,
+ *   "seeking" (`seek`) drops meteors on enemies inside the storm instead of random ground;
+ *   each seeking hailstone only damages enemies within strikeRadius of where it lands
  * 
  * Follows SkillEffect interface:
  * - update(dt, t): Spawns meteors over time and animates them
@@ -49,8 +55,10 @@ class MeteorStormEffect {
     this.strikeRadius = this.params?.strikeRadius || 2.5;
 
     // Storm state for spawning meteors over time
-    this.stormCenter = center;
+    // Snapshot: the cast center may be the hero's live position vector
+    this.stormCenter = center?.clone ? center.clone() : center;
     this.stormRadius = radius;
+    this.rune = this.params.rune || null;
     this.stormDuration = this.params?.duration || 6; // Total storm duration in seconds
     
     // Calculate meteor rate based on strikes and duration
@@ -323,16 +331,26 @@ class MeteorStormEffect {
    * Apply damage to targets and show popups
    */
   _applyDamage(impactPos) {
-    const targets = this.params.targets || [];
+    // Seeking hail: only what stands under this hailstone when it lands
+    // A storm that follows the hero hits whatever is inside it now, not what was there at cast
+    let targets;
+    if (this.rune?.seek) {
+      targets = getEnemyIndex().queryRadius(impactPos, this.strikeRadius, (en) => en.alive);
+    } else if (this.rune?.follow) {
+      targets = getEnemyIndex().queryRadius(this.stormCenter, this.stormRadius);
+    } else {
+      targets = this.params.targets || [];
+    }
     if (!Array.isArray(targets) || !targets.length) return;
 
     for (const t of targets) {
       try {
         if (t && typeof t.takeDamage === "function") {
-          t.takeDamage(this.damage);
+          const hit = dealDamage(t, this.damage, this.params);
+          applyStatuses(t, this.params.statuses);
           if (typeof t.pos === "function") {
             const p = t.pos();
-            this.baseEffects.spawnDamagePopup(p, this.damage, "#ffb3b3");
+            this.baseEffects.spawnDamagePopup(p, hit || this.damage, "#ffb3b3");
           }
         } else if (t && t.position) {
           this.baseEffects.spawnDamagePopup(t.position, this.damage, "#ffb3b3");
@@ -365,6 +383,13 @@ class MeteorStormEffect {
   update(dt, t) {
     const currentTime = now();
 
+    // Eye of the Storm rune: the storm moves with the hero
+    if (this.rune?.follow && this.stormCenter && typeof this.params.player?.pos === "function") {
+      const p = this.params.player.pos();
+      this.stormCenter.x = p.x;
+      this.stormCenter.z = p.z;
+    }
+
     // Spawn new meteors over time if storm is still active
     if (currentTime < this.stormEndTime) {
       const deltaTime = currentTime - this.lastUpdateTime;
@@ -376,15 +401,7 @@ class MeteorStormEffect {
       while (this.accumulator >= spawnInterval) {
         this.accumulator -= spawnInterval;
         
-        // Pick a random impact position within storm radius
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * this.stormRadius;
-        const impactPos = new THREE.Vector3(
-          this.stormCenter.x + Math.cos(angle) * distance,
-          this.stormCenter.y,
-          this.stormCenter.z + Math.sin(angle) * distance
-        );
-        
+        const impactPos = this._pickImpactPos();
         this._spawnMeteor(impactPos, this.stormRadius);
       }
     }
@@ -458,6 +475,27 @@ class MeteorStormEffect {
     }
   }
 
+  /**
+   * Impact position for the next meteor: a random enemy in the storm with the Seeking rune,
+   * otherwise a random point within the storm radius
+   */
+  _pickImpactPos() {
+    if (this.rune?.seek) {
+      const inStorm = getEnemyIndex().queryRadius(this.stormCenter, this.stormRadius, (en) => en.alive);
+      if (inStorm.length) {
+        const p = inStorm[Math.floor(Math.random() * inStorm.length)].pos();
+        return new THREE.Vector3(p.x, this.stormCenter.y, p.z);
+      }
+    }
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.random() * this.stormRadius;
+    return new THREE.Vector3(
+      this.stormCenter.x + Math.cos(angle) * distance,
+      this.stormCenter.y,
+      this.stormCenter.z + Math.sin(angle) * distance
+    );
+  }
+
   /**
    * Cleanup all resources
    */
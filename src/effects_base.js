@@ -402,13 +402,42 @@ export class BaseEffects {
 
   // ===== DAMAGE POPUP =====
 
+  /**
+   * Floating damage number. `amount` is a number or a hit record from
+   * Entity.takeDamage ({ amount, crit, resisted, weak }): crits pop larger in
+   * gold with "!", resisted hits are smaller and grey, weaknesses get a "▲".
+   * Crits are never skipped on lower quality settings.
+   */
   spawnDamagePopup(worldPos, amount, color = "#ffe1e1") {
+    const hit = amount && typeof amount === "object" ? amount : null;
     const q = this.quality || "high";
-    if (q === "low" && Math.random() > 0.3) return;
-    if (q === "medium" && Math.random() > 0.6) return;
+    if (!hit?.crit) {
+      if (q === "low" && Math.random() > 0.3) return;
+      if (q === "medium" && Math.random() > 0.6) return;
+    }
     if (!worldPos) return;
 
-    const text = String(Math.floor(Number(amount) || amount));
+    if (!hit) {
+      this.spawnTextPopup(worldPos, String(Math.floor(Number(amount) || amount)), color);
+      return;
+    }
+    const n = Math.floor(Number(hit.amount) || 0);
+    if (hit.crit) {
+      this.spawnTextPopup(worldPos, `${n}!`, "#ffd24a", { scale: 1.45 });
+    } else if (hit.resisted) {
+      this.spawnTextPopup(worldPos, String(n), "#9aa3ad", { scale: 0.8 });
+    } else {
+      this.spawnTextPopup(worldPos, hit.weak ? `${n}▲` : String(n), color);
+    }
+  }
+
+  /**
+   * Floating text sprite above a world position (pickups, notices).
+   * Unlike damage popups this is never skipped on lower quality settings.
+   */
+  spawnTextPopup(worldPos, text, color = "#ffe1e1", { scale: sizeMul = 1 } = {}) {
+    if (!worldPos) return;
+    text = String(text);
     const w = 160;
     const h = 64;
     const c = document.createElement("canvas");
@@ -432,7 +461,7 @@ export class BaseEffects {
     const spr = new THREE.Sprite(mat);
 
     const scaleBase = 0.8;
-    const scale = scaleBase + Math.min(2.0, text.length * 0.08);
+    const scale = (scaleBase + Math.min(2.0, text.length * 0.08)) * sizeMul;
     spr.scale.set(scale * (w / 128), scale * (h / 64), 1);
     spr.position.set(worldPos.x, worldPos.y + 2.4, worldPos.z);
 
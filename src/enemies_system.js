@@ -1,13 +1,23 @@
 /**
  * Enemies System
  * - Updates enemy AI, movement, attacks, death/respawn, despawn, and HP bar billboarding.
+ * - Ticks each enemy's status effects (DoTs, slow via moveMul, stun skips AI).
+ * - Runs archetype behaviors (src/enemy_behaviors.js) before the default chase/attack.
+ * - Group tactics (src/enemy_tactics.js): flee to the group, kite, pack leaders, surround;
+ *   pluggable modules registered through getTactics().
+ * - Ranged attacks fire real projectiles (src/enemy_projectiles.js) that hit on contact.
+ * - Runs elite affixes (src/enemy_affixes.js): fire pools, shields, blinks, splitting;
+ *   respawned enemies reroll their affixes for the current endless depth.
+ * - Rebuilds the shared enemy spatial index (src/spatial_index.js) once per frame.
  * - Mobile culling: freezes enemies beyond a cull distance to save CPU on low-end devices.
  * - VFX gating: defers heavy effects based on performance tracker policy provided by main.
+ * - Dispatches an "enemy-killed" { archetype, tier, name, x, z } window event per kill.
  *
  * Public API:
  *   import { EnemiesSystem } from './enemies_system.js';
  *   const enemiesSystem = new EnemiesSystem(deps);
  *   enemiesSystem.update(dt, { aiStride, bbStride, bbOffset });
+ *   enemiesSystem.getTactics().register({ id, update(en, ctx) }) -> custom group tactic
  *
  * Module boundaries:
  * - No direct DOM access
@@ -16,6 +26,14 @@
  */
 
 import { THEME_COLORS } from "../config/index.js";
+import { ENEMY_ATTACK_TYPE } from "../config/combat.js";
+import { dealDamage, enemyCrit } from "./combat.js";
+import { applyStatuses } from "./status_effects.js";
+import { EnemyBehaviors } from "./enemy_behaviors.js";
+import { EliteAffixes, rollAffixes, affixDepth } from "./enemy_affixes.js";
+import { EnemyProjectiles } from "./enemy_projectiles.js";
+import { EnemyNavigation } from "./navigation.js";
+import { EnemyTactics } from "./enemy_tactics.js";
 
 export class EnemiesSystem {
   // Private fields for dependencies
@@ -39,6 +57,14 @@ export class EnemiesSystem {
   #shouldSpawnVfx;
   #applyMapModifiersToEnemy;
   #chunkMgr;
+  #lootSystem;
+  #EnemyClass;
+  #behaviors;
+  #affixes;
+  #projectiles;
+  #navigation;
+  #tactics;
+  #enemyIndex;
 
   // Private fields for reusable temp vectors
   #tempA;
@@ -74,6 +100,9 @@ export class EnemiesSystem {
     shouldSpawnVfx,
     applyMapModifiersToEnemy,
     chunkMgr,
+    lootSystem,
+    EnemyClass,
+    enemyIndex,
   }) {
     // Store all dependencies as private fields
     this.#THREE = THREE;
@@ -96,11 +125,61 @@ export class EnemiesSystem {
     this.#shouldSpawnVfx = shouldSpawnVfx;
     this.#applyMapModifiersToEnemy = applyMapModifiersToEnemy;
     this.#chunkMgr = chunkMgr;
+    this.#lootSystem = lootSystem;
+    this.#EnemyClass = EnemyClass;
+    this.#enemyIndex = enemyIndex;
 
     // Initialize reusable temps (avoid allocations in hot path)
     this.#tempA = new THREE.Vector3();
     this.#tempB = new THREE.Vector3();
     this.#tempC = new THREE.Vector3();
+
+    this.#behaviors = new EnemyBehaviors({
+      THREE,
+      now,
+      dir2D,
+      distance2D,
+      effects,
+      player,
+      index: enemyIndex,
+      move: (en, nx, nz) => this.#moveEnemyTo(en, nx, nz),
+    });
+
+    this.#affixes = new EliteAffixes({
+      THREE,
+      scene,
+      now,
+      distance2D,
+      effects,
+      player,
+      move: (en, nx, nz) => this.#moveEnemyTo(en, nx, nz),
+      spawn: (parent, pos, fx) => this.#spawnSplit(parent, pos, fx),
+    });
+
+    this.#projectiles = new EnemyProjectiles({
+      THREE,
+      scene,
+      player,
+      onHit: (en, dmg, pos) => this.#onProjectileHit(en, dmg, pos),
+    });
+
+    this.#tactics = new EnemyTactics({
+      now,
+      player,
+      index: enemyIndex,
+      distance2D,
+      WORLD,
+    });
+
+    const navCfg = WORLD.navigation || {};
+    this.#navigation = navCfg.enabled === false ? null : new EnemyNavigation({
+      now,
+      villages,
+      chunkMgr,
+      VILLAGE_POS,
+      REST_RADIUS,
+      config: navCfg,
+    });
   }
 
   /**
@@ -233,14 +312,43 @@ export class EnemiesSystem {
    * Process chase movement with collision avoidance
    * @private
    */
-  #processChaseMovement(en, dt) {
-    const v = this.#dir2D(en.pos(), this.#player.pos());
-    const spMul = en.slowUntil && this.#now() < en.slowUntil ? en.slowFactor || 0.5 : 1;
+  #processChaseMovement(en, dt, target = this.#player.pos(), speedMul = 1, facePos = null) {
+    const v = this.#steer(en, target);
+    if (v) {
+      const spMul = en.status.moveMul() * speedMul;
+
+      // Next tentative position
+      const nx = en.mesh.position.x + v.x * en.speed * spMul * dt;
+      const nz = en.mesh.position.z + v.z * en.speed * spMul * dt;
+      this.#moveEnemyTo(en, nx, nz);
+    }
 
-    // Next tentative position
-    let nx = en.mesh.position.x + v.x * en.speed * spMul * dt;
-    let nz = en.mesh.position.z + v.z * en.speed * spMul * dt;
+    // Face direction (the hero while fighting, else the way it walks)
+    const f = facePos ? this.#dir2D(en.pos(), facePos) : v;
+    if (!f) return;
+    const yaw = Math.atan2(f.x, f.z);
+    const q = new this.#THREE.Quaternion().setFromEuler(new this.#THREE.Euler(0, yaw, 0));
+    en.mesh.quaternion.slerp(q, 0.2);
+  }
 
+  /**
+   * Follow a group tactic intent (src/enemy_tactics.js): move toward its point,
+   * attacking on the way when it allows and the hero is in range
+   * @private
+   */
+  #processIntent(en, intent, toPlayer, dt) {
+    const ar = en.attackRange || this.#WORLD.aiAttackRange;
+    const inRange = intent.attack && toPlayer <= ar;
+    const facePos = inRange || intent.facePlayer ? this.#player.pos() : null;
+    this.#processChaseMovement(en, dt, intent, intent.speedMul || 1, facePos);
+    if (inRange) this.#processAttack(en);
+  }
+
+  /**
+   * Move an enemy to a tentative position, clamped by village fences and structures
+   * @private
+   */
+  #moveEnemyTo(en, nx, nz) {
     // Clamp to fences (origin village)
     const nextDistToVillage = Math.hypot(nx - this.#VILLAGE_POS.x, nz - this.#VILLAGE_POS.z);
     if (nextDistToVillage <= this.#REST_RADIUS - 0.25) {
@@ -255,11 +363,6 @@ export class EnemiesSystem {
         en.mesh.position.z = nz;
       }
     }
-    
-    // Face direction
-    const yaw = Math.atan2(v.x, v.z);
-    const q = new this.#THREE.Quaternion().setFromEuler(new this.#THREE.Euler(0, yaw, 0));
-    en.mesh.quaternion.slerp(q, 0.2);
   }
 
   /**
@@ -321,44 +424,57 @@ export class EnemiesSystem {
     const cd = en.attackCooldown || this.#WORLD.aiAttackCooldown;
     en.nextAttackReady = t + cd;
 
-    // Effect origin/target
+    // Damage is rolled at attack time (pack/coordinated bonuses); onAttack lets allies join in
+    const dmg = Math.max(1, Math.floor(en.attackDamage * this.#behaviors.attackDamageMul(en)));
+    this.#behaviors.onAttack(en);
+
+    if (en.attackEffect === "melee") {
+      // lightweight strike
+      try { this.#effects.spawnStrike(this.#player.pos(), 0.9, THEME_COLORS.themeAccent); } catch (_) {}
+      this.#hitPlayer(en, dmg);
+      return;
+    }
+
+    // Ranged: a real projectile aimed where the hero stands now; damage lands on contact
     const from = this.#tempA.copy(en.pos()).add(this.#tempB.set(0, 1.4, 0));
     const to = this.#tempC.copy(this.#player.pos()).add(this.#tempB.set(0, 1.2, 0));
+    from.y = to.y;
+    this.#projectiles.fire(en, from, to, dmg);
+  }
 
-    try {
-      if (en.attackEffect === "melee") {
-        // lightweight strike
-        try { this.#effects.spawnStrike(this.#player.pos(), 0.9, THEME_COLORS.themeAccent); } catch (_) {}
-      } else if (en.attackEffect === "fire") {
-        if (this.#shouldSpawnVfx && this.#shouldSpawnVfx("fire", from)) {
-          this.#effects.spawnProjectile(from.clone(), to.clone(), {
-            color: en.beamColor || THEME_COLORS.themeLightOrange,
-            size: 0.3,
-            speed: 20,
-            onComplete: (hitPos) => {
-              this.#effects.spawnHitDecal(hitPos, 0.8, THEME_COLORS.themeOrange);
-            }
-          });
-        }
-      } else {
-        // default ranged
-        if (this.#shouldSpawnVfx && this.#shouldSpawnVfx("largeBeam", from)) {
-          this.#effects.spawnProjectile(from.clone(), to.clone(), {
-            color: en.beamColor || THEME_COLORS.themeLightOrange,
-            size: 0.25,
-            speed: 22,
-            onComplete: (hitPos) => {
-              this.#effects.spawnHitDecal(hitPos, THEME_COLORS.themeOrange);
-            }
-          });
-        }
-      }
-    } catch (_) {}
-    
-    // Apply damage
-    this.#player.takeDamage(en.attackDamage);
+  /**
+   * A projectile reached the hero
+   * @private
+   */
+  #onProjectileHit(en, dmg, pos) {
+    if (this.#shouldSpawnVfx && this.#shouldSpawnVfx("fire", pos)) {
+      try { this.#effects.spawnHitDecal(pos, en.attackEffect === "fire" ? THEME_COLORS.themeOrange : en.beamColor); } catch (_) {}
+    }
+    this.#hitPlayer(en, dmg);
+  }
+
+  /**
+   * Apply an enemy attack to the hero (typed by archetype/kind, may crit, on-hit statuses, leech)
+   * @private
+   */
+  #hitPlayer(en, dmg) {
+    if (!this.#player.alive) return;
+    const hit = dealDamage(this.#player, dmg, { damageType: en.attackType || ENEMY_ATTACK_TYPE[en.kind], ...enemyCrit(en) });
+    if (hit && hit.amount > 0) applyStatuses(this.#player, en.onHit);
+    this.#affixes.onAttack(en, hit);
     try { this.#audio.sfx("player_hit"); } catch (_) {}
-    try { this.#effects.spawnDamagePopup(this.#player.pos(), en.attackDamage, THEME_COLORS.textWarm); } catch (_) {}
+    try { this.#effects.spawnDamagePopup(this.#player.pos(), hit || dmg, THEME_COLORS.textWarm); } catch (_) {}
+  }
+
+  /**
+   * Heading toward a target, routed around structures and village fences when navigation is on
+   * @private
+   * @returns {{x:number,z:number}|null} Normalized direction, or null when already at the (reachable) goal
+   */
+  #steer(en, target) {
+    if (!this.#navigation) return this.#dir2D(en.pos(), target);
+    const state = en.navState || (en.navState = {});
+    return this.#navigation.steer(en.pos(), target, { radius: en.radius || 1, state });
   }
 
   /**
@@ -375,29 +491,74 @@ export class EnemiesSystem {
     
     const d = this.#distance2D(en.pos(), en.moveTarget);
     if (d > 0.8) {
-      const v = this.#dir2D(en.pos(), en.moveTarget);
-      const spMul = en.slowUntil && this.#now() < en.slowUntil ? en.slowFactor || 0.5 : 1;
+      const v = this.#steer(en, en.moveTarget);
+      if (!v) return;
+      const spMul = en.status.moveMul();
       en.mesh.position.x += v.x * en.speed * spMul * 0.6 * dt;
       en.mesh.position.z += v.z * en.speed * spMul * 0.6 * dt;
     }
   }
 
+  /**
+   * One-shot kill rewards: XP, loot drop and respawn timer
+   * @private
+   */
+  #onEnemyKilled(en) {
+    try { this.#audio.sfx("enemy_die"); } catch (_) {}
+    en._xpGranted = true;
+    this.#player.gainXP(en.xpOnDeath);
+    try { this.#affixes.onDeath(en); } catch (_) {}
+    if (!en.noLoot) {
+      try { this.#lootSystem?.dropFromEnemy(en); } catch (_) {}
+    }
+    try {
+      const p = en.pos();
+      window.dispatchEvent(new CustomEvent("enemy-killed", {
+        detail: { archetype: en.archetype, tier: en.tier, name: en.name, x: p.x, z: p.z }
+      }));
+    } catch (_) {}
+    if (en.noRespawn) {
+      // Encounter enemies (bosses, adds) leave for good
+      try { this.#scene.remove(en.mesh); } catch (_) {}
+      en._despawned = true;
+      return;
+    }
+    en._respawnAt = this.#now() + (this.#WORLD.enemyRespawnDelay || 8);
+  }
+
+  /**
+   * Splitter affix: a smaller, weaker copy of a dead elite that never respawns
+   * @private
+   */
+  #spawnSplit(parent, pos, fx) {
+    if (!this.#EnemyClass) return;
+    const child = new this.#EnemyClass(pos, this.#player.level, { archetype: parent.archetype, tier: "normal" });
+    child.maxHP = Math.max(8, Math.floor(parent.maxHP * (fx.hpPct || 0.25)));
+    child.hp = child.maxHP;
+    child.attackDamage = Math.max(1, Math.floor(parent.attackDamage * (fx.hpPct || 0.25) * 2));
+    child.xpOnDeath = Math.max(1, Math.floor(child.maxHP / 10));
+    child.mesh.scale.multiplyScalar(fx.scale || 0.65);
+    child.noLoot = true;
+    child.noRespawn = true;
+    try { this.#applyMapModifiersToEnemy && this.#applyMapModifiersToEnemy(child); } catch (_) {}
+    child.mesh.userData.enemyRef = child;
+    this.#scene.add(child.mesh);
+    this.#enemies.push(child);
+  }
+
   /**
    * Handle enemy death and respawn
    * @private
    */
   #handleDeathAndRespawn(en) {
     if (!en._xpGranted) {
-      try { this.#audio.sfx("enemy_die"); } catch (_) {}
-      en._xpGranted = true;
-      this.#player.gainXP(en.xpOnDeath);
-      en._respawnAt = this.#now() + (this.#WORLD.enemyRespawnDelay || 8);
+      this.#onEnemyKilled(en);
     }
     
     // Handle respawn to maintain enemy density
     if (en._respawnAt && this.#now() >= en._respawnAt) {
       const pos = this.#randomEnemySpawnPos();
-      en.respawn(pos, this.#player.level);
+      en.respawn(pos, this.#player.level, { affixes: rollAffixes(en.tier, affixDepth(this.#mapManager)) });
       try { 
         this.#applyMapModifiersToEnemy && this.#applyMapModifiersToEnemy(en); 
       } catch (_) {}
@@ -421,6 +582,14 @@ export class EnemiesSystem {
     // Mobile: periodic culling update
     this.#updateMobileCulling();
 
+    // Spatial index for this frame's enemy queries (AI, targeting, area damage, spawner)
+    this.#enemyIndex.rebuild(this.#enemies);
+
+    // Molten fire pools and enemy projectiles in flight
+    this.#navigation?.update();
+    this.#affixes.updateHazards();
+    this.#projectiles.update(dt);
+
     // Main enemy loop
     for (let i = 0; i < this.#enemies.length; i++) {
       const en = this.#enemies[i];
@@ -464,11 +633,28 @@ export class EnemiesSystem {
       // ALWAYS enforce structure protection zones
       this.#enforceStructureProtection(en);
 
-      // Process AI behavior
-      if (toPlayer < this.#WORLD.aiAggroRadius) {
-        this.#processChaseAndAttack(en, toPlayer, dt);
-      } else {
-        this.#processWander(en, dt);
+      // Status effects: DoT ticks, expiry
+      const dotDmg = en.status.update();
+      if (dotDmg > 0) {
+        try { this.#effects.spawnDamagePopup(en.pos(), dotDmg, THEME_COLORS.themeOrange); } catch (_) {}
+      }
+
+      // Process AI behavior (stunned enemies neither move nor attack)
+      if (en.alive && en.status.isStunned()) {
+        this.#behaviors.interrupt(en);
+      } else if (en.alive) {
+        // Elite affixes run alongside the archetype behavior
+        this.#affixes.update(en, toPlayer, dt);
+        let intent = null;
+        if (this.#behaviors.update(en, toPlayer, dt)) {
+          // Archetype behavior (dive, slam, channel) drove this frame
+        } else if ((intent = this.#tactics.update(en, toPlayer))) {
+          this.#processIntent(en, intent, toPlayer, dt);
+        } else if (toPlayer < this.#WORLD.aiAggroRadius) {
+          this.#processChaseAndAttack(en, toPlayer, dt);
+        } else {
+          this.#processWander(en, dt);
+        }
       }
 
       // keep y at fixed height
@@ -479,10 +665,7 @@ export class EnemiesSystem {
 
       // Death handling (duplicate-guard)
       if (!en.alive && !en._xpGranted) {
-        try { this.#audio.sfx("enemy_die"); } catch (_) {}
-        en._xpGranted = true;
-        this.#player.gainXP(en.xpOnDeath);
-        en._respawnAt = this.#now() + (this.#WORLD.enemyRespawnDelay || 8);
+        this.#onEnemyKilled(en);
       }
 
       // Throttled billboarding
@@ -500,6 +683,14 @@ export class EnemiesSystem {
     }
   }
 
+  /**
+   * Group tactics registry (flee, kite, pack, surround + custom modules)
+   * @returns {EnemyTactics}
+   */
+  getTactics() {
+    return this.#tactics;
+  }
+
   /**
    * Get frozen enemies set (for debugging/profiling)
    * @returns {Set} Set of frozen enemy references
@@ -0,0 +1,252 @@
+/**
+ * Enemy Affixes
+ * - Diablo-style elite modifiers (config/affixes.js) rolled for elite/boss tiers
+ *   by the spawner and on Enemy.respawn; the pool widens with endless depth.
+ * - Stat affixes are folded into the enemy by Enemy.setAffixes; this module runs
+ *   the stateful ones: vampiric leech, molten fire pools, shielding, teleporting
+ *   and splitting on death.
+ * - Per-enemy runtime state lives on `en.affixState` (reset by setAffixes).
+ *
+ * Public API:
+ *   rollAffixes(tier, depth?, rng?)     -> affix ids for a new spawn
+ *   affixDepth(mapManager)              -> current endless depth (0 on Acts)
+ *   affixModifiers(ids)                 -> combined { ids, speedMul, attackCooldownMul, hpMul, damageMul,
+ *                                          scale, resist, onHit, effects, names } (unknown ids skipped)
+ *   const affixes = new EliteAffixes(deps);
+ *   affixes.update(en, toPlayer, dt)    -> per AI tick (pools, shields, blinks)
+ *   affixes.updateHazards()             -> per frame (fire pool damage/expiry)
+ *   affixes.onAttack(en, hit)           -> after a regular attack (vampiric)
+ *   affixes.onDeath(en)                 -> once on kill (molten burst, splitter)
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected (EnemiesSystem owns the instance)
+ */
+
+import { ELITE_AFFIXES, AFFIX_ROLL } from "../config/affixes.js";
+import { dealDamage } from "./combat.js";
+import { applyStatus } from "./status_effects.js";
+import { createTelegraphMesh } from "./meshes.js";
+
+const POOL_TICK = 0.5; // seconds between fire pool hits on the hero
+const MAX_POOLS = 30;
+
+export function rollAffixes(tier, depth = 0, rng = Math.random) {
+  const range = AFFIX_ROLL.tiers[tier];
+  if (!range) return [];
+  const [min, max] = range;
+  const d = Math.max(0, depth || 0);
+  const extra = Math.min(AFFIX_ROLL.maxExtra || 0, Math.floor(d / (AFFIX_ROLL.depthStep || 1)));
+  const count = min + Math.floor(rng() * (max - min + 1)) + extra;
+
+  let pool = Object.keys(ELITE_AFFIXES).filter((id) => (ELITE_AFFIXES[id].minDepth || 0) <= d);
+  const out = [];
+  while (out.length < count && pool.length) {
+    const id = pool[Math.floor(rng() * pool.length)];
+    out.push(id);
+    const excludes = ELITE_AFFIXES[id].excludes || [];
+    pool = pool.filter((p) => p !== id && !excludes.includes(p) && !(ELITE_AFFIXES[p].excludes || []).includes(id));
+  }
+  return out;
+}
+
+export function affixDepth(mapManager) {
+  try {
+    return mapManager?.getCurrent?.()?._endlessDepth || 0;
+  } catch (_) {
+    return 0;
+  }
+}
+
+export function affixModifiers(ids = []) {
+  const out = { ids: [], speedMul: 1, attackCooldownMul: 1, hpMul: 1, damageMul: 1, scale: 1, resist: {}, onHit: [], effects: [], names: [] };
+  for (const id of ids) {
+    const def = ELITE_AFFIXES[id];
+    if (!def) continue;
+    const s = def.stats || {};
+    out.speedMul *= s.speedMul || 1;
+    out.attackCooldownMul *= s.attackCooldownMul || 1;
+    out.hpMul *= s.hpMul || 1;
+    out.damageMul *= s.damageMul || 1;
+    out.scale *= s.scale || 1;
+    for (const [type, v] of Object.entries(s.resist || {})) out.resist[type] = (out.resist[type] || 0) + v;
+    if (def.onHit) out.onHit.push(...def.onHit);
+    if (def.effect) out.effects.push(def.effect);
+    out.ids.push(id);
+    out.names.push(def.name);
+  }
+  return out;
+}
+
+export class EliteAffixes {
+  #THREE;
+  #scene;
+  #now;
+  #distance2D;
+  #effects;
+  #player;
+  #move;
+  #spawn;
+
+  #pools = []; // [{ mesh, x, z, radius, until, damage }]
+  #nextPoolHitAt = 0;
+
+  constructor({ THREE, scene, now, distance2D, effects, player, move, spawn }) {
+    this.#THREE = THREE;
+    this.#scene = scene;
+    this.#now = now;
+    this.#distance2D = distance2D;
+    this.#effects = effects;
+    this.#player = player;
+    this.#move = move;
+    this.#spawn = spawn;
+  }
+
+  update(en, toPlayer, dt) {
+    const list = en.affixEffects;
+    if (!list || !list.length) return;
+    const st = en.affixState || (en.affixState = {});
+    const t = this.#now();
+    for (const fx of list) {
+      switch (fx.type) {
+        case "molten":
+          this.#dropPool(en, fx, st, t, toPlayer);
+          break;
+        case "shielding":
+          this.#shield(en, fx, st, t, toPlayer);
+          break;
+        case "teleport":
+          this.#teleport(en, fx, st, t, toPlayer);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  updateHazards() {
+    if (!this.#pools.length) return;
+    const t = this.#now();
+    const p = this.#player.pos();
+    let hit = null;
+    for (let i = this.#pools.length - 1; i >= 0; i--) {
+      const pool = this.#pools[i];
+      if (t >= pool.until) {
+        this.#removePoolAt(i);
+        continue;
+      }
+      // Fade out over the last second
+      try { pool.mesh.fill.material.opacity = 0.35 * Math.min(1, pool.until - t); } catch (_) {}
+      if (!hit && Math.hypot(p.x - pool.x, p.z - pool.z) <= pool.radius) hit = pool;
+    }
+    // Overlapping pools do not stack: one hit per tick
+    if (!hit || !this.#player.alive || t < this.#nextPoolHitAt) return;
+    this.#nextPoolHitAt = t + POOL_TICK;
+    const res = dealDamage(this.#player, hit.damage, { damageType: "fire" });
+    try { this.#effects.spawnDamagePopup(p, res || hit.damage, "#ffb36b"); } catch (_) {}
+  }
+
+  onAttack(en, hit) {
+    if (!hit || !(hit.amount > 0)) return;
+    for (const fx of en.affixEffects || []) {
+      if (fx.type !== "vampiric" || !en.alive) continue;
+      const heal = Math.min(en.maxHP - en.hp, Math.floor(hit.amount * (fx.leechPct || 0)));
+      if (heal <= 0) continue;
+      en.hp += heal;
+      try { this.#effects.spawnTextPopup?.(en.pos(), `+${heal}`, "#ff5a6e"); } catch (_) {}
+    }
+  }
+
+  onDeath(en) {
+    for (const fx of en.affixEffects || []) {
+      if (fx.type === "molten") this.#moltenBurst(en, fx);
+      else if (fx.type === "splitter") this.#split(en, fx);
+    }
+  }
+
+  // ---- affixes ----
+
+  #dropPool(en, fx, st, t, toPlayer) {
+    if (toPlayer > (fx.range || 30) || t < (st.nextPoolAt || 0)) return;
+    st.nextPoolAt = t + (fx.interval || 1.6);
+    if (this.#pools.length >= MAX_POOLS) this.#removePoolAt(0);
+    const radius = fx.radius || 2.4;
+    const p = en.pos();
+    let mesh = null;
+    try {
+      mesh = createTelegraphMesh({ shape: "circle", radius, color: 0xff5a1f });
+      mesh.setProgress(1);
+      mesh.position.set(p.x, 0, p.z);
+      this.#scene.add(mesh);
+    } catch (_) {}
+    this.#pools.push({
+      mesh,
+      x: p.x,
+      z: p.z,
+      radius,
+      until: t + (fx.duration || 5),
+      damage: Math.max(1, Math.floor(en.attackDamage * (fx.dps || 0.35) * POOL_TICK)),
+    });
+  }
+
+  #shield(en, fx, st, t, toPlayer) {
+    if (toPlayer > (fx.range || 16) || t < (st.nextShieldAt || 0)) return;
+    st.nextShieldAt = t + (fx.cooldown || 9);
+    const duration = fx.duration || 2.5;
+    if (!applyStatus(en, "invulnerable", { duration })) return;
+    try { this.#effects.spawnShield(en, 0xffffff, duration, 1.7 * en.mesh.scale.x); } catch (_) {}
+  }
+
+  #teleport(en, fx, st, t, toPlayer) {
+    if (!this.#player.alive || toPlayer < (fx.minRange || 8) || toPlayer > (fx.range || 30)) return;
+    if (t < (st.nextTeleportAt || 0)) return;
+    st.nextTeleportAt = t + (fx.cooldown || 6);
+    const from = en.pos().clone();
+    const p = this.#player.pos();
+    const ang = Math.random() * Math.PI * 2;
+    const off = fx.offset || 2.5;
+    this.#move(en, p.x + Math.cos(ang) * off, p.z + Math.sin(ang) * off);
+    // Short grace so the blink itself is readable before the hit lands
+    en.nextAttackReady = Math.max(en.nextAttackReady || 0, t + 0.5);
+    try {
+      this.#effects.spawnRing(from, 1.6, 0xc070ff, 0.35, 0.4, 0.6);
+      this.#effects.spawnRing(en.pos(), 1.6, 0xc070ff, 0.35, 0.4, 0.6);
+    } catch (_) {}
+  }
+
+  #moltenBurst(en, fx) {
+    const radius = fx.deathRadius || 5;
+    try {
+      this.#effects.spawnRing(en.pos(), radius, 0xff5a1f, 0.5, 0.8, 0.7);
+      this.#effects.spawnImpact(en.pos(), radius * 0.6, 0xff5a1f, 1.2);
+    } catch (_) {}
+    if (!this.#player.alive || this.#distance2D(en.pos(), this.#player.pos()) > radius) return;
+    const amount = Math.max(1, Math.floor(en.attackDamage * (fx.deathDamageMul || 1)));
+    const hit = dealDamage(this.#player, amount, { damageType: "fire" });
+    try { this.#effects.spawnDamagePopup(this.#player.pos(), hit || amount, "#ffb36b"); } catch (_) {}
+  }
+
+  #split(en, fx) {
+    if (typeof this.#spawn !== "function") return;
+    const count = fx.count || 3;
+    const p = en.pos();
+    for (let i = 0; i < count; i++) {
+      const ang = (i / count) * Math.PI * 2 + Math.random() * 0.5;
+      const pos = new this.#THREE.Vector3(p.x + Math.cos(ang) * 2, p.y, p.z + Math.sin(ang) * 2);
+      try { this.#spawn(en, pos, fx); } catch (_) {}
+    }
+  }
+
+  #removePoolAt(i) {
+    const pool = this.#pools[i];
+    this.#pools.splice(i, 1);
+    if (!pool || !pool.mesh) return;
+    try {
+      this.#scene.remove(pool.mesh);
+      pool.mesh.traverse((o) => {
+        o.geometry?.dispose?.();
+        o.material?.dispose?.();
+      });
+    } catch (_) {}
+  }
+}
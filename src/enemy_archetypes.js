@@ -0,0 +1,26 @@
+/**
+ * src/enemy_archetypes.js
+ *
+ * Lookup and spawn selection for the data-driven enemy archetypes in
+ * config/enemies.js. Each Act lists its signature archetypes in config/map.js
+ * (MAPS[].archetypes); spawns mix those with the base kinds.
+ *
+ * Public API:
+ *   getArchetype(id)          -> archetype definition (falls back to "brute")
+ *   pickArchetype(map, rng?)  -> archetype id for a new spawn on that map
+ */
+
+import { ENEMY_ARCHETYPES, BASE_ARCHETYPES, ARCHETYPE_SPAWN } from "../config/enemies.js";
+
+export function getArchetype(id) {
+  return ENEMY_ARCHETYPES[id] || ENEMY_ARCHETYPES.brute;
+}
+
+export function pickArchetype(map = null, rng = Math.random) {
+  const signature = (map?.archetypes || []).filter((id) => ENEMY_ARCHETYPES[id]);
+  const chance = map?.signatureChance ?? ARCHETYPE_SPAWN.signatureChance;
+  if (signature.length && rng() < chance) {
+    return signature[Math.floor(rng() * signature.length)];
+  }
+  return BASE_ARCHETYPES[Math.floor(rng() * BASE_ARCHETYPES.length)];
+}
@@ -0,0 +1,237 @@
+/**
+ * Enemy Behaviors
+ * - Signature mechanics for enemy archetypes (config/enemies.js `behavior`):
+ *   pack hunting, regenerating shields, dives, support healing, coordinated
+ *   strikes, telegraphed slams and channeled beams.
+ * - Per-enemy runtime state lives on `en.behaviorState` (reset on respawn).
+ * - Ally scans (pack, support, coordinated) go through the shared enemy spatial index.
+ *
+ * Public API:
+ *   const behaviors = new EnemyBehaviors(deps);
+ *   behaviors.update(en, toPlayer, dt) -> true when the behavior drove this frame
+ *                                         (skip the default chase/attack)
+ *   behaviors.attackDamageMul(en)      -> multiplier for the regular attack
+ *   behaviors.onAttack(en)             -> after a regular attack (coordinated allies join in)
+ *   behaviors.interrupt(en)            -> cancel dives/windups/channels (stun)
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected (EnemiesSystem owns the instance)
+ */
+
+import { THEME_COLORS } from "../config/index.js";
+import { dealDamage, enemyCrit } from "./combat.js";
+import { applyStatus, applyStatuses } from "./status_effects.js";
+
+export class EnemyBehaviors {
+  #THREE;
+  #now;
+  #dir2D;
+  #distance2D;
+  #effects;
+  #player;
+  #index;
+  #move;
+
+  constructor({ THREE, now, dir2D, distance2D, effects, player, index, move }) {
+    this.#THREE = THREE;
+    this.#now = now;
+    this.#dir2D = dir2D;
+    this.#distance2D = distance2D;
+    this.#effects = effects;
+    this.#player = player;
+    this.#index = index;
+    this.#move = move;
+  }
+
+  update(en, toPlayer, dt) {
+    const b = en.behavior;
+    if (!b) return false;
+    const st = en.behaviorState || (en.behaviorState = {});
+    const t = this.#now();
+
+    switch (b.type) {
+      case "shield":
+        this.#regenShield(en, b, t, dt);
+        return false;
+      case "support":
+        this.#support(en, b, st, t);
+        return false;
+      case "dive":
+        return this.#dive(en, b, st, t, toPlayer, dt);
+      case "slam":
+        return this.#slam(en, b, st, t, toPlayer);
+      case "channel":
+        return this.#channel(en, b, st, t, toPlayer);
+      default:
+        return false;
+    }
+  }
+
+  attackDamageMul(en) {
+    const b = en.behavior;
+    if (!b) return 1;
+    const t = this.#now();
+    if (b.type === "pack") {
+      const n = this.#countAllies(en, b.radius, () => true);
+      return 1 + Math.min(b.maxAllies || 0, n) * (b.dmgPerAlly || 0);
+    }
+    if (b.type === "coordinated") {
+      const n = this.#countAllies(en, b.radius, (a) => t - (a.behaviorState?.lastAttackAt || -Infinity) <= b.window);
+      return 1 + Math.min(b.maxAllies || 0, n) * (b.dmgPerAlly || 0);
+    }
+    return 1;
+  }
+
+  onAttack(en) {
+    const b = en.behavior;
+    if (!b || b.type !== "coordinated") return;
+    const t = this.#now();
+    (en.behaviorState || (en.behaviorState = {})).lastAttackAt = t;
+    // Nearby templars answer the first strike instead of waiting for their own cooldown
+    for (const a of this.#allies(en, b.radius)) {
+      if (t - (a.behaviorState?.lastAttackAt || -Infinity) > b.window) {
+        a.nextAttackReady = Math.min(a.nextAttackReady || 0, t);
+      }
+    }
+  }
+
+  interrupt(en) {
+    const st = en.behaviorState;
+    if (!st) return;
+    st.diveUntil = 0;
+    st.windupUntil = 0;
+    st.channelUntil = 0;
+  }
+
+  // ---- behaviors ----
+
+  #regenShield(en, b, t, dt) {
+    if (en.maxShield <= 0 || en.shield >= en.maxShield) return;
+    if (t - (en.lastDamagedAt || 0) < (b.regenDelay || 0)) return;
+    en.shield = Math.min(en.maxShield, en.shield + en.maxShield * (b.regenRate || 0) * dt);
+  }
+
+  #support(en, b, st, t) {
+    if (t < (st.nextHealAt || 0)) return;
+    st.nextHealAt = t + (b.interval || 3);
+    let target = null;
+    let lowest = 1;
+    for (const a of this.#allies(en, b.radius, { includeSelf: true, anyKind: true })) {
+      const ratio = a.hp / a.maxHP;
+      if (ratio < lowest) {
+        lowest = ratio;
+        target = a;
+      }
+    }
+    if (!target) return;
+    const amount = Math.max(1, Math.floor(target.maxHP * (b.healPct || 0)));
+    target.hp = Math.min(target.maxHP, target.hp + amount);
+    try {
+      this.#effects.spawnBeam(this.#lift(en.pos(), 1.4), this.#lift(target.pos(), 1.2), 0x7bd13f, 0.25);
+      this.#effects.spawnRing(target.pos(), 1.4, 0x7bd13f, 0.4, 0.3, 0.6);
+    } catch (_) {}
+  }
+
+  #dive(en, b, st, t, toPlayer, dt) {
+    if (st.diveUntil > t) {
+      const d = this.#distance2D(en.pos(), st.diveTarget);
+      const step = en.speed * (b.speedMul || 4) * dt;
+      if (d > step) {
+        const v = this.#dir2D(en.pos(), st.diveTarget);
+        this.#move(en, en.mesh.position.x + v.x * step, en.mesh.position.z + v.z * step);
+        return true;
+      }
+      // Landed: hit everything around the impact point
+      st.diveUntil = 0;
+      try { this.#effects.spawnRing(en.pos(), b.radius, en.beamColor, 0.35, 0.5, 0.6); } catch (_) {}
+      if (this.#player.alive && this.#distance2D(en.pos(), this.#player.pos()) <= b.radius) {
+        this.#hitPlayer(en, en.attackDamage * (b.damageMul || 1));
+      }
+      en.nextAttackReady = t + (en.attackCooldown || 1);
+      return true;
+    }
+    if (t < (st.nextDiveAt || 0) || !this.#player.alive) return false;
+    if (toPlayer < b.minRange || toPlayer > b.range) return false;
+
+    st.nextDiveAt = t + (b.cooldown || 6);
+    st.diveUntil = t + (b.duration || 0.7);
+    st.diveTarget = this.#player.pos().clone();
+    // Telegraph the landing spot
+    try { this.#effects.spawnRing(st.diveTarget, b.radius, 0xff4444, b.duration || 0.7, 0.3, 0.45); } catch (_) {}
+    return true;
+  }
+
+  #slam(en, b, st, t, toPlayer) {
+    if (st.windupUntil) {
+      if (t < st.windupUntil) return true;
+      st.windupUntil = 0;
+      try {
+        this.#effects.spawnRing(en.pos(), b.radius, en.beamColor, 0.45, 0.9, 0.7);
+        this.#effects.spawnStrike(en.pos(), b.radius * 0.5, en.beamColor);
+      } catch (_) {}
+      if (this.#player.alive && this.#distance2D(en.pos(), this.#player.pos()) <= b.radius) {
+        const hit = this.#hitPlayer(en, en.attackDamage * (b.damageMul || 1));
+        if (hit && hit.amount > 0 && b.stun > 0) applyStatus(this.#player, "stun", { duration: b.stun });
+      }
+      en.nextAttackReady = t + (en.attackCooldown || 1);
+      return true;
+    }
+    if (t < (st.nextSlamAt || 0) || !this.#player.alive) return false;
+    if (toPlayer > b.radius * 0.6) return false;
+
+    st.nextSlamAt = t + (b.cooldown || 7);
+    st.windupUntil = t + (b.windup || 1);
+    // Telegraph the danger zone for the whole windup
+    try { this.#effects.spawnRing(en.pos(), b.radius, 0xff4444, b.windup || 1, 0.25, 0.35); } catch (_) {}
+    return true;
+  }
+
+  #channel(en, b, st, t, toPlayer) {
+    if (st.channelUntil) {
+      if (t >= st.channelUntil || !this.#player.alive || toPlayer > b.range * 1.2) {
+        st.channelUntil = 0;
+        en.nextAttackReady = t + (en.attackCooldown || 1);
+        return false;
+      }
+      if (t >= (st.nextTickAt || 0)) {
+        st.nextTickAt = t + (b.tick || 0.25);
+        this.#hitPlayer(en, en.attackDamage * (b.tickDamageMul || 0.3));
+        try {
+          this.#effects.spawnBeam(this.#lift(en.pos(), 1.4), this.#lift(this.#player.pos(), 1.2), en.beamColor, b.tick || 0.25);
+        } catch (_) {}
+      }
+      return true;
+    }
+    if (t < (st.nextChannelAt || 0) || !this.#player.alive || toPlayer > b.range) return false;
+
+    st.nextChannelAt = t + (b.cooldown || 8);
+    st.channelUntil = t + (b.duration || 2.5);
+    st.nextTickAt = t;
+    return true;
+  }
+
+  // ---- helpers ----
+
+  #hitPlayer(en, amount) {
+    const hit = dealDamage(this.#player, Math.max(1, Math.floor(amount)), { damageType: en.attackType, ...enemyCrit(en) });
+    if (hit && hit.amount > 0) applyStatuses(this.#player, en.onHit);
+    try { this.#effects.spawnDamagePopup(this.#player.pos(), hit || amount, THEME_COLORS.textWarm); } catch (_) {}
+    return hit;
+  }
+
+  /** Living enemies of the same archetype (or any, with anyKind) within radius */
+  #allies(en, radius, { includeSelf = false, anyKind = false } = {}) {
+    return this.#index.queryRadius(en.pos(), radius, (a) => (a === en ? includeSelf : anyKind || a.archetype === en.archetype));
+  }
+
+  #countAllies(en, radius, pred) {
+    let n = 0;
+    for (const a of this.#allies(en, radius)) if (pred(a)) n++;
+    return n;
+  }
+
+  #lift(pos, y) {
+    return new this.#THREE.Vector3(pos.x, pos.y + y, pos.z);
+  }
+}
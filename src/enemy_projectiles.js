@@ -0,0 +1,127 @@
+/**
+ * Enemy Projectiles
+ * - Real shots for ranged enemies (archers, shockers, casters): they travel at
+ *   a fixed speed toward where the hero stood when fired and only deal damage
+ *   on contact with the hero's radius, so side-stepping or dodging avoids them.
+ * - Tuning per attackEffect in config/combat.js (ENEMY_PROJECTILES).
+ * - The hero passes through shots while invulnerable (dodge i-frames).
+ *
+ * Public API:
+ *   const projectiles = new EnemyProjectiles({ THREE, scene, player, onHit });
+ *   projectiles.fire(en, from, to, damage)  -> launch a shot (from/to: Vector3)
+ *   projectiles.update(dt)                  -> move, collide (onHit(en, damage, pos)), expire
+ *   projectiles.clear()                     -> remove all shots
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected (EnemiesSystem owns the instance and resolves hits)
+ */
+
+import { ENEMY_PROJECTILES } from "../config/combat.js";
+
+const MAX_PROJECTILES = 80;
+
+export class EnemyProjectiles {
+  #THREE;
+  #scene;
+  #player;
+  #onHit;
+
+  #list = []; // [{ mesh, en, damage, dx, dz, speed, radius, traveled, maxDist }]
+  #geometries = new Map(); // size -> shared SphereGeometry
+
+  constructor({ THREE, scene, player, onHit }) {
+    this.#THREE = THREE;
+    this.#scene = scene;
+    this.#player = player;
+    this.#onHit = onHit;
+  }
+
+  fire(en, from, to, damage) {
+    const cfg = ENEMY_PROJECTILES[en.attackEffect] || ENEMY_PROJECTILES.beam;
+    let dx = to.x - from.x;
+    let dz = to.z - from.z;
+    const len = Math.hypot(dx, dz);
+    if (len < 1e-4) {
+      // Point blank: hit immediately
+      this.#onHit?.(en, damage, this.#player.pos());
+      return;
+    }
+    dx /= len;
+    dz /= len;
+    if (this.#list.length >= MAX_PROJECTILES) this.#removeAt(0);
+
+    const THREE = this.#THREE;
+    const color = en.beamColor || 0xffb366;
+    const mesh = new THREE.Mesh(
+      this.#geometry(cfg.size),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.95, blending: THREE.AdditiveBlending, depthWrite: false })
+    );
+    mesh.position.set(from.x, from.y, from.z);
+    this.#scene.add(mesh);
+
+    this.#list.push({
+      mesh,
+      en,
+      damage,
+      dx,
+      dz,
+      speed: cfg.speed,
+      radius: cfg.radius,
+      traveled: 0,
+      maxDist: Math.max(len, (en.attackRange || len) * (cfg.rangeMul || 1.4)),
+    });
+  }
+
+  update(dt) {
+    if (!this.#list.length) return;
+    const player = this.#player;
+    const p = player.pos();
+    const canHit = player.alive && !player.status?.isInvulnerable?.();
+    for (let i = this.#list.length - 1; i >= 0; i--) {
+      const s = this.#list[i];
+      const pos = s.mesh.position;
+      const step = Math.min(s.speed * dt, s.maxDist - s.traveled);
+
+      // Swept test along this frame's segment so fast shots cannot tunnel through the hero
+      if (canHit) {
+        const along = Math.max(0, Math.min(step, (p.x - pos.x) * s.dx + (p.z - pos.z) * s.dz));
+        const cx = pos.x + s.dx * along;
+        const cz = pos.z + s.dz * along;
+        if (Math.hypot(p.x - cx, p.z - cz) <= (player.radius || 1) + s.radius) {
+          pos.set(cx, pos.y, cz);
+          this.#onHit?.(s.en, s.damage, pos.clone());
+          this.#removeAt(i);
+          continue;
+        }
+      }
+
+      pos.x += s.dx * step;
+      pos.z += s.dz * step;
+      s.traveled += step;
+      if (s.traveled >= s.maxDist) this.#removeAt(i);
+    }
+  }
+
+  clear() {
+    for (let i = this.#list.length - 1; i >= 0; i--) this.#removeAt(i);
+  }
+
+  #geometry(size) {
+    let geo = this.#geometries.get(size);
+    if (!geo) {
+      geo = new this.#THREE.SphereGeometry(size, 10, 8);
+      this.#geometries.set(size, geo);
+    }
+    return geo;
+  }
+
+  #removeAt(i) {
+    const s = this.#list[i];
+    this.#list.splice(i, 1);
+    try {
+      this.#scene.remove(s.mesh);
+      s.mesh.material.dispose();
+    } catch (_) {}
+  }
+}
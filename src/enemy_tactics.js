@@ -0,0 +1,232 @@
+/**
+ * Enemy Tactics
+ * - Group AI layered on top of the default aggro -> chase -> attack / wander loop:
+ *   wounded enemies flee back to their group, ranged enemies kite, elite/boss pack
+ *   leaders pull their followers along, melee enemies spread around the hero.
+ * - Each tactic is a pluggable module `{ id, update(en, ctx) -> intent | null }`;
+ *   modules run in priority order (config/tactics.js ENEMY_TACTICS.order) and the
+ *   first intent wins. EnemiesSystem moves the enemy toward the intent (through
+ *   navigation) and attacks when `attack` is set and the hero is in range.
+ *     intent: { x, z, speedMul?, attack?, facePlayer? }
+ *     ctx:    { t, toPlayer, attackRange, aggroRadius, player, playerPos, index, distance2D, state }
+ * - Per-enemy runtime state lives on `en.tacticState` (reset on respawn).
+ *
+ * Public API:
+ *   const tactics = new EnemyTactics(deps);
+ *   tactics.update(en, toPlayer)     -> intent for this AI tick, or null (default AI)
+ *   tactics.register(module)         -> add, or replace the module with the same id (lowest priority when new)
+ *   tactics.unregister(id)
+ *   tactics.list()                   -> module ids in priority order
+ *   fleeTactic(cfg) / kiteTactic(cfg) / packTactic(cfg) / surroundTactic(cfg) -> built-in modules
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected (EnemiesSystem owns the instance)
+ */
+
+import { ENEMY_TACTICS } from "../config/tactics.js";
+
+const TAU = Math.PI * 2;
+
+function wrapAngle(a) {
+  while (a > Math.PI) a -= TAU;
+  while (a < -Math.PI) a += TAU;
+  return a;
+}
+
+function usable(en) {
+  return en && en.alive && !en._despawned;
+}
+
+export function fleeTactic(cfg) {
+  const exempt = cfg.exemptTiers || [];
+  return {
+    id: "flee",
+    update(en, ctx) {
+      const st = ctx.state;
+      if (st.fleeUntil) {
+        if (ctx.t >= st.fleeUntil || ctx.distance2D(en.pos(), st.fleeTo) <= (cfg.regroupDist || 4)) {
+          st.fleeUntil = 0;
+          return null;
+        }
+        return { x: st.fleeTo.x, z: st.fleeTo.z, speedMul: cfg.speedMul || 1 };
+      }
+      if (exempt.includes(en.tier) || ctx.t < (st.nextFleeAt || 0)) return null;
+      if (ctx.toPlayer >= ctx.aggroRadius || en.hp > en.maxHP * (cfg.hpPct || 0)) return null;
+
+      // Only allies farther from the hero count as the group to fall back on
+      const p = ctx.playerPos;
+      const allies = ctx.index.queryRadius(
+        en.pos(),
+        cfg.groupRadius || 35,
+        (a) => a !== en && !a.tacticState?.fleeUntil && ctx.distance2D(a.pos(), p) > ctx.toPlayer
+      );
+      if (allies.length < (cfg.minAllies || 1)) return null;
+      let x = 0;
+      let z = 0;
+      for (const a of allies) {
+        const ap = a.pos();
+        x += ap.x;
+        z += ap.z;
+      }
+      st.fleeTo = { x: x / allies.length, z: z / allies.length };
+      st.fleeUntil = ctx.t + (cfg.duration || 4);
+      st.nextFleeAt = ctx.t + (cfg.cooldown || 12);
+      return { x: st.fleeTo.x, z: st.fleeTo.z, speedMul: cfg.speedMul || 1 };
+    },
+  };
+}
+
+export function kiteTactic(cfg) {
+  return {
+    id: "kite",
+    update(en, ctx) {
+      if (en.attackEffect === "melee" || !ctx.player.alive) return null;
+      if (ctx.toPlayer >= ctx.attackRange * (cfg.minRangePct || 0.45)) return null;
+      const p = ctx.playerPos;
+      const e = en.pos();
+      let ux = e.x - p.x;
+      let uz = e.z - p.z;
+      const len = Math.hypot(ux, uz);
+      if (len < 1e-4) {
+        const ang = Math.random() * TAU;
+        ux = Math.cos(ang);
+        uz = Math.sin(ang);
+      } else {
+        ux /= len;
+        uz /= len;
+      }
+      const r = ctx.attackRange * (cfg.preferredPct || 0.8);
+      return { x: p.x + ux * r, z: p.z + uz * r, speedMul: cfg.speedMul || 1, attack: true, facePlayer: true };
+    },
+  };
+}
+
+export function packTactic(cfg) {
+  const leaderTiers = cfg.leaderTiers || ["elite", "boss"];
+  const isLeader = (a) => leaderTiers.includes(a.tier);
+  return {
+    id: "pack",
+    update(en, ctx) {
+      if (isLeader(en) || ctx.toPlayer < ctx.aggroRadius) return null;
+      const st = ctx.state;
+      if (ctx.t >= (st.nextLeaderScanAt || 0)) {
+        st.nextLeaderScanAt = ctx.t + (cfg.rescan || 1.5);
+        st.leader = ctx.index.nearest(en.pos(), cfg.followRadius || 22, (a) => a !== en && isLeader(a));
+      }
+      const leader = st.leader;
+      if (!usable(leader)) return null;
+
+      // The leader engaged: the whole pack joins, even from outside its own aggro radius
+      const lp = leader.pos();
+      if (ctx.player.alive && ctx.distance2D(lp, ctx.playerPos) < ctx.aggroRadius) {
+        return { x: ctx.playerPos.x, z: ctx.playerPos.z, attack: true };
+      }
+      // Idle: trail the leader on a fixed offset
+      if (st.followAngle == null) st.followAngle = Math.random() * TAU;
+      const d = cfg.followDist || 4;
+      return { x: lp.x + Math.cos(st.followAngle) * d, z: lp.z + Math.sin(st.followAngle) * d, speedMul: cfg.speedMul || 1 };
+    },
+  };
+}
+
+export function surroundTactic(cfg) {
+  return {
+    id: "surround",
+    update(en, ctx) {
+      if (en.attackEffect !== "melee" || !ctx.player.alive) return null;
+      const engage = cfg.engageRange || 10;
+      if (ctx.toPlayer > engage) return null;
+      const st = ctx.state;
+      if (st.slotBias == null) st.slotBias = Math.random() < 0.5 ? -1 : 1;
+
+      // Push this enemy's bearing away from melee neighbours closer than one slot
+      const p = ctx.playerPos;
+      const e = en.pos();
+      const bearing = Math.atan2(e.z - p.z, e.x - p.x);
+      const minSep = TAU / Math.max(2, cfg.slots || 8);
+      let push = 0;
+      for (const a of ctx.index.queryRadius(p, engage, (o) => o !== en && o.attackEffect === "melee")) {
+        const ap = a.pos();
+        const diff = wrapAngle(bearing - Math.atan2(ap.z - p.z, ap.x - p.x));
+        const gap = minSep - Math.abs(diff);
+        if (gap > 0) push += (diff === 0 ? st.slotBias : Math.sign(diff)) * gap * 0.5;
+      }
+      const angle = bearing + Math.max(-minSep, Math.min(minSep, push));
+      const r = ctx.attackRange * (cfg.ringPct || 0.75);
+      return { x: p.x + Math.cos(angle) * r, z: p.z + Math.sin(angle) * r, attack: true, facePlayer: true };
+    },
+  };
+}
+
+const BUILT_IN = {
+  flee: fleeTactic,
+  kite: kiteTactic,
+  pack: packTactic,
+  surround: surroundTactic,
+};
+
+export class EnemyTactics {
+  #now;
+  #player;
+  #index;
+  #distance2D;
+  #WORLD;
+
+  #modules = [];
+  #ctx = {};
+
+  constructor({ now, player, index, distance2D, WORLD, config = ENEMY_TACTICS }) {
+    this.#now = now;
+    this.#player = player;
+    this.#index = index;
+    this.#distance2D = distance2D;
+    this.#WORLD = WORLD;
+
+    for (const id of config.order || []) {
+      const cfg = config[id];
+      if (!cfg || cfg.enabled === false || !BUILT_IN[id]) continue;
+      this.#modules.push(BUILT_IN[id](cfg));
+    }
+  }
+
+  register(module) {
+    if (!module || !module.id || typeof module.update !== "function") return;
+    const i = this.#modules.findIndex((m) => m.id === module.id);
+    if (i >= 0) this.#modules[i] = module;
+    else this.#modules.push(module);
+  }
+
+  unregister(id) {
+    this.#modules = this.#modules.filter((m) => m.id !== id);
+  }
+
+  list() {
+    return this.#modules.map((m) => m.id);
+  }
+
+  update(en, toPlayer) {
+    if (!this.#modules.length) return null;
+    const ctx = this.#ctx;
+    ctx.t = this.#now();
+    ctx.toPlayer = toPlayer;
+    ctx.attackRange = en.attackRange || this.#WORLD.aiAttackRange;
+    ctx.aggroRadius = this.#WORLD.aiAggroRadius;
+    ctx.player = this.#player;
+    ctx.playerPos = this.#player.pos();
+    ctx.index = this.#index;
+    ctx.distance2D = this.#distance2D;
+    ctx.state = en.tacticState || (en.tacticState = {});
+
+    for (const m of this.#modules) {
+      let intent = null;
+      try { intent = m.update(en, ctx); } catch (_) {}
+      if (intent) {
+        ctx.state.active = m.id;
+        return intent;
+      }
+    }
+    ctx.state.active = null;
+    return null;
+  }
+}
@@ -1,8 +1,20 @@
 import * as THREE from "../vendor/three/build/three.module.js";
-import { THEME_COLORS, WORLD, STATS_BASE, SCALING, STORAGE_KEYS } from "../config/index.js";
+import { THEME_COLORS, WORLD, STATS_BASE, SCALING, LOW_HP_FRACTION } from "../config/index.js";
 import { createHeroMesh, createEnemyMesh, createBillboardHPBar } from "./meshes.js";
 import { distance2D, now, parseThreeColor } from "./utils.js";
 import { getSkillUpgradeManager } from "./skills_upgrade.js";
+import { getSaveManager } from "./save_manager.js";
+import { getHeroStats } from "./hero_stats.js";
+import { getTalentTree } from "./talents.js";
+import { StatusEffects } from "./status_effects.js";
+import { STATUS_IMMUNITY } from "../config/status_effects.js";
+import { resistanceOf, enemyResistances } from "./combat.js";
+import { ENEMY_ATTACK_TYPE } from "../config/combat.js";
+import { ENEMY_ARCHETYPES } from "../config/enemies.js";
+import { getArchetype, pickArchetype } from "./enemy_archetypes.js";
+import { affixModifiers } from "./enemy_affixes.js";
+import { AFFIX_ROLL } from "../config/affixes.js";
+import { getEnemyIndex } from "./spatial_index.js";
 
 export class Entity {
   constructor(mesh, radius = 1) {
@@ -12,35 +24,63 @@ export class Entity {
     this.maxHP = 100;
     this.hp = 100;
     this.team = "neutral";
+    this.status = new StatusEffects(this);
+    this.resist = {}; // damage type -> fraction (see config/combat.js)
+    this.shield = 0; // absorbs damage before HP (enemy archetype "shield" behavior)
+    this.maxShield = 0;
+    this.lastDamagedAt = 0;
   }
   pos() {
     return this.mesh.position;
   }
-  takeDamage(amount) {
-    if (!this.alive) return;
-    if (this.invulnUntil && now() < this.invulnUntil) return;
+  /**
+   * Apply typed damage (use combat.js dealDamage to roll crits).
+   * @param {number} amount
+   * @param {{type?: string, crit?: boolean}} [opts]
+   * @returns {{amount: number, type: string, crit: boolean, resisted: boolean, weak: boolean, absorbed: number}|null}
+   *   damage actually dealt to HP (absorbed = taken by the shield), or null when already dead
+   */
+  takeDamage(amount, { type = "physical", crit = false } = {}) {
+    if (!this.alive) return null;
+    const res = resistanceOf(this, type);
+    const hit = { amount: 0, type, crit, resisted: res > 0, weak: res < 0, absorbed: 0 };
+    if (this.status.isInvulnerable()) return hit;
 
-    // Optional defense reduction (e.g., from shield/buff)
     let dmg = amount;
     try {
-      if (this.defenseUntil && now() < this.defenseUntil) {
-        const pct = Math.min(0.95, Math.max(0, this.defensePct || 0));
-        dmg = Math.max(0, Math.floor(dmg * (1 - pct)));
-      }
-      // Optional vulnerability amplification (e.g., Lightning Rod / Ionize)
-      if (this.vulnUntil && now() < this.vulnUntil) {
-        const mul = Math.max(1.05, Math.min(3.0, this.vulnMult || 1.25));
-        dmg = Math.max(0, Math.floor(dmg * mul));
+      // Resistance by damage type (enemy kind + map affinity)
+      if (res !== 0) dmg = Math.max(0, Math.floor(dmg * (1 - res)));
+      // Status modifiers (fortify / vulnerable, see src/status_effects.js)
+      const mul = this.status.damageTakenMul();
+      if (mul !== 1) dmg = Math.max(0, Math.floor(dmg * mul));
+      // Aggregated stat modifiers (hero only: gear / talent damage reduction)
+      if (this.stats) {
+        dmg = Math.max(0, Math.floor(dmg * this.stats.reduce("damageReduction")));
+        // Last Stand talent: extra reduction while badly hurt
+        if (this.hp < this.maxHP * LOW_HP_FRACTION) {
+          dmg = Math.max(0, Math.floor(dmg * this.stats.reduce("lastStandReduction")));
+        }
       }
     } catch (_) {}
 
+    this.lastDamagedAt = now();
+    if (this.shield > 0 && dmg > 0) {
+      const absorbed = Math.min(this.shield, dmg);
+      this.shield -= absorbed;
+      dmg -= absorbed;
+      hit.absorbed = absorbed;
+      hit.resisted = true;
+    }
+
     this.hp -= dmg;
+    hit.amount = dmg;
     if (this.hp <= 0) {
       this.hp = 0;
       this.alive = false;
       this.onDeath && this.onDeath();
       this.mesh.visible = false;
     }
+    return hit;
   }
 }
 
@@ -49,6 +89,7 @@ export class Player extends Entity {
     const mesh = createHeroMesh();
     super(mesh, 1.2);
     this.team = "player";
+    this.stats = getHeroStats();
     this.level = 1;
     this.xp = 0;
     this.xpToLevel = STATS_BASE.xpToLevel;
@@ -86,8 +127,6 @@ export class Player extends Entity {
     this.atkSpeedMul = 1;
     this.atkSpeedPerma = 1;
     this.atkSpeedUntil = 0;
-    this.defensePct = 0;
-    this.defenseUntil = 0;
 
     // Fire light glow on the character (updated for fire theme)
     const light = new THREE.PointLight("#ffb366", 1.2, 45, 2);
@@ -104,7 +143,7 @@ export class Player extends Entity {
 
   // Persist just the level
   saveLevelToStorage() {
-    try { localStorage.setItem(STORAGE_KEYS.playerLevel, String(this.level)); } catch (_) {}
+    try { getSaveManager().set("playerLevel", this.level); } catch (_) {}
   }
 
   // Reset stats back to STATS_BASE (level 1 baseline)
@@ -144,65 +183,166 @@ export class Player extends Entity {
       this.atkSpeedPerma = Math.pow(SCALING.hero.atkSpeedGrowth, lvl - 1);
     }
     this.saveLevelToStorage();
+    try { getTalentTree().setHeroLevel(this.level); } catch (_) {}
   }
 
-  // Load persisted level (simple persistence)
+  // Load persisted level, then restore mid-level progress on top of the fresh stats
   loadLevelFromStorage() {
     try {
-      const raw = localStorage.getItem(STORAGE_KEYS.playerLevel);
-      if (!raw) return;
-      const lvl = parseInt(raw, 10);
+      const lvl = parseInt(getSaveManager().get("playerLevel"), 10);
       if (Number.isFinite(lvl) && lvl > 1) {
         this.setLevel(lvl);
       }
     } catch (_) {}
+    try { this._restoreStateFromStorage(); } catch (_) {}
+  }
+
+  /**
+   * Persist mid-level progress: XP within the level, HP/MP, position/map,
+   * timed buffs and the death timer. Timers are stored as wall-clock expiry
+   * (Date.now() ms) so time spent with the tab closed still counts down.
+   */
+  saveStateToStorage() {
+    try {
+      const t = now();
+      const wall = Date.now();
+      const expiry = (until) => (until && until > t ? Math.round(wall + (until - t) * 1000) : 0);
+      const p = this.pos();
+      const save = getSaveManager();
+      save.set("playerState", {
+        level: this.level,
+        xp: Math.max(0, Math.floor(this.xp)),
+        hp: Math.max(0, Math.round(this.hp)),
+        mp: Math.max(0, Math.round(this.mp)),
+        x: p.x,
+        z: p.z,
+        mapIndex: parseInt(save.get("mapCurrentIndex", 1), 10) || 1,
+        speedBoost: { mul: this.speedBoostMul || 1, until: expiry(this.speedBoostUntil) },
+        atkSpeed: { mul: this.atkSpeedMul || 1, until: expiry(this.atkSpeedUntil) },
+        statuses: this.status.list().map((e) => ({
+          type: e.type,
+          stacks: e.stacks,
+          magnitude: e.magnitude / e.stacks,
+          until: expiry(t + e.remain),
+        })),
+        alive: !!this.alive,
+        deadUntil: this.alive ? 0 : (expiry(this.deadUntil) || wall),
+      });
+    } catch (_) {}
+  }
+
+  // Apply the snapshot written by saveStateToStorage()
+  _restoreStateFromStorage() {
+    const st = getSaveManager().get("playerState");
+    if (!st || typeof st !== "object") return;
+    const t = now();
+    const wall = Date.now();
+    const num = (v, d) => (Number.isFinite(v) ? v : d);
+    const remain = (ms) => (Number.isFinite(ms) && ms > wall ? (ms - wall) / 1000 : 0);
+
+    // XP only carries over when the snapshot belongs to the current level
+    if (st.level === this.level) {
+      this.xp = Math.max(0, Math.min(this.xpToLevel - 1, Math.floor(num(st.xp, 0))));
+    }
+    this.hp = Math.max(0, Math.min(this.maxHP, num(st.hp, this.maxHP)));
+    this.mp = Math.max(0, Math.min(this.maxMP, num(st.mp, this.maxMP)));
+
+    const mapIndex = parseInt(getSaveManager().get("mapCurrentIndex", 1), 10) || 1;
+    if (st.mapIndex === mapIndex && Number.isFinite(st.x) && Number.isFinite(st.z)) {
+      this.mesh.position.set(st.x, this.mesh.position.y, st.z);
+    }
+
+    const sb = st.speedBoost || {};
+    if (remain(sb.until) > 0) {
+      this.speedBoostMul = num(sb.mul, 1);
+      this.speedBoostUntil = t + remain(sb.until);
+    }
+    const as = st.atkSpeed || {};
+    if (remain(as.until) > 0) {
+      this.atkSpeedMul = num(as.mul, 1);
+      this.atkSpeedUntil = t + remain(as.until);
+    }
+    const restore = (type, until, opts = {}) => {
+      if (remain(until) > 0) this.status.apply(type, { ...opts, duration: remain(until) });
+    };
+    if (Array.isArray(st.statuses)) {
+      for (const e of st.statuses) {
+        if (e) restore(e.type, e.until, { magnitude: num(e.magnitude, undefined), stacks: num(e.stacks, 1) });
+      }
+    } else {
+      // Snapshots written before status effects existed
+      const df = st.defense || {};
+      restore("fortify", df.until, { magnitude: num(df.pct, 0) });
+      restore("invulnerable", st.invulnUntil);
+    }
+
+    if (st.alive === false) {
+      // Still dead: RespawnSystem revives at the village once deadUntil passes
+      this.alive = false;
+      this.hp = 0;
+      this.mesh.visible = false;
+      this.deadUntil = t + remain(st.deadUntil);
+    } else if (this.hp <= 0) {
+      this.hp = 1;
+    }
   }
 
   gainXP(amount) {
-    this.xp += amount;
+    this.xp += amount * (this.stats ? this.stats.mul("xpGain") : 1);
     let gained = 0;
-    while (this.xp >= this.xpToLevel) {
-      this.xp -= this.xpToLevel;
-      this.level += 1;
-      gained += 1;
-      // scale stats per level (configurable via SCALING)
-      this.maxHP = Math.floor(this.maxHP * SCALING.hero.hpGrowth);
-      this.maxMP = Math.floor(this.maxMP * SCALING.hero.mpGrowth);
-      this.hp = this.maxHP;
-      this.mp = this.maxMP;
-      this.hpRegen *= SCALING.hero.hpRegenGrowth;
-      this.mpRegen *= SCALING.hero.mpRegenGrowth;
-      this.baseDamage = Math.floor(this.baseDamage * SCALING.hero.baseDamageGrowth);
-      this.xpToLevel = Math.floor(this.xpToLevel * SCALING.xpGrowth);
-      // Increment permanent movement and attack speed multipliers
-      this.speed *= SCALING.hero.moveSpeedGrowth;
-      this.atkSpeedPerma *= SCALING.hero.atkSpeedGrowth;
+    // Level, skill points and unlocks are committed to the save slot in one write
+    getSaveManager().batch(() => {
+      while (this.xp >= this.xpToLevel) {
+        this.xp -= this.xpToLevel;
+        this.level += 1;
+        gained += 1;
+        // scale stats per level (configurable via SCALING)
+        this.maxHP = Math.floor(this.maxHP * SCALING.hero.hpGrowth);
+        this.maxMP = Math.floor(this.maxMP * SCALING.hero.mpGrowth);
+        this.hp = this.maxHP;
+        this.mp = this.maxMP;
+        this.hpRegen *= SCALING.hero.hpRegenGrowth;
+        this.mpRegen *= SCALING.hero.mpRegenGrowth;
+        this.baseDamage = Math.floor(this.baseDamage * SCALING.hero.baseDamageGrowth);
+        this.xpToLevel = Math.floor(this.xpToLevel * SCALING.xpGrowth);
+        // Increment permanent movement and attack speed multipliers
+        this.speed *= SCALING.hero.moveSpeedGrowth;
+        this.atkSpeedPerma *= SCALING.hero.atkSpeedGrowth;
       
-      // Award skill points and check for skill unlocks
-      try {
-        const upgradeManager = getSkillUpgradeManager();
-        upgradeManager.awardSkillPoints(1);
+        // Award skill points and check for skill unlocks
+        try {
+          const upgradeManager = getSkillUpgradeManager();
+          upgradeManager.awardSkillPoints(1);
         
-        // Show skill point notification
-        this._showNotification("⭐ +1 Skill Point", "#ffd700");
+          // Show skill point notification
+          this.#toast("toast.skillPoint", "⭐ +1 Skill Point", "#ffd700");
         
-        const newlyUnlocked = upgradeManager.checkUnlocksForLevel(this.level);
-        if (newlyUnlocked.length > 0) {
-          console.log(`Unlocked new skills at level ${this.level}:`, newlyUnlocked);
-          // Show unlock notification for each new skill
-          newlyUnlocked.forEach(skillId => {
-            this._showNotification(`🔓 New Skill Unlocked!`, "#ff8c00", 2500);
-          });
+          const newlyUnlocked = upgradeManager.checkUnlocksForLevel(this.level);
+          if (newlyUnlocked.length > 0) {
+            console.log(`Unlocked new skills at level ${this.level}:`, newlyUnlocked);
+            // Show unlock notification for each new skill
+            newlyUnlocked.forEach(skillId => {
+              this.#toast("toast.skillUnlocked", "🔓 New Skill Unlocked!", "#ff8c00", 2500);
+            });
+          }
+        } catch (e) {
+          console.warn("Skill upgrade system error:", e);
         }
-      } catch (e) {
-        console.warn("Skill upgrade system error:", e);
+
+        // Talent points come from level milestones
+        try {
+          if (getTalentTree().setHeroLevel(this.level) > 0) {
+            this.#toast("toast.talentPoint", "🌟 +1 Talent Point", "#ffb347");
+          }
+        } catch (_) {}
       }
-    }
 
-    // Persist level if changed
-    if (gained > 0) {
-      try { this.saveLevelToStorage(); } catch (_) {}
-    }
+      // Persist level (and the matching XP snapshot) if changed
+      if (gained > 0) {
+        try { this.saveLevelToStorage(); } catch (_) {}
+        try { this.saveStateToStorage(); } catch (_) {}
+      }
+    });
 
     // Dispatch a level-up event for UI to react (e.g., glow skill buttons)
     if (gained > 0 && typeof window !== "undefined" && window.dispatchEvent) {
@@ -224,42 +364,24 @@ export class Player extends Entity {
   }
   
   /**
-   * Show a floating notification message
+   * Ask the toast UI (src/ui/toasts.js) for a notification; key is a locale key, text its fallback
    */
-  _showNotification(message, color = "#ffd700", duration = 2000) {
+  #toast(key, text, color = "#ffd700", duration = 2000) {
     try {
-      const notif = document.createElement("div");
-      notif.textContent = message;
-      notif.style.cssText = `
-        position: fixed;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        background: rgba(0, 0, 0, 0.85);
-        color: ${color};
-        padding: 20px 40px;
-        border-radius: 12px;
-        font-size: 28px;
-        font-weight: bold;
-        z-index: 10000;
-        pointer-events: none;
-        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
-        animation: notifFadeIn 0.3s ease-out;
-      `;
-      document.body.appendChild(notif);
-      
-      setTimeout(() => {
-        notif.style.animation = "notifFadeOut 0.3s ease-in";
-        setTimeout(() => notif.remove(), 300);
-      }, duration);
-    } catch (e) {
-      console.warn("Notification error:", e);
-    }
+      window.dispatchEvent(new CustomEvent("toast", { detail: { key, text, color, duration } }));
+    } catch (_) {}
   }
 }
 
 export class Enemy extends Entity {
-  constructor(position, level = 1) {
+  /**
+   * @param {THREE.Vector3} position
+   * @param {number} [level=1] hero level used for HP/damage scaling
+   * @param {{archetype?: string, tier?: string, mesh?: {variant?: string, color?: number}}} [opts]
+   *   config/enemies.js archetype id (default: random base kind), a fixed tier (default: rolled
+   *   from the hero level) and a mesh look override (bosses)
+   */
+  constructor(position, level = 1, { archetype, tier: fixedTier, mesh: look } = {}) {
     // Determine tier for visual variety and scaling (normal, tough, elite, boss)
     // Scale tier probabilities with player level for increasing difficulty
     const lvl = Math.max(1, level || 1);
@@ -273,7 +395,8 @@ export class Enemy extends Entity {
     
     const r = Math.random();
     let tier = "normal";
-    if (r < bossChance) tier = "boss";
+    if (fixedTier) tier = fixedTier;
+    else if (r < bossChance) tier = "boss";
     else if (r < eliteChance) tier = "elite";
     else if (r < toughChance) tier = "tough";
 
@@ -290,10 +413,15 @@ export class Enemy extends Entity {
       boss: 0xffee88,
     };
 
-    const mesh = createEnemyMesh({ color: TIER_COLOR[tier], eyeEmissive: TIER_EYE[tier] });
+    const archetypeId = archetype || pickArchetype(null);
+    const def = getArchetype(archetypeId);
+    // Signature archetypes keep their own palette on normal tier; stronger tiers keep the tier tint
+    const color = look?.color ?? (tier === "normal" && def.mesh?.color != null ? def.mesh.color : TIER_COLOR[tier]);
+    const mesh = createEnemyMesh({ color, eyeEmissive: TIER_EYE[tier], variant: look?.variant || def.mesh?.variant });
     super(mesh, 1.1);
     this.team = "enemy";
     this.tier = tier;
+    this.status.setImmunities(STATUS_IMMUNITY[tier]);
 
     // HP scaled by tier so stronger tiers are noticeably tougher
     const tierMult = { normal: 1, tough: 3, elite: 8, boss: 30 };
@@ -311,52 +439,32 @@ export class Enemy extends Entity {
     const levelDmgMul = Math.pow(SCALING.enemy.dmgGrowthPerLevel, Math.max(0, (level || 1) - 1));
     this.attackDamage = Math.max(1, Math.floor(WORLD.aiAttackDamage * dmgMult[tier] * levelDmgMul));
 
-    // Kind/species: melee or ranged with distinct size/speed/range/effects
-    const kr = Math.random();
-    let kind = "brute"; // default melee heavy
-    if (kr < 0.25) kind = "brute";
-    else if (kr < 0.5) kind = "raider";
-    else if (kr < 0.75) kind = "archer";
-    else kind = "shocker";
-    this.kind = kind;
-
-    if (kind === "brute") {
-      // Big melee
-      this.attackRange = 2.4;
-      this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * 0.95;
-      this.attackEffect = "melee";
-      this.beamColor = 0xff8844;
-      this.speed *= 0.9;
-      this.attackDamage = Math.floor(this.attackDamage * 1.2);
-      this.mesh.scale.multiplyScalar(1.25);
-    } else if (kind === "raider") {
-      // Fast melee
-      this.attackRange = 2.2;
-      this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * 0.85;
-      this.attackEffect = "melee";
-      this.beamColor = 0xffaa66;
-      this.speed *= 1.15;
-      this.attackDamage = Math.floor(this.attackDamage * 0.9);
-      this.mesh.scale.multiplyScalar(1.05);
-    } else if (kind === "archer") {
-      // Ranged physical
-      this.attackRange = 18;
-      this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * 1.1;
-      this.attackEffect = "beam";
-      this.beamColor = 0xffcc88;
-      this.speed *= 1.0;
-      this.attackDamage = Math.floor(this.attackDamage * 1.0);
-      this.mesh.scale.multiplyScalar(0.95);
-    } else if (kind === "shocker") {
-      // Ranged arcane (no fire – hero-exclusive). Use non-fire beam.
-      this.attackRange = 24;
-      this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * 1.25;
-      this.attackEffect = "beam";
-      this.beamColor = 0xc070ff; // arcane/magenta
-      this.speed *= 0.95;
-      this.attackDamage = Math.floor(this.attackDamage * 0.95);
-      this.mesh.scale.multiplyScalar(1.1);
-    }
+    // Archetype: kind, size/speed/range/effects and behavior (config/enemies.js)
+    this.archetype = ENEMY_ARCHETYPES[archetypeId] ? archetypeId : "brute";
+    this.name = def.name;
+    this.kind = def.kind;
+    this.behavior = def.behavior || null;
+    this.onHit = def.onHit || null;
+    this.attackType = def.attackType || ENEMY_ATTACK_TYPE[def.kind] || "physical";
+    this.resist = enemyResistances(def.kind, def.resist);
+    this.attackRange = def.attackRange;
+    this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * (def.attackCooldownMul || 1);
+    this.attackEffect = def.attackEffect;
+    this.beamColor = def.beamColor;
+    this.speed *= def.speedMul || 1;
+    this.hpMul = def.hpMul || 1;
+    this.damageMul = def.damageMul || 1;
+    this.attackDamage = Math.floor(this.attackDamage * this.damageMul);
+    this.maxHP = Math.max(8, Math.floor(this.maxHP * this.hpMul));
+    this.hp = this.maxHP;
+    this.mesh.scale.multiplyScalar(def.scale || 1);
+    this.#resetShield();
+
+    // Elite affixes (config/affixes.js) are rolled by the spawner via setAffixes
+    this.affixes = [];
+    this.affixMods = null;
+    this.affixEffects = [];
+    this.affixResist = null;
 
     // XP reward scales with HP so killing stronger enemies is rewarding
     this.xpOnDeath = Math.max(8, Math.floor(this.maxHP / 10));
@@ -383,14 +491,18 @@ export class Enemy extends Entity {
     }
   }
 
-  respawn(position, level = 1) {
+  /**
+   * @param {THREE.Vector3} [position]
+   * @param {number} [level=1]
+   * @param {{affixes?: string[]}} [opts] freshly rolled affixes (default: keep the current ones)
+   */
+  respawn(position, level = 1, { affixes } = {}) {
     // Reset core state
     this.alive = true;
     this.mesh.visible = true;
     this.moveTarget = null;
     this.nextAttackReady = 0;
-    this.slowUntil = 0;
-    this.slowFactor = 1;
+    this.status.clear();
     if (position) this.mesh.position.copy(position);
 
     // Recalculate stats based on tier and current hero level
@@ -399,11 +511,15 @@ export class Enemy extends Entity {
     const baseHP = randBetween(60, 120);
     const levelHpMul = Math.pow(SCALING.enemy.hpGrowthPerLevel, Math.max(0, (level || 1) - 1));
     const levelDmgMul = Math.pow(SCALING.enemy.dmgGrowthPerLevel, Math.max(0, (level || 1) - 1));
-    this.maxHP = Math.max(8, Math.floor(baseHP * tierMult[this.tier] * levelHpMul));
+    const affixMods = this.affixMods || {};
+    this.maxHP = Math.max(8, Math.floor(baseHP * tierMult[this.tier] * levelHpMul * (this.hpMul || 1) * (affixMods.hpMul || 1)));
     this.hp = this.maxHP;
-    this.attackDamage = Math.max(1, Math.floor(WORLD.aiAttackDamage * dmgMult[this.tier] * levelDmgMul));
-    this.xpOnDeath = Math.max(8, Math.floor(this.maxHP / 10));
+    this.attackDamage = Math.max(1, Math.floor(WORLD.aiAttackDamage * dmgMult[this.tier] * levelDmgMul * (this.damageMul || 1) * (affixMods.damageMul || 1)));
+    this.behaviorState = null;
+    this.tacticState = null;
     this._xpGranted = false;
+    // Reapplies shield, XP reward and label for the (re)rolled affixes
+    this.setAffixes(affixes || this.affixes);
 
     // Refresh HP bar visual
     if (this.hpBar && this.hpBar.fill) {
@@ -411,9 +527,55 @@ export class Enemy extends Entity {
     }
   }
 
+  /**
+   * Replace the elite affixes (config/affixes.js) at spawn/respawn. The previous
+   * affixes' stat changes are undone first so rerolls never stack.
+   * @param {string[]} ids
+   */
+  setAffixes(ids = []) {
+    const prev = this.affixMods || affixModifiers([]);
+    const mods = affixModifiers(ids);
+    this.affixes = mods.ids;
+    this.affixMods = mods;
+    this.affixEffects = mods.effects;
+    this.affixResist = mods.resist;
+    this.affixState = null;
+
+    this.speed = (this.speed / prev.speedMul) * mods.speedMul;
+    this.attackCooldown = (this.attackCooldown / prev.attackCooldownMul) * mods.attackCooldownMul;
+    this.mesh.scale.multiplyScalar(mods.scale / prev.scale);
+    this.maxHP = Math.max(8, Math.floor(Math.round(this.maxHP / prev.hpMul) * mods.hpMul));
+    this.hp = this.maxHP;
+    this.attackDamage = Math.max(1, Math.floor(Math.round(this.attackDamage / prev.damageMul) * mods.damageMul));
+
+    const def = getArchetype(this.archetype);
+    const onHit = [...(def.onHit || []), ...mods.onHit];
+    this.onHit = onHit.length ? onHit : null;
+    this.resist = enemyResistances(this.kind, def.resist, mods.resist);
+    this.#resetShield();
+    this.xpOnDeath = Math.max(8, Math.floor((this.maxHP / 10) * (1 + (AFFIX_ROLL.xpPerAffix || 0) * mods.ids.length)));
+
+    const label = mods.names.length ? `${mods.names.join(" ")} ${this.name}` : "";
+    try { this.hpBar?.setLabel?.(label, AFFIX_ROLL.labelColor[this.tier]); } catch (_) {}
+  }
+
+  #resetShield() {
+    const b = this.behavior;
+    this.maxShield = b && b.type === "shield" ? Math.floor(this.maxHP * (b.pct || 0)) : 0;
+    this.shield = this.maxShield;
+  }
+
   updateHPBar() {
     const ratio = clamp01(this.hp / this.maxHP);
     this.hpBar.fill.scale.x = Math.max(0.001, ratio);
+    if (this.hpBar.setShield && this.maxShield > 0) {
+      this.hpBar.setShield(this.shield / this.maxShield);
+    }
+    // Status pips only change with the effect set
+    if (this.hpBar.setStatuses && this._statusVersion !== this.status.version) {
+      this._statusVersion = this.status.version;
+      this.hpBar.setStatuses(this.status.list().map((e) => e.type));
+    }
   }
 }
 
@@ -428,13 +590,16 @@ function randBetween(min, max) {
 
 /**
  * Find the nearest alive enemy to a given origin within maxDist.
- * Returns null if none are within range.
+ * Returns null if none are within range. Uses the shared spatial index once it
+ * has been built; scans `enemies` before that.
  * @param {THREE.Vector3} origin
  * @param {number} maxDist
  * @param {Enemy[]} enemies
  * @returns {Enemy|null}
  */
 export function getNearestEnemy(origin, maxDist, enemies) {
+  const index = getEnemyIndex();
+  if (index.isBuilt()) return index.nearest(origin, maxDist);
   let nearest = null;
   let best = Infinity;
   for (const en of enemies) {
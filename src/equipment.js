@@ -0,0 +1,176 @@
+/**
+ * src/equipment.js
+ *
+ * Hero equipment: weapon, armor, amulet and two rings (config/items.js EQUIP_SLOTS).
+ *
+ * Features:
+ * - Gear comes from the inventory (rolled by rollGear on drop) and swaps back into it
+ * - Each piece contributes its base `implicit` stats plus rolled affixes
+ * - Registers as the "equipment" source of the hero stat layer (src/hero_stats.js)
+ * - Persists to the active save slot ("equipment" section)
+ * - Dispatches a window "equipment-changed" event so open UI can refresh
+ *
+ * Public API:
+ *   const eq = getEquipment();
+ *   eq.get(slot)                  -> { id, gear } or null
+ *   eq.equipFromInventory(index)  -> boolean (swaps with the occupant if any)
+ *   eq.unequip(slot)              -> boolean (false when the inventory is full)
+ *   eq.getModifiers()             -> summed { stat: value } across equipped gear
+ *   rollGear(rarity, baseId?, rng?) -> { id, gear: { rarity, affixes } }
+ */
+
+import { EQUIP_SLOTS, GEAR_AFFIXES, GEAR_AFFIX_COUNT, ITEMS } from "../config/items.js";
+import { getSaveManager } from "./save_manager.js";
+import { getInventory } from "./inventory.js";
+import { getHeroStats } from "./hero_stats.js";
+
+const SAVE_SECTION = "equipment";
+const STATS_SOURCE = "equipment";
+
+function gearBases() {
+  return Object.values(ITEMS).filter((d) => d.type === "gear");
+}
+
+/**
+ * Roll a gear instance: random base (unless given), distinct affixes by rarity.
+ * Pass a seeded rng (utils.createSeededRNG) for deterministic rolls, e.g. merchant stock.
+ */
+export function rollGear(rarity = "common", baseId = null, rng = Math.random) {
+  const bases = gearBases();
+  const base = (baseId && ITEMS[baseId]?.type === "gear") ? ITEMS[baseId] : bases[Math.floor(rng() * bases.length)];
+  const pool = Object.keys(GEAR_AFFIXES);
+  const n = Math.min(pool.length, GEAR_AFFIX_COUNT[rarity] ?? 1);
+  const affixes = {};
+  for (let i = 0; i < n; i++) {
+    const stat = pool.splice(Math.floor(rng() * pool.length), 1)[0];
+    const { min, max } = GEAR_AFFIXES[stat];
+    const v = min + rng() * (max - min);
+    // Keep saves compact: percentages to 0.1%, flat stats to 0.1
+    affixes[stat] = Math.round(v * (max <= 1 ? 1000 : 10)) / (max <= 1 ? 1000 : 10);
+  }
+  return { id: base.id, gear: { rarity, affixes } };
+}
+
+/**
+ * Base implicit stats + rolled affixes of one equipped/inventory piece.
+ */
+export function gearModifiers(id, gear) {
+  const out = {};
+  const add = (mods) => {
+    for (const [stat, v] of Object.entries(mods || {})) {
+      if (Number.isFinite(v)) out[stat] = (out[stat] || 0) + v;
+    }
+  };
+  add(ITEMS[id]?.implicit);
+  add(gear?.affixes);
+  return out;
+}
+
+export class Equipment {
+  #inventory;
+  #stats;
+
+  constructor({ inventory, stats }) {
+    this.#inventory = inventory;
+    this.#stats = stats;
+    this.slots = Object.fromEntries(EQUIP_SLOTS.map((s) => [s, null]));
+    this.loadFromStorage();
+    this.#stats?.registerSource(STATS_SOURCE, () => this.getModifiers());
+  }
+
+  get(slot) {
+    return this.slots[slot] || null;
+  }
+
+  getModifiers() {
+    const out = {};
+    for (const item of Object.values(this.slots)) {
+      if (!item) continue;
+      for (const [stat, v] of Object.entries(gearModifiers(item.id, item.gear))) {
+        out[stat] = (out[stat] || 0) + v;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Equip the gear stack at inventory index; the previous occupant returns to the bag.
+   */
+  equipFromInventory(index) {
+    const stack = this.#inventory.stacks[index];
+    const def = stack && ITEMS[stack.id];
+    if (!def || def.type !== "gear" || !stack.gear) return false;
+    const slot = this.#slotFor(def);
+    if (!slot) return false;
+
+    this.#inventory.takeAt(index);
+    const prev = this.slots[slot];
+    this.slots[slot] = { id: stack.id, gear: stack.gear };
+    if (prev) this.#inventory.add(prev.id, 1, prev.gear);
+    this.#changed();
+    return true;
+  }
+
+  unequip(slot) {
+    const item = this.slots[slot];
+    if (!item) return false;
+    if (this.#inventory.add(item.id, 1, item.gear) <= 0) return false;
+    this.slots[slot] = null;
+    this.#changed();
+    return true;
+  }
+
+  // Rings fill the first empty ring slot, otherwise replace ring1
+  #slotFor(def) {
+    if (def.slot === "ring") {
+      if (!this.slots.ring1) return "ring1";
+      if (!this.slots.ring2) return "ring2";
+      return "ring1";
+    }
+    return EQUIP_SLOTS.includes(def.slot) ? def.slot : null;
+  }
+
+  saveToStorage() {
+    try {
+      getSaveManager().set(SAVE_SECTION, this.slots);
+    } catch (e) {
+      console.warn("Failed to save equipment:", e);
+    }
+  }
+
+  loadFromStorage() {
+    try {
+      const saved = getSaveManager().get(SAVE_SECTION, {});
+      if (!saved || typeof saved !== "object") return;
+      for (const slot of EQUIP_SLOTS) {
+        const it = saved[slot];
+        const def = it && ITEMS[it.id];
+        this.slots[slot] = def && def.type === "gear" && it.gear
+          ? { id: it.id, gear: { rarity: it.gear.rarity, affixes: { ...(it.gear.affixes || {}) } } }
+          : null;
+      }
+    } catch (e) {
+      console.warn("Failed to load equipment:", e);
+    }
+  }
+
+  #changed() {
+    this.saveToStorage();
+    this.#stats?.invalidate();
+    try {
+      window.dispatchEvent(new CustomEvent("equipment-changed"));
+    } catch (_) {}
+  }
+}
+
+/**
+ * Global instance (singleton pattern)
+ */
+let globalInstance = null;
+
+export function getEquipment() {
+  if (!globalInstance) {
+    globalInstance = new Equipment({ inventory: getInventory(), stats: getHeroStats() });
+  }
+  return globalInstance;
+}
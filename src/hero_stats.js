@@ -0,0 +1,89 @@
+/**
+ * src/hero_stats.js
+ *
+ * Single stat-aggregation layer for hero modifiers.
+ *
+ * Systems that grant bonuses (equipment today) register a source function that
+ * returns { stat: value }. Consumers (skill/basic damage, cooldowns, mana costs,
+ * damage taken, movement, regen) read the summed + clamped result from here
+ * instead of knowing where a bonus came from. Stat definitions live in
+ * config/stats.js (HERO_STATS).
+ *
+ * Public API:
+ *   const stats = getHeroStats();
+ *   stats.registerSource(id, fn)  -> fn() returns { stat: value }; replaces same id
+ *   stats.removeSource(id)
+ *   stats.invalidate()            -> call when a source's values change
+ *   stats.get(stat)               -> summed value (pct stats clamped to their max)
+ *   stats.mul(stat)               -> 1 + get(stat)   (damage, speed)
+ *   stats.reduce(stat)            -> 1 - get(stat)   (cooldowns, costs, damage taken)
+ *   stats.snapshot()              -> { stat: value } for every known stat
+ */
+
+import { HERO_STATS } from "../config/index.js";
+
+export class HeroStats {
+  #sources = new Map();
+  #cache = null;
+
+  registerSource(id, fn) {
+    if (typeof fn !== "function") return;
+    this.#sources.set(id, fn);
+    this.invalidate();
+  }
+
+  removeSource(id) {
+    if (this.#sources.delete(id)) this.invalidate();
+  }
+
+  invalidate() {
+    this.#cache = null;
+  }
+
+  get(stat) {
+    return this.#compute()[stat] || 0;
+  }
+
+  mul(stat) {
+    return 1 + this.get(stat);
+  }
+
+  reduce(stat) {
+    return 1 - this.get(stat);
+  }
+
+  snapshot() {
+    return { ...this.#compute() };
+  }
+
+  #compute() {
+    if (this.#cache) return this.#cache;
+    const out = {};
+    for (const stat of Object.keys(HERO_STATS)) out[stat] = 0;
+    for (const [id, fn] of this.#sources) {
+      let mods = null;
+      try { mods = fn(); } catch (e) { console.warn(`[HeroStats] source "${id}" failed:`, e); }
+      if (!mods) continue;
+      for (const [stat, v] of Object.entries(mods)) {
+        if (stat in out && Number.isFinite(v)) out[stat] += v;
+      }
+    }
+    for (const [stat, def] of Object.entries(HERO_STATS)) {
+      if (def.kind === "pct") out[stat] = Math.max(-0.9, Math.min(def.max ?? 1, out[stat]));
+    }
+    this.#cache = out;
+    return out;
+  }
+}
+
+/**
+ * Global instance (singleton pattern)
+ */
+let globalInstance = null;
+
+export function getHeroStats() {
+  if (!globalInstance) {
+    globalInstance = new HeroStats();
+  }
+  return globalInstance;
+}
@@ -0,0 +1,342 @@
+/**
+ * Horde System
+ * - Timed horde events (config/hordes.js HORDE_EVENTS): announced a few seconds ahead, then
+ *   escalating waves spawn around the hero, or around a village when the hero is close to one
+ * - Horde enemies march on their target through a "horde" group tactic (src/enemy_tactics.js)
+ *   registered on the enemies system: the hero for field hordes, the village for village hordes;
+ *   within aggro range the default chase/attack takes over
+ * - Kill progress is polled from the tracked enemies; clearing the last wave grants bonus XP and
+ *   loot; the event fails when the hero dies ("defeat"), leaves the event area ("fled") or lets
+ *   the village be overrun ("overrun": too many horde enemies at its fence for too long)
+ * - Dispatches window events for the HUD: "horde-event" { state, site, name, wave, waves, reason?, xp? }
+ *   state: "announce" | "wave" | "complete" | "failed"
+ *
+ * Public API:
+ *   import { HordeSystem } from './hordes.js';
+ *   const hordes = new HordeSystem(deps);
+ *   hordes.update(dt)    -> per frame (after the enemies system)
+ *   hordes.getEvent()    -> { state, site, name, wave, waves, kills, total, startsIn, overrun } | null
+ *                           state: "announce" | "wave" | "gap"; overrun: 0..1 village pressure
+ *   hordes.start()       -> boolean, starts an event now (false when one is running or blocked)
+ *   hordes.setSieges(s)  -> village sieges (src/sieges.js) block hordes while one runs, and vice versa
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected
+ */
+
+import { HORDE_EVENTS } from "../config/hordes.js";
+import { pickArchetype } from "./enemy_archetypes.js";
+import { rollAffixes, affixDepth } from "./enemy_affixes.js";
+
+/**
+ * Group tactic: horde enemies outside aggro range head for their goal
+ * (village center, moved to the fence by navigation) or the hero
+ */
+function hordeTactic() {
+  return {
+    id: "horde",
+    update(en, ctx) {
+      const h = en.horde;
+      if (!h || ctx.toPlayer < ctx.aggroRadius) return null;
+      if (h.goal) return { x: h.goal.x, z: h.goal.z };
+      if (!ctx.player.alive) return null;
+      return { x: ctx.playerPos.x, z: ctx.playerPos.z, attack: true };
+    },
+  };
+}
+
+export class HordeSystem {
+  #THREE;
+  #scene;
+  #player;
+  #enemies;
+  #villages;
+  #mapManager;
+  #bosses;
+  #sieges = null;
+  #effects;
+  #lootSystem;
+  #audio;
+  #now;
+  #distance2D;
+  #EnemyClass;
+  #applyMapModifiersToEnemy;
+  #VILLAGE_POS;
+  #REST_RADIUS;
+  #cfg;
+
+  #event = null; // { state, site, name, anchor, radius, wave, tracked, waveTotal, waveKills, kills, stateUntil, pressure }
+  #nextEventAt = 0;
+
+  constructor({
+    THREE,
+    scene,
+    player,
+    enemies,
+    villages,
+    mapManager,
+    bosses,
+    tactics,
+    effects,
+    lootSystem,
+    audio,
+    now,
+    distance2D,
+    EnemyClass,
+    applyMapModifiersToEnemy,
+    VILLAGE_POS,
+    REST_RADIUS,
+    config = HORDE_EVENTS,
+  }) {
+    this.#THREE = THREE;
+    this.#scene = scene;
+    this.#player = player;
+    this.#enemies = enemies;
+    this.#villages = villages;
+    this.#mapManager = mapManager;
+    this.#bosses = bosses;
+    this.#effects = effects;
+    this.#lootSystem = lootSystem;
+    this.#audio = audio;
+    this.#now = now;
+    this.#distance2D = distance2D;
+    this.#EnemyClass = EnemyClass;
+    this.#applyMapModifiersToEnemy = applyMapModifiersToEnemy;
+    this.#VILLAGE_POS = VILLAGE_POS;
+    this.#REST_RADIUS = REST_RADIUS;
+    this.#cfg = config;
+
+    try { tactics?.register?.(hordeTactic()); } catch (_) {}
+    this.#nextEventAt = now() + (config.firstDelay || 0);
+  }
+
+  getEvent() {
+    const ev = this.#event;
+    if (!ev) return null;
+    const t = this.#now();
+    const waiting = ev.state === "announce" || ev.state === "gap";
+    return {
+      state: ev.state,
+      site: ev.site,
+      name: ev.name,
+      wave: ev.wave,
+      waves: this.#cfg.waves,
+      kills: ev.waveKills,
+      total: ev.waveTotal,
+      startsIn: waiting ? Math.max(0, ev.stateUntil - t) : 0,
+      overrun: ev.site === "village" ? Math.min(1, ev.pressure / (this.#cfg.village.overrunTime || 1)) : 0,
+    };
+  }
+
+  setSieges(sieges) {
+    this.#sieges = sieges || null;
+  }
+
+  start() {
+    if (this.#event || !this.#canStart()) return false;
+    const cfg = this.#cfg;
+    const pp = this.#player.pos();
+    const village = this.#findVillage(pp);
+    this.#event = {
+      state: "announce",
+      site: village ? "village" : "field",
+      name: village?.name || null,
+      anchor: village ? { x: village.center.x, z: village.center.z } : { x: pp.x, z: pp.z },
+      radius: village ? village.radius : 0,
+      wave: 0,
+      tracked: [],
+      waveTotal: 0,
+      waveKills: 0,
+      kills: 0,
+      stateUntil: this.#now() + (cfg.announce || 0),
+      pressure: 0,
+    };
+    try { this.#audio?.sfx?.("horde_warning"); } catch (_) {}
+    this.#dispatch("announce");
+    return true;
+  }
+
+  update(dt) {
+    const t = this.#now();
+    const ev = this.#event;
+    if (!ev) {
+      if (t < this.#nextEventAt) return;
+      if (!this.start()) this.#nextEventAt = t + (this.#cfg.retryDelay || 20);
+      return;
+    }
+
+    this.#pollTracked(ev);
+    if (!this.#player.alive) return this.#fail("defeat");
+    if (this.#distance2D(this.#player.pos(), ev.anchor) > ev.radius + (this.#cfg.leash || Infinity)) return this.#fail("fled");
+    if (ev.site === "village" && this.#updatePressure(ev, dt)) return this.#fail("overrun");
+
+    if (ev.state === "announce" || ev.state === "gap") {
+      if (t >= ev.stateUntil) this.#spawnWave(ev.wave + 1);
+      return;
+    }
+
+    // Wave in progress: cleared, or timed out (survivors carry over into the next wave)
+    const last = ev.wave >= this.#cfg.waves;
+    if (!ev.tracked.length) {
+      if (last) return this.#complete();
+      ev.state = "gap";
+      ev.stateUntil = t + (this.#cfg.waveGap || 0);
+    } else if (!last && t >= ev.stateUntil) {
+      this.#spawnWave(ev.wave + 1);
+    }
+  }
+
+  // ---- event flow ----
+
+  #canStart() {
+    if (!this.#player.alive) return false;
+    try { if (this.#bosses?.getEncounter?.() || this.#sieges?.getSiege?.()) return false; } catch (_) {}
+    return true;
+  }
+
+  #spawnWave(wave) {
+    const ev = this.#event;
+    const cfg = this.#cfg;
+    const c = cfg.count || {};
+    const count = Math.min(
+      c.max || Infinity,
+      Math.round((c.base || 1) + (c.perWave || 0) * (wave - 1) + (c.perLevel || 0) * (this.#player.level || 1))
+    );
+    const eliteChance = (cfg.eliteChance?.base || 0) + (cfg.eliteChance?.perWave || 0) * (wave - 1);
+    const leader = cfg.finalLeader && wave >= cfg.waves;
+
+    // Spawn from one side so the wave arrives as a front instead of a ring
+    const base = Math.random() * Math.PI * 2;
+    const map = this.#mapManager?.getCurrent?.();
+    const goal = ev.site === "village" ? ev.anchor : null;
+    for (let i = 0; i < count; i++) {
+      const tier = (leader && i === 0) || Math.random() < eliteChance ? "elite" : Math.random() < (cfg.toughChance || 0) ? "tough" : "normal";
+      const en = new this.#EnemyClass(this.#spawnPoint(ev, base), this.#player.level, { archetype: pickArchetype(map), tier });
+      en.noRespawn = true;
+      en.horde = { goal };
+      if (tier === "elite") {
+        try { en.setAffixes(rollAffixes(tier, affixDepth(this.#mapManager))); } catch (_) {}
+      }
+      this.#addEnemy(en);
+      ev.tracked.push(en);
+    }
+
+    ev.wave = wave;
+    ev.state = "wave";
+    ev.waveTotal = ev.tracked.length;
+    ev.waveKills = 0;
+    ev.stateUntil = this.#now() + (cfg.waveTimeout || Infinity);
+    try { this.#audio?.sfx?.("horde_wave"); } catch (_) {}
+    this.#dispatch("wave");
+  }
+
+  #spawnPoint(ev, baseAngle) {
+    const cfg = this.#cfg;
+    const [r0, r1] = ev.site === "village"
+      ? (cfg.village.spawnPad || [12, 22]).map((p) => ev.radius + p)
+      : cfg.spawnRadius || [24, 34];
+    const center = ev.site === "village" ? ev.anchor : this.#player.pos();
+    const a = baseAngle + (Math.random() - 0.5) * 1.4;
+    const r = r0 + Math.random() * (r1 - r0);
+    return new this.#THREE.Vector3(center.x + Math.cos(a) * r, 0, center.z + Math.sin(a) * r);
+  }
+
+  /** Drop dead (kill) and despawned (lost) enemies from the tracked list */
+  #pollTracked(ev) {
+    for (let i = ev.tracked.length - 1; i >= 0; i--) {
+      const en = ev.tracked[i];
+      if (en.alive && !en._despawned) continue;
+      if (!en.alive) {
+        ev.kills++;
+        ev.waveKills++;
+      }
+      ev.tracked.splice(i, 1);
+    }
+  }
+
+  /** Village pressure builds while enough horde enemies stand at the fence; true when overrun */
+  #updatePressure(ev, dt) {
+    const v = this.#cfg.village;
+    const reach = ev.radius + (v.overrunMargin || 0);
+    let atFence = 0;
+    for (const en of ev.tracked) {
+      if (this.#distance2D(en.pos(), ev.anchor) <= reach) atFence++;
+    }
+    if (atFence >= (v.overrunCount || 1)) ev.pressure += dt;
+    else ev.pressure = Math.max(0, ev.pressure - dt * 0.5);
+    return ev.pressure >= (v.overrunTime || Infinity);
+  }
+
+  #complete() {
+    const ev = this.#event;
+    const reward = this.#cfg.reward || {};
+    const mul = ev.site === "village" ? this.#cfg.village.rewardMul || 1 : 1;
+    const xp = Math.round(((reward.xpPerLevel || 0) * (this.#player.level || 1) + (reward.xpPerKill || 0) * ev.kills) * mul);
+    try { this.#player.gainXP(xp); } catch (_) {}
+    this.#dropReward(this.#player.pos(), reward.drops || []);
+    try { this.#effects.spawnTextPopup?.(this.#player.pos(), `+${xp} XP`, "#ffd24a", { scale: 1.4 }); } catch (_) {}
+    try { this.#audio?.sfx?.("horde_complete"); } catch (_) {}
+    this.#end("complete", { xp });
+  }
+
+  #fail(reason) {
+    this.#end("failed", { reason });
+  }
+
+  #end(state, extra) {
+    const ev = this.#event;
+    // Survivors stay in the world as regular enemies (they still never respawn)
+    for (const en of ev.tracked) en.horde = null;
+    this.#dispatch(state, extra);
+    this.#event = null;
+    const [min, max] = this.#cfg.interval || [180, 300];
+    this.#nextEventAt = this.#now() + min + Math.random() * Math.max(0, max - min);
+  }
+
+  #dropReward(origin, tiers) {
+    const drops = [];
+    for (const tier of tiers) drops.push(...(this.#lootSystem?.rollDrops?.(tier) || []));
+    drops.forEach((d, i) => {
+      const a = (i / Math.max(1, drops.length)) * Math.PI * 2;
+      const r = 1.6 + Math.random() * 0.8;
+      const pos = new this.#THREE.Vector3(origin.x + Math.cos(a) * r, 0, origin.z + Math.sin(a) * r);
+      try { this.#lootSystem?.spawnGroundItem?.(d.id, d.qty, pos, d.gear); } catch (_) {}
+    });
+    try { this.#effects.spawnRing(origin, 3, 0xffd24a, 0.6, 0.8, 0.8); } catch (_) {}
+  }
+
+  // ---- helpers ----
+
+  /** Village the hero is defending: the closest one within its radius + village.range */
+  #findVillage(pos) {
+    const range = this.#cfg.village?.range || 0;
+    const list = [];
+    if (this.#VILLAGE_POS) list.push({ center: this.#VILLAGE_POS, radius: this.#REST_RADIUS || 0, name: null });
+    try { list.push(...(this.#villages?.listVillages?.() || [])); } catch (_) {}
+    let best = null;
+    let bestD = Infinity;
+    for (const v of list) {
+      const d = this.#distance2D(pos, v.center);
+      if (d <= (v.radius || 0) + range && d < bestD) {
+        best = v;
+        bestD = d;
+      }
+    }
+    return best;
+  }
+
+  #addEnemy(en) {
+    try { this.#applyMapModifiersToEnemy && this.#applyMapModifiersToEnemy(en); } catch (_) {}
+    en.mesh.userData.enemyRef = en;
+    this.#scene.add(en.mesh);
+    this.#enemies.push(en);
+    try { this.#effects.spawnRing(en.pos(), 1.6, 0xff3b30, 0.5, 0.4, 0.7); } catch (_) {}
+  }
+
+  #dispatch(state, extra = {}) {
+    const ev = this.#event;
+    const detail = { state, site: ev?.site, name: ev?.name, wave: ev?.wave || 0, waves: this.#cfg.waves, ...extra };
+    try { window.dispatchEvent(new CustomEvent("horde-event", { detail })); } catch (_) {}
+  }
+}
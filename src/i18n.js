@@ -9,6 +9,7 @@ import { STORAGE_KEYS } from "../config/storage.js";
  * - t(key) is non-blocking: if the locale file is not yet loaded (or key missing), it immediately
  *   returns the key string so the UI can render quickly. After the JSON is loaded, translations
  *   are re-applied.
+ * - tOr(key, fallback) returns `fallback` instead of the key in that case.
  */
 
 const DEFAULT_LANG = "vi";
@@ -99,6 +100,14 @@ export class I18n {
     return Array.isArray(val) || typeof val === "string" ? val : key;
   }
 
+  /**
+   * Translate by key, or return `fallback` while the key is missing (or the locale not loaded yet).
+   */
+  tOr(key, fallback) {
+    const val = this.t(key);
+    return val && val !== key ? val : fallback;
+  }
+
   /**
    * Apply translations to all elements with [data-i18n] within root.
    * If translations are not yet loaded, the elements will receive the raw key text.
@@ -255,6 +264,13 @@ export function t(key) {
   return getDefaultInstance().t(key);
 }
 
+/**
+ * Translate by key, falling back to the given text when missing
+ */
+export function tOr(key, fallback) {
+  return getDefaultInstance().tOr(key, fallback);
+}
+
 /**
  * Apply translations to all elements with [data-i18n] within root
  */
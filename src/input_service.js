@@ -14,6 +14,7 @@
 
 import * as THREE from "../vendor/three/build/three.module.js";
 import { distance2D, now } from "./utils.js";
+import { getEnemyIndex } from "./spatial_index.js";
 
 export class InputService {
   constructor({
@@ -25,9 +26,11 @@ export class InputService {
     enemies,
     effects,
     skills,
+    inventory,
     WORLD,
     setCenterMsg,
     clearCenterMsg,
+    dodge,
   }) {
     // Store dependencies
     this.renderer = renderer;
@@ -38,15 +41,18 @@ export class InputService {
     this.enemies = enemies;
     this.effects = effects;
     this.skills = skills;
+    this.inventory = inventory;
     this.WORLD = WORLD;
     this.setCenterMsg = setCenterMsg;
     this.clearCenterMsg = clearCenterMsg;
+    this.dodge = dodge; // (dir) => boolean, PlayerSystem.dodge bound to the hero
 
     // Initialize internal state
     this._state = {
       holdA: false,
       moveKeys: { up: false, down: false, left: false, right: false },
       lastMouseGroundPoint: new THREE.Vector3(),
+      hasMouse: false,         // lastMouseGroundPoint came from a real mouse move
       touch: null, // optional adapter from touch.js
       // movement release handling
       prevKeyActive: false,
@@ -101,6 +107,8 @@ export class InputService {
   }
 
   getNearestEnemy(origin, maxDist, list) {
+    const index = getEnemyIndex();
+    if (index.isBuilt()) return index.nearest(origin, maxDist);
     let best = null;
     let bestD = Infinity;
     for (const en of list) {
@@ -115,6 +123,32 @@ export class InputService {
 
   cancelAim() { /* no-op: aiming removed */ }
 
+  /**
+   * Dodge roll direction: held movement (joystick/arrows) > toward the mouse > hero facing
+   */
+  getDodgeDir() {
+    const { _state: state, player } = this;
+    const joy = state.touch?.getMoveDir?.();
+    if (joy && joy.active) return { x: joy.x, z: joy.y };
+    const km = this.getKeyMoveDir();
+    if (km.active) return { x: km.x, z: km.y };
+    const m = state.lastMouseGroundPoint;
+    if (state.hasMouse && distance2D(m, player.pos()) > 0.5) {
+      return { x: m.x - player.pos().x, z: m.z - player.pos().z };
+    }
+    const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(player.mesh.quaternion);
+    return { x: forward.x, z: forward.z };
+  }
+
+  tryDodge() {
+    if (typeof this.dodge !== "function") return false;
+    const ok = this.dodge(this.getDodgeDir());
+    if (ok) {
+      try { this.effects.spawnRing(this.player.pos(), 1.4, 0x9fd3ff, 0.3, 0.4, 0.5); } catch (_) { }
+    }
+    return ok;
+  }
+
   // Do not intercept events on system UI or form controls (e.g., Settings select dropdown)
   shouldIgnoreForUI(e) {
     try {
@@ -127,6 +161,17 @@ export class InputService {
     return false;
   }
 
+  // Typing in a text field (e.g., the save import code) must not trigger hotkeys
+  isTextEntry(e) {
+    try {
+      const t = e.target;
+      if (!t) return false;
+      if (t.isContentEditable) return true;
+      const tag = String(t.tagName || "").toUpperCase();
+      return tag === "INPUT" || tag === "TEXTAREA";
+    } catch (_) { return false; }
+  }
+
   // Check if the event occurred over the renderer canvas (even if covered by overlays)
   isEventOverRenderer(e) {
     try {
@@ -146,6 +191,9 @@ export class InputService {
     const kraw = e.key || "";
     const k = kraw.toLowerCase();
 
+    // Leave keys to text fields; only Escape still closes screens
+    if (k !== "escape" && this.isTextEntry(e)) return;
+
     // Movement keys (arrows) – prevent scroll and capture
     if (kraw === "ArrowUp" || kraw === "ArrowDown" || kraw === "ArrowLeft" || kraw === "ArrowRight") {
       e.preventDefault(); e.stopImmediatePropagation();
@@ -203,6 +251,13 @@ export class InputService {
       return;
     }
 
+    // Consumable hotbar (1-4)
+    if (k === "1" || k === "2" || k === "3" || k === "4") {
+      e.preventDefault(); e.stopImmediatePropagation();
+      if (!e.repeat) { try { this.inventory?.useHotbar(parseInt(k, 10) - 1, player); } catch (_) { } }
+      return;
+    }
+
     if (k === "escape") {
       // If a confirm modal is visible, let it handle ESC itself
       try {
@@ -228,6 +283,20 @@ export class InputService {
           return;
         }
       } catch (_) { }
+      try {
+        const merchantScreen = document.getElementById("merchantScreen");
+        if (merchantScreen && !merchantScreen.classList.contains("hidden")) {
+          merchantScreen.classList.add("hidden");
+          return;
+        }
+      } catch (_) { }
+      return;
+    }
+
+    // D / Shift: dodge roll
+    if (k === "d" || kraw === "Shift") {
+      e.preventDefault(); e.stopImmediatePropagation();
+      if (!e.repeat) this.tryDodge();
       return;
     }
 
@@ -269,6 +338,7 @@ export class InputService {
     const p = this.raycast.raycastGround?.();
     if (p) {
       this._state.lastMouseGroundPoint.copy(p);
+      this._state.hasMouse = true;
     }
     // Aiming removed
     // Capture only updates state; do not stopPropagation to allow hover elsewhere
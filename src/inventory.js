@@ -0,0 +1,217 @@
+/**
+ * src/inventory.js
+ *
+ * Hero inventory: a fixed number of stacks of items defined in config/items.js.
+ *
+ * Features:
+ * - Stacking up to each item's maxStack; overflow opens new stacks while slots remain
+ * - Gear instances (rolled rarity/affixes) never stack and occupy one slot each
+ * - Consumables can be used (heal/mana restore, timed buffs) from the inventory or the hotbar;
+ *   per-item `cooldown`s are shared by items with the same `cdGroup`
+ * - Persists to the active save slot ("inventory" section)
+ * - Dispatches a window "inventory-changed" event so open UI can refresh
+ *
+ * Public API:
+ *   const inv = getInventory();
+ *   inv.add(id, qty, gear?) -> qty actually added (0 when full)
+ *   inv.remove(id, qty)     -> boolean (false if not enough)
+ *   inv.takeAt(index)       -> removes and returns the stack at index (or null)
+ *   inv.count(id)           -> total quantity across stacks
+ *   inv.list()              -> [{ id, qty, def, gear? }] (stack order)
+ *   inv.canUse(id)          -> boolean (false while on cooldown)
+ *   inv.getCooldown(id)     -> { remain, total } seconds
+ *   inv.useItem(id, player) -> boolean (consumes one on success)
+ *   inv.useHotbar(slot, player) -> boolean (uses the item bound to HOTBAR[slot])
+ */
+
+import { ITEMS, LOOT, HOTBAR } from "../config/items.js";
+import { getSaveManager } from "./save_manager.js";
+import { now } from "./utils.js";
+
+const SAVE_SECTION = "inventory";
+
+const cdKeyOf = (def) => def.cdGroup || def.id;
+
+export class Inventory {
+  #readyAt = {}; // cooldown key -> now() seconds when usable again
+
+  constructor(capacity = LOOT.inventorySlots) {
+    this.capacity = Math.max(1, capacity | 0);
+    this.stacks = []; // [{ id, qty, gear? }] gear = { rarity, affixes: { stat: value } }
+    this.loadFromStorage();
+  }
+
+  getDef(id) {
+    return ITEMS[id] || null;
+  }
+
+  count(id) {
+    let n = 0;
+    for (const s of this.stacks) if (s.id === id) n += s.qty;
+    return n;
+  }
+
+  list() {
+    return this.stacks.map((s) => ({ id: s.id, qty: s.qty, def: this.getDef(s.id), gear: s.gear }));
+  }
+
+  isFull() {
+    return this.stacks.length >= this.capacity;
+  }
+
+  /**
+   * Add items, filling existing stacks first. Returns the quantity added.
+   * Passing a gear instance adds exactly one unstacked item.
+   */
+  add(id, qty = 1, gear = null) {
+    const def = this.getDef(id);
+    let left = Math.max(0, Math.floor(qty));
+    if (!def || left <= 0) return 0;
+    if (gear) {
+      if (this.isFull()) return 0;
+      this.stacks.push({ id, qty: 1, gear: { rarity: gear.rarity, affixes: { ...(gear.affixes || {}) } } });
+      this.#changed();
+      return 1;
+    }
+    const maxStack = Math.max(1, def.maxStack || 1);
+
+    for (const s of this.stacks) {
+      if (left <= 0) break;
+      if (s.id !== id || s.gear || s.qty >= maxStack) continue;
+      const take = Math.min(left, maxStack - s.qty);
+      s.qty += take;
+      left -= take;
+    }
+    while (left > 0 && this.stacks.length < this.capacity) {
+      const take = Math.min(left, maxStack);
+      this.stacks.push({ id, qty: take });
+      left -= take;
+    }
+
+    const added = Math.floor(qty) - left;
+    if (added > 0) this.#changed();
+    return added;
+  }
+
+  /**
+   * Remove qty of an item (from the last stacks first). All-or-nothing.
+   */
+  remove(id, qty = 1) {
+    let left = Math.max(0, Math.floor(qty));
+    if (left <= 0 || this.count(id) < left) return false;
+    for (let i = this.stacks.length - 1; i >= 0 && left > 0; i--) {
+      const s = this.stacks[i];
+      if (s.id !== id) continue;
+      const take = Math.min(left, s.qty);
+      s.qty -= take;
+      left -= take;
+      if (s.qty <= 0) this.stacks.splice(i, 1);
+    }
+    this.#changed();
+    return true;
+  }
+
+  takeAt(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.stacks.length) return null;
+    const [stack] = this.stacks.splice(index, 1);
+    this.#changed();
+    return stack;
+  }
+
+  canUse(id) {
+    const def = this.getDef(id);
+    return !!(def && def.type === "consumable" && def.use && this.count(id) > 0 && this.getCooldown(id).remain <= 0);
+  }
+
+  getCooldown(id) {
+    const def = this.getDef(id);
+    if (!def || !def.cooldown) return { remain: 0, total: 0 };
+    return { remain: Math.max(0, (this.#readyAt[cdKeyOf(def)] || 0) - now()), total: def.cooldown };
+  }
+
+  /**
+   * Apply a consumable's effect to the player and consume one.
+   */
+  useItem(id, player) {
+    if (!player || !player.alive || !this.canUse(id)) return false;
+    const def = this.getDef(id);
+    const use = def.use;
+    let applied = false;
+    if (use.healPct && player.hp < player.maxHP) {
+      player.hp = Math.min(player.maxHP, player.hp + player.maxHP * use.healPct);
+      applied = true;
+    }
+    if (use.manaPct && player.mp < player.maxMP) {
+      player.mp = Math.min(player.maxMP, player.mp + player.maxMP * use.manaPct);
+      applied = true;
+    }
+    // Scroll buffs reuse the hero's transient combat modifiers (see Player constructor);
+    // defense is a "fortify" status effect (src/status_effects.js)
+    if (use.buff) {
+      const until = now() + (use.duration || 10);
+      if (use.buff === "speed") {
+        player.speedBoostMul = use.mul || 1;
+        player.speedBoostUntil = until;
+      } else if (use.buff === "atkSpeed") {
+        player.atkSpeedMul = use.mul || 1;
+        player.atkSpeedUntil = until;
+      } else if (use.buff === "defense") {
+        player.status.apply("fortify", { magnitude: use.pct || 0, duration: use.duration || 10 });
+      } else if (use.buff === "damage" && player.skills) {
+        player.skills.damageBuffMult = use.mul || 1;
+        player.skills.damageBuffUntil = until;
+      }
+      applied = true;
+    }
+    if (!applied) return false;
+    if (def.cooldown) this.#readyAt[cdKeyOf(def)] = now() + def.cooldown;
+    return this.remove(id, 1);
+  }
+
+  useHotbar(slot, player) {
+    const id = HOTBAR[slot];
+    return !!id && this.useItem(id, player);
+  }
+
+  saveToStorage() {
+    try {
+      getSaveManager().set(SAVE_SECTION, this.stacks.map((s) => (s.gear ? { id: s.id, qty: 1, gear: s.gear } : { id: s.id, qty: s.qty })));
+    } catch (e) {
+      console.warn("Failed to save inventory:", e);
+    }
+  }
+
+  loadFromStorage() {
+    try {
+      const arr = getSaveManager().get(SAVE_SECTION, []);
+      if (!Array.isArray(arr)) return;
+      this.stacks = arr
+        .filter((s) => s && this.getDef(s.id) && Number.isFinite(s.qty) && s.qty > 0)
+        .slice(0, this.capacity)
+        .map((s) => (s.gear && typeof s.gear === "object"
+          ? { id: s.id, qty: 1, gear: { rarity: s.gear.rarity, affixes: { ...(s.gear.affixes || {}) } } }
+          : { id: s.id, qty: Math.min(Math.floor(s.qty), this.getDef(s.id).maxStack || 1) }));
+    } catch (e) {
+      console.warn("Failed to load inventory:", e);
+    }
+  }
+
+  #changed() {
+    this.saveToStorage();
+    try {
+      window.dispatchEvent(new CustomEvent("inventory-changed"));
+    } catch (_) {}
+  }
+}
+
+/**
+ * Global instance (singleton pattern)
+ */
+let globalInstance = null;
+
+export function getInventory() {
+  if (!globalInstance) {
+    globalInstance = new Inventory();
+  }
+  return globalInstance;
+}
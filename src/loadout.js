@@ -4,23 +4,23 @@
  * Helpers for persisting and resolving the player's chosen 4-skill loadout.
  *
  * Responsibilities:
- * - Save / load a simple array of 4 skill id strings to localStorage ("fire_loadout")
+ * - Save / load a simple array of 4 skill id strings in the active save slot ("fireLoadout")
  * - Validate saved data and gracefully fallback to defaults
  * - Resolve a final runtime loadout (array of 4 valid skill ids) given the SKILL_POOL
  *
- * This module is intentionally dependency-free (does not import SKILL_POOL)
- * so it can be used from anywhere (eg. src/main.js) by passing the skill pool array.
+ * This module intentionally does not import SKILL_POOL so it can be used
+ * from anywhere (eg. src/main.js) by passing the skill pool array.
  */
 
-import { STORAGE_KEYS } from "../config/index.js";
+import { getSaveManager } from "./save_manager.js";
 
-const STORAGE_KEY = STORAGE_KEYS.fireLoadout;
+const SAVE_SECTION = "fireLoadout";
 
 export class LoadoutManager {
   constructor(skillPool = null, defaultIds = null) {
     this.skillPool = skillPool;
     this.defaultIds = defaultIds;
-    this.storageKey = STORAGE_KEY;
+    this.storageKey = SAVE_SECTION;
   }
 
   /**
@@ -40,7 +40,7 @@ export class LoadoutManager {
   }
 
   /**
-   * Save a loadout (array of skill id strings) to localStorage.
+   * Save a loadout (array of skill id strings) to the active save slot.
    * Returns true on success, false on failure.
    * @param {string[]} ids - expected to be an array (length 4 ideally) of skill id strings
    * @returns {boolean}
@@ -51,7 +51,7 @@ export class LoadoutManager {
         console.warn("saveLoadout: expected array:", ids);
         return false;
       }
-      localStorage.setItem(this.storageKey, JSON.stringify(ids));
+      getSaveManager().set(this.storageKey, ids);
       return true;
     } catch (err) {
       console.warn("saveLoadout error", err);
@@ -60,16 +60,13 @@ export class LoadoutManager {
   }
 
   /**
-   * Load a raw saved loadout from localStorage.
+   * Load a raw saved loadout from the active save slot.
    * Returns parsed value or null if nothing valid was found.
    * @returns {any|null}
    */
   load() {
     try {
-      const raw = localStorage.getItem(this.storageKey);
-      if (!raw) return null;
-      const parsed = JSON.parse(raw);
-      return parsed;
+      return getSaveManager().get(this.storageKey, null);
     } catch (err) {
       console.warn("loadLoadout parse error", err);
       return null;
@@ -99,7 +96,7 @@ export class LoadoutManager {
    *
    * - skillPool: array of skill objects with at least an `id` field (eg. SKILL_POOL)
    *              (optional if instance skillPool was set)
-   * - ids: optional saved ids from localStorage (may be null/invalid)
+   * - ids: optional saved ids from the save slot (may be null/invalid)
    * - defaultIds: optional fallback array of 4 ids (eg. DEFAULT_LOADOUT)
    *               (optional if instance defaultIds was set)
    *
@@ -170,7 +167,7 @@ export class LoadoutManager {
    */
   clear() {
     try {
-      localStorage.removeItem(this.storageKey);
+      getSaveManager().remove(this.storageKey);
     } catch (err) {
       console.warn("clearLoadout error", err);
     }
@@ -180,7 +177,7 @@ export class LoadoutManager {
 // ---- Legacy function exports for backward compatibility ----
 
 /**
- * Save a loadout (array of skill id strings) to localStorage.
+ * Save a loadout (array of skill id strings) to the active save slot.
  * Returns true on success, false on failure.
  * @param {string[]} ids - expected to be an array (length 4 ideally) of skill id strings
  * @returns {boolean}
@@ -191,7 +188,7 @@ export function saveLoadout(ids) {
       console.warn("saveLoadout: expected array:", ids);
       return false;
     }
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+    getSaveManager().set(SAVE_SECTION, ids);
     return true;
   } catch (err) {
     console.warn("saveLoadout error", err);
@@ -200,16 +197,13 @@ export function saveLoadout(ids) {
 }
 
 /**
- * Load a raw saved loadout from localStorage.
+ * Load a raw saved loadout from the active save slot.
  * Returns parsed value or null if nothing valid was found.
  * @returns {any|null}
  */
 export function loadLoadout() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    return parsed;
+    return getSaveManager().get(SAVE_SECTION, null);
   } catch (err) {
     console.warn("loadLoadout parse error", err);
     return null;
@@ -232,7 +226,7 @@ export function validateLoadoutIds(skillPool, ids) {
  * Resolve a final loadout of 4 valid skill ids.
  *
  * - skillPool: array of skill objects with at least an `id` field (eg. SKILL_POOL)
- * - ids: optional saved ids from localStorage (may be null/invalid)
+ * - ids: optional saved ids from the save slot (may be null/invalid)
  * - defaultIds: optional fallback array of 4 ids (eg. DEFAULT_LOADOUT)
  *
  * Resolution rules:
@@ -294,7 +288,7 @@ export function loadOrDefault(skillPool, defaultIds = null) {
  */
 export function clearLoadout() {
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    getSaveManager().remove(SAVE_SECTION);
   } catch (err) {
     console.warn("clearLoadout error", err);
   }
@@ -0,0 +1,209 @@
+/**
+ * Loot System
+ * - Rolls tier-aware drop tables (config/items.js LOOT_TABLES) when enemies die
+ * - Drops gold piles scaled by the current map depth (collected into the wallet)
+ * - Spawns glowing ground items scattered around the corpse
+ * - Magnetizes nearby items toward the hero and auto-collects them inside the pickup radius
+ * - Expires uncollected items after LOOT.lifetime and caps the number on the ground
+ *
+ * Public API:
+ *   import { LootSystem } from './loot.js';
+ *   const loot = new LootSystem({ THREE, scene, player, now, inventory, wallet, mapManager, effects, audio });
+ *   loot.rollDrops(tier)                 -> [{ id, qty, gear? }]
+ *   loot.dropFromEnemy(enemy)            -> spawns the rolled drops at the enemy position
+ *   loot.spawnGroundItem(id, qty, pos, gear?) -> spawns a single ground item
+ *   loot.update(dt)                      -> per frame (animation, magnet, pickup, expiry)
+ *   loot.getGroundItems()                -> live ground items (read-only use)
+ */
+
+import { ITEMS, ITEM_RARITY, LOOT, LOOT_TABLES } from "../config/items.js";
+import { createLootMesh } from "./meshes.js";
+import { rollGear } from "./equipment.js";
+import { pickWeighted } from "./utils.js";
+import { t } from "./i18n.js";
+
+export class LootSystem {
+  #THREE;
+  #scene;
+  #player;
+  #now;
+  #inventory;
+  #wallet;
+  #mapManager;
+  #effects;
+  #audio;
+
+  #items = []; // [{ id, qty, gear, group, gem, bornAt, phase }]
+  #nextFullHintT = 0;
+
+  constructor({ THREE, scene, player, now, inventory, wallet, mapManager, effects, audio }) {
+    this.#THREE = THREE;
+    this.#scene = scene;
+    this.#player = player;
+    this.#now = now;
+    this.#inventory = inventory;
+    this.#wallet = wallet;
+    this.#mapManager = mapManager;
+    this.#effects = effects;
+    this.#audio = audio;
+  }
+
+  /**
+   * Roll a tier's drop table.
+   * @param {string} tier - normal | tough | elite | boss
+   * @returns {Array<{id:string, qty:number, gear?:object}>}
+   */
+  rollDrops(tier) {
+    const table = LOOT_TABLES[tier] || LOOT_TABLES.normal;
+    const out = [];
+    const qtyOf = (e) => {
+      const min = Math.max(1, e.min || 1);
+      const max = Math.max(min, e.max || min);
+      return min + Math.floor(Math.random() * (max - min + 1));
+    };
+
+    (table.guaranteed || []).forEach((e) => {
+      if (ITEMS[e.id]) out.push({ id: e.id, qty: qtyOf(e) });
+    });
+
+    const entries = table.entries || [];
+    const total = entries.reduce((s, e) => s + Math.max(0, e.weight || 0), 0);
+    for (let i = 0; i < (table.rolls || 0); i++) {
+      if (total <= 0 || Math.random() >= (table.chance ?? 1)) continue;
+      let r = Math.random() * total;
+      for (const e of entries) {
+        r -= Math.max(0, e.weight || 0);
+        if (r <= 0) {
+          if (ITEMS[e.id]) out.push({ id: e.id, qty: qtyOf(e) });
+          break;
+        }
+      }
+    }
+
+    if (table.gear && Math.random() < (table.gear.chance || 0)) {
+      const rarity = pickWeighted(table.gear.rarity || { common: 1 });
+      if (rarity) out.push({ qty: 1, ...rollGear(rarity) });
+    }
+
+    if (table.gold && this.#wallet && Math.random() < (table.gold.chance ?? 1)) {
+      let depth = 0;
+      try { depth = this.#mapManager?.getModifiers?.().depth || 0; } catch (_) {}
+      const qty = Math.round(qtyOf(table.gold) * Math.pow(LOOT.goldDepthGrowth, depth));
+      if (qty > 0) out.push({ id: "gold", qty });
+    }
+    return out;
+  }
+
+  /**
+   * Roll and spawn drops for a dead enemy.
+   */
+  dropFromEnemy(en) {
+    if (!en || !en.pos) return;
+    const drops = this.rollDrops(en.tier);
+    const origin = en.pos();
+    drops.forEach((d, i) => {
+      const a = (i / Math.max(1, drops.length)) * Math.PI * 2 + Math.random() * 0.6;
+      const r = LOOT.scatterRadius * (0.4 + Math.random() * 0.6);
+      const pos = new this.#THREE.Vector3(origin.x + Math.cos(a) * r, 0, origin.z + Math.sin(a) * r);
+      this.spawnGroundItem(d.id, d.qty, pos, d.gear);
+    });
+  }
+
+  spawnGroundItem(id, qty, position, gear = null) {
+    const def = ITEMS[id];
+    if (!def || !position) return null;
+    const rarity = ITEM_RARITY[gear?.rarity || def.rarity] || ITEM_RARITY.common;
+    const mesh = createLootMesh({ color: def.color || rarity.color, beam: rarity.order >= ITEM_RARITY.rare.order });
+    mesh.group.position.set(position.x, 0, position.z);
+    this.#scene.add(mesh.group);
+
+    const item = { id, qty: gear ? 1 : Math.max(1, qty | 0), gear, group: mesh.group, gem: mesh.gem, bornAt: this.#now(), phase: Math.random() * Math.PI * 2 };
+    this.#items.push(item);
+
+    // Cap: drop the oldest items first
+    while (this.#items.length > LOOT.maxGroundItems) {
+      this.#removeAt(0);
+    }
+    return item;
+  }
+
+  getGroundItems() {
+    return this.#items;
+  }
+
+  update(dt) {
+    if (!this.#items.length) return;
+    const t = this.#now();
+    const player = this.#player;
+    const pp = player && player.alive ? player.pos() : null;
+
+    for (let i = this.#items.length - 1; i >= 0; i--) {
+      const it = this.#items[i];
+
+      if (t - it.bornAt > LOOT.lifetime) {
+        this.#removeAt(i);
+        continue;
+      }
+
+      // Idle bob/spin
+      try {
+        it.gem.rotation.y += dt * 1.8;
+        it.gem.position.y = 0.6 + Math.sin(t * 3 + it.phase) * 0.12;
+      } catch (_) {}
+
+      if (!pp) continue;
+      const dx = pp.x - it.group.position.x;
+      const dz = pp.z - it.group.position.z;
+      const d = Math.hypot(dx, dz);
+
+      if (d <= LOOT.pickupRadius) {
+        this.#tryPickup(i);
+      } else if (d <= LOOT.magnetRadius && (ITEMS[it.id].type === "currency" || !this.#inventory.isFull())) {
+        const step = Math.min(d, LOOT.magnetSpeed * dt);
+        it.group.position.x += (dx / d) * step;
+        it.group.position.z += (dz / d) * step;
+      }
+    }
+  }
+
+  #tryPickup(index) {
+    const it = this.#items[index];
+    const def = ITEMS[it.id];
+    if (def.type === "currency") {
+      // goldFind (hero stat layer) scales the pile as it is picked up
+      const qty = Math.round(it.qty * (this.#player?.stats ? this.#player.stats.mul("goldFind") : 1));
+      this.#wallet?.add(qty);
+      try { this.#effects?.spawnTextPopup?.(it.group.position, `+${qty} ${def.icon}`, def.color); } catch (_) {}
+      try { this.#audio?.sfx?.("pickup"); } catch (_) {}
+      this.#removeAt(index);
+      return;
+    }
+    const added = this.#inventory.add(it.id, it.qty, it.gear);
+    if (added <= 0) {
+      const at = this.#now();
+      if (at >= this.#nextFullHintT) {
+        this.#nextFullHintT = at + 3;
+        try { this.#effects?.spawnTextPopup?.(this.#player.pos(), `🎒 ${t("items.bagFull")}`, "#ff9c9c"); } catch (_) {}
+      }
+      return;
+    }
+    const rarity = ITEM_RARITY[it.gear?.rarity || def.rarity] || ITEM_RARITY.common;
+    try { this.#effects?.spawnTextPopup?.(it.group.position, `+${added} ${def.icon || ""}`, rarity.color); } catch (_) {}
+    try { this.#audio?.sfx?.("pickup"); } catch (_) {}
+
+    it.qty -= added;
+    if (it.qty <= 0) this.#removeAt(index);
+  }
+
+  #removeAt(index) {
+    const it = this.#items[index];
+    this.#items.splice(index, 1);
+    try { this.#scene.remove(it.group); } catch (_) {}
+    try {
+      it.group.traverse((o) => {
+        o.geometry?.dispose?.();
+        o.material?.dispose?.();
+      });
+    } catch (_) {}
+  }
+}
@@ -2,6 +2,7 @@
  * ProximityManager
  * Manages proximity detection for structures (temples, villas, columns, statues, obelisks)
  * and triggers appropriate messages and buff application.
+ * Dispatches a "structure-visited" { key, type, name } window event on entering a structure.
  *
  * Public API:
  *   const proximityManager = new ProximityManager({
@@ -113,8 +114,13 @@ export class ProximityManager {
     
     // Check if we entered or left a structure's proximity
     const now = Date.now();
-    if (closestStructure && closestStructure !== this.#nearStructure) {
+    if (closestStructure && closestStructure.key !== this.#nearStructure?.key) {
       this.#nearStructure = closestStructure;
+      try {
+        window.dispatchEvent(new CustomEvent("structure-visited", {
+          detail: { key: closestStructure.key, type: closestStructure.type, name: closestStructure.name }
+        }));
+      } catch (_) {}
       if (now - this.#lastStructureMessage > this.#STRUCTURE_MESSAGE_COOLDOWN) {
         const message = this.#getStructureProximityMessage(
           closestStructure.type, 
@@ -9,8 +9,12 @@
  *     isMobile, MOBILE_OPTIMIZATIONS 
  *   });
  *   uiController.updateHUD();
- *   uiController.updateMinimap(enemies, portals, villages, structures);
+ *   uiController.updateMinimap(enemies, portals, villages, structures, alerts);
  *   uiController.updateHeroBars();
+ *   uiController.updateBossBar(encounter);
+ *   uiController.updateHordeBar(event);
+ *   uiController.updateSiegeBar(siege);
+ *   uiController.updateQuestTracker(active);
  *   uiController.setCenterMsg(msg);
  *   uiController.clearCenterMsg();
  */
@@ -27,6 +31,10 @@ export class UIController {
   #MINIMAP_UPDATE_MS;
   #lastHudT = 0;
   #lastMinimapT = 0;
+  #lastBossT = 0;
+  #lastHordeT = 0;
+  #lastSiegeT = 0;
+  #lastQuestT = 0;
 
   constructor({ 
     ui, 
@@ -90,13 +98,13 @@ export class UIController {
    * Update minimap with player, enemies, portals, villages, and structures
    * Throttled for performance
    */
-  updateMinimap(enemies = [], portals = null, villages = null, structures = null) {
+  updateMinimap(enemies = [], portals = null, villages = null, structures = null, alerts = null) {
     const nowMs = performance.now();
     if ((nowMs - this.#lastMinimapT) < this.#MINIMAP_UPDATE_MS) return;
     
     this.#lastMinimapT = nowMs;
     try {
-      this.#ui?.updateMinimap?.(this.#player, enemies, portals, villages, structures);
+      this.#ui?.updateMinimap?.(this.#player, enemies, portals, villages, structures, alerts);
     } catch (err) {
       console.error('[UIController] Minimap update failed:', err);
     }
@@ -120,6 +128,70 @@ export class UIController {
     }
   }
 
+  /**
+   * Update the boss encounter bar (null hides it)
+   * Throttled with the HUD interval
+   */
+  updateBossBar(encounter) {
+    const nowMs = performance.now();
+    if (encounter && (nowMs - this.#lastBossT) < this.#HUD_UPDATE_MS) return;
+
+    this.#lastBossT = nowMs;
+    try {
+      this.#ui?.updateBossBar?.(encounter);
+    } catch (err) {
+      console.error('[UIController] Boss bar update failed:', err);
+    }
+  }
+
+  /**
+   * Update the horde event bar (null hides it)
+   * Throttled with the HUD interval
+   */
+  updateHordeBar(event) {
+    const nowMs = performance.now();
+    if (event && (nowMs - this.#lastHordeT) < this.#HUD_UPDATE_MS) return;
+
+    this.#lastHordeT = nowMs;
+    try {
+      this.#ui?.updateHordeBar?.(event);
+    } catch (err) {
+      console.error('[UIController] Horde bar update failed:', err);
+    }
+  }
+
+  /**
+   * Update the besieged village bar (null hides it)
+   * Throttled with the HUD interval
+   */
+  updateSiegeBar(siege) {
+    const nowMs = performance.now();
+    if (siege && (nowMs - this.#lastSiegeT) < this.#HUD_UPDATE_MS) return;
+
+    this.#lastSiegeT = nowMs;
+    try {
+      this.#ui?.updateSiegeBar?.(siege);
+    } catch (err) {
+      console.error('[UIController] Siege bar update failed:', err);
+    }
+  }
+
+  /**
+   * Update the HUD quest tracker (accepted quests with progress)
+   * Throttled with the HUD interval
+   */
+  updateQuestTracker(active) {
+    const nowMs = performance.now();
+    if ((nowMs - this.#lastQuestT) < this.#HUD_UPDATE_MS) return;
+
+    this.#lastQuestT = nowMs;
+    try {
+      this.#ui?.updateQuestTracker?.(active);
+    } catch (err) {
+      console.error('[UIController] Quest tracker update failed:', err);
+    }
+  }
+
   /**
    * Display a center message
    */
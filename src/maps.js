@@ -1,11 +1,23 @@
 /**
  * Map Manager
  * - Defines MAP 1..N with unlock requirements and enemy modifiers per map
- * - Persists current map index and unlocked max to localStorage
+ * - Applies the per-map damage-type affinity to enemies (applyMapModifiersToEnemy)
+ * - Gates each Act behind the previous Act's boss (recordBossDefeat) as well as hero level
+ * - Persists current map index and unlocked max in the active save slot
+ * - Dispatches a "maps-unlocked" { unlockedMax } window event when more maps open up
  * - Provides a simple API to integrate with UI and enemy spawning
  */
-import { STORAGE_KEYS } from "../config/index.js";
+import { getSaveManager } from "./save_manager.js";
 import { ENDLESS, MAP_EMOJIS, MAPS } from "../config/map.js";
+import { enemyResistances } from "./combat.js";
+import { getArchetype } from "./enemy_archetypes.js";
+
+function dispatchUnlocked(unlockedMax) {
+  try {
+    if (typeof window === "undefined" || !window.dispatchEvent) return;
+    window.dispatchEvent(new CustomEvent("maps-unlocked", { detail: { unlockedMax } }));
+  } catch (_) {}
+}
 
 export function applyMapEnemyCss(modsOrTint) {
   try {
@@ -37,8 +49,9 @@ export function applyMapEnemyCss(modsOrTint) {
 
 export class MapManager {
   constructor() {
-    this.currentIndex = this.clampIndex(this.loadInt(STORAGE_KEYS.mapCurrentIndex, 1));
-    this.unlockedMax = this.clampIndex(this.loadInt(STORAGE_KEYS.mapUnlockedMax, 1));
+    this.currentIndex = this.clampIndex(this.loadInt("mapCurrentIndex", 1));
+    this.unlockedMax = this.clampIndex(this.loadInt("mapUnlockedMax", 1));
+    this.bossesDefeated = new Set(this.loadList("mapBossesDefeated"));
   }
 
   // Helper methods
@@ -47,21 +60,31 @@ export class MapManager {
     return idx;
   }
 
-  loadInt(key, def = 1) {
+  // Integers persisted as sections of the active save slot
+  loadInt(section, def = 1) {
     try {
-      const v = parseInt(localStorage.getItem(key) || "", 10);
+      const v = parseInt(getSaveManager().get(section, ""), 10);
       return Number.isFinite(v) ? v : def;
     } catch {
       return def;
     }
   }
 
-  saveInt(key, v) {
+  saveInt(section, v) {
     try {
-      localStorage.setItem(key, String(Math.floor(v)));
+      getSaveManager().set(section, Math.floor(v));
     } catch {}
   }
 
+  loadList(section) {
+    try {
+      const v = getSaveManager().get(section, []);
+      return Array.isArray(v) ? v.filter((i) => Number.isFinite(i)) : [];
+    } catch {
+      return [];
+    }
+  }
+
   depthForIndex(i) {
     const idx = this.clampIndex(i);
     return idx > MAPS.length ? (idx - MAPS.length) : 0;
@@ -103,8 +126,12 @@ export class MapManager {
       enemyTint: base.enemyTint,
       enemyHpMul: base.enemyHpMul,
       enemyDmgMul: base.enemyDmgMul,
+      affinity: base.affinity,
       desc: `Endless Depth ${depth}. Enemies grow stronger with each depth.`,
       strongEnemies: base.strongEnemies,
+      boss: base.boss,
+      // Endless depths mix the signature enemies of every Act
+      archetypes: MAPS.flatMap((m) => m.archetypes || []),
       emoji: this.emojiForIndex(this.currentIndex),
       imgHint: base.imgHint,
       _endlessDepth: depth,
@@ -193,9 +220,43 @@ export class MapManager {
       enemyCountMul,
       depth,
       name: cur.name,
+      affinity: cur.affinity || {},
     };
   }
 
+  /**
+   * Per-enemy map modifiers, called on spawn/respawn and when the map changes.
+   * Applies the map's damage-type affinity on top of the enemy kind resistances.
+   */
+  applyMapModifiersToEnemy(en) {
+    if (!en || !en.kind) return;
+    en.resist = enemyResistances(en.kind, getArchetype(en.archetype || en.kind).resist, en.affixResist, this.getCurrent().affinity);
+  }
+
+  isBossDefeated(index) {
+    return this.bossesDefeated.has(this.clampIndex(index));
+  }
+
+  /**
+   * Record a boss kill on map `index` and unlock the next map.
+   * Returns true when this unlocked a new map.
+   */
+  recordBossDefeat(index) {
+    const idx = this.clampIndex(index);
+    const next = idx + 1;
+    const firstKill = !this.bossesDefeated.has(idx);
+    const unlocks = next > this.unlockedMax;
+    if (!firstKill && !unlocks) return false;
+    this.bossesDefeated.add(idx);
+    if (unlocks) this.unlockedMax = next;
+    getSaveManager().batch(() => {
+      getSaveManager().set("mapBossesDefeated", Array.from(this.bossesDefeated));
+      this.saveInt("mapUnlockedMax", this.unlockedMax);
+    });
+    if (unlocks) dispatchUnlocked(this.unlockedMax);
+    return unlocks;
+  }
+
   canSelect(index) {
     const idx = this.clampIndex(index);
     return idx <= this.unlockedMax;
@@ -205,32 +266,40 @@ export class MapManager {
     const idx = this.clampIndex(index);
     if (!this.canSelect(idx)) return false;
     this.currentIndex = idx;
-    this.saveInt(STORAGE_KEYS.mapCurrentIndex, this.currentIndex);
+    this.saveInt("mapCurrentIndex", this.currentIndex);
     // Apply per-map enemy CSS theme so THEME_COLORS.enemy/enemyDark update live
     try { applyMapEnemyCss(this.getModifiers()); } catch (_) {}
     return true;
   }
 
   unlockByLevel(heroLevel) {
-    // Unlock all defined maps whose requiredLevel is met
+    // Unlock defined maps whose requiredLevel is met and whose previous Act boss is down
     let maxIdx = this.unlockedMax;
     for (const m of MAPS) {
-      if (heroLevel >= m.requiredLevel) {
+      if (m.index > maxIdx + 1) break;
+      const gated = m.index > 1 && MAPS[m.index - 2]?.boss && !this.isBossDefeated(m.index - 1);
+      if (heroLevel >= m.requiredLevel && !gated) {
         maxIdx = Math.max(maxIdx, m.index);
       }
     }
-    // Additionally unlock endless depths gradually (every 5 hero levels adds +1 depth)
-    const extraDepth = Math.max(0, Math.floor((heroLevel - (MAPS[MAPS.length - 1]?.requiredLevel || 1)) / 5));
-    const endlessMaxIndex = MAPS.length + extraDepth;
-    maxIdx = Math.max(maxIdx, endlessMaxIndex);
+    // Endless depths open after the final Act boss (every 5 hero levels adds +1 depth)
+    const last = MAPS[MAPS.length - 1];
+    if (!last?.boss || this.isBossDefeated(MAPS.length)) {
+      const extraDepth = Math.max(0, Math.floor((heroLevel - (last?.requiredLevel || 1)) / 5));
+      maxIdx = Math.max(maxIdx, MAPS.length + extraDepth);
+    }
 
     if (maxIdx !== this.unlockedMax) {
+      const grew = maxIdx > this.unlockedMax;
       this.unlockedMax = maxIdx;
-      this.saveInt(STORAGE_KEYS.mapUnlockedMax, this.unlockedMax);
-      if (this.currentIndex > this.unlockedMax) {
-        this.currentIndex = this.unlockedMax;
-        this.saveInt(STORAGE_KEYS.mapCurrentIndex, this.currentIndex);
-      }
+      getSaveManager().batch(() => {
+        this.saveInt("mapUnlockedMax", this.unlockedMax);
+        if (this.currentIndex > this.unlockedMax) {
+          this.currentIndex = this.unlockedMax;
+          this.saveInt("mapCurrentIndex", this.currentIndex);
+        }
+      });
+      if (grew) dispatchUnlocked(this.unlockedMax);
       return true;
     }
     return false;
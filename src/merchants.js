@@ -0,0 +1,196 @@
+/**
+ * Merchants System
+ * - Places a merchant stall in the origin village and every discovered village
+ * - Stock is deterministic per village key (seeded like villages.js nameForKey):
+ *   potions (unlimited), a few scrolls (unlimited) and one-off rolled gear pieces
+ * - Village prosperity (src/village_prosperity.js) appends extra, better gear pieces;
+ *   they come after the base stock so saved sold-out indices stay valid
+ * - Buying spends wallet gold; selling pays MERCHANT.sellRatio of the item price
+ * - Sold-out gear is remembered per village in the save slot ("merchants" section)
+ * - Dispatches a window "merchant-near" event ({ detail: { key, name } | null }) when
+ *   the hero walks into / out of trading range
+ *
+ * Public API:
+ *   import { MerchantSystem } from './merchants.js';
+ *   const merchants = new MerchantSystem({ THREE, scene, player, villages, inventory, wallet, VILLAGE_POS });
+ *   merchants.update(dt)                -> spawns stalls for new villages, tracks proximity
+ *   merchants.getNearbyMerchant()       -> { key, name } | null
+ *   merchants.getStock(key)             -> [{ index, id, gear?, price, unlimited, soldOut }]
+ *   merchants.buy(key, index)           -> { ok, reason? }  reason: far | soldout | gold | full
+ *   merchants.getSellPrice(invIndex)    -> gold paid for one unit (0 = not sellable)
+ *   merchants.sell(invIndex)            -> { ok, gold? }
+ */
+
+import { ITEMS, GEAR_PRICE, MERCHANT } from "../config/items.js";
+import { PROSPERITY } from "../config/sieges.js";
+import { createMerchantMesh } from "./meshes.js";
+import { rollGear } from "./equipment.js";
+import { createSeededRNG, pickWeighted } from "./utils.js";
+import { getSaveManager } from "./save_manager.js";
+import { getVillageProsperity } from "./village_prosperity.js";
+
+const SAVE_SECTION = "merchants";
+const SCAN_INTERVAL = 1; // seconds between village scans for new stalls
+
+export class MerchantSystem {
+  #THREE;
+  #scene;
+  #player;
+  #villages;
+  #inventory;
+  #wallet;
+  #VILLAGE_POS;
+
+  #merchants = new Map(); // key -> { key, name, position, group }
+  #stockCache = new Map(); // key -> { extra, stock } (entries without soldOut)
+  #sold = {}; // key -> [stock index]
+  #near = null;
+  #scanAcc = SCAN_INTERVAL;
+
+  constructor({ THREE, scene, player, villages, inventory, wallet, VILLAGE_POS }) {
+    this.#THREE = THREE;
+    this.#scene = scene;
+    this.#player = player;
+    this.#villages = villages;
+    this.#inventory = inventory;
+    this.#wallet = wallet;
+    this.#VILLAGE_POS = VILLAGE_POS;
+    this.#loadSold();
+  }
+
+  update(dt) {
+    this.#scanAcc += dt;
+    if (this.#scanAcc >= SCAN_INTERVAL) {
+      this.#scanAcc = 0;
+      this.#spawnMissingStalls();
+    }
+    this.#updateProximity();
+  }
+
+  getNearbyMerchant() {
+    return this.#near ? { key: this.#near.key, name: this.#near.name } : null;
+  }
+
+  getStock(key) {
+    const sold = new Set(this.#sold[key] || []);
+    return this.#stockFor(key).map((s) => ({ ...s, soldOut: !s.unlimited && sold.has(s.index) }));
+  }
+
+  buy(key, index) {
+    if (!this.#near || this.#near.key !== key) return { ok: false, reason: "far" };
+    const entry = this.getStock(key)[index];
+    if (!entry || entry.soldOut) return { ok: false, reason: "soldout" };
+    if (!this.#wallet.canAfford(entry.price)) return { ok: false, reason: "gold" };
+    if (this.#inventory.add(entry.id, 1, entry.gear || null) <= 0) return { ok: false, reason: "full" };
+    this.#wallet.spend(entry.price);
+    if (!entry.unlimited) {
+      (this.#sold[key] = this.#sold[key] || []).push(index);
+      this.#saveSold();
+    }
+    return { ok: true };
+  }
+
+  getSellPrice(invIndex) {
+    const stack = this.#inventory.stacks[invIndex];
+    const def = stack && ITEMS[stack.id];
+    if (!def) return 0;
+    const base = stack.gear ? (GEAR_PRICE[stack.gear.rarity] || 0) : (def.price || 0);
+    return Math.max(0, Math.floor(base * MERCHANT.sellRatio));
+  }
+
+  sell(invIndex) {
+    if (!this.#near) return { ok: false };
+    const stack = this.#inventory.stacks[invIndex];
+    const gold = this.getSellPrice(invIndex);
+    if (!stack || gold <= 0) return { ok: false };
+    if (stack.gear || stack.qty <= 1) {
+      this.#inventory.takeAt(invIndex);
+    } else if (!this.#inventory.remove(stack.id, 1)) {
+      return { ok: false };
+    }
+    this.#wallet.add(gold);
+    return { ok: true, gold };
+  }
+
+  // ---- Internals ----
+
+  #stockFor(key) {
+    const extra = getVillageProsperity().extraGear(key);
+    const cached = this.#stockCache.get(key);
+    if (cached && cached.extra === extra) return cached.stock;
+    const rng = createSeededRNG(`merchant:${key}`);
+    const list = [];
+    MERCHANT.potions.forEach((id) => {
+      if (ITEMS[id]) list.push({ id, price: ITEMS[id].price || 0, unlimited: true });
+    });
+    const scrolls = MERCHANT.scrolls.filter((id) => ITEMS[id]);
+    for (let i = 0; i < MERCHANT.scrollCount && scrolls.length; i++) {
+      const id = scrolls.splice(Math.floor(rng() * scrolls.length), 1)[0];
+      list.push({ id, price: ITEMS[id].price || 0, unlimited: true });
+    }
+    for (let i = 0; i < MERCHANT.gearCount; i++) {
+      const rarity = pickWeighted(MERCHANT.gearRarity, rng) || "common";
+      const g = rollGear(rarity, null, rng);
+      list.push({ id: g.id, gear: g.gear, price: GEAR_PRICE[rarity] || 0, unlimited: false });
+    }
+    for (let i = 0; i < extra; i++) {
+      const rarity = pickWeighted(PROSPERITY.gearRarity, rng) || "rare";
+      const g = rollGear(rarity, null, rng);
+      list.push({ id: g.id, gear: g.gear, price: GEAR_PRICE[rarity] || 0, unlimited: false });
+    }
+    const stock = list.map((s, index) => ({ ...s, index }));
+    this.#stockCache.set(key, { extra, stock });
+    return stock;
+  }
+
+  #spawnMissingStalls() {
+    const sites = [{ key: "origin", name: null, center: this.#VILLAGE_POS }];
+    try {
+      (this.#villages?.listVillages?.() || []).forEach((v) => sites.push(v));
+    } catch (_) {}
+    for (const site of sites) {
+      if (this.#merchants.has(site.key) || !site.center) continue;
+      const position = new this.#THREE.Vector3(site.center.x + MERCHANT.offset.x, 0, site.center.z + MERCHANT.offset.z);
+      const group = createMerchantMesh();
+      group.position.copy(position);
+      try { this.#scene.add(group); } catch (_) {}
+      this.#merchants.set(site.key, { key: site.key, name: site.name || null, position, group });
+    }
+  }
+
+  #updateProximity() {
+    const p = this.#player;
+    let best = null;
+    if (p && p.alive) {
+      const pp = p.pos();
+      let bestD = MERCHANT.interactRadius;
+      for (const m of this.#merchants.values()) {
+        const d = Math.hypot(pp.x - m.position.x, pp.z - m.position.z);
+        if (d <= bestD) {
+          bestD = d;
+          best = m;
+        }
+      }
+    }
+    if (best === this.#near) return;
+    this.#near = best;
+    try {
+      window.dispatchEvent(new CustomEvent("merchant-near", { detail: this.getNearbyMerchant() }));
+    } catch (_) {}
+  }
+
+  #loadSold() {
+    try {
+      const saved = getSaveManager().get(SAVE_SECTION, {});
+      if (saved && typeof saved === "object") {
+        for (const [key, arr] of Object.entries(saved)) {
+          if (Array.isArray(arr)) this.#sold[key] = arr.filter(Number.isInteger);
+        }
+      }
+    } catch (_) {}
+  }
+
+  #saveSold() {
+    try { getSaveManager().set(SAVE_SECTION, this.#sold); } catch (_) {}
+  }
+}
@@ -3,6 +3,7 @@ import { GLTFLoader } from "../vendor/three/examples/jsm/loaders/GLTFLoader.js";
 import { THEME_COLORS } from "../config/index.js";
 import { HERO_MODEL_URL } from "../config/index.js";
 import { parseThreeColor } from "./utils.js";
+import { STATUS_EFFECTS } from "../config/status_effects.js";
 
 /**
  * Hero character mesh with optional GLTF model replacement
@@ -241,11 +242,66 @@ export class EnemyMesh extends THREE.Mesh {
     );
     this.eye.position.set(0, 1.2, 0.45);
     this.add(this.eye);
+
+    if (options.variant) this._addVariant(options.variant, mat);
+  }
+
+  /**
+   * Archetype silhouette details on top of the base capsule (config/enemies.js mesh.variant)
+   * @param {string} variant
+   * @param {THREE.Material} bodyMat
+   */
+  _addVariant(variant, bodyMat) {
+    const part = (geo, mat, x, y, z) => {
+      const m = new THREE.Mesh(geo, mat);
+      m.position.set(x, y, z);
+      m.castShadow = true;
+      this.add(m);
+      return m;
+    };
+    const dark = new THREE.MeshStandardMaterial({ color: 0x2a2320, roughness: 0.6, metalness: 0.3 });
+    const metal = new THREE.MeshStandardMaterial({ color: 0x9aa3ad, roughness: 0.4, metalness: 0.7 });
+
+    if (variant === "horned") {
+      const hornGeo = new THREE.ConeGeometry(0.12, 0.5, 8);
+      part(hornGeo, dark, -0.3, 1.35, 0.1).rotation.z = 0.5;
+      part(hornGeo, dark, 0.3, 1.35, 0.1).rotation.z = -0.5;
+    } else if (variant === "robed") {
+      part(new THREE.ConeGeometry(0.75, 1.1, 12, 1, true), bodyMat, 0, -0.55, 0);
+      part(new THREE.ConeGeometry(0.42, 0.5, 10), bodyMat, 0, 1.4, -0.05);
+    } else if (variant === "hound") {
+      // Stretched low body with a snout
+      this.scale.set(0.9, 0.65, 1.35);
+      part(new THREE.BoxGeometry(0.35, 0.3, 0.45), bodyMat, 0, 1.0, 0.65);
+      part(new THREE.ConeGeometry(0.1, 0.3, 6), dark, -0.2, 1.35, 0.35);
+      part(new THREE.ConeGeometry(0.1, 0.3, 6), dark, 0.2, 1.35, 0.35);
+    } else if (variant === "armored") {
+      part(new THREE.BoxGeometry(1.5, 0.3, 0.7), metal, 0, 0.85, 0);
+      part(new THREE.SphereGeometry(0.5, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2), metal, 0, 1.2, 0);
+    } else if (variant === "construct") {
+      part(new THREE.BoxGeometry(1.3, 1.2, 0.9), metal, 0, 0.2, 0);
+      part(new THREE.BoxGeometry(0.35, 0.9, 0.35), metal, -0.85, 0.1, 0);
+      part(new THREE.BoxGeometry(0.35, 0.9, 0.35), metal, 0.85, 0.1, 0);
+    } else if (variant === "winged") {
+      const wingGeo = new THREE.PlaneGeometry(1.4, 0.8);
+      const wingMat = new THREE.MeshStandardMaterial({ color: bodyMat.color, side: THREE.DoubleSide, roughness: 0.8 });
+      const l = part(wingGeo, wingMat, -0.9, 0.7, -0.2);
+      l.rotation.set(0, 0.4, 0.35);
+      const r = part(wingGeo, wingMat, 0.9, 0.7, -0.2);
+      r.rotation.set(0, -0.4, -0.35);
+    } else if (variant === "colossus") {
+      part(new THREE.BoxGeometry(1.6, 0.5, 1.0), dark, 0, 0.9, 0);
+      part(new THREE.SphereGeometry(0.45, 12, 10), dark, -0.95, 0.9, 0);
+      part(new THREE.SphereGeometry(0.45, 12, 10), dark, 0.95, 0.9, 0);
+      const core = new THREE.MeshStandardMaterial({ color: 0xff7a2e, emissive: 0xff5a1a, emissiveIntensity: 1.2 });
+      part(new THREE.SphereGeometry(0.2, 10, 10), core, 0, 0.4, 0.55);
+    }
   }
 }
 
 /**
- * Billboard HP bar for enemies
+ * Billboard HP bar for enemies, with a row of status pips above it
+ * (one colored square per active status effect, see setStatuses)
  * @extends THREE.Group
  */
 export class BillboardHPBar extends THREE.Group {
@@ -265,6 +321,366 @@ export class BillboardHPBar extends THREE.Group {
     );
     this.fill.position.z = 0.001;
     this.add(this.fill);
+
+    this.pips = [];
+
+    // Absorb shield strip under the HP bar (hidden until setShield)
+    this.shield = new THREE.Mesh(
+      new THREE.PlaneGeometry(1.36, 0.05),
+      new THREE.MeshBasicMaterial({ color: 0x7fe8ff })
+    );
+    this.shield.position.set(0, -0.1, 0.001);
+    this.shield.visible = false;
+    this.add(this.shield);
+  }
+
+  /**
+   * Remaining absorb shield as a thin strip under the HP bar
+   * @param {number} ratio - 0..1 (hidden at 0)
+   */
+  setShield(ratio = 0) {
+    const r = Math.max(0, Math.min(1, ratio));
+    this.shield.visible = r > 0;
+    this.shield.scale.x = Math.max(0.001, r);
+  }
+
+  /**
+   * Name label above the bar (elite affixes); empty text removes it
+   * @param {string} text
+   * @param {string} [color]
+   */
+  setLabel(text = "", color = "#ffd86a") {
+    if (this.label) {
+      this.remove(this.label);
+      this.label.material.map?.dispose();
+      this.label.material.dispose();
+      this.label = null;
+    }
+    if (!text) return;
+
+    const font = "bold 28px Arial, sans-serif";
+    const pad = 8;
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d");
+    ctx.font = font;
+    canvas.width = Math.ceil(ctx.measureText(text).width + pad * 2);
+    canvas.height = 28 + pad * 2;
+    // Resizing resets the context state
+    ctx.font = font;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = "rgba(0,0,0,0.7)";
+    ctx.strokeText(text, canvas.width / 2, canvas.height / 2);
+    ctx.fillStyle = color;
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const tex = new THREE.CanvasTexture(canvas);
+    this.label = new THREE.Sprite(new THREE.SpriteMaterial({ map: tex, transparent: true, depthWrite: false }));
+    const scale = 0.006;
+    this.label.scale.set(canvas.width * scale, canvas.height * scale, 1);
+    this.label.position.set(0, 0.36, 0.001);
+    this.add(this.label);
+  }
+
+  /**
+   * Show one pip per status effect id (colors from config/status_effects.js)
+   * @param {string[]} types
+   */
+  setStatuses(types = []) {
+    const list = types.filter((t) => STATUS_EFFECTS[t]);
+    while (this.pips.length < list.length) {
+      const pip = new THREE.Mesh(
+        new THREE.PlaneGeometry(0.16, 0.16),
+        new THREE.MeshBasicMaterial({ color: 0xffffff })
+      );
+      pip.position.set(0, 0.18, 0.001);
+      this.add(pip);
+      this.pips.push(pip);
+    }
+    const step = 0.2;
+    const x0 = -((list.length - 1) * step) / 2;
+    this.pips.forEach((pip, i) => {
+      pip.visible = i < list.length;
+      if (!pip.visible) return;
+      pip.position.x = x0 + i * step;
+      pip.material.color.setHex(parseThreeColor(STATUS_EFFECTS[list[i]].color).hex);
+    });
+  }
+}
+
+/**
+ * Ground loot item: a glowing gem with a soft ground halo.
+ * Rare+ items also get a faint vertical light pillar so they read from afar.
+ * @extends THREE.Group
+ */
+export class LootMesh extends THREE.Group {
+  constructor(options = {}) {
+    super();
+    const { hex } = parseThreeColor(options.color !== undefined ? options.color : "#d9d9d9");
+
+    this.gem = new THREE.Mesh(
+      new THREE.OctahedronGeometry(0.32, 0),
+      new THREE.MeshStandardMaterial({ color: hex, emissive: hex, emissiveIntensity: 0.8, metalness: 0.3, roughness: 0.3 })
+    );
+    this.gem.position.y = 0.6;
+    this.add(this.gem);
+
+    this.halo = new THREE.Mesh(
+      new THREE.CircleGeometry(0.6, 24),
+      new THREE.MeshBasicMaterial({ color: hex, transparent: true, opacity: 0.35, depthWrite: false, blending: THREE.AdditiveBlending })
+    );
+    this.halo.rotation.x = -Math.PI / 2;
+    this.halo.position.y = 0.03;
+    this.add(this.halo);
+
+    if (options.beam) {
+      const beam = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.08, 0.08, 6, 8, 1, true),
+        new THREE.MeshBasicMaterial({ color: hex, transparent: true, opacity: 0.22, depthWrite: false, blending: THREE.AdditiveBlending })
+      );
+      beam.position.y = 3;
+      this.add(beam);
+    }
+  }
+}
+
+/**
+ * Village merchant: a robed trader behind a small counter with a striped awning
+ * and a warm lantern so the stall is easy to spot at night.
+ * @extends THREE.Group
+ */
+export class MerchantMesh extends THREE.Group {
+  constructor() {
+    super();
+
+    // Trader
+    const robeMat = new THREE.MeshStandardMaterial({ color: 0x7a3b8f, roughness: 0.8 });
+    const skinMat = new THREE.MeshStandardMaterial({ color: 0xe0b48a, roughness: 0.9 });
+    const robe = new THREE.Mesh(new THREE.ConeGeometry(0.7, 1.9, 12), robeMat);
+    robe.position.set(0, 0.95, -0.6);
+    robe.castShadow = true;
+    this.add(robe);
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.32, 16, 12), skinMat);
+    head.position.set(0, 2.1, -0.6);
+    this.add(head);
+    const hat = new THREE.Mesh(new THREE.ConeGeometry(0.42, 0.6, 12), robeMat);
+    hat.position.set(0, 2.55, -0.6);
+    this.add(hat);
+
+    // Counter
+    const woodMat = new THREE.MeshStandardMaterial({ color: 0x6b4a2a, roughness: 0.9 });
+    const counter = new THREE.Mesh(new THREE.BoxGeometry(2.4, 1.0, 0.8), woodMat);
+    counter.position.set(0, 0.5, 0.3);
+    counter.castShadow = true;
+    counter.receiveShadow = true;
+    this.add(counter);
+
+    // Awning on two posts
+    const postGeo = new THREE.CylinderGeometry(0.06, 0.06, 2.8, 6);
+    [-1.15, 1.15].forEach((x) => {
+      const post = new THREE.Mesh(postGeo, woodMat);
+      post.position.set(x, 1.4, 0.65);
+      this.add(post);
+    });
+    const awning = new THREE.Mesh(
+      new THREE.BoxGeometry(2.8, 0.08, 1.8),
+      new THREE.MeshStandardMaterial({ color: 0xb8452a, roughness: 0.7 })
+    );
+    awning.position.set(0, 2.85, 0.1);
+    awning.rotation.x = 0.18;
+    this.add(awning);
+
+    // Lantern
+    const lantern = new THREE.Mesh(
+      new THREE.SphereGeometry(0.14, 10, 8),
+      new THREE.MeshBasicMaterial({ color: 0xffd24a })
+    );
+    lantern.position.set(1.15, 2.45, 0.75);
+    this.add(lantern);
+    const light = new THREE.PointLight(0xffc46b, 0.9, 10, 2);
+    light.position.copy(lantern.position);
+    this.add(light);
+  }
+}
+
+/**
+ * Village bounty board: a plank wall on two posts with pinned notices
+ * @extends THREE.Group
+ */
+export class BountyBoardMesh extends THREE.Group {
+  constructor() {
+    super();
+
+    const woodMat = new THREE.MeshStandardMaterial({ color: 0x6b4a2a, roughness: 0.9 });
+    const postGeo = new THREE.CylinderGeometry(0.08, 0.1, 2.6, 6);
+    [-1.0, 1.0].forEach((x) => {
+      const post = new THREE.Mesh(postGeo, woodMat);
+      post.position.set(x, 1.3, 0);
+      post.castShadow = true;
+      this.add(post);
+    });
+    const board = new THREE.Mesh(new THREE.BoxGeometry(2.2, 1.3, 0.12), woodMat);
+    board.position.set(0, 1.65, 0);
+    board.castShadow = true;
+    board.receiveShadow = true;
+    this.add(board);
+    const roof = new THREE.Mesh(
+      new THREE.BoxGeometry(2.6, 0.08, 0.6),
+      new THREE.MeshStandardMaterial({ color: 0xb8452a, roughness: 0.7 })
+    );
+    roof.position.set(0, 2.5, 0.05);
+    roof.rotation.x = -0.2;
+    this.add(roof);
+
+    // Notices
+    const paperMat = new THREE.MeshStandardMaterial({ color: 0xf1e3c0, roughness: 1 });
+    const noteGeo = new THREE.PlaneGeometry(0.45, 0.55);
+    [[-0.6, 1.8, 0.08], [0.05, 1.6, -0.05], [0.65, 1.85, 0.1]].forEach(([x, y, rz]) => {
+      const note = new THREE.Mesh(noteGeo, paperMat);
+      note.position.set(x, y, 0.07);
+      note.rotation.z = rz;
+      this.add(note);
+    });
+
+    // Marker gem so the board reads from a distance
+    const gem = new THREE.Mesh(
+      new THREE.OctahedronGeometry(0.18, 0),
+      new THREE.MeshBasicMaterial({ color: 0xffd24a })
+    );
+    gem.position.set(0, 2.95, 0);
+    this.add(gem);
+  }
+}
+
+/**
+ * Boss attack telegraph lying on the ground: a red outline of the danger zone
+ * and a fill that grows with the windup (see setProgress).
+ * Shapes: "circle" (radius), "ring" (inner..radius), "line" (width × length, from the origin along +Z)
+ * @extends THREE.Group
+ */
+export class TelegraphMesh extends THREE.Group {
+  constructor(options = {}) {
+    super();
+    const { shape = "circle", radius = 4, inner = 0, length = 10, width = 3 } = options;
+    const color = options.color !== undefined ? options.color : 0xff3b30;
+    this.shape = shape;
+    // Shapes are built in XY and laid flat; the outer group stays free for position/yaw
+    const plane = new THREE.Group();
+    plane.rotation.x = -Math.PI / 2;
+    plane.position.y = 0.04;
+    this.add(plane);
+
+    const lineMat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.85, depthWrite: false, side: THREE.DoubleSide });
+    const fillMat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35, depthWrite: false, side: THREE.DoubleSide });
+    let outline;
+    let fillGeo;
+    if (shape === "line") {
+      // Laid flat, local +Y points along -Z; flip so the line extends along +Z (yaw = atan2(dx, dz))
+      plane.rotation.z = Math.PI;
+      outline = new THREE.EdgesGeometry(new THREE.PlaneGeometry(width, length).translate(0, length / 2, 0));
+      plane.add(new THREE.LineSegments(outline, new THREE.LineBasicMaterial({ color })));
+      fillGeo = new THREE.PlaneGeometry(width, length).translate(0, length / 2, 0);
+    } else if (shape === "ring") {
+      plane.add(new THREE.Mesh(new THREE.RingGeometry(Math.max(0.01, inner - 0.12), inner, 48), lineMat));
+      plane.add(new THREE.Mesh(new THREE.RingGeometry(radius - 0.2, radius, 64), lineMat));
+      fillGeo = new THREE.RingGeometry(inner, radius, 64);
+    } else {
+      plane.add(new THREE.Mesh(new THREE.RingGeometry(radius - 0.2, radius, 48), lineMat));
+      fillGeo = new THREE.CircleGeometry(radius, 48);
+    }
+    this.fill = new THREE.Mesh(fillGeo, fillMat);
+    plane.add(this.fill);
+    this.setProgress(0);
+  }
+
+  /**
+   * @param {number} p - windup progress 0..1
+   */
+  setProgress(p) {
+    const k = Math.max(0.001, Math.min(1, p));
+    if (this.shape === "line") this.fill.scale.set(1, k, 1);
+    else if (this.shape === "ring") this.fill.material.opacity = 0.12 + 0.4 * k;
+    else this.fill.scale.set(k, k, 1);
+  }
+}
+
+/**
+ * Boss arena boundary: a glowing ground ring with a circle of standing stones.
+ * @extends THREE.Group
+ */
+export class BossArenaMesh extends THREE.Group {
+  constructor(options = {}) {
+    super();
+    const radius = options.radius || 26;
+    const color = options.color !== undefined ? options.color : 0xff6b35;
+
+    this.ring = new THREE.Mesh(
+      new THREE.RingGeometry(radius - 0.5, radius, 96),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.6, depthWrite: false, side: THREE.DoubleSide, blending: THREE.AdditiveBlending })
+    );
+    this.ring.rotation.x = -Math.PI / 2;
+    this.ring.position.y = 0.03;
+    this.add(this.ring);
+
+    const stoneMat = new THREE.MeshStandardMaterial({ color: 0x3a3430, roughness: 0.9 });
+    const runeMat = new THREE.MeshBasicMaterial({ color });
+    const count = Math.max(8, Math.round(radius / 2.5));
+    for (let i = 0; i < count; i++) {
+      const a = (i / count) * Math.PI * 2;
+      const stone = new THREE.Mesh(new THREE.BoxGeometry(0.8, 2.6, 0.6), stoneMat);
+      stone.position.set(Math.cos(a) * radius, 1.3, Math.sin(a) * radius);
+      stone.rotation.y = -a;
+      stone.castShadow = true;
+      this.add(stone);
+      const rune = new THREE.Mesh(new THREE.PlaneGeometry(0.35, 0.35), runeMat);
+      rune.position.set(Math.cos(a) * (radius - 0.31), 1.8, Math.sin(a) * (radius - 0.31));
+      rune.lookAt(0, 1.8, 0);
+      this.add(rune);
+    }
+  }
+}
+
+/**
+ * Boss reward chest with a golden glow; the lid swings open via setOpen.
+ * @extends THREE.Group
+ */
+export class RewardChestMesh extends THREE.Group {
+  constructor() {
+    super();
+    const woodMat = new THREE.MeshStandardMaterial({ color: 0x6b3f1f, roughness: 0.8 });
+    const goldMat = new THREE.MeshStandardMaterial({ color: 0xffd24a, emissive: 0x8a6a10, metalness: 0.8, roughness: 0.3 });
+
+    const base = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.9, 1.0), woodMat);
+    base.position.y = 0.45;
+    base.castShadow = true;
+    this.add(base);
+    const band = new THREE.Mesh(new THREE.BoxGeometry(1.64, 0.14, 1.04), goldMat);
+    band.position.y = 0.75;
+    this.add(band);
+
+    // Lid pivots on its back edge
+    this.lid = new THREE.Group();
+    this.lid.position.set(0, 0.9, -0.5);
+    const lidMesh = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.35, 1.0), woodMat);
+    lidMesh.position.set(0, 0.17, 0.5);
+    this.lid.add(lidMesh);
+    const lock = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.26, 0.06), goldMat);
+    lock.position.set(0, 0.05, 1.02);
+    this.lid.add(lock);
+    this.add(this.lid);
+
+    this.glow = new THREE.Mesh(
+      new THREE.CircleGeometry(1.6, 32),
+      new THREE.MeshBasicMaterial({ color: 0xffd24a, transparent: true, opacity: 0.35, depthWrite: false, blending: THREE.AdditiveBlending })
+    );
+    this.glow.rotation.x = -Math.PI / 2;
+    this.glow.position.y = 0.03;
+    this.add(this.glow);
+  }
+
+  setOpen(open) {
+    this.lid.rotation.x = open ? -1.9 : 0;
   }
 }
 
@@ -747,7 +1163,38 @@ export function createEnemyMesh(options = {}) {
 
 export function createBillboardHPBar() {
   const bar = new BillboardHPBar();
-  return { container: bar, fill: bar.fill };
+  return {
+    container: bar,
+    fill: bar.fill,
+    setStatuses: (types) => bar.setStatuses(types),
+    setShield: (ratio) => bar.setShield(ratio),
+    setLabel: (text, color) => bar.setLabel(text, color),
+  };
+}
+
+export function createLootMesh(options = {}) {
+  const loot = new LootMesh(options);
+  return { group: loot, gem: loot.gem, halo: loot.halo };
+}
+
+export function createMerchantMesh() {
+  return new MerchantMesh();
+}
+
+export function createBountyBoardMesh() {
+  return new BountyBoardMesh();
+}
+
+export function createTelegraphMesh(options = {}) {
+  return new TelegraphMesh(options);
+}
+
+export function createBossArenaMesh(options = {}) {
+  return new BossArenaMesh(options);
+}
+
+export function createRewardChestMesh() {
+  return new RewardChestMesh();
 }
 
 export function createPortalMesh(color = THEME_COLORS.portal) {
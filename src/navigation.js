@@ -0,0 +1,166 @@
+/**
+ * Enemy Navigation
+ * - Lightweight steering layer: obstacles are circles (ChunkManager structure
+ *   protection zones, the origin village fence from villages_fence.js and the
+ *   dynamic village fences) and agents head for the tangent of the first circle
+ *   blocking their straight path, so they walk around temples and walls instead
+ *   of sliding along their edges.
+ * - Goals inside an obstacle (the hero resting in a village) are moved to its rim.
+ * - The side chosen around an obstacle is kept per agent (`state`) to avoid jitter.
+ * - Tuning in config/world.js (WORLD.navigation).
+ *
+ * Public API:
+ *   const nav = new EnemyNavigation(deps);
+ *   nav.update()                               -> per frame (throttled obstacle refresh)
+ *   nav.steer(from, to, { radius, state })     -> normalized { x, z } heading, or null at the goal
+ *   nav.getObstacles()                         -> current [{ x, z, r, kind }] (read-only use)
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected (EnemiesSystem owns the instance)
+ */
+
+import { villageFenceObstacle } from "./villages_fence.js";
+
+const ARRIVE_DIST = 0.3;
+
+export class EnemyNavigation {
+  #now;
+  #villages;
+  #chunkMgr;
+  #VILLAGE_POS;
+  #REST_RADIUS;
+  #cfg;
+
+  #obstacles = [];
+  #nextRefreshAt = 0;
+
+  constructor({ now, villages, chunkMgr, VILLAGE_POS, REST_RADIUS, config = {} }) {
+    this.#now = now;
+    this.#villages = villages;
+    this.#chunkMgr = chunkMgr;
+    this.#VILLAGE_POS = VILLAGE_POS;
+    this.#REST_RADIUS = REST_RADIUS;
+    this.#cfg = config;
+  }
+
+  update() {
+    const t = this.#now();
+    if (t < this.#nextRefreshAt) return;
+    this.#nextRefreshAt = t + (this.#cfg.refreshInterval || 0.5);
+    this.#refresh();
+  }
+
+  getObstacles() {
+    return this.#obstacles;
+  }
+
+  steer(from, to, { radius = 1, state = null } = {}) {
+    const clearance = (this.#cfg.clearance ?? 1.2) + radius;
+    let gx = to.x;
+    let gz = to.z;
+
+    // Goal inside an obstacle: aim for the nearest rim point instead
+    for (const ob of this.#obstacles) {
+      const R = ob.r + clearance;
+      const dx = gx - ob.x;
+      const dz = gz - ob.z;
+      const d = Math.hypot(dx, dz);
+      if (d >= R) continue;
+      const ux = d > 1e-4 ? dx / d : from.x - ob.x;
+      const uz = d > 1e-4 ? dz / d : from.z - ob.z;
+      const ul = Math.hypot(ux, uz) || 1;
+      gx = ob.x + (ux / ul) * R;
+      gz = ob.z + (uz / ul) * R;
+    }
+
+    let dx = gx - from.x;
+    let dz = gz - from.z;
+    const len = Math.hypot(dx, dz);
+    if (len < ARRIVE_DIST) return null;
+    dx /= len;
+    dz /= len;
+
+    // First obstacle whose inflated circle crosses the straight path
+    const lookAhead = this.#cfg.lookAhead || 60;
+    let block = null;
+    let blockT = Infinity;
+    for (const ob of this.#obstacles) {
+      const R = ob.r + clearance;
+      const ox = ob.x - from.x;
+      const oz = ob.z - from.z;
+      const along = ox * dx + oz * dz;
+      if (along > len + R) continue;
+      const perp = Math.abs(ox * dz - oz * dx);
+      if (perp >= R) continue;
+      const dist = Math.hypot(ox, oz);
+      if (along < 0 && dist > R) continue;
+      const entry = along - Math.sqrt(R * R - perp * perp);
+      if (entry > lookAhead || entry > len) continue;
+      if (entry < blockT) {
+        blockT = entry;
+        block = ob;
+      }
+    }
+    if (!block) {
+      if (state) state.navObstacle = null;
+      return { x: dx, z: dz };
+    }
+
+    const R = block.r + clearance;
+    const ox = block.x - from.x;
+    const oz = block.z - from.z;
+    const dist = Math.hypot(ox, oz) || 1e-4;
+
+    // Keep the side picked for this obstacle; otherwise pass on the side away from its center
+    let side;
+    if (state && state.navObstacle === block.key) {
+      side = state.navSide;
+    } else {
+      side = dx * oz - dz * ox > 0 ? -1 : 1;
+      if (state) {
+        state.navObstacle = block.key;
+        state.navSide = side;
+      }
+    }
+
+    if (dist <= R) {
+      // Within the clearance ring: follow the rim, easing outward
+      const rx = -ox / dist;
+      const rz = -oz / dist;
+      const tx = side > 0 ? rz : -rz;
+      const tz = side > 0 ? -rx : rx;
+      const push = Math.max(0, (R - dist) / R);
+      const vx = tx + rx * (0.25 + push);
+      const vz = tz + rz * (0.25 + push);
+      const vl = Math.hypot(vx, vz) || 1;
+      return { x: vx / vl, z: vz / vl };
+    }
+
+    // Tangent line to the inflated circle
+    const half = Math.asin(Math.min(1, R / dist));
+    const angle = Math.atan2(oz, ox) + side * half;
+    return { x: Math.cos(angle), z: Math.sin(angle) };
+  }
+
+  #refresh() {
+    const list = [];
+    try {
+      list.push({ ...villageFenceObstacle(this.#VILLAGE_POS, this.#REST_RADIUS), key: "village:origin" });
+    } catch (_) {}
+    try {
+      for (const v of this.#villages?.listVillages?.() || []) {
+        list.push({ x: v.center.x, z: v.center.z, r: v.radius || 0, kind: "fence", key: `village:${v.key}` });
+      }
+    } catch (_) {}
+    try {
+      const structures = this.#chunkMgr?.getStructuresAPI?.()?.listStructures?.() || [];
+      for (const s of structures) {
+        const x = s.position.x;
+        const z = s.position.z;
+        list.push({ x, z, r: s.protectionRadius || 8, kind: s.type || "structure", key: `${s.type}:${Math.round(x)},${Math.round(z)}` });
+      }
+    } catch (_) {}
+    this.#obstacles = list;
+  }
+}
@@ -1,14 +1,20 @@
 /**
  * Player System
- * Handles player movement, facing, regeneration, and stop helper.
+ * Handles player movement, facing, regeneration, status-effect ticks, dodge rolls and stop helper.
  * Extracted from main.js to keep orchestration light.
  *
  * Public API:
  *   import { PlayerSystem } from './player_system.js';
- *   const playerSystem = new PlayerSystem({ THREE, now, dir2D, distance2D, WORLD, renderer });
+ *   const playerSystem = new PlayerSystem({ THREE, now, dir2D, distance2D, WORLD, renderer, heroStats });
  *   playerSystem.stopPlayer(player, aimPreview, attackPreview);
  *   playerSystem.updatePlayer(dt, { player, lastMoveDir });
+ *   playerSystem.dodge(player, { x, z })      -> true when a dodge roll started
+ *   playerSystem.getDodgeCooldown(player)     -> seconds until the next dodge
  */
+import { DODGE } from "../config/combat.js";
+import { REST_REGEN_DELAY } from "../config/stats.js";
+import { applyStatus } from "./status_effects.js";
+
 export class PlayerSystem {
   // Private fields for dependencies
   #THREE;
@@ -17,14 +23,16 @@ export class PlayerSystem {
   #distance2D;
   #WORLD;
   #renderer;
+  #heroStats;
 
-  constructor({ THREE, now, dir2D, distance2D, WORLD, renderer }) {
+  constructor({ THREE, now, dir2D, distance2D, WORLD, renderer, heroStats }) {
     this.#THREE = THREE;
     this.#now = now;
     this.#dir2D = dir2D;
     this.#distance2D = distance2D;
     this.#WORLD = WORLD;
     this.#renderer = renderer;
+    this.#heroStats = heroStats;
   }
 
   /**
@@ -55,6 +63,40 @@ export class PlayerSystem {
     player.holdUntil = this.#now() + 0.4;
   }
 
+  /**
+   * Dodge roll: a short dash toward dir with brief invulnerability, so enemy
+   * projectiles and telegraphed hits can be slipped through (config/combat.js DODGE)
+   * @param {Object} player - Player object
+   * @param {{x: number, z: number}} dir - world direction (normalized here)
+   * @returns {boolean} true when the dodge started
+   */
+  dodge(player, dir) {
+    if (!player || !player.alive || player.frozen || player.status.isStunned()) return false;
+    const t = this.#now();
+    if (t < (player.nextDodgeAt || 0)) return false;
+    const len = Math.hypot(dir?.x || 0, dir?.z || 0);
+    if (len < 1e-4) return false;
+
+    player.dodgeDir = { x: dir.x / len, z: dir.z / len };
+    player.dodgeUntil = t + DODGE.duration;
+    player.nextDodgeAt = t + DODGE.cooldown * (this.#heroStats ? this.#heroStats.reduce("dodgeCooldownReduction") : 1);
+    applyStatus(player, "invulnerable", { duration: DODGE.invulnerable });
+
+    const yaw = Math.atan2(player.dodgeDir.x, player.dodgeDir.z);
+    player.mesh.quaternion.setFromEuler(new this.#THREE.Euler(0, yaw, 0));
+    player.lastFacingYaw = yaw;
+    player.lastFacingUntil = t + 0.4;
+    return true;
+  }
+
+  /**
+   * @param {Object} player - Player object
+   * @returns {number} seconds until the next dodge (0 when ready)
+   */
+  getDodgeCooldown(player) {
+    return Math.max(0, (player?.nextDodgeAt || 0) - this.#now());
+  }
+
   /**
    * Update player physics and facing each frame
    * @param {number} dt - Delta time in seconds
@@ -73,8 +115,17 @@ export class PlayerSystem {
       return;
     }
 
+    // Status effects (DoTs, expiry); stun holds the hero in place like frozen
+    player.status.update();
+
     // Handle frozen state
-    if (player.frozen) {
+    if (player.frozen || player.status.isStunned()) {
+      player.mesh.position.y = 1.1;
+      return;
+    }
+
+    // Dodge roll overrides regular movement while it lasts
+    if (this.#updateDodge(player, dt)) {
       player.mesh.position.y = 1.1;
       return;
     }
@@ -95,13 +146,37 @@ export class PlayerSystem {
     this.#updateVisualEffects(player);
   }
 
+  /**
+   * Advance an active dodge roll
+   * @private
+   * @returns {boolean} true while dodging
+   */
+  #updateDodge(player, dt) {
+    if (!player.dodgeUntil) return false;
+    const remain = player.dodgeUntil - this.#now();
+    if (remain <= 0) {
+      player.dodgeUntil = 0;
+      return false;
+    }
+    const step = (DODGE.distance / DODGE.duration) * Math.min(dt, remain);
+    player.mesh.position.x += player.dodgeDir.x * step;
+    player.mesh.position.z += player.dodgeDir.z * step;
+    return true;
+  }
+
   /**
    * Update player HP and MP regeneration
    * @private
    */
   #updateRegeneration(player, dt) {
-    player.hp = Math.min(player.maxHP, player.hp + player.hpRegen * dt);
-    player.mp = Math.min(player.maxMP, player.mp + player.mpRegen * dt);
+    const stats = this.#heroStats;
+    const bonusHpRegen = stats ? stats.get("hpRegen") : 0;
+    const bonusMpRegen = stats ? stats.get("mpRegen") : 0;
+    // Second Wind talent: faster regen once the hero has not been hit for a while
+    const resting = stats && this.#now() - (player.lastDamagedAt || 0) >= REST_REGEN_DELAY;
+    const regenMul = resting ? stats.mul("restRegen") : 1;
+    player.hp = Math.min(player.maxHP, player.hp + (player.hpRegen + bonusHpRegen) * regenMul * dt);
+    player.mp = Math.min(player.maxMP, player.mp + (player.mpRegen + bonusMpRegen) * regenMul * dt);
     player.idlePhase += dt;
   }
 
@@ -161,7 +236,8 @@ export class PlayerSystem {
     const spMul = (player.speedBoostUntil && this.#now() < player.speedBoostUntil && player.speedBoostMul) 
       ? player.speedBoostMul 
       : 1;
-    const effSpeed = player.speed * spMul;
+    const statMul = this.#heroStats ? this.#heroStats.mul("moveSpeed") : 1;
+    const effSpeed = player.speed * spMul * statMul * player.status.moveMul();
     
     player.mesh.position.x += moveDir.x * effSpeed * dt;
     player.mesh.position.z += moveDir.z * effSpeed * dt;
@@ -1,7 +1,8 @@
 import * as THREE from "../vendor/three/build/three.module.js";
-import { THEME_COLORS, VILLAGE_POS, REST_RADIUS, STORAGE_KEYS } from "../config/index.js";
+import { THEME_COLORS, VILLAGE_POS, REST_RADIUS } from "../config/index.js";
 import { createPortalMesh } from "./meshes.js";
 import { distance2D, now } from "./utils.js";
+import { getSaveManager } from "./save_manager.js";
 
 /**
  * Portals/Recall system:
@@ -10,6 +11,7 @@ import { distance2D, now } from "./utils.js";
  * - handleFrozenPortalClick(raycast, camera, player, clearCenterMsg): click portal to teleport while frozen
  * - update(dt): spins portal rings
  * - teleportToPortal(dest, player): utility to move player to portal
+ * - addPersistentMarkAt(position, name): places a mark flag and dispatches "mark-placed" { name, count }
  */
 export function initPortals(scene) {
   let returnPortal = null; // placed where B was cast
@@ -18,8 +20,8 @@ export function initPortals(scene) {
 
   // Persistent Marks/Flags (user-placed permanent teleport portals)
   const MARK_COLOR = 0x66ffd1;
-  const LS_KEY_MARKS = "gof.persistentMarks";
-  const LS_KEY_MARK_READY = "gof.markNextReadyAt";
+  const SAVE_MARKS = "persistentMarks";
+  const SAVE_MARK_READY = "markNextReadyAt";
   const MARK_COOLDOWN_MS = 3 * 60 * 1000; // 3 minutes
   let persistentMarks = []; // [{ portal, x, z, createdAt }]
 
@@ -32,12 +34,10 @@ export function initPortals(scene) {
   }
   ensureVillagePortal();
 
-  // Load persistent marks from localStorage on init
+  // Load persistent marks from the active save slot on init
   (function loadPersistentMarks() {
     try {
-      const raw = localStorage.getItem(LS_KEY_MARKS);
-      if (!raw) return;
-      const arr = JSON.parse(raw);
+      const arr = getSaveManager().get(SAVE_MARKS);
       if (!Array.isArray(arr)) return;
       arr.forEach((m, i) => {
         if (!m || typeof m.x !== "number" || typeof m.z !== "number") return;
@@ -177,17 +177,17 @@ export function initPortals(scene) {
         name: m.name || "",
         createdAt: m.createdAt || Date.now()
       }));
-      localStorage.setItem(LS_KEY_MARKS, JSON.stringify(data));
+      getSaveManager().set(SAVE_MARKS, data);
     } catch (_) {}
   }
 
   function getMarkCooldownMs() {
     try {
-      const t = parseInt(localStorage.getItem(LS_KEY_MARK_READY) || "0", 10) || 0;
+      const t = parseInt(getSaveManager().get(SAVE_MARK_READY, 0), 10) || 0;
       const remain = Math.max(0, t - now() * 1000); // now() is seconds? Our now() returns seconds or ms?
     } catch (_) {}
     // Fallback: compute with Date.now()
-    const next = parseInt(localStorage.getItem(LS_KEY_MARK_READY) || "0", 10) || 0;
+    const next = parseInt(getSaveManager().get(SAVE_MARK_READY, 0), 10) || 0;
     const remain = Math.max(0, next - Date.now());
     return remain;
   }
@@ -205,8 +205,13 @@ export function initPortals(scene) {
     const defName = name && String(name).trim() ? String(name).trim() : `Mark ${persistentMarks.length + 1}`;
     persistentMarks.push({ portal, x, z, name: defName, createdAt: Date.now() });
     extraPortals.push(portal);
-    savePersistentMarks();
-    try { localStorage.setItem(LS_KEY_MARK_READY, String(Date.now() + MARK_COOLDOWN_MS)); } catch (_) {}
+    getSaveManager().batch(() => {
+      savePersistentMarks();
+      try { getSaveManager().set(SAVE_MARK_READY, Date.now() + MARK_COOLDOWN_MS); } catch (_) {}
+    });
+    try {
+      window.dispatchEvent(new CustomEvent("mark-placed", { detail: { name: defName, count: persistentMarks.length } }));
+    } catch (_) {}
     return portal;
   }
 
@@ -0,0 +1,293 @@
+/**
+ * Quest System
+ * - Places a bounty board in the origin village and every discovered village (config/quests.js)
+ * - Boards offer objectives rolled from the current world state: kill N of an archetype the
+ *   current map spawns, defeat elites, reach another village, visit a loaded structure
+ * - Progress is fed by game events (GameApp forwards the window events):
+ *     "enemy-killed"      (EnemiesSystem)            -> quests.onEnemyKilled(detail)
+ *     "village-visited"   (villages.updateVisitedVillage) -> quests.onVillageVisited(detail)
+ *     "structure-visited" (ProximityManager)         -> quests.onStructureVisited(detail)
+ * - Completed quests pay XP and gold right away; accepted quests and the completed count
+ *   persist in the save slot ("quests" section)
+ * - Dispatches window events: "quest-board-near" { key, name } | null when the hero walks
+ *   into / out of board range, "quests-changed" on accept/progress/abandon,
+ *   "quest-completed" { quest, xp, gold }
+ *
+ * Public API:
+ *   import { QuestSystem } from './quests.js';
+ *   const quests = new QuestSystem(deps);
+ *   quests.update(dt)             -> spawns boards for new villages, tracks board proximity
+ *   quests.getNearbyBoard()       -> { key, name } | null
+ *   quests.getOffers(key)         -> [{ index, quest, taken }]
+ *   quests.accept(key, index)     -> { ok, reason? }  reason: far | taken | full
+ *   quests.abandon(id)            -> boolean
+ *   quests.getActive()            -> accepted quests [{ id, kind, target, count, progress, reward, ... }]
+ *   quests.getCompletedCount()    -> quests completed in this save
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected
+ */
+
+import { QUESTS } from "../config/quests.js";
+import { BASE_ARCHETYPES } from "../config/enemies.js";
+import { getArchetype } from "./enemy_archetypes.js";
+import { createBountyBoardMesh } from "./meshes.js";
+import { pickWeighted } from "./utils.js";
+import { getSaveManager } from "./save_manager.js";
+
+const SAVE_SECTION = "quests";
+const SCAN_INTERVAL = 1; // seconds between village scans for new boards
+
+function randInt([min, max]) {
+  return min + Math.floor(Math.random() * (Math.max(min, max) - min + 1));
+}
+
+export class QuestSystem {
+  #THREE;
+  #scene;
+  #player;
+  #villages;
+  #chunkMgr;
+  #mapManager;
+  #wallet;
+  #now;
+  #VILLAGE_POS;
+
+  #boards = new Map(); // key -> { key, name, position, group }
+  #offers = new Map(); // key -> { rolledAt, list: [{ quest, taken }] }
+  #active = [];
+  #completed = 0;
+  #nextId = 1;
+  #near = null;
+  #scanAcc = SCAN_INTERVAL;
+
+  constructor({ THREE, scene, player, villages, chunkMgr, mapManager, wallet, now, VILLAGE_POS }) {
+    this.#THREE = THREE;
+    this.#scene = scene;
+    this.#player = player;
+    this.#villages = villages;
+    this.#chunkMgr = chunkMgr;
+    this.#mapManager = mapManager;
+    this.#wallet = wallet;
+    this.#now = now;
+    this.#VILLAGE_POS = VILLAGE_POS;
+    this.#load();
+  }
+
+  update(dt) {
+    this.#scanAcc += dt;
+    if (this.#scanAcc >= SCAN_INTERVAL) {
+      this.#scanAcc = 0;
+      this.#spawnMissingBoards();
+    }
+    this.#updateProximity();
+  }
+
+  getNearbyBoard() {
+    return this.#near ? { key: this.#near.key, name: this.#near.name } : null;
+  }
+
+  getOffers(key) {
+    const board = this.#boards.get(key);
+    if (!board) return [];
+    let entry = this.#offers.get(key);
+    const t = this.#now();
+    if (!entry || t - entry.rolledAt >= QUESTS.boardRefresh || entry.list.every((o) => o.taken)) {
+      entry = { rolledAt: t, list: this.#rollOffers(board).map((quest) => ({ quest, taken: false })) };
+      this.#offers.set(key, entry);
+    }
+    return entry.list.map((o, index) => ({ index, quest: o.quest, taken: o.taken }));
+  }
+
+  accept(key, index) {
+    if (!this.#near || this.#near.key !== key) return { ok: false, reason: "far" };
+    const offer = this.#offers.get(key)?.list[index];
+    if (!offer || offer.taken) return { ok: false, reason: "taken" };
+    if (this.#active.length >= QUESTS.maxActive) return { ok: false, reason: "full" };
+    offer.taken = true;
+    this.#active.push({ ...offer.quest, id: this.#nextId++, progress: 0 });
+    this.#changed();
+    return { ok: true };
+  }
+
+  abandon(id) {
+    const i = this.#active.findIndex((q) => q.id === id);
+    if (i < 0) return false;
+    this.#active.splice(i, 1);
+    this.#changed();
+    return true;
+  }
+
+  getActive() {
+    return this.#active;
+  }
+
+  getCompletedCount() {
+    return this.#completed;
+  }
+
+  // ---- progress events ----
+
+  onEnemyKilled(detail = {}) {
+    this.#advance((q) =>
+      (q.kind === "kill" && q.target.archetype === detail.archetype) ||
+      (q.kind === "elite" && (detail.tier === "elite" || detail.tier === "boss"))
+    );
+  }
+
+  onVillageVisited(detail = {}) {
+    this.#advance((q) => q.kind === "reach" && q.target.key === detail.key);
+  }
+
+  onStructureVisited(detail = {}) {
+    this.#advance((q) => q.kind === "visit" && q.target.key === detail.key);
+  }
+
+  #advance(match) {
+    let changed = false;
+    for (let i = this.#active.length - 1; i >= 0; i--) {
+      const q = this.#active[i];
+      if (!match(q)) continue;
+      q.progress = Math.min(q.count, q.progress + 1);
+      changed = true;
+      if (q.progress >= q.count) this.#complete(i);
+    }
+    if (changed) this.#changed();
+  }
+
+  #complete(i) {
+    const q = this.#active[i];
+    this.#active.splice(i, 1);
+    this.#completed++;
+    try { this.#player.gainXP(q.reward.xp); } catch (_) {}
+    try { this.#wallet?.add?.(q.reward.gold); } catch (_) {}
+    try {
+      window.dispatchEvent(new CustomEvent("quest-completed", { detail: { quest: q, xp: q.reward.xp, gold: q.reward.gold } }));
+    } catch (_) {}
+  }
+
+  // ---- offers ----
+
+  #rollOffers(board) {
+    const weights = {};
+    for (const [kind, cfg] of Object.entries(QUESTS.kinds)) weights[kind] = cfg.weight || 0;
+    const list = [];
+    for (let tries = 0; list.length < QUESTS.offersPerBoard && tries < QUESTS.offersPerBoard * 4; tries++) {
+      const kind = pickWeighted(weights);
+      const q = kind && this.#rollQuest(kind, board);
+      // One offer per target
+      if (q && !list.some((o) => o.kind === q.kind && JSON.stringify(o.target) === JSON.stringify(q.target))) list.push(q);
+    }
+    return list;
+  }
+
+  #rollQuest(kind, board) {
+    const cfg = QUESTS.kinds[kind];
+    let target = null;
+    let name = null;
+    let count = 1;
+    if (kind === "kill") {
+      const map = this.#mapManager?.getCurrent?.();
+      const pool = (map?.archetypes || []).concat(BASE_ARCHETYPES);
+      const archetype = pool[Math.floor(Math.random() * pool.length)];
+      target = { archetype };
+      name = getArchetype(archetype).name;
+      count = randInt(cfg.count);
+    } else if (kind === "elite") {
+      target = {};
+      count = randInt(cfg.count);
+    } else if (kind === "reach") {
+      const far = this.#sites().filter((v) => v.key !== board.key && Math.hypot(v.center.x - board.position.x, v.center.z - board.position.z) >= (cfg.minDistance || 0));
+      if (!far.length) return null;
+      const v = far[Math.floor(Math.random() * far.length)];
+      target = { key: v.key, x: v.center.x, z: v.center.z };
+      name = v.name || null;
+    } else if (kind === "visit") {
+      let list = [];
+      try { list = this.#chunkMgr?.getStructuresAPI?.()?.listStructures?.() || []; } catch (_) {}
+      const far = list.filter((s) => Math.hypot(s.position.x - board.position.x, s.position.z - board.position.z) >= (cfg.minDistance || 0));
+      if (!far.length) return null;
+      const s = far[Math.floor(Math.random() * far.length)];
+      target = { key: s.key, type: s.type, x: s.position.x, z: s.position.z };
+      name = s.name || null;
+    } else {
+      return null;
+    }
+    const level = this.#player.level || 1;
+    const reward = {
+      xp: Math.round((cfg.xp?.perLevel || 0) * level + (cfg.xp?.perCount || 0) * count),
+      gold: randInt(cfg.gold || [0, 0]),
+    };
+    return { kind, target, name, count, reward, board: board.key };
+  }
+
+  // ---- boards ----
+
+  /** Origin village plus every discovered village: [{ key, name, center }] */
+  #sites() {
+    const sites = [{ key: "origin", name: null, center: this.#VILLAGE_POS }];
+    try {
+      (this.#villages?.listVillages?.() || []).forEach((v) => sites.push(v));
+    } catch (_) {}
+    return sites;
+  }
+
+  #spawnMissingBoards() {
+    for (const site of this.#sites()) {
+      if (this.#boards.has(site.key) || !site.center) continue;
+      const position = new this.#THREE.Vector3(site.center.x + QUESTS.boardOffset.x, 0, site.center.z + QUESTS.boardOffset.z);
+      const group = createBountyBoardMesh();
+      group.position.copy(position);
+      try { this.#scene.add(group); } catch (_) {}
+      this.#boards.set(site.key, { key: site.key, name: site.name || null, position, group });
+    }
+  }
+
+  #updateProximity() {
+    const p = this.#player;
+    let best = null;
+    if (p && p.alive) {
+      const pp = p.pos();
+      let bestD = QUESTS.interactRadius;
+      for (const b of this.#boards.values()) {
+        const d = Math.hypot(pp.x - b.position.x, pp.z - b.position.z);
+        if (d <= bestD) {
+          bestD = d;
+          best = b;
+        }
+      }
+    }
+    if (best === this.#near) return;
+    this.#near = best;
+    try {
+      window.dispatchEvent(new CustomEvent("quest-board-near", { detail: this.getNearbyBoard() }));
+    } catch (_) {}
+  }
+
+  // ---- persistence ----
+
+  #changed() {
+    this.#save();
+    try {
+      window.dispatchEvent(new CustomEvent("quests-changed", { detail: { active: this.#active.length } }));
+    } catch (_) {}
+  }
+
+  #load() {
+    try {
+      const saved = getSaveManager().get(SAVE_SECTION, null);
+      if (!saved || typeof saved !== "object") return;
+      this.#completed = Number.isInteger(saved.completed) ? saved.completed : 0;
+      this.#active = (Array.isArray(saved.active) ? saved.active : [])
+        .filter((q) => q && QUESTS.kinds[q.kind] && q.target && Number.isInteger(q.count) && q.reward)
+        .slice(0, QUESTS.maxActive)
+        .map((q, i) => ({ ...q, id: i + 1, progress: Math.min(q.count, Math.max(0, q.progress | 0)) }));
+      this.#nextId = this.#active.length + 1;
+    } catch (_) {}
+  }
+
+  #save() {
+    try { getSaveManager().set(SAVE_SECTION, { active: this.#active, completed: this.#completed }); } catch (_) {}
+  }
+}
@@ -20,7 +20,8 @@ export function createRespawnSystem({ THREE, now, VILLAGE_POS, setCenterMsg, cle
       player.mp = player.maxMP;
       player.moveTarget = null;
       player.target = null;
-      player.invulnUntil = now() + 2;
+      player.status.clear();
+      player.status.apply("invulnerable", { duration: 2 });
       try { clearCenterMsg && clearCenterMsg(); } catch (_) {}
     }
   }
@@ -0,0 +1,74 @@
+/**
+ * Respec
+ * - Undo progression choices: refunds skill points (skill levels and runes), talent points,
+ *   and clears the level-milestone uplift choices (saveUpliftState) so they can be picked again
+ * - Re-runs skill unlock checks for the current hero level afterwards
+ * - Free up to RESPEC.freeUntilLevel (config/respec.js), then costs gold or a rare item
+ * - Everything is committed to the save slot in one write; dispatches a window "respec-done" event
+ *
+ * Public API:
+ *   import { getRespecCost, canRespec, respec } from './respec.js';
+ *   getRespecCost(level)                       -> { free, gold, item: { id, qty } }
+ *   canRespec(deps)                            -> { ok, reason?: "nothing" } (anything to refund?)
+ *   respec(deps, payWith = "gold"|"item")      -> { ok, reason?: "nothing"|"gold"|"item" }
+ *     deps: { player, skillUpgrades, talents, wallet, inventory }
+ *
+ * Module boundaries:
+ * - No direct DOM access (the Talents tab re-prompts uplifts after a respec)
+ * - All deps injected
+ */
+
+import { RESPEC } from "../config/respec.js";
+import { getSaveManager } from "./save_manager.js";
+import { getUpliftState, saveUpliftState } from "./uplift.js";
+
+export function getRespecCost(level) {
+  const lvl = Math.max(1, Math.floor(level || 1));
+  const free = lvl <= RESPEC.freeUntilLevel;
+  return {
+    free,
+    gold: free ? 0 : RESPEC.gold.base + RESPEC.gold.perLevel * lvl,
+    item: { ...RESPEC.item },
+  };
+}
+
+export function canRespec({ skillUpgrades, talents } = {}) {
+  let spent = false;
+  try {
+    for (const level of skillUpgrades?.skillLevels?.values?.() || []) if (Number(level) > 1) spent = true;
+    if (skillUpgrades?.skillRunes?.size) spent = true;
+  } catch (_) {}
+  try { if (talents?.getPointsSpent?.() > 0) spent = true; } catch (_) {}
+  try { if (getUpliftState().choices.length) spent = true; } catch (_) {}
+  return spent ? { ok: true } : { ok: false, reason: "nothing" };
+}
+
+export function respec(deps = {}, payWith = "gold") {
+  const { player, skillUpgrades, talents, wallet, inventory } = deps;
+  const check = canRespec(deps);
+  if (!check.ok) return check;
+
+  const cost = getRespecCost(player?.level);
+  if (!cost.free) {
+    if (payWith === "item") {
+      if (!inventory || inventory.count(cost.item.id) < cost.item.qty) return { ok: false, reason: "item" };
+    } else if (!wallet || !wallet.canAfford(cost.gold)) {
+      return { ok: false, reason: "gold" };
+    }
+  }
+
+  getSaveManager().batch(() => {
+    if (!cost.free) {
+      if (payWith === "item") inventory.remove(cost.item.id, cost.item.qty);
+      else wallet.spend(cost.gold);
+    }
+    try { skillUpgrades?.respec(player?.level || 1); } catch (_) {}
+    try { talents?.reset(); } catch (_) {}
+    saveUpliftState({ choices: [] });
+  });
+
+  try {
+    window.dispatchEvent(new CustomEvent("respec-done", { detail: { level: player?.level || 1, paid: cost.free ? null : payWith } }));
+  } catch (_) {}
+  return { ok: true };
+}
@@ -0,0 +1,332 @@
+/**
+ * src/save_manager.js
+ *
+ * Unified save-game system.
+ *
+ * Every piece of hero progress (level, skill levels/points, loadout, uplifts,
+ * marks, discovered villages/roads, map unlocks, world seed) lives in ONE
+ * versioned document per save slot instead of a dozen independent keys.
+ *
+ * Document shape (stored as JSON under STORAGE_KEYS.saveSlotPrefix + slot):
+ *   {
+ *     version: SAVE_VERSION,
+ *     slot: 1,
+ *     rev: 42,              // monotonically increasing write counter
+ *     createdAt, updatedAt, // ms timestamps
+ *     data: { playerLevel, skillLevels, skillPoints, unlockedSkills, ... }
+ *   }
+ *
+ * Writes:
+ * - set()/remove() outside batch() are coalesced: everything changed in the same
+ *   task is committed in one write from a microtask.
+ * - batch(fn) defers writes until fn returns so related fields (e.g. level and
+ *   skill points on level-up) are committed together in a single write.
+ * - The document goes straight to the main key (setItem replaces it whole, so a
+ *   failed write leaves the previous copy intact). A ".tmp" shadow left by older
+ *   builds is still considered on load (higher `rev` wins) and removed after the
+ *   next successful write.
+ *
+ * Migrations:
+ * - MIGRATIONS[n] upgrades a document from version n to n + 1.
+ * - Version 0 is the legacy layout: slot 1 is seeded from the old per-module
+ *   localStorage keys the first time it is opened. Legacy keys are left in
+ *   place so an older build can still read them.
+ *
+ * Public API:
+ *   const save = getSaveManager();
+ *   save.get(section, fallback)   -> value stored for section (or fallback)
+ *   save.set(section, value)      -> store value and persist
+ *   save.remove(section)
+ *   save.batch(fn)                -> group several set() calls into one write
+ *   save.getActiveSlot() / save.setActiveSlot(slot)
+ *   save.listSlots()              -> [{ slot, exists, level, mapIndex, updatedAt }]
+ *   save.deleteSlot(slot)
+ *   save.exportDocument()         -> deep copy of the active document
+ *   save.importDocument(doc)      -> migrate + replace the active document
+ *   save.isReloadPending()        -> true after a slot switch or import (page is about to reload)
+ *
+ * After setActiveSlot()/importDocument() the running systems still hold the previous
+ * hero's state, so set()/remove() are ignored until the page reloads; otherwise
+ * autosave or the pagehide save would write that state into the new document.
+ */
+
+import { STORAGE_KEYS } from "../config/index.js";
+
+export const SAVE_VERSION = 1;
+export const SAVE_SLOT_COUNT = 3;
+
+// Legacy key -> section name and decoder (v0 -> v1 migration)
+const LEGACY_SECTIONS = {
+  playerLevel: "int",
+  skillLevels: "json",
+  skillPoints: "int",
+  unlockedSkills: "json",
+  fireLoadout: "json",
+  upliftChoices: "json",
+  persistentMarks: "json",
+  markNextReadyAt: "int",
+  villages: "json",
+  roads: "json",
+  roadsGeom: "json",
+  mapCurrentIndex: "int",
+  mapUnlockedMax: "int",
+  worldSeed: "int",
+};
+
+function decodeLegacy(raw, type) {
+  if (raw == null || raw === "") return undefined;
+  if (type === "int") {
+    const v = parseInt(raw, 10);
+    return Number.isFinite(v) ? v : undefined;
+  }
+  try { return JSON.parse(raw); } catch (_) { return undefined; }
+}
+
+/**
+ * Ordered migrations. Index n upgrades a document from version n to n + 1.
+ * Each receives (doc, storage) and mutates doc.data in place.
+ */
+const MIGRATIONS = [
+  // v0 -> v1: fold the legacy per-module keys into the document
+  (doc, storage) => {
+    if (doc.slot !== 1) return;
+    for (const [section, type] of Object.entries(LEGACY_SECTIONS)) {
+      if (doc.data[section] !== undefined) continue;
+      const key = STORAGE_KEYS[section];
+      if (!key) continue;
+      let raw = null;
+      try { raw = storage.getItem(key); } catch (_) {}
+      const v = decodeLegacy(raw, type);
+      if (v !== undefined) doc.data[section] = v;
+    }
+  },
+];
+
+function clampSlot(slot) {
+  const n = Math.floor(Number(slot) || 1);
+  return Math.max(1, Math.min(SAVE_SLOT_COUNT, n));
+}
+
+function isValidDocument(doc) {
+  return !!doc && typeof doc === "object" && Number.isFinite(doc.version) && doc.data && typeof doc.data === "object";
+}
+
+function cloneJSON(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+export class SaveManager {
+  #storage;
+  #slot;
+  #doc = null;
+  #batchDepth = 0;
+  #dirty = false;
+  #flushQueued = false;
+  #reloadPending = false;
+
+  constructor({ storage = (typeof localStorage !== "undefined" ? localStorage : null) } = {}) {
+    this.#storage = storage;
+    let slot = 1;
+    try { slot = parseInt(this.#storage?.getItem(STORAGE_KEYS.saveActiveSlot) || "1", 10); } catch (_) {}
+    this.#slot = clampSlot(slot);
+    this.#doc = this.#loadSlot(this.#slot);
+  }
+
+  // ---- Slots ----
+
+  getActiveSlot() {
+    return this.#slot;
+  }
+
+  /**
+   * Switch the active slot. Modules read their state at startup, so callers
+   * should reload the page after switching (see splash slot picker).
+   */
+  setActiveSlot(slot) {
+    const s = clampSlot(slot);
+    if (s === this.#slot) return false;
+    this.flush();
+    this.#slot = s;
+    this.#doc = this.#loadSlot(s);
+    this.#reloadPending = true;
+    try { this.#storage?.setItem(STORAGE_KEYS.saveActiveSlot, String(s)); } catch (_) {}
+    return true;
+  }
+
+  isReloadPending() {
+    return this.#reloadPending;
+  }
+
+  listSlots() {
+    const out = [];
+    for (let s = 1; s <= SAVE_SLOT_COUNT; s++) {
+      const doc = s === this.#slot ? this.#doc : this.#readBest(s);
+      const hasData = !!doc && Object.keys(doc.data || {}).length > 0;
+      out.push({
+        slot: s,
+        exists: hasData,
+        active: s === this.#slot,
+        level: hasData ? (parseInt(doc.data.playerLevel, 10) || 1) : 0,
+        mapIndex: hasData ? (parseInt(doc.data.mapCurrentIndex, 10) || 1) : 0,
+        updatedAt: hasData ? (doc.updatedAt || 0) : 0,
+      });
+    }
+    return out;
+  }
+
+  deleteSlot(slot) {
+    const s = clampSlot(slot);
+    try {
+      this.#storage?.removeItem(this.#slotKey(s));
+      this.#storage?.removeItem(this.#slotKey(s) + ".tmp");
+    } catch (_) {}
+    if (s === this.#slot) this.#doc = this.#freshDocument(s, SAVE_VERSION);
+  }
+
+  // ---- Sections ----
+
+  get(section, fallback = undefined) {
+    const v = this.#doc?.data?.[section];
+    return v === undefined ? fallback : cloneJSON(v);
+  }
+
+  set(section, value) {
+    if (!this.#doc || this.#reloadPending) return;
+    this.#doc.data[section] = cloneJSON(value);
+    this.#markDirty();
+  }
+
+  remove(section) {
+    if (!this.#doc || this.#reloadPending || !(section in this.#doc.data)) return;
+    delete this.#doc.data[section];
+    this.#markDirty();
+  }
+
+  /**
+   * Run fn with writes deferred; everything set inside is committed in one write.
+   */
+  batch(fn) {
+    this.#batchDepth++;
+    try {
+      return fn();
+    } finally {
+      this.#batchDepth--;
+      if (this.#batchDepth === 0 && this.#dirty) this.flush();
+    }
+  }
+
+  flush() {
+    if (!this.#doc || !this.#dirty) return;
+    this.#dirty = false;
+    this.#write(this.#slot, this.#doc);
+  }
+
+  // ---- Whole-document access ----
+
+  exportDocument() {
+    return cloneJSON(this.#doc);
+  }
+
+  /**
+   * Replace the active slot's document. The incoming document is migrated to
+   * SAVE_VERSION first; returns false if it is not a valid save document.
+   */
+  importDocument(doc) {
+    if (!isValidDocument(doc) || doc.version > SAVE_VERSION) return false;
+    const next = cloneJSON(doc);
+    next.slot = this.#slot;
+    this.#migrate(next);
+    next.rev = (this.#doc?.rev || 0) + 1;
+    next.createdAt = next.createdAt || Date.now();
+    this.#doc = next;
+    this.#dirty = true;
+    this.flush();
+    this.#reloadPending = true;
+    return true;
+  }
+
+  // ---- Internals ----
+
+  #slotKey(slot) {
+    return `${STORAGE_KEYS.saveSlotPrefix}${slot}`;
+  }
+
+  #freshDocument(slot, version) {
+    const t = Date.now();
+    return { version, slot, rev: 0, createdAt: t, updatedAt: t, data: {} };
+  }
+
+  #readRaw(key) {
+    try {
+      const raw = this.#storage?.getItem(key);
+      if (!raw) return null;
+      const doc = JSON.parse(raw);
+      return isValidDocument(doc) ? doc : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Pick the newest valid copy between the main key and its shadow
+  #readBest(slot) {
+    const main = this.#readRaw(this.#slotKey(slot));
+    const tmp = this.#readRaw(this.#slotKey(slot) + ".tmp");
+    if (main && tmp) return (tmp.rev || 0) > (main.rev || 0) ? tmp : main;
+    return main || tmp;
+  }
+
+  #loadSlot(slot) {
+    let doc = this.#readBest(slot);
+    // Slot 1 starts at version 0 so the legacy-key migration runs once
+    if (!doc) doc = this.#freshDocument(slot, slot === 1 ? 0 : SAVE_VERSION);
+    doc.slot = slot;
+    const before = doc.version;
+    this.#migrate(doc);
+    if (doc.version !== before) this.#write(slot, doc);
+    return doc;
+  }
+
+  #migrate(doc) {
+    while (doc.version < SAVE_VERSION) {
+      const step = MIGRATIONS[doc.version];
+      try { if (step) step(doc, this.#storage); } catch (e) { console.warn("[SaveManager] migration failed:", e); }
+      doc.version += 1;
+    }
+  }
+
+  #markDirty() {
+    this.#dirty = true;
+    if (this.#batchDepth > 0 || this.#flushQueued) return;
+    // Implicit batch: one write for everything set during the current task
+    this.#flushQueued = true;
+    queueMicrotask(() => {
+      this.#flushQueued = false;
+      if (this.#batchDepth === 0) this.flush();
+    });
+  }
+
+  #write(slot, doc) {
+    if (!this.#storage) return;
+    doc.rev = (doc.rev || 0) + 1;
+    doc.updatedAt = Date.now();
+    const key = this.#slotKey(slot);
+    try {
+      this.#storage.setItem(key, JSON.stringify(doc));
+      this.#storage.removeItem(key + ".tmp");
+    } catch (e) {
+      console.warn("[SaveManager] write failed:", e);
+    }
+  }
+}
+
+/**
+ * Global instance (singleton pattern)
+ */
+let globalInstance = null;
+
+export function getSaveManager() {
+  if (!globalInstance) {
+    globalInstance = new SaveManager();
+  }
+  return globalInstance;
+}
@@ -0,0 +1,173 @@
+/**
+ * src/save_transfer.js
+ *
+ * Export / import of a full save (the active SaveManager slot document) so a
+ * hero can be carried between devices.
+ *
+ * Two portable formats wrap the same payload:
+ * - JSON file: { format, exportedAt, checksum, doc } (pretty-printed, downloadable)
+ * - Text code: "GOF1.<checksum>.<base64url(deflate(json))>"
+ *   ("GOF0" = uncompressed fallback when CompressionStream is unavailable)
+ *
+ * The checksum is an FNV-1a hash of the serialized document, so truncated or
+ * hand-edited codes are rejected before anything is restored.
+ *
+ * Public API:
+ *   buildExportPayload()             -> payload object for the active slot
+ *   downloadSaveFile(payload?)       -> triggers a .json download
+ *   encodeSaveCode(payload?)         -> Promise<string>
+ *   parseSaveFile(text)              -> { ok, payload?, error? }
+ *   decodeSaveCode(code)             -> Promise<{ ok, payload?, error? }>
+ *   validateSavePayload(payload)     -> { ok, error? }
+ *   applySavePayload(payload)        -> boolean (replaces the active slot)
+ */
+
+import { getSaveManager, SAVE_VERSION } from "./save_manager.js";
+import { hashStringToInt } from "./utils.js";
+
+const FORMAT = "gof-save";
+const CODE_PREFIX_DEFLATE = "GOF1";
+const CODE_PREFIX_RAW = "GOF0";
+
+function checksumOf(doc) {
+  return hashStringToInt(JSON.stringify(doc)).toString(16).padStart(8, "0");
+}
+
+/* ---------------- base64url helpers ---------------- */
+function bytesToBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(str) {
+  const b64 = String(str).replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+async function pipeThrough(bytes, stream) {
+  const res = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+const canCompress = () => typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+
+/* ---------------- Export ---------------- */
+export function buildExportPayload() {
+  const doc = getSaveManager().exportDocument();
+  return {
+    format: FORMAT,
+    exportedAt: Date.now(),
+    checksum: checksumOf(doc),
+    doc,
+  };
+}
+
+export function downloadSaveFile(payload = buildExportPayload()) {
+  const json = JSON.stringify(payload, null, 2);
+  const blob = new Blob([json], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const d = new Date(payload.exportedAt || Date.now());
+  const stamp = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, "0")}${String(d.getDate()).padStart(2, "0")}`;
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `gof-save-slot${payload.doc?.slot || 1}-${stamp}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export async function encodeSaveCode(payload = buildExportPayload()) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload.doc));
+  if (canCompress()) {
+    const packed = await pipeThrough(bytes, new CompressionStream("deflate-raw"));
+    return `${CODE_PREFIX_DEFLATE}.${payload.checksum}.${bytesToBase64Url(packed)}`;
+  }
+  return `${CODE_PREFIX_RAW}.${payload.checksum}.${bytesToBase64Url(bytes)}`;
+}
+
+/* ---------------- Import ---------------- */
+const isInt = (v) => Number.isInteger(v);
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// Per-section shape checks; unknown sections are passed through untouched
+const SECTION_CHECKS = {
+  playerLevel: (v) => isInt(v) && v >= 1,
+  playerState: isObj,
+  skillPoints: (v) => isInt(v) && v >= 0,
+  skillLevels: isObj,
+  skillRunes: isObj,
+  talents: (v) => isObj(v) && isObj(v.ranks),
+  unlockedSkills: Array.isArray,
+  fireLoadout: Array.isArray,
+  upliftChoices: (v) => isObj(v) && Array.isArray(v.choices),
+  persistentMarks: (v) => Array.isArray(v) && v.every((m) => m && typeof m.x === "number" && typeof m.z === "number"),
+  markNextReadyAt: isInt,
+  villages: Array.isArray,
+  roads: Array.isArray,
+  roadsGeom: isObj,
+  mapCurrentIndex: (v) => isInt(v) && v >= 1,
+  mapUnlockedMax: (v) => isInt(v) && v >= 1,
+  worldSeed: isInt,
+  inventory: (v) => Array.isArray(v) && v.every((s) => s && typeof s.id === "string" && isInt(s.qty)),
+  equipment: isObj,
+  gold: (v) => isInt(v) && v >= 0,
+  merchants: isObj,
+};
+
+export function validateSavePayload(payload) {
+  if (!isObj(payload) || payload.format !== FORMAT) return { ok: false, error: "format" };
+  const doc = payload.doc;
+  if (!isObj(doc) || !Number.isFinite(doc.version) || !isObj(doc.data)) return { ok: false, error: "format" };
+  if (doc.version > SAVE_VERSION) return { ok: false, error: "version" };
+  if (payload.checksum !== checksumOf(doc)) return { ok: false, error: "checksum" };
+  for (const [section, check] of Object.entries(SECTION_CHECKS)) {
+    if (doc.data[section] === undefined) continue;
+    if (!check(doc.data[section])) return { ok: false, error: "data", section };
+  }
+  return { ok: true };
+}
+
+export function parseSaveFile(text) {
+  let payload = null;
+  try { payload = JSON.parse(String(text || "")); } catch (_) { return { ok: false, error: "format" }; }
+  const res = validateSavePayload(payload);
+  return res.ok ? { ok: true, payload } : res;
+}
+
+export async function decodeSaveCode(code) {
+  const parts = String(code || "").trim().split(".");
+  if (parts.length !== 3) return { ok: false, error: "format" };
+  const [prefix, checksum, body] = parts;
+  let doc = null;
+  try {
+    let bytes = base64UrlToBytes(body);
+    if (prefix === CODE_PREFIX_DEFLATE) {
+      if (!canCompress()) return { ok: false, error: "unsupported" };
+      bytes = await pipeThrough(bytes, new DecompressionStream("deflate-raw"));
+    } else if (prefix !== CODE_PREFIX_RAW) {
+      return { ok: false, error: "format" };
+    }
+    doc = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (_) {
+    return { ok: false, error: "format" };
+  }
+  const payload = { format: FORMAT, exportedAt: 0, checksum, doc };
+  const res = validateSavePayload(payload);
+  return res.ok ? { ok: true, payload } : res;
+}
+
+/**
+ * Replace the active slot with a validated payload.
+ * Callers should reload afterwards so every system re-reads the slot.
+ */
+export function applySavePayload(payload) {
+  if (!validateSavePayload(payload).ok) return false;
+  return getSaveManager().importDocument(payload.doc);
+}
@@ -0,0 +1,303 @@
+/**
+ * Siege System
+ * - Periodic sieges on a discovered village (villages.listVillages(), config/sieges.js VILLAGE_SIEGES):
+ *   a warning countdown (marked on the minimap), then an assault in waves
+ * - The besieged village has its own HP (gate and houses): it drains slowly while the hero stays
+ *   away, and per siege enemy standing at the fence once the waves are in; waves spawn only when
+ *   the hero comes within engage range, despawned attackers rejoin the pending wave
+ * - Siege enemies march on the village through a "siege" group tactic (src/enemy_tactics.js)
+ *   registered on the enemies system, breaking off only when the hero comes close
+ * - A successful defense raises the village prosperity (src/village_prosperity.js) and pays XP and gold
+ * - Dispatches window events for the HUD: "village-siege" { state, key, name, wave, waves, level? }
+ *   state: "warning" | "assault" | "wave" | "defended" | "fallen"
+ *
+ * Public API:
+ *   import { SiegeSystem } from './sieges.js';
+ *   const sieges = new SiegeSystem(deps);
+ *   sieges.update(dt)    -> per frame (after the enemies system)
+ *   sieges.getSiege()    -> { key, name, x, z, radius, state, hp, maxHP, wave, waves, startsIn, engaged } | null
+ *                           state: "warning" | "assault" | "gap"
+ *   sieges.start(key?)   -> boolean, besieges a village now (default: a random one in range)
+ *
+ * Module boundaries:
+ * - No direct DOM access
+ * - All deps injected
+ */
+
+import { VILLAGE_SIEGES } from "../config/sieges.js";
+import { pickArchetype } from "./enemy_archetypes.js";
+import { rollAffixes, affixDepth } from "./enemy_affixes.js";
+import { getVillageProsperity } from "./village_prosperity.js";
+
+const HIT_FX_INTERVAL = 0.8; // seconds between fence-hit effects
+
+/**
+ * Group tactic: siege enemies head for the village fence (navigation keeps them at the rim)
+ * unless the hero is close enough to fight
+ */
+function siegeTactic() {
+  return {
+    id: "siege",
+    update(en, ctx) {
+      const s = en.siege;
+      if (!s) return null;
+      if (ctx.player.alive && ctx.toPlayer < s.heroEngage) return null;
+      return { x: s.goal.x, z: s.goal.z };
+    },
+  };
+}
+
+export class SiegeSystem {
+  #THREE;
+  #scene;
+  #player;
+  #enemies;
+  #villages;
+  #mapManager;
+  #bosses;
+  #hordes;
+  #effects;
+  #lootSystem;
+  #audio;
+  #now;
+  #distance2D;
+  #EnemyClass;
+  #applyMapModifiersToEnemy;
+  #cfg;
+
+  #siege = null; // { key, name, center, radius, state, hp, maxHP, wave, pending, tracked, stateUntil, engaged, nextHitFxAt }
+  #nextSiegeAt = 0;
+
+  constructor({
+    THREE,
+    scene,
+    player,
+    enemies,
+    villages,
+    mapManager,
+    bosses,
+    hordes,
+    tactics,
+    effects,
+    lootSystem,
+    audio,
+    now,
+    distance2D,
+    EnemyClass,
+    applyMapModifiersToEnemy,
+    config = VILLAGE_SIEGES,
+  }) {
+    this.#THREE = THREE;
+    this.#scene = scene;
+    this.#player = player;
+    this.#enemies = enemies;
+    this.#villages = villages;
+    this.#mapManager = mapManager;
+    this.#bosses = bosses;
+    this.#hordes = hordes;
+    this.#effects = effects;
+    this.#lootSystem = lootSystem;
+    this.#audio = audio;
+    this.#now = now;
+    this.#distance2D = distance2D;
+    this.#EnemyClass = EnemyClass;
+    this.#applyMapModifiersToEnemy = applyMapModifiersToEnemy;
+    this.#cfg = config;
+
+    try { tactics?.register?.(siegeTactic()); } catch (_) {}
+    this.#nextSiegeAt = now() + (config.firstDelay || 0);
+  }
+
+  getSiege() {
+    const s = this.#siege;
+    if (!s) return null;
+    const waiting = s.state === "warning" || s.state === "gap";
+    return {
+      key: s.key,
+      name: s.name,
+      x: s.center.x,
+      z: s.center.z,
+      radius: s.radius,
+      state: s.state,
+      hp: s.hp,
+      maxHP: s.maxHP,
+      wave: s.wave,
+      waves: this.#cfg.waves,
+      startsIn: waiting ? Math.max(0, s.stateUntil - this.#now()) : 0,
+      engaged: s.engaged,
+    };
+  }
+
+  start(key = null) {
+    if (this.#siege || !this.#canStart()) return false;
+    const village = this.#pickVillage(key);
+    if (!village) return false;
+    const cfg = this.#cfg;
+    const maxHP = Math.round((cfg.hp?.base || 500) + (cfg.hp?.perProsperity || 0) * getVillageProsperity().getLevel(village.key));
+    this.#siege = {
+      key: village.key,
+      name: village.name || null,
+      center: { x: village.center.x, z: village.center.z },
+      radius: village.radius || 0,
+      state: "warning",
+      hp: maxHP,
+      maxHP,
+      wave: 0,
+      pending: 0,
+      tracked: [],
+      stateUntil: this.#now() + (cfg.warning || 0),
+      engaged: false,
+      nextHitFxAt: 0,
+    };
+    try { this.#audio?.sfx?.("siege_warning"); } catch (_) {}
+    this.#dispatch("warning");
+    return true;
+  }
+
+  update(dt) {
+    const t = this.#now();
+    const s = this.#siege;
+    if (!s) {
+      if (t < this.#nextSiegeAt) return;
+      if (!this.start()) this.#nextSiegeAt = t + (this.#cfg.retryDelay || 60);
+      return;
+    }
+
+    const cfg = this.#cfg;
+    s.engaged = this.#player.alive && this.#distance2D(this.#player.pos(), s.center) <= s.radius + (cfg.engageRange || 0);
+    this.#pollTracked(s);
+
+    if (s.state === "warning" || s.state === "gap") {
+      if (t >= s.stateUntil) this.#nextWave(s);
+      return;
+    }
+
+    if (s.engaged && s.pending > 0) this.#spawnPending(s);
+
+    // Fence damage: attackers at the rim, plus a slow drain while the hero stays away
+    const reach = s.radius + (cfg.fenceReach || 0);
+    let attackers = 0;
+    let hitter = null;
+    for (const en of s.tracked) {
+      if (this.#distance2D(en.pos(), s.center) > reach) continue;
+      attackers++;
+      hitter = en;
+    }
+    s.hp -= (attackers * (cfg.attackerDps || 0) + (s.engaged ? 0 : cfg.unattendedDps || 0)) * dt;
+    if (hitter && t >= s.nextHitFxAt) {
+      s.nextHitFxAt = t + HIT_FX_INTERVAL;
+      try { this.#effects.spawnStrike(hitter.pos(), 1.2, 0xff6b35); } catch (_) {}
+    }
+    if (s.hp <= 0) return this.#end("fallen");
+
+    if (!s.pending && !s.tracked.length) {
+      if (s.wave >= cfg.waves) return this.#defended();
+      s.state = "gap";
+      s.stateUntil = t + (cfg.waveGap || 0);
+    }
+  }
+
+  // ---- siege flow ----
+
+  #canStart() {
+    if (!this.#player.alive) return false;
+    try { if (this.#bosses?.getEncounter?.() || this.#hordes?.getEvent?.()) return false; } catch (_) {}
+    return true;
+  }
+
+  #pickVillage(key) {
+    let list = [];
+    try { list = this.#villages?.listVillages?.() || []; } catch (_) {}
+    if (key) return list.find((v) => v.key === key) || null;
+    const pp = this.#player.pos();
+    const inRange = list.filter((v) => this.#distance2D(pp, v.center) <= (this.#cfg.maxDistance || Infinity));
+    return inRange.length ? inRange[Math.floor(Math.random() * inRange.length)] : null;
+  }
+
+  #nextWave(s) {
+    const c = this.#cfg.count || {};
+    s.wave++;
+    s.pending = Math.min(
+      c.max || Infinity,
+      Math.round((c.base || 1) + (c.perWave || 0) * (s.wave - 1) + (c.perLevel || 0) * (this.#player.level || 1))
+    );
+    s.state = "assault";
+    try { this.#audio?.sfx?.("siege_wave"); } catch (_) {}
+    this.#dispatch(s.wave === 1 ? "assault" : "wave");
+  }
+
+  #spawnPending(s) {
+    const cfg = this.#cfg;
+    const eliteChance = (cfg.eliteChance?.base || 0) + (cfg.eliteChance?.perWave || 0) * (s.wave - 1);
+    const [p0, p1] = cfg.spawnPad || [14, 22];
+    const base = Math.random() * Math.PI * 2;
+    const map = this.#mapManager?.getCurrent?.();
+    const siege = { goal: s.center, heroEngage: cfg.heroEngage || 0 };
+    for (; s.pending > 0; s.pending--) {
+      const a = base + (Math.random() - 0.5) * 1.6;
+      const r = s.radius + p0 + Math.random() * (p1 - p0);
+      const pos = new this.#THREE.Vector3(s.center.x + Math.cos(a) * r, 0, s.center.z + Math.sin(a) * r);
+      const tier = Math.random() < eliteChance ? "elite" : "normal";
+      const en = new this.#EnemyClass(pos, this.#player.level, { archetype: pickArchetype(map), tier });
+      en.noRespawn = true;
+      en.siege = siege;
+      if (tier === "elite") {
+        try { en.setAffixes(rollAffixes(tier, affixDepth(this.#mapManager))); } catch (_) {}
+      }
+      this.#addEnemy(en);
+      s.tracked.push(en);
+    }
+  }
+
+  /** Drop dead and despawned enemies; despawned ones (hero walked off) rejoin the pending wave */
+  #pollTracked(s) {
+    for (let i = s.tracked.length - 1; i >= 0; i--) {
+      const en = s.tracked[i];
+      if (en.alive && !en._despawned) continue;
+      if (en.alive) s.pending++;
+      s.tracked.splice(i, 1);
+    }
+  }
+
+  #defended() {
+    const s = this.#siege;
+    const reward = this.#cfg.reward || {};
+    const level = getVillageProsperity().raise(s.key);
+    const xp = Math.round((reward.xpPerLevel || 0) * (this.#player.level || 1));
+    try { this.#player.gainXP(xp); } catch (_) {}
+    if (Array.isArray(reward.gold)) {
+      const [min, max] = reward.gold;
+      const qty = min + Math.floor(Math.random() * (Math.max(min, max) - min + 1));
+      const pp = this.#player.pos();
+      try { this.#lootSystem?.spawnGroundItem?.("gold", qty, new this.#THREE.Vector3(pp.x + 1.5, 0, pp.z), null); } catch (_) {}
+    }
+    try { this.#effects.spawnRing(new this.#THREE.Vector3(s.center.x, 0, s.center.z), s.radius, 0xffd24a, 0.8, 1.2, 0.8); } catch (_) {}
+    try { this.#audio?.sfx?.("siege_defended"); } catch (_) {}
+    this.#end("defended", { level, xp });
+  }
+
+  #end(state, extra) {
+    const s = this.#siege;
+    // Survivors stay in the world as regular enemies (they still never respawn)
+    for (const en of s.tracked) en.siege = null;
+    this.#dispatch(state, extra);
+    this.#siege = null;
+    const [min, max] = this.#cfg.interval || [360, 600];
+    this.#nextSiegeAt = this.#now() + min + Math.random() * Math.max(0, max - min);
+  }
+
+  // ---- helpers ----
+
+  #addEnemy(en) {
+    try { this.#applyMapModifiersToEnemy && this.#applyMapModifiersToEnemy(en); } catch (_) {}
+    en.mesh.userData.enemyRef = en;
+    this.#scene.add(en.mesh);
+    this.#enemies.push(en);
+  }
+
+  #dispatch(state, extra = {}) {
+    const s = this.#siege;
+    const detail = { state, key: s?.key, name: s?.name, wave: s?.wave || 0, waves: this.#cfg.waves, ...extra };
+    try { window.dispatchEvent(new CustomEvent("village-siege", { detail })); } catch (_) {}
+  }
+}
@@ -7,6 +7,27 @@ import { SKILL_FX } from "../config/skills_fx.js";
 import { getBasicUplift } from "./uplift.js";
 import { distance2D, now } from "./utils.js";
 import { executeSkillEffect } from "./effects_loader.js";
+import { getHeroStats } from "./hero_stats.js";
+import { paintCooldown, flashWhenReady } from "./ui/cooldown.js";
+import { applyStatuses } from "./status_effects.js";
+import { dealDamage, heroCrit } from "./combat.js";
+import { BASIC_DAMAGE_TYPE, SKILL_DAMAGE_TYPE } from "../config/combat.js";
+import { getEnemyIndex } from "./spatial_index.js";
+import { ComboTracker, comboName } from "./combos.js";
+
+/**
+ * Status effects a skill applies on hit: its declarative `statuses` list plus
+ * the slowFactor/slowDuration shorthand (slowFactor is the remaining speed).
+ * @param {object} def skill definition from config/skills_pool.js
+ * @returns {{type: string, duration: number, magnitude?: number}[]}
+ */
+function skillStatuses(def) {
+  const list = Array.isArray(def.statuses) ? def.statuses.slice() : [];
+  if (def.slowFactor) {
+    list.push({ type: "slow", duration: def.slowDuration || 1.5, magnitude: 1 - def.slowFactor });
+  }
+  return list;
+}
 
 /**
  * SkillsSystem centralizes cooldowns, basic attack, Q/W/E/R skills,
@@ -36,6 +57,8 @@ export class SkillsSystem {
     this.damageBuffUntil = 0;
     this.damageBuffMult = 1;
     this._pendingShake = 0;
+    // Recent-cast history for skill combos (config/combos.js)
+    this.combos = new ComboTracker({ now });
   }
 
   // VFX helpers driven by SKILL_FX configuration (moved out of skills_pool)
@@ -98,19 +121,16 @@ export class SkillsSystem {
   _pickTargetInAim(range = 36, halfAngleDeg = 12) {
     try {
       const fwd = __vA.set(0, 0, 1).applyQuaternion(this.player.mesh.quaternion).setY(0).normalize();
-      const cosT = Math.cos((Math.max(1, halfAngleDeg) * Math.PI) / 180);
+      const halfAngle = (Math.max(1, halfAngleDeg) * Math.PI) / 180;
       const pos = this.player.pos();
       let best = null;
       let bestScore = -Infinity;
-      for (const e of this.enemies) {
-        if (!e.alive) continue;
-        const d = distance2D(pos, e.pos());
-        if (d > range) continue;
+      for (const e of getEnemyIndex().queryCone(pos, fwd, range, halfAngle)) {
         const v = __vB.copy(e.pos()).sub(pos).setY(0);
         const len = v.length() || 1;
         const dir = __vC.copy(v).multiplyScalar(1 / len);
         const dot = dir.dot(fwd);
-        if (dot <= cosT || dot <= 0) continue;
+        if (dot <= 0) continue;
         // score: prefer higher alignment and closer distance along forward
         const proj = len * dot;
         const score = dot * 2 - proj * 0.01;
@@ -151,14 +171,25 @@ export class SkillsSystem {
       base = Math.max(1, Math.floor(attacker.baseDamage));
     }
     const activeBuff = this.damageBuffUntil && now() < this.damageBuffUntil ? this.damageBuffMult || 1 : 1;
-    return Math.max(1, Math.floor(base * activeBuff));
+    const statMult = attacker === this.player ? getHeroStats().mul("basicDamage") : 1;
+    return Math.max(1, Math.floor(base * activeBuff * statMult));
   }
 
   scaleSkillDamage(base) {
     const lvl = Math.max(1, (this.player && this.player.level) || 1);
     const levelMult = Math.pow(SCALING.hero.skillDamageGrowth, lvl - 1);
     const buffMult = this.damageBuffUntil && now() < this.damageBuffUntil ? this.damageBuffMult || 1 : 1;
-    return Math.max(1, Math.floor((base || 0) * levelMult * buffMult));
+    const statMult = getHeroStats().mul("skillDamage");
+    return Math.max(1, Math.floor((base || 0) * levelMult * buffMult * statMult));
+  }
+
+  // Mana cost and cooldown after hero stat reductions (gear, etc.)
+  getSkillManaCost(SK) {
+    return Math.max(0, Math.floor((SK?.mana || 0) * getHeroStats().reduce("manaCostReduction")));
+  }
+
+  getSkillCooldown(SK) {
+    return Math.max(0, (SK?.cd || 0) * getHeroStats().reduce("cooldownReduction"));
   }
 
   // ----- Cooldowns -----
@@ -177,47 +208,15 @@ export class SkillsSystem {
       const el = this.cdUI?.[key];
       if (!el) continue;
 
-      let remain = 0;
-      if (!end || end <= 0) {
-        el.style.background = "none";
-        el.textContent = "";
-        el.className = "cooldown"; // Reset classes
-      } else {
-        remain = Math.max(0, end - t);
-        // Hide when very close to ready
-        if (remain <= 0.05) {
-          el.style.background = "none";
-          el.textContent = "";
-          el.className = "cooldown";
-        } else {
-          const total = key === "Basic" ? WORLD.basicAttackCooldown : getSkill(key)?.cd || 0;
-          const pct = clamp01(remain / total);
-          const deg = Math.floor(pct * 360);
-
-          // Apply CSS class based on percentage and use CSS variable for color
-          const cdClass = pct > 0.5 ? "cd-high" : pct > 0.2 ? "cd-mid" : "cd-low";
-          const colorVar = pct > 0.5 ? "--cooldown-high" : pct > 0.2 ? "--cooldown-mid" : "--cooldown-low";
-
-          el.className = `cooldown ${cdClass}`;
-          el.style.background = `conic-gradient(var(${colorVar}) ${deg}deg, rgba(0,0,0,0) 0deg)`;
-          // el.textContent = remain < 3 ? remain.toFixed(1) : `${Math.ceil(remain)}`;
-          el.textContent = remain.toFixed(1);
-        }
-      }
+      const remain = !end || end <= 0 ? 0 : Math.max(0, end - t);
+      const total = key === "Basic" ? WORLD.basicAttackCooldown : this.getSkillCooldown(getSkill(key));
+      paintCooldown(el, remain, total);
 
       // Mirror to duplicate cooldown displays
       this._mirrorCooldownUI(el);
 
       // Flash on ready transition
-      const prev = this.cdState[key] || 0;
-      if (prev > 0 && remain === 0) {
-        el.classList.add("flash");
-        el.dataset.flashUntil = String(t + 0.25);
-        this._mirrorCooldownUI(el);
-      }
-      if (el.dataset.flashUntil && t > parseFloat(el.dataset.flashUntil)) {
-        el.classList.remove("flash");
-        delete el.dataset.flashUntil;
+      if (flashWhenReady(el, this.cdState[key] || 0, remain, t)) {
         this._mirrorCooldownUI(el);
       }
       this.cdState[key] = remain;
@@ -235,6 +234,7 @@ export class SkillsSystem {
   tryBasicAttack(attacker, target) {
     const time = now();
     if (time < (attacker.nextBasicReady || 0)) return false;
+    if (attacker.status?.isStunned()) return false;
 
     // Allow casting without a target
     const hasValidTarget = target && target.alive;
@@ -321,9 +321,10 @@ export class SkillsSystem {
 
     // Only deal damage if there's a valid target
     if (hasValidTarget) {
-      target.takeDamage(dmg);
+      const basicHit = { damageType: BASIC_DAMAGE_TYPE, ...heroCrit() };
+      const hit = dealDamage(target, dmg, basicHit);
       try {
-        this.effects.spawnDamagePopup(target.pos(), dmg);
+        this.effects.spawnDamagePopup(target.pos(), hit || dmg);
       } catch (e) { }
 
       // Uplift: AOE explosion around the hit target
@@ -331,10 +332,9 @@ export class SkillsSystem {
         if (up.aoeRadius && up.aoeRadius > 0) {
           this.effects.spawnStrike(target.pos(), up.aoeRadius, THEME_COLORS.ember);
           const r = up.aoeRadius + 2.5;
-          this.enemies.forEach((en) => {
-            if (!en.alive || en === target) return;
-            if (distance2D(en.pos(), target.pos()) <= r) en.takeDamage(Math.max(1, Math.floor(dmg * 0.8)));
-          });
+          for (const en of getEnemyIndex().queryRadius(target.pos(), r, (e) => e !== target)) {
+            dealDamage(en, Math.max(1, Math.floor(dmg * 0.8)), basicHit);
+          }
         }
       } catch (_) { }
 
@@ -344,8 +344,7 @@ export class SkillsSystem {
         let current = target;
         const hitSet = new Set([current]);
         while (jumps-- > 0) {
-          const candidates = this.enemies.filter((e) => e.alive && !hitSet.has(e) && distance2D(current.pos(), e.pos()) <= 22).sort((a, b) => distance2D(current.pos(), a.pos()) - distance2D(current.pos(), b.pos()));
-          const nxt = candidates[0];
+          const nxt = getEnemyIndex().nearest(current.pos(), 22, (e) => !hitSet.has(e));
           if (!nxt) break;
           hitSet.add(nxt);
           const from = __vA.copy(current.pos()).add(__vB.set(0, 1.2, 0)).clone();
@@ -361,7 +360,7 @@ export class SkillsSystem {
               this.effects.spawnArc(from, to, THEME_COLORS.ember, 0.08, segments, amplitude);
             }
           } catch (_) { }
-          nxt.takeDamage(Math.max(1, Math.floor(dmg * 0.85)));
+          dealDamage(nxt, Math.max(1, Math.floor(dmg * 0.85)), basicHit);
           current = nxt;
         }
       } catch (_) { }
@@ -375,20 +374,19 @@ export class SkillsSystem {
    * Internal helper: Execute skill effects without resource checks
    * Shared by castSkill and previewSkill for consistency
    */
-  _executeSkillLogic(def, point = null) {
+  _executeSkillLogic(def, point = null, fromCast = false) {
     // Auto-select point if none provided for ground-targeted skills
     if (!point && (def.type === "aoe" || def.type === "blink" || def.type === "dash")) {
       const effRange = Math.max(WORLD.attackRange * (WORLD.attackRangeMult || 1), (def.radius || 0) + 10);
-      let candidates = this.enemies.filter((e) => e.alive && distance2D(this.player.pos(), e.pos()) <= effRange + (def.radius || 0));
-      if (candidates.length === 0 && def.type === "aoe") {
+      const nearest = getEnemyIndex().nearest(this.player.pos(), effRange + (def.radius || 0));
+      if (!nearest && def.type === "aoe") {
         try {
           this.effects.showNoTargetHint?.(this.player, effRange);
         } catch (_) { }
         return;
       }
-      if (candidates.length > 0) {
-        candidates.sort((a, b) => distance2D(this.player.pos(), a.pos()) - distance2D(this.player.pos(), b.pos()));
-        point = __vA.copy(candidates[0].pos()).clone();
+      if (nearest) {
+        point = __vA.copy(nearest.pos()).clone();
       } else {
         point = this.player.pos().clone();
       }
@@ -406,7 +404,7 @@ export class SkillsSystem {
     // Gather targets in range
     const centerPos = point || this.player.pos();
     const targetRange = def.range || def.jumpRange || def.radius || WORLD.attackRange || 36;
-    const targets = this.enemies.filter((en) => en.alive && distance2D(en.pos(), centerPos) <= targetRange);
+    const targets = getEnemyIndex().queryRadius(centerPos, targetRange);
 
     // Simple preferred target: player's current target or aimed enemy
     let preferredTarget = null;
@@ -448,14 +446,34 @@ export class SkillsSystem {
       targets: targets,
       preferredTarget: preferredTarget,
       dmg: this.scaleSkillDamage(def.dmg || 0),
-      slowFactor: def.slowFactor,
-      slowDuration: def.slowDuration,
+      damageType: def.damageType || SKILL_DAMAGE_TYPE,
+      ...heroCrit(),
+      statuses: skillStatuses(def),
       shake: fx.shake,
       point: point,
       from: fromPos,
       to: toPos,
+      rune: def.rune || null,
     };
 
+    // Combos read the history and the targets' statuses before this cast applies its own
+    const combos = fromCast ? this.combos.evaluate(def, { targets }) : [];
+    const baseDmg = skillEffectParams.dmg;
+    for (const { combo } of combos) {
+      if (combo.bonus.damageMul) {
+        skillEffectParams.dmg = Math.max(1, Math.floor(skillEffectParams.dmg * combo.bonus.damageMul));
+      }
+    }
+    skillEffectParams.combos = combos
+      .filter(({ combo }) => combo.bonus.extraJumps)
+      .map(({ combo, matches }) => ({
+        id: combo.id,
+        extraJumps: combo.bonus.extraJumps,
+        maxExtraJumps: combo.bonus.maxExtraJumps ?? Infinity,
+        matches,
+        onTrigger: (enemy) => this._announceCombo(combo, enemy?.pos?.()),
+      }));
+
     // Execute skill effect (effects are preloaded during game init, so this is synchronous)
     try {
       executeSkillEffect(def.id, this.effects, skillEffectParams);
@@ -472,17 +490,52 @@ export class SkillsSystem {
 
       // Fallback damage application
       targets.forEach((en) => {
-        en.takeDamage(skillEffectParams.dmg);
-        if (def.slowFactor) {
-          en.slowUntil = now() + (def.slowDuration || 1.5);
-          en.slowFactor = def.slowFactor;
-        }
+        dealDamage(en, skillEffectParams.dmg, skillEffectParams);
+        applyStatuses(en, skillEffectParams.statuses);
       });
     }
 
+    if (combos.length) this._applyComboBonuses(combos, skillEffectParams, baseDmg);
+    if (fromCast) this.combos.recordCast(def, centerPos);
+
     this._requestShake(fx.shake);
   }
 
+  /**
+   * Cast-wide combo feedback plus the per-target bonuses (shatter, statuses).
+   * extraJumps combos announce themselves from the chain effect when they trigger.
+   */
+  _applyComboBonuses(combos, params, baseDmg) {
+    for (const { combo, targets } of combos) {
+      const { bonus } = combo;
+      if (bonus.extraJumps) continue;
+      if (bonus.shatter) {
+        const dmg = Math.max(1, Math.floor(baseDmg * (bonus.shatter.damageMul || 1)));
+        for (const en of targets) {
+          if (!en.alive) continue;
+          try {
+            const hit = dealDamage(en, dmg, params);
+            this.effects.spawnStrike(en.pos(), 1.4, THEME_COLORS.ember);
+            this.effects.spawnDamagePopup(en.pos(), hit || dmg, "#bfe9ff");
+          } catch (_) {}
+        }
+      }
+      if (bonus.statuses) {
+        for (const en of targets) applyStatuses(en, bonus.statuses);
+      }
+      this._announceCombo(combo, (targets[0] || this.player).pos());
+    }
+  }
+
+  _announceCombo(combo, pos) {
+    try {
+      this.effects.spawnTextPopup?.(pos || this.player.pos(), `${combo.icon} ${comboName(combo)}`, "#bfe9ff", { scale: 1.3 });
+    } catch (_) {}
+    try {
+      window.dispatchEvent(new CustomEvent("skill-combo", { detail: { id: combo.id, skillId: combo.skill } }));
+    } catch (_) {}
+  }
+
   /**
    * Generic skill dispatcher. Use castSkill('Q'|'W'|'E'|'R', point?)
    * All skills now use their own effect files - no type checking needed
@@ -490,6 +543,7 @@ export class SkillsSystem {
   castSkill(key, point = null) {
     if (!key) return;
     if (this.isOnCooldown(key)) return;
+    if (this.player.status?.isStunned()) return;
     const SK = getSkill(key);
     if (!SK) {
       console.warn("castSkill: unknown SKILLS key", key);
@@ -497,15 +551,20 @@ export class SkillsSystem {
     }
 
     // Check mana
-    if (!this.player.canSpend(SK.mana)) return;
+    const mana = this.getSkillManaCost(SK);
+    if (!this.player.canSpend(mana)) return;
 
     // Spend mana and start cooldown
-    this.player.spend(SK.mana);
-    this.startCooldown(key, SK.cd);
+    this.player.spend(mana);
+    // Overload talent: some casts skip their cooldown
+    const resetChance = getHeroStats().get("cooldownResetChance");
+    if (!(resetChance > 0 && Math.random() < resetChance)) {
+      this.startCooldown(key, this.getSkillCooldown(SK));
+    }
 
     // Execute using shared logic
     audio.sfx(key);
-    this._executeSkillLogic(SK, point);
+    this._executeSkillLogic(SK, point, true);
   }
 
   previewSkill(def) {
@@ -531,8 +590,3 @@ export class SkillsSystem {
     }
   }
 }
-
-// Local small helper
-function clamp01(v) {
-  return Math.max(0, Math.min(1, v));
-}
@@ -8,14 +8,12 @@
  * - Upgrades improve damage, reduce cooldown, increase range/radius, etc.
  * - Skills unlock at specific player levels
  * - Players earn skill points on level-up to spend on upgrades
+ * - Runes (config/skills_pool.js `runes`) unlock at skill levels; one can be selected per skill
+ *   and is handed to the skill's effect as `rune` (dispatches "skill-rune-changed")
  */
 
 import { SKILLS_POOL } from "../config/skills_pool.js";
-import { STORAGE_KEYS } from "../config/index.js";
-
-const STORAGE_KEY = STORAGE_KEYS.skillLevels;
-const STORAGE_KEY_POINTS = STORAGE_KEYS.skillPoints;
-const STORAGE_KEY_UNLOCKED = STORAGE_KEYS.unlockedSkills;
+import { getSaveManager } from "./save_manager.js";
 
 /**
  * Max player level required to guarantee every skill is unlocked.
@@ -126,6 +124,7 @@ export class SkillUpgradeManager {
     this.skillLevels = new Map(); // skill_id -> level (1+)
     this.skillPoints = 0;
     this.unlockedSkills = new Set();
+    this.skillRunes = new Map(); // skill_id -> selected rune id
     this.loadFromStorage();
   }
 
@@ -198,6 +197,47 @@ export class SkillUpgradeManager {
     this.skillLevels.set(skillId, currentLevel + 1);
     this.skillPoints -= 1;
     this.saveToStorage();
+    try {
+      window.dispatchEvent(new CustomEvent("skill-upgraded", { detail: { skillId, level: currentLevel + 1 } }));
+    } catch (_) {}
+    return true;
+  }
+
+  /**
+   * Runes defined for a skill, each flagged with whether the skill level unlocks it
+   */
+  getAvailableRunes(skillId) {
+    const def = SKILLS_POOL.find((s) => s.id === skillId);
+    const level = this.getSkillLevel(skillId);
+    return (def?.runes || []).map((r) => ({ ...r, unlocked: level >= (r.unlockLevel || 1) }));
+  }
+
+  /**
+   * Selected rune definition for a skill (null when none is selected)
+   */
+  getRune(skillId) {
+    const id = this.skillRunes.get(skillId);
+    if (!id) return null;
+    const def = SKILLS_POOL.find((s) => s.id === skillId);
+    return (def?.runes || []).find((r) => r.id === id) || null;
+  }
+
+  /**
+   * Select a rune for a skill (null clears it). Locked runes are rejected.
+   */
+  setRune(skillId, runeId) {
+    if (!this.isSkillUnlocked(skillId)) return false;
+    if (runeId) {
+      const rune = this.getAvailableRunes(skillId).find((r) => r.id === runeId);
+      if (!rune || !rune.unlocked) return false;
+      this.skillRunes.set(skillId, runeId);
+    } else {
+      this.skillRunes.delete(skillId);
+    }
+    this.saveToStorage();
+    try {
+      window.dispatchEvent(new CustomEvent("skill-rune-changed", { detail: { skillId, runeId: runeId || null } }));
+    } catch (_) {}
     return true;
   }
 
@@ -221,10 +261,12 @@ export class SkillUpgradeManager {
    */
   applyUpgradeBonuses(skillId, baseStats) {
     const level = this.getSkillLevel(skillId);
-    if (level <= 1) return baseStats; // No bonuses at level 1
+    const rune = this.getRune(skillId);
+    if (level <= 1) return rune ? { ...baseStats, rune } : baseStats; // No bonuses at level 1
 
     const upgraded = { ...baseStats };
     const levelIndex = level - 1;
+    if (rune) upgraded.rune = rune;
 
     // Apply damage bonus
     const dmgBonus = getScaledBonus(levelIndex, SKILL_UPGRADE_BONUSES.damage);
@@ -307,47 +349,67 @@ export class SkillUpgradeManager {
     }
     this.skillPoints += totalSpent;
     this.skillLevels.clear();
+    this.skillRunes.clear(); // runes unlock by skill level
     this.saveToStorage();
   }
 
   /**
-   * Save to localStorage
+   * Respec: refund every spent point, clear runes and rebuild unlocks for the hero level
+   */
+  respec(playerLevel) {
+    getSaveManager().batch(() => {
+      this.resetSkills();
+      this.unlockedSkills.clear();
+      this.initializeUnlockedSkills(playerLevel);
+    });
+  }
+
+  /**
+   * Save to the active save slot (levels, points, unlocks and runes in one write)
    */
   saveToStorage() {
     try {
-      const levelsObj = Object.fromEntries(this.skillLevels);
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(levelsObj));
-      localStorage.setItem(STORAGE_KEY_POINTS, String(this.skillPoints));
-      localStorage.setItem(STORAGE_KEY_UNLOCKED, JSON.stringify([...this.unlockedSkills]));
+      const save = getSaveManager();
+      save.batch(() => {
+        save.set("skillLevels", Object.fromEntries(this.skillLevels));
+        save.set("skillPoints", this.skillPoints);
+        save.set("unlockedSkills", [...this.unlockedSkills]);
+        save.set("skillRunes", Object.fromEntries(this.skillRunes));
+      });
     } catch (e) {
       console.warn("Failed to save skill upgrades:", e);
     }
   }
 
   /**
-   * Load from localStorage
+   * Load from the active save slot
    */
   loadFromStorage() {
     try {
+      const save = getSaveManager();
       // Load skill levels
-      const levelsRaw = localStorage.getItem(STORAGE_KEY);
-      if (levelsRaw) {
-        const levelsObj = JSON.parse(levelsRaw);
+      const levelsObj = save.get("skillLevels");
+      if (levelsObj && typeof levelsObj === "object") {
         this.skillLevels = new Map(Object.entries(levelsObj));
       }
 
       // Load skill points
-      const pointsRaw = localStorage.getItem(STORAGE_KEY_POINTS);
-      if (pointsRaw) {
-        this.skillPoints = parseInt(pointsRaw, 10) || 0;
+      const points = save.get("skillPoints");
+      if (points != null) {
+        this.skillPoints = parseInt(points, 10) || 0;
       }
 
       // Load unlocked skills
-      const unlockedRaw = localStorage.getItem(STORAGE_KEY_UNLOCKED);
-      if (unlockedRaw) {
-        const unlockedArray = JSON.parse(unlockedRaw);
+      const unlockedArray = save.get("unlockedSkills");
+      if (Array.isArray(unlockedArray)) {
         this.unlockedSkills = new Set(unlockedArray);
       }
+
+      // Load selected runes
+      const runesObj = save.get("skillRunes");
+      if (runesObj && typeof runesObj === "object") {
+        this.skillRunes = new Map(Object.entries(runesObj).filter(([, id]) => typeof id === "string"));
+      }
     } catch (e) {
       console.warn("Failed to load skill upgrades:", e);
     }
@@ -0,0 +1,181 @@
+/**
+ * src/spatial_index.js
+ *
+ * Uniform-grid spatial hash for enemy queries on the XZ plane.
+ *
+ * EnemiesSystem rebuilds the shared index once per frame from the live enemy
+ * array; targeting (skills, input), area damage (skill effects), AI ally scans
+ * and the spawner query it instead of walking every enemy. Cells are bucketed
+ * from the positions at rebuild time, while distance checks use each entity's
+ * live position, so queries stay exact for enemies that moved a little since.
+ * Dead and despawned entries are skipped at query time. Cell size lives in
+ * config/world.js (WORLD.spatialIndex).
+ *
+ * Public API:
+ *   const index = getEnemyIndex();
+ *   index.rebuild(list)                                      -> once per frame (alive entries only)
+ *   index.isBuilt()                                          -> false until the first rebuild
+ *   index.queryRadius(center, radius, filter?, out?)         -> entities within radius
+ *   index.countRadius(center, radius, filter?)               -> count only (no allocation)
+ *   index.queryCone(origin, dir, range, halfAngleRad, filter?, out?) -> entities inside a cone
+ *   index.nearest(origin, maxDist, filter?)                  -> closest entity or null
+ *   index.nearestK(origin, maxDist, k, filter?)              -> up to k entities, closest first
+ */
+
+import { WORLD } from "../config/world.js";
+
+const DEFAULT_CELL_SIZE = 10;
+// Extra cells scanned around a query so entries that moved since the rebuild are still found
+const CELL_PAD = 1;
+
+function cellKey(cx, cz) {
+  return (cx + 32768) * 65536 + (cz + 32768);
+}
+
+function usable(en) {
+  return en && en.alive && !en._despawned;
+}
+
+export class SpatialHash {
+  #cellSize;
+  #cells = new Map(); // key -> entity[]
+  #pool = [];
+  #built = false;
+  #minCx = 0;
+  #maxCx = -1;
+  #minCz = 0;
+  #maxCz = -1;
+
+  constructor({ cellSize = DEFAULT_CELL_SIZE } = {}) {
+    this.#cellSize = Math.max(1, cellSize);
+  }
+
+  isBuilt() {
+    return this.#built;
+  }
+
+  rebuild(list) {
+    for (const arr of this.#cells.values()) {
+      arr.length = 0;
+      this.#pool.push(arr);
+    }
+    this.#cells.clear();
+    this.#minCx = this.#minCz = Infinity;
+    this.#maxCx = this.#maxCz = -Infinity;
+
+    const size = this.#cellSize;
+    for (const en of list || []) {
+      if (!usable(en)) continue;
+      const p = en.pos();
+      const cx = Math.floor(p.x / size);
+      const cz = Math.floor(p.z / size);
+      const key = cellKey(cx, cz);
+      let arr = this.#cells.get(key);
+      if (!arr) {
+        arr = this.#pool.pop() || [];
+        this.#cells.set(key, arr);
+      }
+      arr.push(en);
+      if (cx < this.#minCx) this.#minCx = cx;
+      if (cx > this.#maxCx) this.#maxCx = cx;
+      if (cz < this.#minCz) this.#minCz = cz;
+      if (cz > this.#maxCz) this.#maxCz = cz;
+    }
+    this.#built = true;
+  }
+
+  queryRadius(center, radius, filter = null, out = []) {
+    this.#scan(center, radius, (en, d) => {
+      if (d <= radius && (!filter || filter(en))) out.push(en);
+    });
+    return out;
+  }
+
+  countRadius(center, radius, filter = null) {
+    let n = 0;
+    this.#scan(center, radius, (en, d) => {
+      if (d <= radius && (!filter || filter(en))) n++;
+    });
+    return n;
+  }
+
+  queryCone(origin, dir, range, halfAngleRad, filter = null, out = []) {
+    const dl = Math.hypot(dir.x, dir.z) || 1;
+    const fx = dir.x / dl;
+    const fz = dir.z / dl;
+    const cosT = Math.cos(halfAngleRad);
+    this.#scan(origin, range, (en, d) => {
+      if (d > range || d < 1e-6) return;
+      const p = en.pos();
+      const dot = ((p.x - origin.x) * fx + (p.z - origin.z) * fz) / d;
+      if (dot > cosT && (!filter || filter(en))) out.push(en);
+    });
+    return out;
+  }
+
+  nearest(origin, maxDist = Infinity, filter = null) {
+    let best = null;
+    let bestD = Infinity;
+    this.#scan(origin, maxDist, (en, d) => {
+      if (d <= maxDist && d < bestD && (!filter || filter(en))) {
+        bestD = d;
+        best = en;
+      }
+    });
+    return best;
+  }
+
+  nearestK(origin, maxDist = Infinity, k = 1, filter = null) {
+    const found = [];
+    this.#scan(origin, maxDist, (en, d) => {
+      if (d <= maxDist && (!filter || filter(en))) found.push({ en, d });
+    });
+    found.sort((a, b) => a.d - b.d);
+    const out = [];
+    for (let i = 0; i < found.length && i < k; i++) out.push(found[i].en);
+    return out;
+  }
+
+  /** Visit live entries in the cells overlapping a circle (clipped to occupied cells) */
+  #scan(center, radius, visit) {
+    if (!this.#cells.size) return;
+    const size = this.#cellSize;
+    const r = Number.isFinite(radius) ? Math.max(0, radius) : Infinity;
+    const x0 = Math.max(this.#minCx, Math.floor((center.x - r) / size) - CELL_PAD);
+    const x1 = Math.min(this.#maxCx, Math.floor((center.x + r) / size) + CELL_PAD);
+    const z0 = Math.max(this.#minCz, Math.floor((center.z - r) / size) - CELL_PAD);
+    const z1 = Math.min(this.#maxCz, Math.floor((center.z + r) / size) + CELL_PAD);
+    if (x0 > x1 || z0 > z1) return;
+    // Sparse crowds over a huge query box: walking the occupied cells is cheaper
+    if ((x1 - x0 + 1) * (z1 - z0 + 1) > this.#cells.size) {
+      for (const arr of this.#cells.values()) this.#visitCell(arr, center, visit);
+      return;
+    }
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cz = z0; cz <= z1; cz++) {
+        const arr = this.#cells.get(cellKey(cx, cz));
+        if (arr) this.#visitCell(arr, center, visit);
+      }
+    }
+  }
+
+  #visitCell(arr, center, visit) {
+    for (const en of arr) {
+      if (!usable(en)) continue;
+      const p = en.pos();
+      visit(en, Math.hypot(p.x - center.x, p.z - center.z));
+    }
+  }
+}
+
+/**
+ * Global instance (singleton pattern)
+ */
+let globalInstance = null;
+
+export function getEnemyIndex() {
+  if (!globalInstance) {
+    globalInstance = new SpatialHash({ cellSize: WORLD.spatialIndex?.cellSize || DEFAULT_CELL_SIZE });
+  }
+  return globalInstance;
+}
@@ -1,4 +1,7 @@
 import * as THREE from "../vendor/three/build/three.module.js";
+import { getArchetype, pickArchetype } from "./enemy_archetypes.js";
+import { rollAffixes, affixDepth } from "./enemy_affixes.js";
+import { getEnemyIndex } from "./spatial_index.js";
 
 /**
  * Dynamic enemy spawning system module.
@@ -7,6 +10,8 @@ import * as THREE from "../vendor/three/build/three.module.js";
  * - Maintain enemy density around the hero based on level, quality, map modifiers, and performance scaling
  * - Provide burst spawns on movement and continuous maintenance spawns
  * - Avoid spawning inside villages (origin and dynamic)
+ * - Mix in the current map's signature archetypes; pack archetypes spawn as a group
+ * - Roll elite affixes for elite/boss tiers (deeper endless levels roll more and rarer ones)
  * - Expose hooks for map changes and performance scaling
  *
  * Usage:
@@ -79,6 +84,8 @@ export function createDynamicSpawner(deps) {
 
   function countNearbyEnemies(radius) {
     const heroPos = player.pos();
+    const index = getEnemyIndex();
+    if (index.isBuilt()) return index.countRadius(heroPos, radius);
     let count = 0;
     for (const en of enemies) {
       if (en.alive) {
@@ -164,19 +171,38 @@ export function createDynamicSpawner(deps) {
     return cand;
   }
 
+  function addEnemy(pos, archetype) {
+    const e = new EnemyClass(pos, player.level, { archetype });
+    try { e.setAffixes(rollAffixes(e.tier, affixDepth(mapManager))); } catch (_) {}
+    if (typeof applyMapModifiersToEnemy === "function") {
+      try { applyMapModifiersToEnemy(e); } catch (_) {}
+    }
+    e.mesh.userData.enemyRef = e;
+    scene.add(e.mesh);
+    enemies.push(e);
+    return e;
+  }
+
+  /**
+   * Spawn one enemy of a map-appropriate archetype (plus packmates for pack hunters).
+   * Returns the number of enemies spawned.
+   */
+  function spawnEnemyGroup(pos) {
+    const archetype = pickArchetype(mapManager?.getCurrent?.());
+    addEnemy(pos, archetype);
+    const packSize = getArchetype(archetype).behavior?.packSize || 1;
+    for (let i = 1; i < packSize; i++) {
+      const ang = Math.random() * Math.PI * 2;
+      addEnemy(new THREE.Vector3(pos.x + Math.cos(ang) * 3, pos.y, pos.z + Math.sin(ang) * 3), archetype);
+    }
+    return packSize;
+  }
+
   function spawnEnemyBatch(count, reason = "spawn") {
     if (count <= 0) return 0;
     let spawned = 0;
-    for (let i = 0; i < count; i++) {
-      const pos = randomEnemySpawnPos();
-      const e = new EnemyClass(pos, player.level);
-      if (typeof applyMapModifiersToEnemy === "function") {
-        try { applyMapModifiersToEnemy(e); } catch (_) {}
-      }
-      e.mesh.userData.enemyRef = e;
-      scene.add(e.mesh);
-      enemies.push(e);
-      spawned++;
+    while (spawned < count) {
+      spawned += spawnEnemyGroup(randomEnemySpawnPos());
     }
     if (spawned > 0) {
       try {
@@ -230,15 +256,9 @@ export function createDynamicSpawner(deps) {
   function initialSpawn() {
     const initialEnemyCount = calculateDynamicEnemyCount(player.level);
     try { console.info(`[Dynamic Spawn] Initial spawn: ${initialEnemyCount} enemies around hero (Level ${player.level})`); } catch (_) {}
-    for (let i = 0; i < initialEnemyCount; i++) {
-      const pos = randomEnemySpawnPos();
-      const e = new EnemyClass(pos, player.level);
-      if (typeof applyMapModifiersToEnemy === "function") {
-        try { applyMapModifiersToEnemy(e); } catch (_) {}
-      }
-      e.mesh.userData.enemyRef = e;
-      scene.add(e.mesh);
-      enemies.push(e);
+    let spawned = 0;
+    while (spawned < initialEnemyCount) {
+      spawned += spawnEnemyGroup(randomEnemySpawnPos());
     }
     lastPlayerPosition.copy(player.pos());
     lastSpawnCheckTime = now();
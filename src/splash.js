@@ -7,10 +7,46 @@
  * - Waits at least 1 second before finishing so the user can see the splash.
  * - Considers the page "loaded" when window.load fires (network JS/modules loaded).
  * - Hides the overlay when complete.
+ * - Shows the save-slot picker (#saveSlots) on the start screen; picking another
+ *   slot reloads the page so every system boots from that slot.
  *
  * Usage: import and call initSplash() early in your main entry (before heavy init).
  */
 
+import { getSaveManager } from "./save_manager.js";
+import { STORAGE_KEYS } from "../config/index.js";
+
+/**
+ * Render one button per save slot into the container.
+ * Labels use data-i18n spans so applyTranslations() can localize them later.
+ */
+function renderSaveSlots(container) {
+  if (!container) return;
+  let slots = [];
+  try { slots = getSaveManager().listSlots(); } catch (_) { return; }
+  container.innerHTML = "";
+  slots.forEach((s) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "save-slot" + (s.active ? " active" : "");
+    btn.setAttribute("role", "radio");
+    btn.setAttribute("aria-checked", s.active ? "true" : "false");
+    const detail = s.exists
+      ? `<span data-i18n="start.slotLevel">Lv</span> ${s.level} · <span data-i18n="start.slotMap">Map</span> ${s.mapIndex}`
+      : `<span data-i18n="start.slotEmpty">Empty</span>`;
+    btn.innerHTML = `<span class="save-slot-title"><span data-i18n="start.slot">Slot</span> ${s.slot}</span><span class="save-slot-detail">${detail}</span>`;
+    btn.addEventListener("click", () => {
+      if (s.active) return;
+      try {
+        getSaveManager().setActiveSlot(s.slot);
+        localStorage.setItem(STORAGE_KEYS.pendingReloadReason, "slot-change");
+      } catch (_) {}
+      window.location.reload();
+    });
+    container.appendChild(btn);
+  });
+}
+
 export function initSplash() {
   const overlay = document.getElementById("flashOverlay");
   const progressBar = document.getElementById("flashProgressBar");
@@ -71,6 +107,7 @@ export function initSplash() {
           
           if (startScreen) {
             startScreen.style.display = "block";
+            try { renderSaveSlots(document.getElementById("saveSlots")); } catch (e) {}
             
             // Ensure translated text is applied if i18n has loaded
             try {
@@ -0,0 +1,204 @@
+/**
+ * src/status_effects.js
+ *
+ * Timed status effects (burn, slow, stun, vulnerability, ...) attached to every
+ * Entity as `entity.status`. Effect types and their stacking rules live in
+ * config/status_effects.js (STATUS_EFFECTS); combat code only asks this
+ * component what applies instead of reading per-effect fields.
+ *
+ * - Stacking: "refresh" | "stack" (up to maxStacks) | "max" (strongest wins)
+ * - DoTs tick on wall time through owner.takeDamage, so throttled AI updates
+ *   still deal the full damage
+ * - Immunity per owner (enemy tiers use STATUS_IMMUNITY)
+ * - `version` bumps whenever the set of effects changes (HP bar pips, UI)
+ *
+ * Public API:
+ *   const st = new StatusEffects(owner, { immune: ["stun"] });
+ *   st.apply(type, { duration, magnitude, stacks }) -> boolean (false when immune/unknown)
+ *   st.remove(type); st.clear();
+ *   st.has(type) / st.get(type) -> { type, stacks, magnitude, remain } | null
+ *   st.list()                   -> active effects (same shape as get)
+ *   st.magnitude(type)          -> total magnitude (per-stack × stacks, clamped to max) or 0
+ *   st.moveMul()                -> movement multiplier (0 while stunned)
+ *   st.damageTakenMul()         -> incoming damage multiplier (fortify/vulnerable)
+ *   st.isStunned() / st.isInvulnerable()
+ *   st.update()                 -> expires effects, ticks DoTs; returns damage dealt
+ *
+ *   // Declarative helpers for skill effects (src/effects/*.js)
+ *   applyStatus(target, "burn", { duration: 4 });
+ *   applyStatuses(target, params.statuses);
+ */
+
+import { STATUS_EFFECTS } from "../config/status_effects.js";
+import { now } from "./utils.js";
+
+export class StatusEffects {
+  #owner;
+  #active = new Map(); // type -> { stacks, magnitude, until, nextTick }
+  #immune = new Set();
+
+  constructor(owner, { immune = [] } = {}) {
+    this.#owner = owner;
+    this.version = 0;
+    this.setImmunities(immune);
+  }
+
+  setImmunities(list) {
+    this.#immune = new Set(Array.isArray(list) ? list : []);
+    for (const type of this.#immune) this.remove(type);
+  }
+
+  isImmune(type) {
+    return this.#immune.has(type);
+  }
+
+  apply(type, { duration = 1, magnitude, stacks = 1 } = {}) {
+    const def = STATUS_EFFECTS[type];
+    if (!def || this.isImmune(type) || !(duration > 0)) return false;
+    const t = now();
+    const mag = Number.isFinite(magnitude) ? magnitude : def.magnitude || 0;
+    const add = Math.max(1, Math.floor(stacks));
+    const cur = this.#live(type, t);
+
+    if (!cur) {
+      this.#active.set(type, {
+        stacks: def.stacking === "stack" ? Math.min(def.maxStacks || 1, add) : 1,
+        magnitude: mag,
+        until: t + duration,
+        nextTick: t + (def.tick || 0),
+      });
+      this.version++;
+      return true;
+    }
+
+    if (def.stacking === "stack") {
+      const next = Math.min(def.maxStacks || 1, cur.stacks + add);
+      if (next !== cur.stacks) this.version++;
+      cur.stacks = next;
+      cur.magnitude = Math.max(cur.magnitude, mag);
+      cur.until = t + duration;
+    } else if (def.stacking === "max") {
+      cur.magnitude = Math.max(cur.magnitude, mag);
+      cur.until = Math.max(cur.until, t + duration);
+    } else {
+      cur.magnitude = mag;
+      cur.until = t + duration;
+    }
+    return true;
+  }
+
+  remove(type) {
+    if (this.#active.delete(type)) this.version++;
+  }
+
+  clear() {
+    if (!this.#active.size) return;
+    this.#active.clear();
+    this.version++;
+  }
+
+  has(type) {
+    return !!this.#live(type, now());
+  }
+
+  get(type) {
+    const t = now();
+    const cur = this.#live(type, t);
+    return cur ? { type, stacks: cur.stacks, magnitude: this.magnitude(type), remain: cur.until - t } : null;
+  }
+
+  list() {
+    const out = [];
+    for (const type of Array.from(this.#active.keys())) {
+      const e = this.get(type);
+      if (e) out.push(e);
+    }
+    return out;
+  }
+
+  magnitude(type) {
+    const cur = this.#live(type, now());
+    if (!cur) return 0;
+    const def = STATUS_EFFECTS[type];
+    const total = cur.magnitude * cur.stacks;
+    return Number.isFinite(def.max) ? Math.min(def.max, total) : total;
+  }
+
+  isStunned() {
+    return this.has("stun");
+  }
+
+  isInvulnerable() {
+    return this.has("invulnerable");
+  }
+
+  moveMul() {
+    if (this.isStunned()) return 0;
+    return Math.max(0, 1 - this.magnitude("slow"));
+  }
+
+  damageTakenMul() {
+    return (1 - this.magnitude("fortify")) * (1 + this.magnitude("vulnerable"));
+  }
+
+  /**
+   * Expire finished effects and apply due DoT ticks. Returns the damage dealt.
+   */
+  update() {
+    if (!this.#active.size) return 0;
+    const t = now();
+    let dealt = 0;
+    for (const [type, cur] of Array.from(this.#active.entries())) {
+      const def = STATUS_EFFECTS[type];
+      if (def.kind === "dot" && def.tick > 0) {
+        const last = Math.min(t, cur.until);
+        while (cur.nextTick <= last && this.#owner?.alive) {
+          const amount = Math.max(1, Math.round(cur.magnitude * cur.stacks * def.tick));
+          const before = this.#owner.hp;
+          try { this.#owner.takeDamage(amount, { type: def.damageType }); } catch (_) {}
+          dealt += Math.max(0, before - this.#owner.hp);
+          cur.nextTick += def.tick;
+        }
+      }
+      if (t >= cur.until) this.remove(type);
+    }
+    return dealt;
+  }
+
+  #live(type, t) {
+    const cur = this.#active.get(type);
+    if (!cur) return null;
+    if (t >= cur.until) {
+      // DoTs expire in update() so their last tick is not lost
+      if (STATUS_EFFECTS[type].kind !== "dot") this.remove(type);
+      return null;
+    }
+    return cur;
+  }
+}
+
+export function applyStatus(target, type, opts = {}) {
+  try {
+    return !!(target && target.alive !== false && target.status && target.status.apply(type, opts));
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Apply a declarative list like [{ type: "burn", duration: 4, magnitude: 6 }].
+ */
+export function applyStatuses(target, list) {
+  if (!Array.isArray(list)) return;
+  for (const s of list) {
+    if (s && s.type) applyStatus(target, s.type, s);
+  }
+}
+
+export function hasStatus(target, type) {
+  try {
+    return !!(target && target.status && target.status.has(type));
+  } catch (_) {
+    return false;
+  }
+}
@@ -561,7 +561,9 @@ export function placeStructures(params = {}) {
     listStructures: () => structures.map(s => ({
       type: s.type,
       position: s.position.clone(),
-      name: s.name
+      name: s.name,
+      // Stable id across chunk reloads (placement is deterministic)
+      key: `${s.type}:${Math.round(s.position.x)},${Math.round(s.position.z)}`
     }))
   };
 }
@@ -0,0 +1,167 @@
+/**
+ * src/talents.js
+ *
+ * Passive talent tree (config/talents.js): offense / defense / utility branches.
+ *
+ * Features:
+ * - Talent points are their own currency, earned at hero level milestones (TALENT_POINTS);
+ *   the earned total is derived from the hero level, so older saves get their points too
+ * - Ranks need points, their `requires` ranks and the branch's `branchPoints` (capstones)
+ * - Registers as the "talents" source of the hero stat layer (src/hero_stats.js); the
+ *   SkillsSystem, Entity.takeDamage and PlayerSystem regen read the resulting stats
+ * - Persists allocated ranks to the active save slot ("talents" section)
+ * - Dispatches a window "talents-changed" event so open UI can refresh
+ *
+ * Public API:
+ *   const talents = getTalentTree();
+ *   talents.setHeroLevel(level)    -> talent points newly earned (Player on load and level-up)
+ *   talents.getRank(id)            -> number
+ *   talents.getPointsEarned() / getPointsSpent() / getPointsAvailable()
+ *   talents.getBranchPoints(branch) -> points spent in a branch
+ *   talents.canAllocate(id)        -> { ok, reason?: "unknown"|"maxed"|"points"|"requires"|"branch" }
+ *   talents.allocate(id)           -> boolean
+ *   talents.reset()                -> refunds every rank (respec, src/respec.js)
+ *   talents.getModifiers()         -> summed { stat: value } across allocated ranks
+ *   talentPointsForLevel(level)    -> total points earned by a hero level
+ */
+
+import { TALENTS, TALENT_POINTS } from "../config/talents.js";
+import { getSaveManager } from "./save_manager.js";
+import { getHeroStats } from "./hero_stats.js";
+
+const SAVE_SECTION = "talents";
+const STATS_SOURCE = "talents";
+
+const TALENT_BY_ID = new Map(TALENTS.map((t) => [t.id, t]));
+
+export function talentPointsForLevel(level) {
+  const lvl = Math.max(1, Math.floor(level || 1));
+  return Math.floor(lvl / TALENT_POINTS.every) + Math.floor(lvl / TALENT_POINTS.bonusEvery);
+}
+
+export class TalentTree {
+  #stats;
+  #ranks = new Map(); // talent id -> rank (1+)
+  #level = 1;
+
+  constructor({ stats }) {
+    this.#stats = stats;
+    this.loadFromStorage();
+    this.#stats?.registerSource(STATS_SOURCE, () => this.getModifiers());
+  }
+
+  setHeroLevel(level) {
+    const before = this.getPointsEarned();
+    this.#level = Math.max(1, Math.floor(level || 1));
+    const gained = this.getPointsEarned() - before;
+    if (gained !== 0) this.#emit();
+    return Math.max(0, gained);
+  }
+
+  getRank(id) {
+    return this.#ranks.get(id) || 0;
+  }
+
+  getPointsEarned() {
+    return talentPointsForLevel(this.#level);
+  }
+
+  getPointsSpent() {
+    let n = 0;
+    for (const r of this.#ranks.values()) n += r;
+    return n;
+  }
+
+  getPointsAvailable() {
+    return Math.max(0, this.getPointsEarned() - this.getPointsSpent());
+  }
+
+  getBranchPoints(branch) {
+    let n = 0;
+    for (const [id, r] of this.#ranks) {
+      if (TALENT_BY_ID.get(id)?.branch === branch) n += r;
+    }
+    return n;
+  }
+
+  canAllocate(id) {
+    const def = TALENT_BY_ID.get(id);
+    if (!def) return { ok: false, reason: "unknown" };
+    if (this.getRank(id) >= def.maxRank) return { ok: false, reason: "maxed" };
+    if (this.getPointsAvailable() <= 0) return { ok: false, reason: "points" };
+    for (const [req, rank] of Object.entries(def.requires || {})) {
+      if (this.getRank(req) < rank) return { ok: false, reason: "requires" };
+    }
+    if (def.branchPoints && this.getBranchPoints(def.branch) < def.branchPoints) return { ok: false, reason: "branch" };
+    return { ok: true };
+  }
+
+  allocate(id) {
+    if (!this.canAllocate(id).ok) return false;
+    this.#ranks.set(id, this.getRank(id) + 1);
+    this.saveToStorage();
+    this.#stats?.invalidate();
+    this.#emit();
+    return true;
+  }
+
+  reset() {
+    if (!this.#ranks.size) return;
+    this.#ranks.clear();
+    this.saveToStorage();
+    this.#stats?.invalidate();
+    this.#emit();
+  }
+
+  getModifiers() {
+    const out = {};
+    for (const [id, rank] of this.#ranks) {
+      const def = TALENT_BY_ID.get(id);
+      if (!def) continue;
+      for (const [stat, v] of Object.entries(def.perRank || {})) {
+        if (Number.isFinite(v)) out[stat] = (out[stat] || 0) + v * rank;
+      }
+    }
+    return out;
+  }
+
+  saveToStorage() {
+    try {
+      getSaveManager().set(SAVE_SECTION, { ranks: Object.fromEntries(this.#ranks) });
+    } catch (e) {
+      console.warn("Failed to save talents:", e);
+    }
+  }
+
+  loadFromStorage() {
+    try {
+      const saved = getSaveManager().get(SAVE_SECTION, null);
+      if (!saved || typeof saved.ranks !== "object") return;
+      for (const [id, rank] of Object.entries(saved.ranks || {})) {
+        const def = TALENT_BY_ID.get(id);
+        const r = Math.min(def?.maxRank || 0, Math.floor(Number(rank) || 0));
+        if (r > 0) this.#ranks.set(id, r);
+      }
+    } catch (e) {
+      console.warn("Failed to load talents:", e);
+    }
+  }
+
+  #emit() {
+    try {
+      window.dispatchEvent(new CustomEvent("talents-changed", { detail: { available: this.getPointsAvailable() } }));
+    } catch (_) {}
+  }
+}
+
+/**
+ * Global instance (singleton pattern)
+ */
+let globalInstance = null;
+
+export function getTalentTree() {
+  if (!globalInstance) {
+    globalInstance = new TalentTree({ stats: getHeroStats() });
+  }
+  return globalInstance;
+}
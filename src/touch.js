@@ -6,7 +6,7 @@
  *
  * Integration contract (from main.js):
  *   import { initTouchControls } from "./touch.js";
- *   const touch = initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, getNearestEnemy, WORLD, skillApi });
+ *   const touch = initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, getNearestEnemy, WORLD, skillApi, inventory });
  *   // In animate():
  *   const joy = touch.getMoveDir();
  *   if (!player.frozen && !player.aimMode && joy.active) {
@@ -22,11 +22,12 @@
  * - When a skill with type 'aoe' is active in aim mode, its own button becomes a mini-joystick for AOE placement.
  * - Tapping the same skill while in aim mode confirms the cast at current aim position.
  * - Cancel button exits aim mode.
+ * - Hotbar buttons (#btnHotbar1..4) use the consumable bound to that slot (inventory.useHotbar).
  */
 
 import * as THREE from "../vendor/three/build/three.module.js";
 
-export function initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, getNearestEnemy, WORLD, skillApi }) {
+export function initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, getNearestEnemy, WORLD, skillApi, inventory }) {
   const els = {
     joystick: document.getElementById("joystick"),
     joyBase: document.getElementById("joyBase"),
@@ -316,6 +317,14 @@ export function initTouchControls({ player, skills, effects, aimPreview, attackP
     });
   }
 
+  // Consumable hotbar taps (desktop tiles forward their clicks here too)
+  document.querySelectorAll("#hotbarGroup .hotbar-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const slot = parseInt(btn.dataset.hotbarSlot, 10);
+      try { inventory?.useHotbar(slot, player); } catch (_) {}
+    });
+  });
+
   return {
     getMoveDir() {
       return { active: joyState.active, x: joyState.x, y: joyState.y }; // map to world (x, z)
@@ -0,0 +1,74 @@
+/* Boss encounter UI
+   - 👑 button in the core row summons the current Act boss (BossSystem.summon)
+     Shown while the map has a boss and no fight is running; disabled near villages
+   - Center messages for "boss-encounter" (start / victory / defeat / fled) and "boss-phase" events
+   Usage:
+     import { wireBossUI } from "./ui/boss.js";
+     const dispose = wireBossUI({ elements: { btnBoss }, bosses, setCenterMsg, clearCenterMsg });
+     // Later: dispose() to unbind listeners
+*/
+
+import { tOr } from "../i18n.js";
+
+const REFRESH_MS = 500;
+
+export function wireBossUI({ elements = {}, bosses, setCenterMsg, clearCenterMsg }) {
+  const { btnBoss } = elements;
+  if (!bosses) return () => {};
+  let msgTimer = null;
+
+  function flash(text, ms = 1800) {
+    try {
+      setCenterMsg && setCenterMsg(text);
+      clearTimeout(msgTimer);
+      msgTimer = setTimeout(() => clearCenterMsg && clearCenterMsg(), ms);
+    } catch (_) {}
+  }
+
+  function refresh() {
+    if (!btnBoss) return;
+    const s = bosses.canSummon();
+    const show = s.ok || s.reason === "village";
+    btnBoss.classList.toggle("hidden", !show);
+    btnBoss.disabled = !s.ok;
+    btnBoss.title = s.ok
+      ? `${tOr("boss.summon", "Challenge")}: ${s.boss}`
+      : tOr("boss.village", "Move away from villages to summon the boss");
+  }
+
+  function onClick() {
+    if (bosses.summon()) refresh();
+  }
+
+  const onEncounter = (e) => {
+    const d = e.detail || {};
+    const name = d.name || "";
+    if (d.state === "start") flash(tOr("boss.start", "${name} appears!").replace("${name}", name));
+    else if (d.state === "victory") {
+      let text = tOr("boss.victory", "${name} defeated!").replace("${name}", name);
+      if (d.unlocked) text += ` ${tOr("boss.unlocked", "MAP ${map} unlocked").replace("${map}", d.unlocked)}`;
+      flash(text, 2600);
+    } else if (d.state === "defeat") flash(tOr("boss.defeat", "${name} prevails. Try again!").replace("${name}", name));
+    else if (d.state === "fled") flash(tOr("boss.fled", "You fled from ${name}.").replace("${name}", name));
+    refresh();
+  };
+  const onPhase = (e) => {
+    flash(tOr("boss.phase", "${name} grows stronger!").replace("${name}", e.detail?.name || ""), 1400);
+  };
+
+  if (btnBoss) btnBoss.addEventListener("click", onClick);
+  window.addEventListener("boss-encounter", onEncounter);
+  window.addEventListener("boss-phase", onPhase);
+  const timer = setInterval(refresh, REFRESH_MS);
+  refresh();
+
+  return () => {
+    try {
+      clearInterval(timer);
+      clearTimeout(msgTimer);
+      if (btnBoss) btnBoss.removeEventListener("click", onClick);
+      window.removeEventListener("boss-encounter", onEncounter);
+      window.removeEventListener("boss-phase", onPhase);
+    } catch (_) {}
+  };
+}
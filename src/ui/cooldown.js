@@ -0,0 +1,47 @@
+/**
+ * Cooldown wedge visuals shared by skill buttons and the consumable hotbar.
+ * Paints a conic "pie" over a `.cooldown` element, tinted by how much of the
+ * cooldown remains (CSS vars --cooldown-high/mid/low), plus a short flash when
+ * the slot becomes ready.
+ *
+ * Public API:
+ *   import { paintCooldown, flashWhenReady } from './ui/cooldown.js';
+ *   paintCooldown(el, remain, total)               // seconds
+ *   flashWhenReady(el, prevRemain, remain, t) -> boolean (el classes/dataset changed)
+ */
+export function paintCooldown(el, remain, total) {
+  if (!el) return;
+  // Hide when ready or very close to ready
+  if (!(remain > 0.05)) {
+    el.style.background = "none";
+    el.textContent = "";
+    el.className = "cooldown"; // Reset classes
+    return;
+  }
+  const pct = Math.max(0, Math.min(1, total > 0 ? remain / total : 1));
+  const deg = Math.floor(pct * 360);
+
+  // Apply CSS class based on percentage and use CSS variable for color
+  const cdClass = pct > 0.5 ? "cd-high" : pct > 0.2 ? "cd-mid" : "cd-low";
+  const colorVar = pct > 0.5 ? "--cooldown-high" : pct > 0.2 ? "--cooldown-mid" : "--cooldown-low";
+
+  el.className = `cooldown ${cdClass}`;
+  el.style.background = `conic-gradient(var(${colorVar}) ${deg}deg, rgba(0,0,0,0) 0deg)`;
+  el.textContent = remain.toFixed(1);
+}
+
+export function flashWhenReady(el, prevRemain, remain, t) {
+  if (!el) return false;
+  let changed = false;
+  if (prevRemain > 0 && remain === 0) {
+    el.classList.add("flash");
+    el.dataset.flashUntil = String(t + 0.25);
+    changed = true;
+  }
+  if (el.dataset.flashUntil && t > parseFloat(el.dataset.flashUntil)) {
+    el.classList.remove("flash");
+    delete el.dataset.flashUntil;
+    changed = true;
+  }
+  return changed;
+}
@@ -8,7 +8,7 @@ export function setupDesktopControls(){
   const bmCamera = document.getElementById("bmCamera");
   const bmPortal = document.getElementById("bmPortal");
   const bmMark = document.getElementById("bmMark");
-  const bmSkills = Array.from(document.querySelectorAll("#bottomMiddle .square-skill"));
+  const bmSkills = Array.from(document.querySelectorAll("#bottomMiddle .square-skill[data-key]"));
 
   function forwardClick(srcElId, targetId) {
     const src = document.getElementById(srcElId);
@@ -25,6 +25,9 @@ export function setupDesktopControls(){
   if (bmPortal) forwardClick("bmPortal", "btnPortal");
   if (bmMark) forwardClick("bmMark", "btnMark");
 
+  // Hotbar tiles forward to the touch hotbar buttons (icons/counts/cooldowns come from ui/hotbar.js)
+  for (let i = 1; i <= 4; i++) forwardClick(`bmHotbar${i}`, `btnHotbar${i}`);
+
   // Map square-skill buttons to the skill buttons on the right
   const keyToBtn = {
     "basic": "btnBasic",
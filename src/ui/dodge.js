@@ -0,0 +1,49 @@
+/* Dodge button UI
+   - 💨 button in the core row triggers a dodge roll (same as D / Shift)
+   - Disabled and dimmed while the dodge is on cooldown
+   Usage:
+     import { wireDodgeUI } from "./ui/dodge.js";
+     const dispose = wireDodgeUI({ elements: { btnDodge }, onDodge, getCooldown, t });
+     // Later: dispose() to unbind listeners
+*/
+
+const REFRESH_MS = 100;
+
+export function wireDodgeUI({ elements = {}, onDodge, getCooldown, t }) {
+  const { btnDodge } = elements;
+  if (!btnDodge || typeof onDodge !== "function") return () => {};
+  const tt = typeof t === "function" ? t : (x) => x;
+  const label = () => {
+    const v = tt("dodge.title");
+    return v && v !== "dodge.title" ? v : "Dodge (D / Shift)";
+  };
+  let wasReady = null;
+
+  function refresh() {
+    let remain = 0;
+    try { remain = typeof getCooldown === "function" ? getCooldown() : 0; } catch (_) {}
+    const ready = remain <= 0;
+    if (ready === wasReady) return;
+    wasReady = ready;
+    btnDodge.disabled = !ready;
+    btnDodge.style.opacity = ready ? "" : "0.5";
+    btnDodge.title = label();
+  }
+
+  function onClick(e) {
+    try { e.preventDefault(); } catch (_) {}
+    onDodge();
+    refresh();
+  }
+
+  btnDodge.addEventListener("click", onClick);
+  const timer = setInterval(refresh, REFRESH_MS);
+  refresh();
+
+  return () => {
+    try {
+      clearInterval(timer);
+      btnDodge.removeEventListener("click", onClick);
+    } catch (_) {}
+  };
+}
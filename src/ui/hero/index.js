@@ -1,4 +1,4 @@
-/* Hero Screen UI (Skills/Info/Skillbook/Maps/Marks)
+/* Hero Screen UI (Skills/Talents/Info/Skillbook/Maps/Marks/Inventory/Quests/Achievements)
    Extracted from main.js into a reusable module.
    Usage:
      import { renderHeroScreen } from "./ui/hero/index.js";
@@ -6,10 +6,14 @@
 */
 import { SCALING } from "../../../config/index.js";
 import { renderSkillsTab } from "./tabs/skills.js";
+import { renderTalentsTab } from "./tabs/talents.js";
 import { renderInfoTab } from "./tabs/info.js";
 import { renderBookTab } from "./tabs/book.js";
 import { renderMapsTab } from "./tabs/maps.js";
 import { renderMarksTab } from "./tabs/marks.js";
+import { renderInventoryTab } from "./tabs/inventory.js";
+import { renderQuestsTab } from "./tabs/quests.js";
+import { renderAchievementsTab } from "./tabs/achievements.js";
 
 
 export function renderHeroScreen(initialTab = "skills", ctx = {}) {
@@ -41,17 +45,25 @@ export function renderHeroScreen(initialTab = "skills", ctx = {}) {
   const tabBtns = tabBar ? Array.from(tabBar.querySelectorAll(".tab-btn")) : [];
 
   const skillsPanel = document.getElementById("heroTabSkills");
+  const talentsPanel = document.getElementById("heroTabTalents");
   const infoPanel = document.getElementById("heroTabInfo");
   const bookPanel = document.getElementById("heroTabBook");
   const mapsPanel = document.getElementById("heroTabMaps");
   const marksPanel = document.getElementById("heroTabMarks");
+  const inventoryPanel = document.getElementById("heroTabInventory");
+  const questsPanel = document.getElementById("heroTabQuests");
+  const achievementsPanel = document.getElementById("heroTabAchievements");
 
   const panels = {
     heroTabSkills: skillsPanel,
+    heroTabTalents: talentsPanel,
     heroTabInfo: infoPanel,
     heroTabBook: bookPanel,
     heroTabMaps: mapsPanel,
     heroTabMarks: marksPanel,
+    heroTabInventory: inventoryPanel,
+    heroTabQuests: questsPanel,
+    heroTabAchievements: achievementsPanel,
   };
 
   function showPanelById(id) {
@@ -71,7 +83,7 @@ export function renderHeroScreen(initialTab = "skills", ctx = {}) {
   }
 
   // Initial activation based on initialTab
-  const tabMap = { skills: "heroTabSkills", info: "heroTabInfo", book: "heroTabBook", maps: "heroTabMaps", marks: "heroTabMarks" };
+  const tabMap = { skills: "heroTabSkills", talents: "heroTabTalents", info: "heroTabInfo", book: "heroTabBook", maps: "heroTabMaps", marks: "heroTabMarks", inventory: "heroTabInventory", quests: "heroTabQuests", achievements: "heroTabAchievements" };
   showPanelById(tabMap[initialTab] || "heroTabSkills");
 
   // Bind tab buttons
@@ -85,6 +97,18 @@ export function renderHeroScreen(initialTab = "skills", ctx = {}) {
         if (id === "heroTabInfo") {
           try { renderInfoTab(infoPanel, ctx); } catch (_) {}
         }
+        if (id === "heroTabInventory") {
+          try { renderInventoryTab(inventoryPanel, ctx); } catch (_) {}
+        }
+        if (id === "heroTabTalents") {
+          try { renderTalentsTab(talentsPanel, ctx, (tab, over) => renderHeroScreen(tab, Object.assign({}, ctx, over || {}))); } catch (_) {}
+        }
+        if (id === "heroTabQuests") {
+          try { renderQuestsTab(questsPanel, ctx); } catch (_) {}
+        }
+        if (id === "heroTabAchievements") {
+          try { renderAchievementsTab(achievementsPanel, ctx); } catch (_) {}
+        }
       }
     });
     btn.dataset.bound = "1";
@@ -94,12 +118,76 @@ export function renderHeroScreen(initialTab = "skills", ctx = {}) {
 
   try { renderSkillsTab(skillsPanel, ctx, (tab, over) => renderHeroScreen(tab, Object.assign({}, ctx, over || {}))); } catch (_) {}
 
+  try { renderTalentsTab(talentsPanel, ctx, (tab, over) => renderHeroScreen(tab, Object.assign({}, ctx, over || {}))); } catch (_) {}
+
   try { renderBookTab(bookPanel, ctx); } catch (_) {}
 
   try { renderMapsTab(mapsPanel, ctx); } catch (_) {}
 
   try { renderMarksTab(marksPanel, ctx); } catch (_) {}
 
+  try { renderInventoryTab(inventoryPanel, ctx); } catch (_) {}
+
+  try { renderQuestsTab(questsPanel, ctx); } catch (_) {}
+
+  try { renderAchievementsTab(achievementsPanel, ctx); } catch (_) {}
+
+  // Keep the Inventory tab live while open (pickups, potion use, gear swaps); single listeners bound to latest ctx
+  try {
+    window.__inventoryTabCtx = ctx;
+    if (!window.__inventoryTabBound) {
+      window.__inventoryTabBound = true;
+      const refresh = () => {
+        const panel = document.getElementById("heroTabInventory");
+        if (!panel || !panel.classList.contains("active")) return;
+        try { renderInventoryTab(panel, window.__inventoryTabCtx || {}); } catch (_) {}
+      };
+      window.addEventListener("inventory-changed", refresh);
+      window.addEventListener("equipment-changed", refresh);
+    }
+  } catch (_) {}
+
+  // Same for the Quests tab (accept/abandon, kill progress, walking off the board)
+  try {
+    window.__questsTabCtx = ctx;
+    if (!window.__questsTabBound) {
+      window.__questsTabBound = true;
+      const refresh = () => {
+        const panel = document.getElementById("heroTabQuests");
+        if (!panel || !panel.classList.contains("active")) return;
+        try { renderQuestsTab(panel, window.__questsTabCtx || {}); } catch (_) {}
+      };
+      window.addEventListener("quests-changed", refresh);
+      window.addEventListener("quest-board-near", refresh);
+    }
+  } catch (_) {}
+
+  // The Talents tab after spending a point or earning new ones on level-up
+  try {
+    window.__talentsTabCtx = ctx;
+    if (!window.__talentsTabBound) {
+      window.__talentsTabBound = true;
+      window.addEventListener("talents-changed", () => {
+        const panel = document.getElementById("heroTabTalents");
+        if (!panel || !panel.classList.contains("active")) return;
+        try { renderTalentsTab(panel, window.__talentsTabCtx || {}); } catch (_) {}
+      });
+    }
+  } catch (_) {}
+
+  // And the Achievements tab when something unlocks while it is open
+  try {
+    window.__achievementsTabCtx = ctx;
+    if (!window.__achievementsTabBound) {
+      window.__achievementsTabBound = true;
+      window.addEventListener("achievement-unlocked", () => {
+        const panel = document.getElementById("heroTabAchievements");
+        if (!panel || !panel.classList.contains("active")) return;
+        try { renderAchievementsTab(panel, window.__achievementsTabCtx || {}); } catch (_) {}
+      });
+    }
+  } catch (_) {}
+
   // Panels are static in index.html
 
   // Tabs are bound via static markup .tab-bar in index.html
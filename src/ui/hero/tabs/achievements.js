@@ -0,0 +1,90 @@
+import { tOr } from "../../../i18n.js";
+
+/**
+ * Render the Achievements tab: every achievement with its progress, unlocked ones first.
+ * Expects panelEl to be #heroTabAchievements (container is static in HTML).
+ */
+export function renderAchievementsTab(panelEl, ctx = {}) {
+  const { achievements } = ctx;
+  if (!panelEl || !achievements) return;
+
+  // Clear panel content
+  try { panelEl.innerHTML = ""; } catch (_) {}
+
+  const wrap = document.createElement("div");
+  wrap.className = "items-panel";
+  try {
+    wrap.style.display = "flex";
+    wrap.style.flexDirection = "column";
+    wrap.style.flex = "1 1 auto";
+    wrap.style.minHeight = "0";
+  } catch (_) {}
+
+  const list = document.createElement("div");
+  list.className = "items-list";
+  try {
+    list.style.flex = "1 1 auto";
+    list.style.minHeight = "0";
+    list.style.overflow = "auto";
+    list.style.maxHeight = "none";
+  } catch (_) {}
+
+  const all = achievements.list();
+  const head = document.createElement("div");
+  head.className = "marks-head";
+  head.textContent = `🏆 ${tOr("achievements.title", "Achievements")}: ${achievements.getUnlockedCount()}/${all.length}`;
+  list.appendChild(head);
+
+  const sorted = all.filter((a) => a.unlockedAt).concat(all.filter((a) => !a.unlockedAt));
+  sorted.forEach((a) => {
+    const done = !!a.unlockedAt;
+    const row = document.createElement("div");
+    row.className = "items-row";
+    if (done) {
+      try { row.style.borderLeft = "3px solid #ffd24a"; } catch (_) {}
+    } else {
+      try { row.style.opacity = "0.65"; } catch (_) {}
+    }
+
+    const thumb = document.createElement("div");
+    thumb.className = "items-thumb";
+    const em = document.createElement("div");
+    em.className = "items-thumb-ph";
+    em.textContent = done ? a.icon : "🔒";
+    try {
+      em.style.fontSize = "42px";
+      em.style.lineHeight = "1";
+    } catch (_) {}
+    thumb.appendChild(em);
+
+    const info = document.createElement("div");
+    const title = document.createElement("div");
+    title.className = "items-title";
+    title.textContent = tOr(`achievements.list.${a.id}.name`, a.name);
+    if (done) {
+      try { title.style.color = "#ffd24a"; } catch (_) {}
+    }
+    const desc = document.createElement("div");
+    desc.className = "items-desc";
+    desc.textContent = tOr(`achievements.list.${a.id}.desc`, a.desc);
+    const req = document.createElement("div");
+    req.className = "items-req";
+    if (done) {
+      let when = "";
+      try { when = new Date(a.unlockedAt).toLocaleDateString(); } catch (_) {}
+      req.textContent = `${tOr("achievements.unlockedOn", "Unlocked")} ${when}`;
+    } else {
+      req.textContent = `${tOr("achievements.progress", "Progress")}: ${a.progress}/${a.goal}`;
+    }
+    info.appendChild(title);
+    info.appendChild(desc);
+    info.appendChild(req);
+
+    row.appendChild(thumb);
+    row.appendChild(info);
+    list.appendChild(row);
+  });
+
+  wrap.appendChild(list);
+  panelEl.appendChild(wrap);
+}
@@ -1,4 +1,8 @@
 import { SCALING } from "../../../../config/index.js";
+import { STATUS_EFFECTS } from "../../../../config/status_effects.js";
+import { DAMAGE_TYPES } from "../../../../config/combat.js";
+import { SKILL_COMBOS } from "../../../../config/combos.js";
+import { comboName, comboDesc } from "../../../combos.js";
 
 /**
  * Render the Skillbook tab: list of skills with detail panel and preview button.
@@ -59,6 +63,7 @@ export function renderBookTab(panelEl, ctx = {}) {
       const lines = [
         "---",
         `${tt('skills.stats.type')}: ${s.type}`,
+        s.damageType ? `${tt('skills.stats.damageType')}: ${DAMAGE_TYPES[s.damageType]?.icon || ""} ${tt(`damageTypes.${s.damageType}`)}` : "",
         s.cd != null ? `${tt('skills.stats.cooldown')}: ${s.cd}s` : "",
         s.mana != null ? `${tt('skills.stats.mana')}: ${s.mana}` : "",
         "---",
@@ -70,8 +75,17 @@ export function renderBookTab(panelEl, ctx = {}) {
         s.duration != null ? `${tt('skills.stats.duration')}: ${s.duration}s` : "",
         s.slowFactor != null ? `${tt('skills.stats.slow')}: ${Math.round(s.slowFactor * 100)}%` : "",
         s.slowDuration != null ? `${tt('skills.stats.slowDuration')}: ${s.slowDuration}s` : "",
+        Array.isArray(s.statuses) && s.statuses.length
+          ? `${tt('skills.stats.statuses')}: ${s.statuses.map((x) => `${STATUS_EFFECTS[x.type]?.icon || ""} ${tt(`status.${x.type}`)} ${x.duration}s`).join(", ")}`
+          : "",
         dmgLine,
       ].filter(Boolean);
+      // Combos this skill triggers or sets up (config/combos.js)
+      const combos = SKILL_COMBOS.filter((c) => c.skill === s.id || c.after?.skill === s.id);
+      if (combos.length) {
+        lines.push("---", `${tt('skills.stats.combos')}:`);
+        combos.forEach((c) => lines.push(`${c.icon} ${comboName(c)} — ${comboDesc(c)}`));
+      }
       stats.innerHTML = lines.map((x) => `<div>${x}</div>`).join("");
       expl.textContent = getTypeExplain(s.type) || "No description.";
     } catch (_) {}
@@ -1,5 +1,23 @@
 import { getUpliftSummary } from "../../../uplift.js";
 import { now } from "../../../utils.js";
+import { getHeroStats } from "../../../hero_stats.js";
+import { formatStatMods } from "./inventory.js";
+import { STATUS_EFFECTS } from "../../../../config/status_effects.js";
+import { heroCrit } from "../../../combat.js";
+
+function formatStatus(e) {
+  const pct = Math.round(e.magnitude * 100);
+  switch (e.type) {
+    case "fortify": return `Defense ${pct}%`;
+    case "invulnerable": return "Invulnerable";
+    case "slow": return `Slowed -${pct}%`;
+    case "vulnerable": return `Vulnerable +${pct}% dmg taken`;
+    case "stun": return "Stunned";
+    case "burn": return `Burning ${Math.round(e.magnitude)}/s${e.stacks > 1 ? ` ×${e.stacks}` : ""}`;
+    case "poison": return `Poisoned ${Math.round(e.magnitude)}/s${e.stacks > 1 ? ` ×${e.stacks}` : ""}`;
+    default: return e.type;
+  }
+}
 /**
  * Render the Info tab: basic hero info (level, HP/MP).
  * Expects the panel element to be #heroTabInfo.
@@ -42,17 +60,14 @@ export function renderInfoTab(panelEl, ctx = {}) {
     try { upliftLines = getUpliftSummary?.() || []; } catch (_) {}
 
     // Defense stat and status lists
-    const defPct = Math.round((player?.defensePct ?? 0) * 100);
-    const defActive = !!(player?.defenseUntil && now() < player.defenseUntil);
-    const defRem = defActive ? Math.ceil(player.defenseUntil - now()) : 0;
+    const fortify = player?.status?.get("fortify");
+    const defPct = Math.round((fortify?.magnitude ?? 0) * 100);
+    const defActive = !!fortify;
+    const defRem = defActive ? Math.ceil(fortify.remain) : 0;
 
     const buffs = [];
     const debuffs = [];
 
-    if (defActive) {
-      buffs.push(`Defense ${defPct}% (${defRem}s)`);
-    }
-
     if (player?.speedBoostUntil && now() < player.speedBoostUntil && (player.speedBoostMul || 1) > 1) {
       const pmul = Math.round(((player.speedBoostMul || 1) - 1) * 100);
       const rem = Math.ceil(player.speedBoostUntil - now());
@@ -66,23 +81,11 @@ export function renderInfoTab(panelEl, ctx = {}) {
       buffs.push(`Attack Speed ${pct >= 0 ? "+" : ""}${pct}% (${rem}s)`);
     }
 
-    if (player?.invulnUntil && now() < player.invulnUntil) {
-      const rem = Math.ceil(player.invulnUntil - now());
-      buffs.push(`Invulnerable (${rem}s)`);
-    }
-
-    if (player?.slowUntil && now() < player.slowUntil) {
-      const slowF = player.slowFactor ?? 1;
-      const red = Math.max(0, Math.round((1 - slowF) * 100));
-      const rem = Math.ceil(player.slowUntil - now());
-      debuffs.push(`Slowed ${red > 0 ? "-" + red : "?"}% (${rem}s)`);
-    }
-
-    if (player?.vulnUntil && now() < player.vulnUntil) {
-      const vm = player.vulnMult || 1.25;
-      const pct = Math.round((vm - 1) * 100);
-      const rem = Math.ceil(player.vulnUntil - now());
-      debuffs.push(`Vulnerable +${pct}% dmg taken (${rem}s)`);
+    // Status effects (src/status_effects.js)
+    for (const e of player?.status?.list() || []) {
+      const def = STATUS_EFFECTS[e.type];
+      const line = `${def.icon} ${formatStatus(e)} (${Math.ceil(e.remain)}s)`;
+      (def.kind === "buff" ? buffs : debuffs).push(line);
     }
 
     function addRow(emoji, titleText, descText = "", reqText = "") {
@@ -123,13 +126,15 @@ export function renderInfoTab(panelEl, ctx = {}) {
 
     // Rows
     addRow("👤", tt("hero.info.title") || "Hero", `${tt("hero.info.level")} ${level} • ${tt("hero.info.move")} ${moveSpd} • ${tt("hero.info.baseDmg")} ${baseDmg}`, `${tt("hero.info.hp")} ${hp} • ${tt("hero.info.mp")} ${mp}`);
-    addRow("⚡", tt("hero.info.attack"), `${tt("hero.info.attackSpeed")} ${atkSpdMul.toFixed(2)}x (${atkSpdPct >= 0 ? "+" : ""}${atkSpdPct}%)`, "");
+    const { critChance, critMult } = heroCrit();
+    addRow("⚡", tt("hero.info.attack"), `${tt("hero.info.attackSpeed")} ${atkSpdMul.toFixed(2)}x (${atkSpdPct >= 0 ? "+" : ""}${atkSpdPct}%)`, `${tt("hero.info.crit")} ${Math.round(critChance * 100)}% ×${critMult.toFixed(2)}`);
     addRow("🛡️", tt("hero.info.defense"), `${tt("hero.info.defense")} ${defPct}%${defActive ? ` (${defRem}s)` : ""}`, defActive ? tt("hero.info.active") : tt("hero.info.inactive"));
     if (mapName) {
       addRow(mapEmoji, tt("hero.info.map"), mapName, mapDepth ? `${tt("hero.info.depth")} +${mapDepth}` : "");
     }
     addRow("🟢", tt("hero.info.buffs"), (buffs.length ? buffs.join(", ") : "—"), "");
     addRow("🔴", tt("hero.info.debuffs"), (debuffs.length ? debuffs.join(", ") : "—"), "");
+    addRow("🎽", tt("hero.info.gear"), formatStatMods(getHeroStats().snapshot()) || "—", "");
     addRow("📈", tt("hero.info.uplifts"), (upliftLines.length ? upliftLines.join(", ") : tt("uplift.none")), "");
   } catch (_) {
     const row = document.createElement("div");
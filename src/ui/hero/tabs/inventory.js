@@ -0,0 +1,183 @@
+import { getInventory } from "../../../inventory.js";
+import { getEquipment, gearModifiers } from "../../../equipment.js";
+import { ITEM_RARITY, EQUIP_SLOTS } from "../../../../config/items.js";
+import { HERO_STATS } from "../../../../config/index.js";
+import { tOr } from "../../../i18n.js";
+
+/**
+ * Format a { stat: value } map as "+8% Skill Damage, +2.0 HP Regen".
+ * Shared with the Info tab so gear bonuses read the same everywhere.
+ */
+export function formatStatMods(mods) {
+  return Object.entries(mods || {})
+    .filter(([stat, v]) => v && HERO_STATS[stat])
+    .map(([stat, v]) => {
+      const label = tOr(`items.stats.${stat}`, stat);
+      const num = HERO_STATS[stat].kind === "pct" ? `${Math.round(v * 1000) / 10}%` : v.toFixed(1);
+      return `${v > 0 ? "+" : ""}${num} ${label}`;
+    })
+    .join(", ");
+}
+
+/**
+ * Render the Inventory tab: equipped gear slots, then carried item stacks with
+ * rarity accents and Use/Equip actions.
+ * Expects panelEl to be #heroTabInventory (container is static in HTML).
+ */
+export function renderInventoryTab(panelEl, ctx = {}) {
+  const { player } = ctx;
+  if (!panelEl) return;
+  const inv = getInventory();
+  const eq = getEquipment();
+
+  // Clear panel content
+  try { panelEl.innerHTML = ""; } catch (_) {}
+
+  const wrap = document.createElement("div");
+  wrap.className = "items-panel";
+  try {
+    wrap.style.display = "flex";
+    wrap.style.flexDirection = "column";
+    wrap.style.flex = "1 1 auto";
+    wrap.style.minHeight = "0";
+  } catch (_) {}
+
+  const list = document.createElement("div");
+  list.className = "items-list";
+  try {
+    list.style.flex = "1 1 auto";
+    list.style.minHeight = "0";
+    list.style.overflow = "auto";
+    list.style.maxHeight = "none";
+  } catch (_) {}
+
+  function addHead(text) {
+    const head = document.createElement("div");
+    head.className = "marks-head";
+    head.textContent = text;
+    list.appendChild(head);
+  }
+
+  function addRow({ icon, title, color, desc, req, buttons = [] }) {
+    const row = document.createElement("div");
+    row.className = "items-row";
+    if (color) {
+      try { row.style.borderLeft = `3px solid ${color}`; } catch (_) {}
+    }
+
+    const thumb = document.createElement("div");
+    thumb.className = "items-thumb";
+    const em = document.createElement("div");
+    em.className = "items-thumb-ph";
+    em.textContent = icon || "❔";
+    try {
+      em.style.fontSize = "42px";
+      em.style.lineHeight = "1";
+    } catch (_) {}
+    thumb.appendChild(em);
+
+    const info = document.createElement("div");
+    const titleEl = document.createElement("div");
+    titleEl.className = "items-title";
+    titleEl.textContent = title;
+    if (color) {
+      try { titleEl.style.color = color; } catch (_) {}
+    }
+    info.appendChild(titleEl);
+    if (desc) {
+      const d = document.createElement("div");
+      d.className = "items-desc";
+      d.textContent = desc;
+      info.appendChild(d);
+    }
+    if (req) {
+      const r = document.createElement("div");
+      r.className = "items-req";
+      r.textContent = req;
+      info.appendChild(r);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "items-actions";
+    buttons.forEach(({ label, disabled, onClick }) => {
+      const b = document.createElement("button");
+      b.className = "pill-btn pill-btn--yellow";
+      b.textContent = label;
+      b.disabled = !!disabled;
+      b.addEventListener("click", (e) => {
+        e.stopPropagation();
+        try { onClick(); } catch (_) {}
+      });
+      actions.appendChild(b);
+    });
+
+    row.appendChild(thumb);
+    row.appendChild(info);
+    row.appendChild(actions);
+    list.appendChild(row);
+  }
+
+  const itemName = (def) => tOr(`items.${def.id}.name`, def.name);
+  const rarityOf = (def, gear) => gear?.rarity || def.rarity;
+
+  // Equipped gear
+  addHead(tOr("items.equipped", "Equipped"));
+  EQUIP_SLOTS.forEach((slot) => {
+    const slotLabel = tOr(`items.slot.${slot}`, slot);
+    const item = eq.get(slot);
+    const def = item && inv.getDef(item.id);
+    if (!def) {
+      addRow({ icon: "▫️", title: `${slotLabel}: ${tOr("items.none", "—")}` });
+      return;
+    }
+    const rarity = ITEM_RARITY[rarityOf(def, item.gear)] || ITEM_RARITY.common;
+    addRow({
+      icon: def.icon,
+      title: `${slotLabel}: ${itemName(def)}`,
+      color: rarity.color,
+      desc: formatStatMods(gearModifiers(item.id, item.gear)),
+      req: tOr(`items.rarity.${rarityOf(def, item.gear)}`, rarityOf(def, item.gear)),
+      buttons: [{ label: tOr("items.unequip", "Unequip"), disabled: inv.isFull(), onClick: () => eq.unequip(slot) }],
+    });
+  });
+
+  // Bag
+  addHead(`${tOr("items.bag", "Bag")} • ${tOr("items.capacity", "Slots")}: ${inv.stacks.length}/${inv.capacity}`);
+  const entries = inv.list();
+  if (!entries.length) {
+    const empty = document.createElement("div");
+    empty.className = "marks-empty";
+    empty.textContent = tOr("items.empty", "Your bag is empty. Defeat enemies to find loot.");
+    list.appendChild(empty);
+  }
+
+  entries.forEach((s, index) => {
+    const def = s.def;
+    if (!def) return;
+    const rarityKey = rarityOf(def, s.gear);
+    const rarity = ITEM_RARITY[rarityKey] || ITEM_RARITY.common;
+    const buttons = [];
+    let desc = tOr(`items.${def.id}.desc`, def.desc || "");
+
+    if (def.type === "consumable") {
+      buttons.push({ label: tOr("items.use", "Use"), disabled: !player || !player.alive, onClick: () => inv.useItem(def.id, player) });
+    } else if (def.type === "gear") {
+      desc = formatStatMods(gearModifiers(def.id, s.gear)) || desc;
+      buttons.push({ label: tOr("items.equip", "Equip"), onClick: () => eq.equipFromInventory(index) });
+    }
+
+    addRow({
+      icon: def.icon,
+      title: def.type === "gear" ? itemName(def) : `${itemName(def)} ×${s.qty}`,
+      color: rarity.color,
+      desc,
+      req: def.type === "gear"
+        ? `${tOr(`items.rarity.${rarityKey}`, rarityKey)} • ${tOr(`items.slot.${def.slot}`, def.slot)}`
+        : tOr(`items.rarity.${rarityKey}`, rarityKey),
+      buttons,
+    });
+  });
+
+  wrap.appendChild(list);
+  panelEl.appendChild(wrap);
+}
@@ -1,8 +1,11 @@
+import { BOSSES } from "../../../../config/bosses.js";
+
 /**
  * Render the Maps tab: pagination/infinite-style list with "Load more".
  * - Creates #items-panel container that consumes remaining height of heroTabMaps.
  * - Renders initial 20 items (base maps first, then synthesized endless maps).
  * - "Load more" appends next 20 items deterministically; endless generation is stable.
+ * - Shows each map's boss (✅ once defeated) and the boss gate on locked maps.
  */
 export function renderMapsTab(panelEl, ctx = {}) {
   const { mapManager, enemies, applyMapModifiersToEnemy, setCenterMsg, clearCenterMsg, t } = ctx;
@@ -101,6 +104,7 @@ export function renderMapsTab(panelEl, ctx = {}) {
       enemyCountMul: lastBase.enemyCountMul || 1,
       desc,
       strongEnemies: [`${elite} (empowered)`],
+      boss: lastBase.boss,
       emoji: mapManager.emojiForIndex?.(idx),
       imgHint: lastBase.imgHint || `Endless Depth +${depth}`,
     };
@@ -160,6 +164,15 @@ export function renderMapsTab(panelEl, ctx = {}) {
       const req = document.createElement("div");
       req.className = "items-req";
       req.textContent = `${tt("maps.requires")} Lv ${m.requiredLevel}`;
+      const prev = m.index > 1 ? buffer[m.index - 2] : null;
+      const gateBoss = prev && BOSSES[prev.boss];
+      if (!unlocked && gateBoss && !mapManager.isBossDefeated?.(prev.index)) {
+        req.textContent += ` • ${tt("maps.bossGate")} ${gateBoss.name}`;
+      }
+      const bossDef = BOSSES[m.boss];
+      const boss = document.createElement("div");
+      boss.className = "items-elites";
+      boss.textContent = bossDef ? `👑 ${tt("maps.boss")} ${bossDef.name}${mapManager.isBossDefeated?.(m.index) ? " ✅" : ""}` : "";
       const elites = document.createElement("div");
       elites.className = "items-elites";
       elites.textContent = (m.strongEnemies && m.strongEnemies.length) ? `${tt("maps.elites")} ${m.strongEnemies.join(", ")}` : "";
@@ -168,6 +181,7 @@ export function renderMapsTab(panelEl, ctx = {}) {
       info.appendChild(d);
       info.appendChild(req);
       if (elites.textContent) info.appendChild(elites);
+      if (boss.textContent) info.appendChild(boss);
 
       const act = document.createElement("div");
       act.className = "items-actions";
@@ -0,0 +1,141 @@
+import { describeQuest, QUEST_ICONS } from "../../quests.js";
+import { QUESTS } from "../../../../config/quests.js";
+import { tOr } from "../../../i18n.js";
+
+/**
+ * Render the Quests tab: offers of the bounty board the hero stands at (Accept),
+ * then the accepted quests with progress (Abandon).
+ * Expects panelEl to be #heroTabQuests (container is static in HTML).
+ */
+export function renderQuestsTab(panelEl, ctx = {}) {
+  const { quests } = ctx;
+  if (!panelEl || !quests) return;
+
+  // Clear panel content
+  try { panelEl.innerHTML = ""; } catch (_) {}
+
+  const wrap = document.createElement("div");
+  wrap.className = "items-panel";
+  try {
+    wrap.style.display = "flex";
+    wrap.style.flexDirection = "column";
+    wrap.style.flex = "1 1 auto";
+    wrap.style.minHeight = "0";
+  } catch (_) {}
+
+  const list = document.createElement("div");
+  list.className = "items-list";
+  try {
+    list.style.flex = "1 1 auto";
+    list.style.minHeight = "0";
+    list.style.overflow = "auto";
+    list.style.maxHeight = "none";
+  } catch (_) {}
+
+  function addHead(text) {
+    const head = document.createElement("div");
+    head.className = "marks-head";
+    head.textContent = text;
+    list.appendChild(head);
+  }
+
+  function addEmpty(text) {
+    const empty = document.createElement("div");
+    empty.className = "marks-empty";
+    empty.textContent = text;
+    list.appendChild(empty);
+  }
+
+  function addRow({ icon, title, desc, req, button }) {
+    const row = document.createElement("div");
+    row.className = "items-row";
+
+    const thumb = document.createElement("div");
+    thumb.className = "items-thumb";
+    const em = document.createElement("div");
+    em.className = "items-thumb-ph";
+    em.textContent = icon || "📜";
+    try {
+      em.style.fontSize = "42px";
+      em.style.lineHeight = "1";
+    } catch (_) {}
+    thumb.appendChild(em);
+
+    const info = document.createElement("div");
+    const titleEl = document.createElement("div");
+    titleEl.className = "items-title";
+    titleEl.textContent = title;
+    info.appendChild(titleEl);
+    if (desc) {
+      const d = document.createElement("div");
+      d.className = "items-desc";
+      d.textContent = desc;
+      info.appendChild(d);
+    }
+    if (req) {
+      const r = document.createElement("div");
+      r.className = "items-req";
+      r.textContent = req;
+      info.appendChild(r);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "items-actions";
+    if (button) {
+      const b = document.createElement("button");
+      b.className = "pill-btn pill-btn--yellow";
+      b.textContent = button.label;
+      b.disabled = !!button.disabled;
+      b.addEventListener("click", (e) => {
+        e.stopPropagation();
+        try { button.onClick(); } catch (_) {}
+      });
+      actions.appendChild(b);
+    }
+
+    row.appendChild(thumb);
+    row.appendChild(info);
+    row.appendChild(actions);
+    list.appendChild(row);
+  }
+
+  const rewardText = (q) =>
+    tOr("quest.reward", "Reward: ${xp} XP, ${gold} gold").replace("${xp}", q.reward.xp).replace("${gold}", q.reward.gold);
+  const active = quests.getActive();
+
+  // Board offers
+  const board = quests.getNearbyBoard();
+  if (board) {
+    addHead(`📜 ${tOr("quest.board", "Bounty Board")} • ${board.name || tOr("quest.origin", "the home village")}`);
+    const offers = quests.getOffers(board.key);
+    if (!offers.length) addEmpty(tOr("quest.noOffers", "No bounties posted right now."));
+    offers.forEach(({ index, quest, taken }) => {
+      addRow({
+        icon: QUEST_ICONS[quest.kind],
+        title: describeQuest(quest),
+        desc: rewardText(quest),
+        button: {
+          label: taken ? tOr("quest.taken", "Taken") : tOr("quest.accept", "Accept"),
+          disabled: taken || active.length >= QUESTS.maxActive,
+          onClick: () => quests.accept(board.key, index),
+        },
+      });
+    });
+  }
+
+  // Accepted quests
+  addHead(`${tOr("quest.active", "Active quests")}: ${active.length}/${QUESTS.maxActive} • ${tOr("quest.completedCount", "Completed")}: ${quests.getCompletedCount()}`);
+  if (!active.length) addEmpty(tOr("quest.empty", "No active quests. Visit a village bounty board to take one."));
+  active.forEach((q) => {
+    addRow({
+      icon: QUEST_ICONS[q.kind],
+      title: describeQuest(q),
+      desc: rewardText(q),
+      req: `${tOr("quest.progress", "Progress")}: ${q.progress}/${q.count}`,
+      button: { label: tOr("quest.abandon", "Abandon"), onClick: () => quests.abandon(q.id) },
+    });
+  });
+
+  wrap.appendChild(list);
+  panelEl.appendChild(wrap);
+}
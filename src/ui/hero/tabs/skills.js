@@ -137,6 +137,44 @@ export function renderSkillsTab(panelEl, ctx = {}, rerender) {
     if (desc.textContent) info.appendChild(desc);
     if (req.textContent) info.appendChild(req);
 
+    // Rune selector: one rune per skill, unlocked by skill level (click the active rune to clear it)
+    const runes = isUnlocked ? upgradeManager.getAvailableRunes(s.id) : [];
+    if (runes.length) {
+      const activeRune = upgradeManager.getRune(s.id);
+      const runeRow = document.createElement("div");
+      runeRow.className = "skill-runes";
+      runes.forEach((r) => {
+        const runeBtn = document.createElement("button");
+        const active = activeRune?.id === r.id;
+        runeBtn.className = "skill-rune" + (active ? " active" : "");
+        runeBtn.textContent = r.icon || "◆";
+        const name = tt(`skills.runes.${s.id}.${r.id}.name`) || r.name;
+        const runeDesc = tt(`skills.runes.${s.id}.${r.id}.desc`) || r.desc;
+        runeBtn.title = r.unlocked
+          ? `${name}: ${runeDesc}`
+          : `${name} 🔒 ${(tt("hero.runes.locked") || "Skill level ${level}").replace("${level}", r.unlockLevel)}`;
+        runeBtn.disabled = !r.unlocked;
+        runeBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          if (upgradeManager.setRune(s.id, active ? null : r.id)) {
+            // Refresh the loadout so the equipped skill carries the rune
+            if (setLoadoutAndSave) {
+              setLoadoutAndSave(activeLoadout);
+            }
+            if (rerender) rerender();
+          }
+        });
+        runeRow.appendChild(runeBtn);
+      });
+      if (activeRune) {
+        const runeName = document.createElement("span");
+        runeName.className = "skill-rune-name";
+        runeName.textContent = tt(`skills.runes.${s.id}.${activeRune.id}.name`) || activeRune.name;
+        runeRow.appendChild(runeName);
+      }
+      info.appendChild(runeRow);
+    }
+
     const actions = document.createElement("div");
     actions.className = "items-actions";
     actions.style.cssText = "display: flex; gap: 8px;";
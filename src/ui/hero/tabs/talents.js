@@ -0,0 +1,151 @@
+import { TALENTS, TALENT_BRANCHES } from "../../../../config/talents.js";
+import { ITEMS } from "../../../../config/items.js";
+import { getTalentTree } from "../../../talents.js";
+import { getSkillUpgradeManager } from "../../../skills_upgrade.js";
+import { getWallet } from "../../../wallet.js";
+import { getInventory } from "../../../inventory.js";
+import { getRespecCost, canRespec, respec } from "../../../respec.js";
+import { promptUpliftIfNeeded } from "../../../uplift.js";
+import { tOr } from "../../../i18n.js";
+
+/**
+ * Render the Talents tab: one column per branch, talents top to bottom by tier,
+ * each with its rank, requirements and a "+" button to spend a talent point.
+ * The footer holds the respec buttons (src/respec.js), which also cover skill points and uplifts.
+ * Expects panelEl to be #heroTabTalents (container is static in HTML).
+ */
+export function renderTalentsTab(panelEl, ctx = {}, rerender) {
+  const { player, currentLoadout, setLoadoutAndSave } = ctx;
+  if (!panelEl) return;
+  const talents = getTalentTree();
+
+  // Clear panel content
+  try { panelEl.innerHTML = ""; } catch (_) {}
+
+  const wrap = document.createElement("div");
+  wrap.className = "items-panel";
+
+  const head = document.createElement("div");
+  head.className = "marks-head";
+  head.textContent = `🌟 ${tOr("talents.points", "Talent Points")}: ${talents.getPointsAvailable()} / ${talents.getPointsEarned()}`;
+  wrap.appendChild(head);
+
+  const nameOf = (def) => tOr(`talents.list.${def.id}.name`, def.name);
+
+  const branches = document.createElement("div");
+  branches.className = "talent-branches";
+  TALENT_BRANCHES.forEach((b) => {
+    const col = document.createElement("div");
+    col.className = "talent-branch";
+    const title = document.createElement("div");
+    title.className = "talent-branch-title";
+    title.textContent = `${b.icon} ${tOr(`talents.branches.${b.id}`, b.name)} (${talents.getBranchPoints(b.id)})`;
+    col.appendChild(title);
+
+    TALENTS.filter((d) => d.branch === b.id)
+      .sort((a, z) => a.tier - z.tier)
+      .forEach((d) => {
+        const rank = talents.getRank(d.id);
+        const check = talents.canAllocate(d.id);
+        const row = document.createElement("div");
+        row.className = "items-row talent" + (d.capstone ? " capstone" : "") + (rank > 0 ? " learned" : "");
+        if (rank === 0 && (check.reason === "requires" || check.reason === "branch")) {
+          try { row.style.opacity = "0.55"; } catch (_) {}
+        }
+
+        const icon = document.createElement("div");
+        icon.className = "talent-icon";
+        icon.textContent = d.icon;
+
+        const info = document.createElement("div");
+        const name = document.createElement("div");
+        name.className = "items-title";
+        name.textContent = `${nameOf(d)} ${rank}/${d.maxRank}`;
+        const desc = document.createElement("div");
+        desc.className = "items-desc";
+        desc.textContent = tOr(`talents.list.${d.id}.desc`, d.desc);
+        info.appendChild(name);
+        info.appendChild(desc);
+
+        // Requirements still missing for the next rank
+        const missing = [];
+        for (const [req, need] of Object.entries(d.requires || {})) {
+          const reqDef = TALENTS.find((x) => x.id === req);
+          if (reqDef && talents.getRank(req) < need) {
+            missing.push(tOr("talents.requires", "Requires ${name} ${rank}").replace("${name}", nameOf(reqDef)).replace("${rank}", need));
+          }
+        }
+        if (d.branchPoints && talents.getBranchPoints(d.branch) < d.branchPoints) {
+          missing.push(tOr("talents.branchReq", "${count} points in this branch").replace("${count}", d.branchPoints));
+        }
+        if (missing.length && rank < d.maxRank) {
+          const req = document.createElement("div");
+          req.className = "items-req";
+          req.textContent = missing.join(" • ");
+          info.appendChild(req);
+        }
+
+        const btn = document.createElement("button");
+        btn.className = "pill-btn pill-btn--yellow";
+        btn.textContent = "➕";
+        btn.title = tOr("talents.learn", "Learn");
+        btn.disabled = !check.ok;
+        btn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          // "talents-changed" re-renders the tab (see hero/index.js)
+          talents.allocate(d.id);
+        });
+
+        row.appendChild(icon);
+        row.appendChild(info);
+        row.appendChild(btn);
+        col.appendChild(row);
+      });
+    branches.appendChild(col);
+  });
+
+  wrap.appendChild(branches);
+
+  // Respec: free at low levels, then gold or a rare item
+  const deps = {
+    player,
+    skillUpgrades: getSkillUpgradeManager(),
+    talents,
+    wallet: getWallet(),
+    inventory: getInventory(),
+  };
+  const cost = getRespecCost(player?.level);
+  const hasSpent = canRespec(deps).ok;
+  const actions = document.createElement("div");
+  actions.className = "hero-actions";
+  const addRespecBtn = (label, payWith, affordable) => {
+    const btn = document.createElement("button");
+    btn.className = "pill-btn pill-btn--yellow";
+    btn.textContent = label;
+    btn.title = hasSpent
+      ? tOr("respec.hint", "Refund skill points, talents and uplift choices")
+      : tOr("respec.nothing", "Nothing to refund yet");
+    btn.disabled = !hasSpent || !affordable;
+    btn.addEventListener("click", () => {
+      let ok = false;
+      try { ok = window.confirm(tOr("respec.confirm", "Refund all skill points, talents and uplift choices?")); } catch (_) {}
+      if (!ok || !respec(deps, payWith).ok) return;
+      // Re-apply the (now level 1) skills to the loadout and offer the milestone uplifts again
+      try { setLoadoutAndSave && setLoadoutAndSave(currentLoadout); } catch (_) {}
+      try { promptUpliftIfNeeded(player); } catch (_) {}
+      if (rerender) rerender("talents");
+      else renderTalentsTab(panelEl, ctx);
+    });
+    actions.appendChild(btn);
+  };
+  if (cost.free) {
+    addRespecBtn(`♻️ ${tOr("respec.free", "Respec (free)")}`, "gold", true);
+  } else {
+    const item = ITEMS[cost.item.id];
+    addRespecBtn(`♻️ ${cost.gold} 🪙`, "gold", deps.wallet.canAfford(cost.gold));
+    addRespecBtn(`♻️ ${cost.item.qty} × ${item?.icon || cost.item.id}`, "item", deps.inventory.count(cost.item.id) >= cost.item.qty);
+  }
+  wrap.appendChild(actions);
+
+  panelEl.appendChild(wrap);
+}
@@ -0,0 +1,56 @@
+/* Horde event UI
+   - Center messages for "horde-event" (announce / wave / complete / failed)
+   - The progress bar itself is HUD (src/ui/hud/horde_bar.js, updated by the game loop)
+   Usage:
+     import { wireHordeUI } from "./ui/horde.js";
+     const dispose = wireHordeUI({ setCenterMsg, clearCenterMsg });
+     // Later: dispose() to unbind listeners
+*/
+
+import { tOr } from "../i18n.js";
+
+export function wireHordeUI({ setCenterMsg, clearCenterMsg }) {
+  let msgTimer = null;
+
+  function flash(text, ms = 1800) {
+    try {
+      setCenterMsg && setCenterMsg(text);
+      clearTimeout(msgTimer);
+      msgTimer = setTimeout(() => clearCenterMsg && clearCenterMsg(), ms);
+    } catch (_) {}
+  }
+
+  const onEvent = (e) => {
+    const d = e.detail || {};
+    const site = d.site === "village" ? d.name || tOr("horde.village", "Village") : "";
+    if (d.state === "announce") {
+      flash(
+        d.site === "village"
+          ? tOr("horde.announceVillage", "A horde marches on ${name}!").replace("${name}", site)
+          : tOr("horde.announce", "A horde is coming!"),
+        2600
+      );
+    } else if (d.state === "wave") {
+      flash(tOr("horde.waveStart", "Wave ${wave}/${waves}").replace("${wave}", d.wave).replace("${waves}", d.waves), 1400);
+    } else if (d.state === "complete") {
+      flash(tOr("horde.complete", "Horde defeated! +${xp} XP").replace("${xp}", d.xp || 0), 2600);
+    } else if (d.state === "failed") {
+      const key = d.reason === "overrun" ? "horde.overrun" : d.reason === "fled" ? "horde.fled" : "horde.defeat";
+      const fallback = d.reason === "overrun"
+        ? "${name} was overrun."
+        : d.reason === "fled"
+          ? "You abandoned the fight."
+          : "The horde prevails.";
+      flash(tOr(key, fallback).replace("${name}", site), 2600);
+    }
+  };
+
+  window.addEventListener("horde-event", onEvent);
+
+  return () => {
+    try {
+      clearTimeout(msgTimer);
+      window.removeEventListener("horde-event", onEvent);
+    } catch (_) {}
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * Consumable Hotbar UI
+ * Keeps every [data-hotbar-slot] button (mobile round buttons and desktop tiles)
+ * in sync with config/items.js HOTBAR: item icon, carried count, and the shared
+ * cooldown wedge (ui/cooldown.js). Uses a polling interval like mark_cooldown.js.
+ * Input is wired elsewhere: keys 1-4 in InputService, taps in touch.js,
+ * desktop tiles forward clicks in deskop-controls.js.
+ *
+ * Public API:
+ *   import { wireHotbarUI } from './ui/hotbar.js';
+ *   const dispose = wireHotbarUI({ t, intervalMs: 100 });
+ *   // Later: dispose() to clear the interval and listeners
+ */
+import { getInventory } from "../inventory.js";
+import { HOTBAR } from "../../config/items.js";
+import { paintCooldown, flashWhenReady } from "./cooldown.js";
+import { now } from "../utils.js";
+
+export function wireHotbarUI({ t, intervalMs = 100 } = {}) {
+  const slots = Array.from(document.querySelectorAll("[data-hotbar-slot]"));
+  if (!slots.length) return () => {};
+  const inv = getInventory();
+  const prevRemain = new Map();
+
+  const itemAt = (el) => HOTBAR[parseInt(el.dataset.hotbarSlot, 10)] || null;
+
+  function renderSlots() {
+    slots.forEach((el) => {
+      const id = itemAt(el);
+      const def = id && inv.getDef(id);
+      const n = id ? inv.count(id) : 0;
+      const iconEl = el.querySelector(".icon");
+      const countEl = el.querySelector(".count");
+      if (iconEl) iconEl.textContent = def?.icon || "";
+      if (countEl) countEl.textContent = n > 0 ? `${n}` : "";
+      el.classList.toggle("empty", n <= 0);
+      if (def) {
+        const name = typeof t === "function" ? t(`items.${id}.name`) : null;
+        el.title = `${name && name !== `items.${id}.name` ? name : def.name} (${parseInt(el.dataset.hotbarSlot, 10) + 1})`;
+      }
+    });
+  }
+
+  function tick() {
+    const ts = now();
+    slots.forEach((el) => {
+      const id = itemAt(el);
+      const cdEl = el.querySelector(".cooldown");
+      if (!id || !cdEl) return;
+      const { remain, total } = inv.getCooldown(id);
+      paintCooldown(cdEl, remain, total);
+      flashWhenReady(cdEl, prevRemain.get(el) || 0, remain, ts);
+      prevRemain.set(el, remain);
+    });
+  }
+
+  window.addEventListener("inventory-changed", renderSlots);
+  const id = setInterval(tick, Math.max(50, intervalMs));
+  renderSlots();
+  tick();
+
+  return () => {
+    try { clearInterval(id); } catch (_) {}
+    try { window.removeEventListener("inventory-changed", renderSlots); } catch (_) {}
+  };
+}
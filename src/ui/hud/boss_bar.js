@@ -0,0 +1,52 @@
+import { clamp01 } from "../../utils.js";
+
+/**
+ * BossBarUI
+ * - Top-center HP bar for the active boss encounter (src/bosses.js getEncounter())
+ * - Phase threshold markers (passed ones highlighted) and a thin absorb-shield strip
+ * - Writes to the DOM only when the shown values change
+ */
+export class BossBarUI {
+  constructor() {
+    this.el = document.getElementById("bossBar");
+    this.elName = document.getElementById("bossName");
+    this.elFill = document.getElementById("bossFill");
+    this.elShield = document.getElementById("bossShield");
+    this.elMarkers = document.getElementById("bossMarkers");
+    this.shown = "";
+  }
+
+  update(encounter) {
+    if (!this.el) return;
+    if (!encounter) {
+      if (this.shown) {
+        this.el.classList.add("hidden");
+        this.shown = "";
+      }
+      return;
+    }
+
+    const ratio = clamp01(encounter.hp / encounter.maxHP);
+    const key = `${encounter.name}|${encounter.phase}|${Math.round(ratio * 1000)}|${Math.round((encounter.shield || 0) * 100)}`;
+    if (key === this.shown) return;
+    const fresh = !this.shown || !this.shown.startsWith(`${encounter.name}|${encounter.phase}|`);
+    this.shown = key;
+
+    this.el.classList.remove("hidden");
+    if (this.elFill) this.elFill.style.width = `${ratio * 100}%`;
+    if (this.elShield) this.elShield.style.width = `${clamp01(encounter.shield || 0) * 100}%`;
+    if (!fresh) return;
+
+    if (this.elName) this.elName.textContent = `👑 ${encounter.name}`;
+    if (this.elMarkers) {
+      this.elMarkers.innerHTML = "";
+      (encounter.phases || []).forEach((at, i) => {
+        if (i === 0 || at >= 1) return;
+        const m = document.createElement("div");
+        m.className = `boss-marker${i <= encounter.phase ? " passed" : ""}`;
+        m.style.left = `${at * 100}%`;
+        this.elMarkers.appendChild(m);
+      });
+    }
+  }
+}
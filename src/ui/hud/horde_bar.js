@@ -0,0 +1,51 @@
+import { clamp01 } from "../../utils.js";
+import { tOr } from "../../i18n.js";
+
+/**
+ * HordeBarUI
+ * - Top-center progress bar for the running horde event (src/hordes.js getEvent()), below the boss bar
+ * - Wave label, kill progress of the current wave, countdown before the next wave,
+ *   and a red strip for village overrun pressure
+ * - Writes to the DOM only when the shown values change
+ */
+export class HordeBarUI {
+  constructor() {
+    this.el = document.getElementById("hordeBar");
+    this.elLabel = document.getElementById("hordeLabel");
+    this.elFill = document.getElementById("hordeFill");
+    this.elOverrun = document.getElementById("hordeOverrun");
+    this.shown = "";
+  }
+
+  update(event) {
+    if (!this.el) return;
+    if (!event) {
+      if (this.shown) {
+        this.el.classList.add("hidden");
+        this.shown = "";
+      }
+      return;
+    }
+
+    const waiting = event.state !== "wave";
+    const ratio = waiting ? 0 : clamp01(event.total ? event.kills / event.total : 0);
+    const startsIn = Math.ceil(event.startsIn || 0);
+    const key = `${event.state}|${event.wave}|${event.kills}/${event.total}|${startsIn}|${Math.round((event.overrun || 0) * 100)}`;
+    if (key === this.shown) return;
+    this.shown = key;
+
+    this.el.classList.remove("hidden");
+    if (this.elFill) this.elFill.style.width = `${ratio * 100}%`;
+    if (this.elOverrun) this.elOverrun.style.width = `${clamp01(event.overrun || 0) * 100}%`;
+    if (!this.elLabel) return;
+
+    const site = event.site === "village"
+      ? (event.name || tOr("horde.village", "Village"))
+      : tOr("horde.field", "Horde");
+    const wave = waiting ? event.wave + 1 : event.wave;
+    let text = `⚔ ${site} · ${tOr("horde.wave", "Wave ${wave}/${waves}").replace("${wave}", wave).replace("${waves}", event.waves)}`;
+    if (waiting) text += ` · ${tOr("horde.incoming", "in ${s}s").replace("${s}", startsIn)}`;
+    else text += ` · ${event.kills}/${event.total}`;
+    this.elLabel.textContent = text;
+  }
+}
@@ -1,10 +1,18 @@
 import { PlayerBarsUI } from "./player_bars.js";
 import { MinimapUI } from "./minimap.js";
+import { BossBarUI } from "./boss_bar.js";
+import { HordeBarUI } from "./horde_bar.js";
+import { SiegeBarUI } from "./siege_bar.js";
+import { QuestTrackerUI } from "./quest_tracker.js";
 
 /**
  * UIManager (orchestrator)
  * - Delegates player bars (HP/MP/XP, center message, level-up FX) to PlayerBarsUI
  * - Delegates minimap rendering to MinimapUI
+ * - Delegates the boss encounter HP bar to BossBarUI
+ * - Delegates the horde event progress bar to HordeBarUI
+ * - Delegates the besieged village HP bar to SiegeBarUI
+ * - Delegates the active quest list to QuestTrackerUI
  * - Keeps public API stable for callers (main.js)
  */
 export class UIManager {
@@ -12,6 +20,10 @@ export class UIManager {
     // Subsystems
     this.bars = new PlayerBarsUI();
     this.minimapUI = new MinimapUI();
+    this.bossBar = new BossBarUI();
+    this.hordeBar = new HordeBarUI();
+    this.siegeBar = new SiegeBarUI();
+    this.questTracker = new QuestTrackerUI();
 
     // Cooldown UI containers (passed to SkillsSystem)
     this.cdUI = {
@@ -41,8 +53,24 @@ export class UIManager {
     this.bars?.update?.(player);
   }
 
-  updateMinimap(player, enemies, portals, villages, structures) {
-    this.minimapUI?.update?.(player, enemies, portals, villages, structures);
+  updateMinimap(player, enemies, portals, villages, structures, alerts) {
+    this.minimapUI?.update?.(player, enemies, portals, villages, structures, alerts);
+  }
+
+  updateBossBar(encounter) {
+    this.bossBar?.update?.(encounter);
+  }
+
+  updateHordeBar(event) {
+    this.hordeBar?.update?.(event);
+  }
+
+  updateSiegeBar(siege) {
+    this.siegeBar?.update?.(siege);
+  }
+
+  updateQuestTracker(active) {
+    this.questTracker?.update?.(active);
   }
 
   // Backward-compat entry for external level-up events
@@ -6,6 +6,8 @@ import { VILLAGE_POS, REST_RADIUS, THEME_COLORS } from "../../../config/index.js
  * - Dynamic CSS height: 208 * screenAspect (window.innerHeight / window.innerWidth)
  * - DPR-aware rendering for crisp lines
  * - Throttling based on render quality preference (low/medium/high)
+ * - Alerts ({ x, z, radius }, e.g. a besieged village): pulsing red ring, or an arrow
+ *   on the minimap edge pointing toward it when it is out of view
  */
 export class MinimapUI {
   constructor() {
@@ -61,7 +63,7 @@ export class MinimapUI {
     this._sizeDirty = false;
   }
 
-  update(player, enemies, portals, villages, structures) {
+  update(player, enemies, portals, villages, structures, alerts = null) {
     const ctx = this.ctx;
     if (!ctx || !this.canvas || !player) return;
 
@@ -245,6 +247,42 @@ export class MinimapUI {
       try { console.error("[Minimap] Error drawing structures:", e); } catch (_) {}
     }
 
+    // Alerts (besieged villages)
+    if (alerts && alerts.length) {
+      ctx.save();
+      const pulse = 0.5 + 0.5 * Math.sin((nowT / 1000) * 6);
+      ctx.strokeStyle = THEME_COLORS.siegeAlert;
+      ctx.fillStyle = THEME_COLORS.siegeAlert;
+      ctx.lineWidth = 2;
+      for (const a of alerts) {
+        const p = w2p(a.x, a.z);
+        const r = (a.radius || 0) * scale;
+        if (p.x + r >= 0 && p.x - r <= cssW && p.y + r >= 0 && p.y - r <= cssH) {
+          ctx.globalAlpha = 0.5 + 0.5 * pulse;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, r + 2 + 2 * pulse, 0, Math.PI * 2);
+          ctx.stroke();
+          continue;
+        }
+        // Off the map: arrow on the edge toward the village
+        const dx = p.x - cx;
+        const dy = p.y - cy;
+        const k = Math.min((cssW / 2 - 8) / Math.max(1e-6, Math.abs(dx)), (cssH / 2 - 8) / Math.max(1e-6, Math.abs(dy)));
+        const ang = Math.atan2(dy, dx);
+        ctx.globalAlpha = 0.6 + 0.4 * pulse;
+        ctx.translate(cx + dx * k, cy + dy * k);
+        ctx.rotate(ang);
+        ctx.beginPath();
+        ctx.moveTo(6, 0);
+        ctx.lineTo(-4, -5);
+        ctx.lineTo(-4, 5);
+        ctx.closePath();
+        ctx.fill();
+        ctx.setTransform(this._dpr, 0, 0, this._dpr, 0, 0);
+      }
+      ctx.restore();
+    }
+
     // Player
     const pp = w2p(center.x, center.z);
     ctx.fillStyle = THEME_COLORS.playerDot;
@@ -1,9 +1,11 @@
 import { clamp01 } from "../../utils.js";
 import { CSS_VAR, THEME_COLORS } from "../../../config/index.js";
+import { getWallet } from "../../wallet.js";
 
 /**
  * PlayerBarsUI
  * - Manages player HP/MP/XP bars and texts
+ * - Gold counter (wallet "gold-changed" events)
  * - Center message helper (set/clear)
  * - Level-up animation/feedback
  */
@@ -17,6 +19,7 @@ export class PlayerBarsUI {
     this.elMPText = document.getElementById("mpText");
     this.elXPText = document.getElementById("xpText");
     this.elLevelValue = document.getElementById("levelValue");
+    this.elGoldValue = document.getElementById("goldValue");
 
     // Center message
     this.deathMsgEl = document.getElementById("deathMsg");
@@ -28,6 +31,16 @@ export class PlayerBarsUI {
           this.showLevelUp && this.showLevelUp(e.detail);
         } catch (_) {}
       });
+      window.addEventListener("gold-changed", (e) => this.setGold(e.detail?.gold));
+    }
+    try {
+      this.setGold(getWallet().gold);
+    } catch (_) {}
+  }
+
+  setGold(gold) {
+    if (this.elGoldValue && Number.isFinite(gold)) {
+      this.elGoldValue.textContent = `${gold}`;
     }
   }
 
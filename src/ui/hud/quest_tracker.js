@@ -0,0 +1,38 @@
+import { describeQuest, QUEST_ICONS } from "../quests.js";
+
+/**
+ * QuestTrackerUI
+ * - Compact list of accepted quests (src/quests.js getActive()) with progress, left side under the HUD
+ * - Hidden while no quest is active
+ * - Writes to the DOM only when the shown values change
+ */
+export class QuestTrackerUI {
+  constructor() {
+    this.el = document.getElementById("questTracker");
+    this.shown = null;
+  }
+
+  update(active) {
+    if (!this.el) return;
+    const list = Array.isArray(active) ? active : [];
+    const key = list.map((q) => `${q.id}:${q.progress}`).join("|");
+    if (key === this.shown) return;
+    this.shown = key;
+
+    this.el.classList.toggle("hidden", !list.length);
+    this.el.innerHTML = "";
+    for (const q of list) {
+      const row = document.createElement("div");
+      row.className = "quest-row";
+      const text = document.createElement("span");
+      text.className = "quest-text";
+      text.textContent = `${QUEST_ICONS[q.kind] || "📜"} ${describeQuest(q)}`;
+      const prog = document.createElement("span");
+      prog.className = "quest-progress";
+      prog.textContent = `${q.progress}/${q.count}`;
+      row.appendChild(text);
+      row.appendChild(prog);
+      this.el.appendChild(row);
+    }
+  }
+}
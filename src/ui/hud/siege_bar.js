@@ -0,0 +1,45 @@
+import { clamp01 } from "../../utils.js";
+import { tOr } from "../../i18n.js";
+
+/**
+ * SiegeBarUI
+ * - Top-center village HP bar for the running siege (src/sieges.js getSiege()), below the horde bar
+ * - Label: village name, then the warning countdown or the current wave
+ * - Writes to the DOM only when the shown values change
+ */
+export class SiegeBarUI {
+  constructor() {
+    this.el = document.getElementById("siegeBar");
+    this.elLabel = document.getElementById("siegeLabel");
+    this.elFill = document.getElementById("siegeFill");
+    this.shown = "";
+  }
+
+  update(siege) {
+    if (!this.el) return;
+    if (!siege) {
+      if (this.shown) {
+        this.el.classList.add("hidden");
+        this.shown = "";
+      }
+      return;
+    }
+
+    const ratio = clamp01(siege.hp / siege.maxHP);
+    const startsIn = Math.ceil(siege.startsIn || 0);
+    const key = `${siege.key}|${siege.state}|${siege.wave}|${startsIn}|${Math.round(ratio * 1000)}`;
+    if (key === this.shown) return;
+    this.shown = key;
+
+    this.el.classList.remove("hidden");
+    this.el.classList.toggle("warning", siege.state === "warning");
+    if (this.elFill) this.elFill.style.width = `${ratio * 100}%`;
+    if (!this.elLabel) return;
+
+    const name = siege.name || tOr("siege.village", "Village");
+    let text = `🏰 ${name} · `;
+    if (siege.state === "warning") text += tOr("siege.incoming", "Siege in ${s}s").replace("${s}", startsIn);
+    else text += tOr("siege.wave", "Wave ${wave}/${waves}").replace("${wave}", siege.wave).replace("${waves}", siege.waves);
+    this.elLabel.textContent = text;
+  }
+}
@@ -39,9 +39,8 @@ export function createIndicators({
     // Slow debuff indicators (skip on mobile if configured)
     try {
       if (!isMobile || !MOBILE_OPTIMIZATIONS?.skipSlowUpdates) {
-        const t = now();
         enemies.forEach((en) => {
-          const slowed = en.slowUntil && t < en.slowUntil;
+          const slowed = en.alive && en.status?.has("slow");
           if (slowed) {
             if (!en._slowRing) {
               const r = createGroundRing(0.6, 0.9, THEME_COLORS.ember, 0.7);
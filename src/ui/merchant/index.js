@@ -0,0 +1,242 @@
+/* Merchant Screen UI (Buy/Sell)
+   Shows the 🛒 trade button while the hero stands at a village merchant stall
+   (MerchantSystem "merchant-near" event) and renders the shop into the static
+   #merchantScreen markup in index.html.
+   Usage:
+     import { wireMerchantUI } from "./ui/merchant/index.js";
+     const dispose = wireMerchantUI({ elements: { btnTrade, merchantScreen }, merchants, player, t });
+     // Later: dispose() to unbind listeners
+*/
+import { getInventory } from "../../inventory.js";
+import { getWallet } from "../../wallet.js";
+import { gearModifiers } from "../../equipment.js";
+import { formatStatMods } from "../hero/tabs/inventory.js";
+import { ITEM_RARITY } from "../../../config/items.js";
+import { tOr } from "../../i18n.js";
+
+function createRow({ icon, title, color, desc, req, button }) {
+  const row = document.createElement("div");
+  row.className = "items-row";
+  if (color) {
+    try { row.style.borderLeft = `3px solid ${color}`; } catch (_) {}
+  }
+
+  const thumb = document.createElement("div");
+  thumb.className = "items-thumb";
+  const em = document.createElement("div");
+  em.className = "items-thumb-ph";
+  em.textContent = icon || "❔";
+  try {
+    em.style.fontSize = "42px";
+    em.style.lineHeight = "1";
+  } catch (_) {}
+  thumb.appendChild(em);
+
+  const info = document.createElement("div");
+  const titleEl = document.createElement("div");
+  titleEl.className = "items-title";
+  titleEl.textContent = title;
+  if (color) {
+    try { titleEl.style.color = color; } catch (_) {}
+  }
+  info.appendChild(titleEl);
+  if (desc) {
+    const d = document.createElement("div");
+    d.className = "items-desc";
+    d.textContent = desc;
+    info.appendChild(d);
+  }
+  if (req) {
+    const r = document.createElement("div");
+    r.className = "items-req";
+    r.textContent = req;
+    info.appendChild(r);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "items-actions";
+  if (button) {
+    const b = document.createElement("button");
+    b.className = "pill-btn pill-btn--yellow";
+    b.textContent = button.label;
+    b.disabled = !!button.disabled;
+    b.addEventListener("click", (e) => {
+      e.stopPropagation();
+      try { button.onClick(); } catch (_) {}
+    });
+    actions.appendChild(b);
+  }
+
+  row.appendChild(thumb);
+  row.appendChild(info);
+  row.appendChild(actions);
+  return row;
+}
+
+function createList(panelEl) {
+  try { panelEl.innerHTML = ""; } catch (_) {}
+  const wrap = document.createElement("div");
+  wrap.className = "items-panel";
+  const list = document.createElement("div");
+  list.className = "items-list";
+  try {
+    list.style.overflow = "auto";
+    list.style.maxHeight = "none";
+  } catch (_) {}
+  wrap.appendChild(list);
+  panelEl.appendChild(wrap);
+  return list;
+}
+
+/**
+ * Render both shop tabs plus the gold/status footer for the nearby merchant.
+ */
+export function renderMerchantScreen(ctx = {}) {
+  const { merchants, status } = ctx;
+  const screen = document.getElementById("merchantScreen");
+  const near = merchants?.getNearbyMerchant?.();
+  if (!screen || !near) return;
+  const inv = getInventory();
+  const wallet = getWallet();
+  const rerender = (msg) => renderMerchantScreen({ ...ctx, status: msg });
+  const itemName = (def) => tOr(`items.${def.id}.name`, def.name);
+  const price = (n) => `🪙 ${n}`;
+
+  const title = document.getElementById("merchantTitle");
+  if (title) {
+    title.textContent = near.name
+      ? `${tOr("merchant.title", "Merchant")} • ${near.name}`
+      : tOr("merchant.homeTitle", "Village Merchant");
+  }
+
+  // Buy tab: deterministic village stock
+  const buyList = createList(document.getElementById("merchantTabBuy"));
+  merchants.getStock(near.key).forEach((entry) => {
+    const def = inv.getDef(entry.id);
+    if (!def) return;
+    const rarityKey = entry.gear?.rarity || def.rarity;
+    const rarity = ITEM_RARITY[rarityKey] || ITEM_RARITY.common;
+    buyList.appendChild(createRow({
+      icon: def.icon,
+      title: itemName(def),
+      color: rarity.color,
+      desc: entry.gear
+        ? formatStatMods(gearModifiers(entry.id, entry.gear))
+        : tOr(`items.${def.id}.desc`, def.desc || ""),
+      req: `${price(entry.price)} • ${tOr(`items.rarity.${rarityKey}`, rarityKey)}`,
+      button: entry.soldOut
+        ? { label: tOr("merchant.soldOut", "Sold out"), disabled: true }
+        : {
+          label: tOr("merchant.buy", "Buy"),
+          disabled: !wallet.canAfford(entry.price),
+          onClick: () => {
+            // Success refreshes via gold-changed / inventory-changed
+            const res = merchants.buy(near.key, entry.index);
+            if (!res.ok) rerender(tOr(`merchant.fail.${res.reason}`, res.reason));
+          },
+        },
+    }));
+  });
+
+  // Sell tab: bag stacks with a sell value
+  const sellList = createList(document.getElementById("merchantTabSell"));
+  let sellable = 0;
+  inv.list().forEach((s, index) => {
+    const def = s.def;
+    const gold = merchants.getSellPrice(index);
+    if (!def || gold <= 0) return;
+    sellable++;
+    const rarityKey = s.gear?.rarity || def.rarity;
+    const rarity = ITEM_RARITY[rarityKey] || ITEM_RARITY.common;
+    sellList.appendChild(createRow({
+      icon: def.icon,
+      title: s.gear ? itemName(def) : `${itemName(def)} ×${s.qty}`,
+      color: rarity.color,
+      desc: s.gear ? formatStatMods(gearModifiers(def.id, s.gear)) : "",
+      req: price(gold),
+      button: { label: tOr("merchant.sell", "Sell"), onClick: () => merchants.sell(index) },
+    }));
+  });
+  if (!sellable) {
+    const empty = document.createElement("div");
+    empty.className = "marks-empty";
+    empty.textContent = tOr("merchant.nothingToSell", "Nothing to sell.");
+    sellList.appendChild(empty);
+  }
+
+  const footer = screen.querySelector(".panel-footer");
+  if (footer) {
+    footer.textContent = `${tOr("merchant.gold", "Gold")}: 🪙 ${wallet.gold}${status ? ` • ${status}` : ""}`;
+  }
+}
+
+export function wireMerchantUI({ elements = {}, merchants, player, t }) {
+  const { btnTrade, merchantScreen } = elements;
+  if (!merchants || !merchantScreen) return () => {};
+  const ctx = { merchants, player, t };
+  const content = merchantScreen.querySelector(".panel-content");
+  const tabBtns = content ? Array.from(content.querySelectorAll(".tab-btn")) : [];
+
+  function showPanelById(id) {
+    tabBtns.forEach((b) => {
+      const panel = document.getElementById(b.getAttribute("aria-controls"));
+      const active = b.getAttribute("aria-controls") === id;
+      b.classList.toggle("active", active);
+      if (panel) {
+        panel.classList.toggle("active", active);
+        panel.style.display = active ? "block" : "none";
+      }
+    });
+  }
+
+  const isOpen = () => !merchantScreen.classList.contains("hidden");
+
+  function open() {
+    if (!merchants.getNearbyMerchant()) return;
+    showPanelById("merchantTabBuy");
+    // Translate static labels first; the render then sets the village-specific title
+    try {
+      window.applyTranslations && window.applyTranslations(merchantScreen);
+    } catch (_) {}
+    try { renderMerchantScreen(ctx); } catch (_) {}
+    merchantScreen.classList.remove("hidden");
+  }
+
+  const onTabClick = (e) => showPanelById(e.currentTarget.getAttribute("aria-controls"));
+  tabBtns.forEach((b) => b.addEventListener("click", onTabClick));
+
+  const onNear = (e) => {
+    const near = e.detail;
+    if (btnTrade) btnTrade.classList.toggle("hidden", !near);
+    if (!near && isOpen()) merchantScreen.classList.add("hidden");
+  };
+  const onRefresh = () => {
+    if (isOpen()) {
+      try { renderMerchantScreen(ctx); } catch (_) {}
+    }
+  };
+  const onKey = (e) => {
+    if (String(e.key || "").toLowerCase() !== "f" || e.repeat) return;
+    const tag = String(e.target?.tagName || "").toUpperCase();
+    if (tag === "INPUT" || tag === "TEXTAREA") return;
+    if (isOpen()) merchantScreen.classList.add("hidden");
+    else open();
+  };
+
+  if (btnTrade) btnTrade.addEventListener("click", open);
+  window.addEventListener("merchant-near", onNear);
+  window.addEventListener("gold-changed", onRefresh);
+  window.addEventListener("inventory-changed", onRefresh);
+  window.addEventListener("keydown", onKey);
+
+  return () => {
+    try {
+      if (btnTrade) btnTrade.removeEventListener("click", open);
+      tabBtns.forEach((b) => b.removeEventListener("click", onTabClick));
+      window.removeEventListener("merchant-near", onNear);
+      window.removeEventListener("gold-changed", onRefresh);
+      window.removeEventListener("inventory-changed", onRefresh);
+      window.removeEventListener("keydown", onKey);
+    } catch (_) {}
+  };
+}
@@ -0,0 +1,79 @@
+/* Quest UI
+   - Shows the 📜 bounty button while the hero stands at a village bounty board
+     (QuestSystem "quest-board-near" event); it opens the Hero screen on the Quests tab
+   - Center messages for "quest-completed" with the paid reward
+   - The active quest list is HUD (src/ui/hud/quest_tracker.js), offers live in src/ui/hero/tabs/quests.js
+   Usage:
+     import { wireQuestUI } from "./ui/quests.js";
+     const dispose = wireQuestUI({ elements: { btnQuests }, quests, showHeroScreen, setCenterMsg, clearCenterMsg });
+     // Later: dispose() to unbind listeners
+*/
+
+import { tOr } from "../i18n.js";
+
+export const QUEST_ICONS = { kill: "⚔️", elite: "💀", reach: "🏘️", visit: "🏛️" };
+
+/**
+ * One-line objective text for a quest from src/quests.js, e.g. "Slay 12 Raider".
+ * Shared by the Quests tab and the HUD tracker.
+ */
+export function describeQuest(q) {
+  if (!q) return "";
+  if (q.kind === "kill") {
+    return tOr("quest.kill", "Slay ${count} ${name}").replace("${count}", q.count).replace("${name}", q.name || q.target.archetype);
+  }
+  if (q.kind === "elite") return tOr("quest.elite", "Defeat ${count} elite enemies").replace("${count}", q.count);
+  if (q.kind === "reach") {
+    const name = q.name || (q.target.key === "origin" ? tOr("quest.origin", "the home village") : tOr("siege.village", "Village"));
+    return tOr("quest.reach", "Travel to ${name}").replace("${name}", name);
+  }
+  if (q.kind === "visit") {
+    const name = q.name || tOr(`quest.structure.${q.target.type}`, q.target.type);
+    return tOr("quest.visit", "Visit ${name}").replace("${name}", name);
+  }
+  return q.kind;
+}
+
+export function wireQuestUI({ elements = {}, quests, showHeroScreen, setCenterMsg, clearCenterMsg }) {
+  const { btnQuests } = elements;
+  if (!quests) return () => {};
+  let msgTimer = null;
+
+  function flash(text, ms = 1800) {
+    try {
+      setCenterMsg && setCenterMsg(text);
+      clearTimeout(msgTimer);
+      msgTimer = setTimeout(() => clearCenterMsg && clearCenterMsg(), ms);
+    } catch (_) {}
+  }
+
+  const open = () => {
+    try { showHeroScreen && showHeroScreen("quests"); } catch (_) {}
+  };
+  const onNear = (e) => {
+    if (btnQuests) btnQuests.classList.toggle("hidden", !e.detail);
+  };
+  const onCompleted = (e) => {
+    const d = e.detail || {};
+    flash(
+      tOr("quest.completed", "Quest complete: ${quest} (+${xp} XP, +${gold} gold)")
+        .replace("${quest}", describeQuest(d.quest))
+        .replace("${xp}", d.xp || 0)
+        .replace("${gold}", d.gold || 0),
+      2600
+    );
+  };
+
+  if (btnQuests) btnQuests.addEventListener("click", open);
+  window.addEventListener("quest-board-near", onNear);
+  window.addEventListener("quest-completed", onCompleted);
+
+  return () => {
+    try {
+      clearTimeout(msgTimer);
+      if (btnQuests) btnQuests.removeEventListener("click", open);
+      window.removeEventListener("quest-board-near", onNear);
+      window.removeEventListener("quest-completed", onCompleted);
+    } catch (_) {}
+  };
+}
@@ -1,7 +1,16 @@
 import { setLanguage, getLanguage } from "../../../i18n.js";
+import { STORAGE_KEYS } from "../../../../config/index.js";
+import {
+  buildExportPayload,
+  downloadSaveFile,
+  encodeSaveCode,
+  parseSaveFile,
+  decodeSaveCode,
+  applySavePayload,
+} from "../../../save_transfer.js";
 
 /**
- * General tab: audio, render quality, zoom, and fullscreen controls.
+ * General tab: audio, render quality, zoom, fullscreen and save export/import controls.
  * Wires controls within the Settings screen General panel.
  */
 export function renderGeneralTab(panelEl, ctx = {}) {
@@ -23,6 +32,9 @@ export function renderGeneralTab(panelEl, ctx = {}) {
   try {
     initLanguageControls();
   } catch (_) {}
+  try {
+    initSaveTransferControls(t);
+  } catch (_) {}
 
   panelEl.dataset.rendered = "1";
 }
@@ -392,3 +404,104 @@ function initLanguageControls() {
 function clampNum(v, a, b) {
   return Math.max(a, Math.min(b, v));
 }
+
+/* ---------------- Save export / import ---------------- */
+const SAVE_ERROR_KEYS = {
+  format: "settings.save.errFormat",
+  checksum: "settings.save.errChecksum",
+  version: "settings.save.errVersion",
+  data: "settings.save.errData",
+  unsupported: "settings.save.errUnsupported",
+};
+
+function initSaveTransferControls(t) {
+  const tt = typeof t === "function" ? t : (x) => x;
+  const btnExportFile = document.getElementById("btnSaveExportFile");
+  const btnImportFile = document.getElementById("btnSaveImportFile");
+  const fileInput = document.getElementById("saveImportFileInput");
+  const btnExportCode = document.getElementById("btnSaveExportCode");
+  const btnImportCode = document.getElementById("btnSaveImportCode");
+  const codeText = document.getElementById("saveCodeText");
+  const statusEl = document.getElementById("saveTransferStatus");
+
+  function setStatus(key, isError = false) {
+    if (!statusEl) return;
+    statusEl.textContent = key ? tt(key) : "";
+    statusEl.classList.toggle("error", !!isError);
+  }
+
+  // Validate -> confirm -> replace the active slot -> reload so all systems re-read it
+  function restore(res) {
+    if (!res || !res.ok) {
+      setStatus(SAVE_ERROR_KEYS[res?.error] || SAVE_ERROR_KEYS.format, true);
+      return;
+    }
+    let ok = false;
+    try { ok = window.confirm(tt("settings.save.confirmImport")); } catch (_) {}
+    if (!ok) return;
+    if (!applySavePayload(res.payload)) {
+      setStatus(SAVE_ERROR_KEYS.format, true);
+      return;
+    }
+    setStatus("settings.save.imported");
+    try { localStorage.setItem(STORAGE_KEYS.pendingReloadReason, "save-import"); } catch (_) {}
+    setTimeout(() => window.location.reload(), 400);
+  }
+
+  if (btnExportFile && !btnExportFile.dataset.bound) {
+    btnExportFile.addEventListener("click", () => {
+      try {
+        downloadSaveFile(buildExportPayload());
+        setStatus("settings.save.exported");
+      } catch (e) {
+        console.warn("[Settings] save export failed:", e);
+        setStatus(SAVE_ERROR_KEYS.format, true);
+      }
+    });
+    btnExportFile.dataset.bound = "1";
+  }
+
+  if (btnImportFile && fileInput && !btnImportFile.dataset.bound) {
+    btnImportFile.addEventListener("click", () => {
+      try { fileInput.value = ""; } catch (_) {}
+      fileInput.click();
+    });
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      let text = "";
+      try { text = await file.text(); } catch (_) {}
+      restore(parseSaveFile(text));
+    });
+    btnImportFile.dataset.bound = "1";
+  }
+
+  if (btnExportCode && !btnExportCode.dataset.bound) {
+    btnExportCode.addEventListener("click", async () => {
+      try {
+        const code = await encodeSaveCode(buildExportPayload());
+        if (codeText) codeText.value = code;
+        let copied = false;
+        try {
+          await navigator.clipboard.writeText(code);
+          copied = true;
+        } catch (_) {
+          try { codeText?.select(); } catch (_) {}
+        }
+        setStatus(copied ? "settings.save.copied" : "settings.save.codeReady");
+      } catch (e) {
+        console.warn("[Settings] save code export failed:", e);
+        setStatus(SAVE_ERROR_KEYS.unsupported, true);
+      }
+    });
+    btnExportCode.dataset.bound = "1";
+  }
+
+  if (btnImportCode && !btnImportCode.dataset.bound) {
+    btnImportCode.addEventListener("click", async () => {
+      const code = codeText ? codeText.value : "";
+      restore(await decodeSaveCode(code));
+    });
+    btnImportCode.dataset.bound = "1";
+  }
+}
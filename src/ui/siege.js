@@ -0,0 +1,45 @@
+/* Village siege UI
+   - Center messages for "village-siege" (warning / assault / wave / defended with the new prosperity / fallen)
+   - The village HP bar is HUD (src/ui/hud/siege_bar.js), the minimap marks the besieged village
+   Usage:
+     import { wireSiegeUI } from "./ui/siege.js";
+     const dispose = wireSiegeUI({ setCenterMsg, clearCenterMsg });
+     // Later: dispose() to unbind listeners
+*/
+
+import { tOr } from "../i18n.js";
+
+export function wireSiegeUI({ setCenterMsg, clearCenterMsg }) {
+  let msgTimer = null;
+
+  function flash(text, ms = 1800) {
+    try {
+      setCenterMsg && setCenterMsg(text);
+      clearTimeout(msgTimer);
+      msgTimer = setTimeout(() => clearCenterMsg && clearCenterMsg(), ms);
+    } catch (_) {}
+  }
+
+  const onSiege = (e) => {
+    const d = e.detail || {};
+    const name = d.name || tOr("siege.village", "Village");
+    if (d.state === "warning") flash(tOr("siege.warning", "${name} will be besieged! Check the minimap.").replace("${name}", name), 3000);
+    else if (d.state === "assault") flash(tOr("siege.assault", "The siege of ${name} begins!").replace("${name}", name), 2200);
+    else if (d.state === "wave") flash(tOr("siege.waveStart", "Siege wave ${wave}/${waves}").replace("${wave}", d.wave).replace("${waves}", d.waves), 1400);
+    else if (d.state === "defended") {
+      flash(
+        tOr("siege.defended", "${name} holds! Prosperity ${level}").replace("${name}", name).replace("${level}", d.level || 0),
+        2800
+      );
+    } else if (d.state === "fallen") flash(tOr("siege.fallen", "${name} has fallen.").replace("${name}", name), 2600);
+  };
+
+  window.addEventListener("village-siege", onSiege);
+
+  return () => {
+    try {
+      clearTimeout(msgTimer);
+      window.removeEventListener("village-siege", onSiege);
+    } catch (_) {}
+  };
+}
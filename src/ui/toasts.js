@@ -0,0 +1,89 @@
+/* Toast notifications
+   - Stacked, self-dismissing notices in the #toasts container (index.html)
+   - "toast" window event { key?, text, color?, duration? }: key is a locale key, text its fallback
+     (Player level-ups dispatch these for skill points and skill unlocks)
+   - "achievement-unlocked" { id, icon, name } from src/achievements.js
+   Usage:
+     import { wireToastUI } from "./ui/toasts.js";
+     const dispose = wireToastUI({ container });
+     // Later: dispose() to unbind listeners
+*/
+
+import { tOr } from "../i18n.js";
+
+const MAX_TOASTS = 4;
+const FADE_MS = 300;
+
+export function wireToastUI({ container }) {
+  if (!container) return () => {};
+  const timers = new Set();
+
+  function later(fn, ms) {
+    const id = setTimeout(() => {
+      timers.delete(id);
+      fn();
+    }, ms);
+    timers.add(id);
+  }
+
+  function show({ title, text, icon, color, duration = 2000 }) {
+    // Oldest toasts make room for new ones
+    while (container.children.length >= MAX_TOASTS) container.firstElementChild.remove();
+
+    const el = document.createElement("div");
+    el.className = "toast";
+    if (color) el.style.color = color;
+    if (icon) {
+      const ic = document.createElement("span");
+      ic.className = "toast-icon";
+      ic.textContent = icon;
+      el.appendChild(ic);
+    }
+    const body = document.createElement("div");
+    if (title) {
+      const h = document.createElement("div");
+      h.className = "toast-title";
+      h.textContent = title;
+      body.appendChild(h);
+    }
+    const msg = document.createElement("div");
+    msg.className = "toast-text";
+    msg.textContent = text;
+    body.appendChild(msg);
+    el.appendChild(body);
+    container.appendChild(el);
+
+    later(() => {
+      el.classList.add("leaving");
+      later(() => el.remove(), FADE_MS);
+    }, duration);
+  }
+
+  const onToast = (e) => {
+    const d = e.detail || {};
+    const text = d.key ? tOr(d.key, d.text || "") : d.text;
+    if (text) show({ text, color: d.color, duration: d.duration });
+  };
+  const onAchievement = (e) => {
+    const d = e.detail || {};
+    show({
+      title: tOr("achievements.unlocked", "Achievement unlocked"),
+      text: tOr(`achievements.list.${d.id}.name`, d.name || d.id),
+      icon: d.icon || "🏆",
+      color: "#ffd24a",
+      duration: 3200,
+    });
+  };
+
+  window.addEventListener("toast", onToast);
+  window.addEventListener("achievement-unlocked", onAchievement);
+
+  return () => {
+    try {
+      timers.forEach((id) => clearTimeout(id));
+      timers.clear();
+      window.removeEventListener("toast", onToast);
+      window.removeEventListener("achievement-unlocked", onAchievement);
+    } catch (_) {}
+  };
+}
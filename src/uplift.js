@@ -1,33 +1,49 @@
 /**
  * Uplift System
- * - Presents simple choices to enhance the BASIC ATTACK at milestone levels (every 5 levels by default)
- * - Persists choices in localStorage
- * - Exposes getters so combat systems (skills.js) can apply effects
+ * - At milestone levels (every 5 levels by default) offers three random cards drawn from the
+ *   weighted pool in config/uplifts.js (basic attack, skills, defense, mobility, economy)
+ * - Rarity sets the draw weight; cards feeding an unfinished synergy are drawn more often
+ * - Persists choices and pending offers in the active save slot (see save_manager.js),
+ *   so "decide later" shows the same cards again
+ * - Stat cards and active synergies register as the "uplifts" source of the hero stat layer
+ * - Exposes getters so combat systems (skills.js) can apply basic attack effects
  * - Exposes a minimal DOM popup prompt
+ *
+ * Public API:
+ *   getBasicUplift()                  -> { aoeRadius, chainJumps, dmgMul, fx } from basic-* picks
+ *   getUpliftOffer(level)             -> card defs offered at a milestone (drawn once, then stored)
+ *   chooseUplift(level, id)           -> boolean (card must be in that milestone's offer)
+ *   getActiveSynergies()              -> synergy defs whose requirements are met
+ *   getUpliftModifiers()              -> summed { stat: value } of picked cards + synergies
+ *   getUpliftSummary()                -> human-readable lines for the Hero screen
+ *   promptUpliftIfNeeded(player)      -> shows the popup for the next pending milestone
  */
 
-import { t } from "./i18n.js";
-import { STORAGE_KEYS } from "../config/index.js";
+import { t, tOr } from "./i18n.js";
+import { getSaveManager } from "./save_manager.js";
+import { getHeroStats } from "./hero_stats.js";
+import { pickWeighted } from "./utils.js";
+import { UPLIFT_MILESTONE, UPLIFT_CATEGORIES, UPLIFT_RARITY, UPLIFTS, UPLIFT_SYNERGIES } from "../config/uplifts.js";
 
-const LS_KEY = STORAGE_KEYS.upliftChoices;
+const SAVE_SECTION = "upliftChoices";
+const STATS_SOURCE = "uplifts";
 
-// Milestones: every N levels starting at 'start'
-const MILESTONE = { start: 5, step: 5 };
+const UPLIFT_BY_ID = new Map(UPLIFTS.map((u) => [u.id, u]));
 
 export function loadUpliftState() {
   try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return { choices: [] };
-    const data = JSON.parse(raw);
-    if (!data || !Array.isArray(data.choices)) return { choices: [] };
-    return data;
+    const data = getSaveManager().get(SAVE_SECTION);
+    if (!data || !Array.isArray(data.choices)) return { choices: [], offers: {} };
+    const offers = data.offers && typeof data.offers === "object" ? data.offers : {};
+    return { ...data, offers };
   } catch {
-    return { choices: [] };
+    return { choices: [], offers: {} };
   }
 }
 
 export function saveUpliftState(st) {
-  try { localStorage.setItem(LS_KEY, JSON.stringify(st)); } catch (_) {}
+  try { getSaveManager().set(SAVE_SECTION, st); } catch (_) {}
+  try { getHeroStats().invalidate(); } catch (_) {}
 }
 
 export function getUpliftState() {
@@ -36,9 +52,9 @@ export function getUpliftState() {
 
 // Return the highest milestone level reached by the player
 export function getReachedMilestones(level) {
-  if (!Number.isFinite(level) || level < MILESTONE.start) return [];
+  if (!Number.isFinite(level) || level < UPLIFT_MILESTONE.start) return [];
   const ms = [];
-  for (let l = MILESTONE.start; l <= level; l += MILESTONE.step) ms.push(l);
+  for (let l = UPLIFT_MILESTONE.start; l <= level; l += UPLIFT_MILESTONE.step) ms.push(l);
   return ms;
 }
 
@@ -53,6 +69,89 @@ export function getPendingMilestone(level) {
   return null;
 }
 
+function countPicks(st) {
+  const byId = new Map();
+  const byCategory = {};
+  for (const c of st.choices) {
+    byId.set(c.kind, (byId.get(c.kind) || 0) + 1);
+    const cat = UPLIFT_BY_ID.get(c.kind)?.category;
+    if (cat) byCategory[cat] = (byCategory[cat] || 0) + 1;
+  }
+  return { byId, byCategory };
+}
+
+function isSynergyActive(syn, byCategory) {
+  return Object.entries(syn.requires).every(([cat, need]) => (byCategory[cat] || 0) >= need);
+}
+
+// Unfinished synergies that already have a pick toward them and still need `category`
+function synergiesWanting(category, byCategory) {
+  return UPLIFT_SYNERGIES.filter((syn) => {
+    const need = syn.requires[category];
+    if (!need || (byCategory[category] || 0) >= need || isSynergyActive(syn, byCategory)) return false;
+    return Object.keys(syn.requires).some((cat) => (byCategory[cat] || 0) > 0);
+  });
+}
+
+function drawCards(st, count, rng = Math.random) {
+  const { byId, byCategory } = countPicks(st);
+  const weights = {};
+  for (const def of UPLIFTS) {
+    if (def.maxPicks && (byId.get(def.id) || 0) >= def.maxPicks) continue;
+    let w = UPLIFT_RARITY[def.rarity]?.weight || 0;
+    if (synergiesWanting(def.category, byCategory).length) w *= UPLIFT_MILESTONE.synergyWeight;
+    weights[def.id] = w;
+  }
+  const out = [];
+  while (out.length < count) {
+    const id = pickWeighted(weights, rng);
+    if (!id) break;
+    out.push(id);
+    delete weights[id];
+  }
+  return out;
+}
+
+export function getUpliftOffer(level) {
+  const st = getUpliftState();
+  let ids = (st.offers[level] || []).filter((id) => UPLIFT_BY_ID.has(id));
+  if (!ids.length) {
+    ids = drawCards(st, UPLIFT_MILESTONE.cards);
+    st.offers = { ...st.offers, [level]: ids };
+    saveUpliftState(st);
+  }
+  return ids.map((id) => UPLIFT_BY_ID.get(id));
+}
+
+export function chooseUplift(level, id) {
+  const st = getUpliftState();
+  if (st.choices.some((c) => c.level === level)) return false;
+  if (!(st.offers[level] || []).includes(id) || !UPLIFT_BY_ID.has(id)) return false;
+  st.choices.push({ level, kind: id });
+  const offers = { ...st.offers };
+  delete offers[level];
+  st.offers = offers;
+  saveUpliftState(st);
+  return true;
+}
+
+export function getActiveSynergies() {
+  const { byCategory } = countPicks(getUpliftState());
+  return UPLIFT_SYNERGIES.filter((syn) => isSynergyActive(syn, byCategory));
+}
+
+export function getUpliftModifiers() {
+  const out = {};
+  const add = (stats) => {
+    for (const [stat, v] of Object.entries(stats || {})) {
+      if (Number.isFinite(v)) out[stat] = (out[stat] || 0) + v;
+    }
+  };
+  for (const c of getUpliftState().choices) add(UPLIFT_BY_ID.get(c.kind)?.stats);
+  for (const syn of getActiveSynergies()) add(syn.stats);
+  return out;
+}
+
 /**
  * Compute basic-attack uplift effects aggregated from choices:
  * - aoe: adds small explosion around the hit target; each pick increases radius
@@ -74,24 +173,68 @@ export function getBasicUplift() {
   return { aoeRadius, chainJumps, dmgMul, fx };
 }
 
+const cardName = (def) => tOr(`uplift.cards.${def.id}.name`, def.name);
+const synergyName = (syn) => tOr(`uplift.synergies.${syn.id}.name`, syn.name);
+
 // Human-readable summary for UI
 export function getUpliftSummary() {
   const st = getUpliftState();
   if (!st.choices.length) return [t("uplift.none")];
   const out = [];
   for (const c of st.choices) {
-    if (c.kind === "basic-aoe") out.push(`${t("uplift.lv")} ${c.level}: ${t("uplift.basic")} — ${t("uplift.btn.aoe")}`);
-    else if (c.kind === "basic-chain") out.push(`${t("uplift.lv")} ${c.level}: ${t("uplift.basic")} — ${t("uplift.btn.chain")}`);
-    else if (c.kind === "basic-impact") out.push(`${t("uplift.lv")} ${c.level}: ${t("uplift.basic")} — ${t("uplift.btn.impact")}`);
+    const def = UPLIFT_BY_ID.get(c.kind);
+    if (def) out.push(`${t("uplift.lv")} ${c.level}: ${def.icon} ${cardName(def)}`);
   }
+  for (const syn of getActiveSynergies()) out.push(`${syn.icon} ${synergyName(syn)}`);
   return out;
 }
 
-/* Minimal popup for choosing one uplift option at milestone levels.
+// Card button content: icon, name, rarity/category, description and the synergy it feeds
+function buildCardButton(def, byCategory) {
+  const rarity = UPLIFT_RARITY[def.rarity] || UPLIFT_RARITY.common;
+  const category = UPLIFT_CATEGORIES.find((c) => c.id === def.category);
+
+  const btn = document.createElement("button");
+  btn.className = `uplift-btn uplift-btn--${def.rarity}`;
+  btn.dataset.kind = def.id;
+  btn.setAttribute("role", "listitem");
+  try { btn.style.borderColor = rarity.color; } catch (_) {}
+
+  const line = (cls, text, color) => {
+    const el = document.createElement("div");
+    el.className = cls;
+    el.textContent = text;
+    if (color) {
+      try { el.style.color = color; } catch (_) {}
+    }
+    btn.appendChild(el);
+  };
+  line("uplift-btn-icon", def.icon);
+  line("uplift-btn-name", cardName(def), rarity.color);
+  line(
+    "uplift-btn-meta",
+    `${tOr(`uplift.rarity.${def.rarity}`, def.rarity)} • ${tOr(`uplift.category.${def.category}`, category?.name || def.category)}`,
+    rarity.color
+  );
+  line("uplift-btn-desc", tOr(`uplift.cards.${def.id}.desc`, def.desc));
+
+  // Synergy hint: the unfinished synergies this pick moves forward (or completes)
+  const after = { ...byCategory, [def.category]: (byCategory[def.category] || 0) + 1 };
+  const hints = UPLIFT_SYNERGIES
+    .filter((syn) => syn.requires[def.category] && !isSynergyActive(syn, byCategory) && (byCategory[def.category] || 0) < syn.requires[def.category])
+    .map((syn) => (isSynergyActive(syn, after)
+      ? tOr("uplift.synergyCompletes", "Completes ${name}").replace("${name}", `${syn.icon} ${synergyName(syn)}`)
+      : tOr("uplift.synergyTowards", "Towards ${name}").replace("${name}", `${syn.icon} ${synergyName(syn)}`)));
+  if (hints.length) line("uplift-btn-synergy", hints.join(" • "));
+  return btn;
+}
+
+/* Minimal popup for choosing one uplift card at milestone levels.
    Refactored to use static DOM in index.html and css/uplift.css when available.
    Falls back to creating the DOM if the static markup is not present.
+   The card buttons are rebuilt for every offer.
 */
-export function promptBasicUpliftIfNeeded(player) {
+export function promptUpliftIfNeeded(player) {
   if (typeof document === "undefined") return;
   if (!player) return;
   const pending = getPendingMilestone(player.level);
@@ -124,25 +267,6 @@ export function promptBasicUpliftIfNeeded(player) {
     row.className = "uplift-btn-row";
     row.setAttribute("role", "list");
 
-    const btnAoE = document.createElement("button");
-    btnAoE.className = "uplift-btn";
-    btnAoE.dataset.kind = "basic-aoe";
-    btnAoE.setAttribute("role", "listitem");
-
-    const btnChain = document.createElement("button");
-    btnChain.className = "uplift-btn";
-    btnChain.dataset.kind = "basic-chain";
-    btnChain.setAttribute("role", "listitem");
-
-    const btnImpact = document.createElement("button");
-    btnImpact.className = "uplift-btn";
-    btnImpact.dataset.kind = "basic-impact";
-    btnImpact.setAttribute("role", "listitem");
-
-    row.appendChild(btnAoE);
-    row.appendChild(btnChain);
-    row.appendChild(btnImpact);
-
     const footer = document.createElement("div");
     footer.className = "uplift-footer";
 
@@ -173,40 +297,37 @@ export function promptBasicUpliftIfNeeded(player) {
 
   const titleEl = root.querySelector(".uplift-title");
   const descEl = root.querySelector(".uplift-desc");
-  const btns = Array.from(root.querySelectorAll(".uplift-btn"));
+  const row = root.querySelector(".uplift-btn-row");
   const skipBtn = root.querySelector(".uplift-skip");
   const toast = document.getElementById("upliftToast");
 
+  const offer = getUpliftOffer(pending);
+  if (!row || !offer.length) return;
+
   if (titleEl) titleEl.textContent = `${t("uplift.unlocked")} — ${t("uplift.lv")} ${pending}`;
   if (descEl) descEl.textContent = t("uplift.choose");
 
-  const labels = {
-    "basic-aoe": t("uplift.btn.aoe"),
-    "basic-chain": t("uplift.btn.chain"),
-    "basic-impact": t("uplift.btn.impact"),
-  };
-
-  // Replace buttons to remove old listeners, then attach fresh handlers
-  btns.forEach((b) => {
-    const kind = b.dataset.kind;
-    const fresh = b.cloneNode(true);
-    fresh.textContent = labels[kind] || kind;
-    fresh.addEventListener("click", () => {
-      const st = getUpliftState();
-      st.choices.push({ level: pending, kind });
-      saveUpliftState(st);
+  // Rebuild the card buttons (drops old listeners), then attach fresh handlers
+  const { byCategory } = countPicks(getUpliftState());
+  try { row.innerHTML = ""; } catch (_) {}
+  offer.forEach((def) => {
+    const btn = buildCardButton(def, byCategory);
+    btn.addEventListener("click", () => {
+      if (!chooseUplift(pending, def.id)) return;
       try { root.setAttribute("aria-hidden", "true"); } catch (_) {}
       try {
         if (toast) {
-          toast.textContent = t("uplift.applied");
+          toast.textContent = `${t("uplift.applied")} ${def.icon} ${cardName(def)}`;
           toast.classList.add("show");
           setTimeout(() => {
             try { toast.classList.remove("show"); toast.textContent = ""; } catch (_) {}
           }, 1100);
         }
       } catch (_) {}
+      // Several milestones can be pending at once (e.g. after a respec)
+      try { promptUpliftIfNeeded(player); } catch (_) {}
     });
-    b.parentNode.replaceChild(fresh, b);
+    row.appendChild(btn);
   });
 
   if (skipBtn) {
@@ -220,3 +341,9 @@ export function promptBasicUpliftIfNeeded(player) {
 
   try { root.setAttribute("aria-hidden", "false"); } catch (_) {}
 }
+
+// Backward compatibility: the popup used to offer basic attack uplifts only
+export const promptBasicUpliftIfNeeded = promptUpliftIfNeeded;
+
+// Picked stat cards and active synergies feed the hero stat layer
+try { getHeroStats().registerSource(STATS_SOURCE, getUpliftModifiers); } catch (_) {}
@@ -80,6 +80,17 @@ export function seededRange(rng, min, max) {
   return min + (max - min) * rng();
 }
 
+// Weighted key pick from { key: weight }; pass a seeded rng for deterministic picks
+export function pickWeighted(weights, rng = Math.random) {
+  const list = Object.entries(weights || {}).filter(([, w]) => w > 0);
+  let r = rng() * list.reduce((s, [, w]) => s + w, 0);
+  for (const [key, w] of list) {
+    r -= w;
+    if (r <= 0) return key;
+  }
+  return list.length ? list[list.length - 1][0] : null;
+}
+
 // Helper: seeded random [0,1) based on string (FNV-1a hash)
 export function seededRand01(str) {
   let h = 0x811c9dc5; // FNV-1a 32-bit
@@ -0,0 +1,89 @@
+/**
+ * src/village_prosperity.js
+ *
+ * Prosperity level per village, raised by successful siege defenses (src/sieges.js).
+ *
+ * - Persists to the active save slot ("prosperity" section: { villageKey: level })
+ * - Higher levels boost the village rest regen (villages.updateRest) and add gear
+ *   pieces to the village merchant's stock (MerchantSystem)
+ * - Dispatches a window "village-prosperity" event ({ detail: { key, level } }) on change
+ * - Tuning in config/sieges.js (PROSPERITY)
+ *
+ * Public API:
+ *   const prosperity = getVillageProsperity();
+ *   prosperity.getLevel(key)      -> 0..maxLevel
+ *   prosperity.raise(key)         -> new level (unchanged at the cap)
+ *   prosperity.regenMul(key)      -> village rest regen multiplier
+ *   prosperity.extraGear(key)     -> extra merchant gear pieces
+ */
+
+import { PROSPERITY } from "../config/sieges.js";
+import { getSaveManager } from "./save_manager.js";
+
+const SAVE_SECTION = "prosperity";
+
+export class VillageProsperity {
+  #levels = {};
+
+  constructor() {
+    this.loadFromStorage();
+  }
+
+  getLevel(key) {
+    return this.#levels[key] || 0;
+  }
+
+  raise(key) {
+    if (!key) return 0;
+    const level = Math.min(PROSPERITY.maxLevel, this.getLevel(key) + 1);
+    if (level === this.getLevel(key)) return level;
+    this.#levels[key] = level;
+    this.saveToStorage();
+    try {
+      window.dispatchEvent(new CustomEvent("village-prosperity", { detail: { key, level } }));
+    } catch (_) {}
+    return level;
+  }
+
+  regenMul(key) {
+    return 1 + this.getLevel(key) * (PROSPERITY.regenPerLevel || 0);
+  }
+
+  extraGear(key) {
+    return this.getLevel(key) * (PROSPERITY.gearPerLevel || 0);
+  }
+
+  saveToStorage() {
+    try {
+      getSaveManager().set(SAVE_SECTION, this.#levels);
+    } catch (e) {
+      console.warn("Failed to save prosperity:", e);
+    }
+  }
+
+  loadFromStorage() {
+    this.#levels = {};
+    try {
+      const saved = getSaveManager().get(SAVE_SECTION, {});
+      if (saved && typeof saved === "object") {
+        for (const [key, level] of Object.entries(saved)) {
+          if (Number.isInteger(level) && level > 0) this.#levels[key] = Math.min(PROSPERITY.maxLevel, level);
+        }
+      }
+    } catch (e) {
+      console.warn("Failed to load prosperity:", e);
+    }
+  }
+}
+
+/**
+ * Global instance (singleton pattern)
+ */
+let globalInstance = null;
+
+export function getVillageProsperity() {
+  if (!globalInstance) {
+    globalInstance = new VillageProsperity();
+  }
+  return globalInstance;
+}
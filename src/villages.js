@@ -1,13 +1,15 @@
 import * as THREE from "../vendor/three/build/three.module.js";
 import { THEME_COLORS, VILLAGE_POS, REST_RADIUS } from "../config/index.js";
 import { createHouseCluster } from "./villages_utils.js";
+import { getSaveManager } from "./save_manager.js";
+import { getVillageProsperity } from "./village_prosperity.js";
 
 /**
  * Villages System
  * Encapsulates:
  *  - Dynamic village spawning based on distance from origin
  *  - Road creation between consecutively visited villages
- *  - Village rest (regen) logic for player inside any village
+ *  - Village rest (regen) logic for player inside any village (scaled by village prosperity)
  *
  * Usage:
  *   const villages = initVillages(scene, portals);
@@ -74,22 +76,22 @@ export function initVillages(scene, portals, opts = {}) {
   dynamicRoads.name = "dynamicRoads";
   scene.add(dynamicRoads);
 
-  // Persistence keys
-  const STORAGE_VILLAGES = "gof.dynamic.villages.v1";
-  const STORAGE_ROADS = "gof.dynamic.roads.v1";
-  const STORAGE_ROADS_GEOM = "gof.dynamic.roads_geom.v1";
+  // Save-slot sections (see save_manager.js)
+  const SAVE_VILLAGES = "villages";
+  const SAVE_ROADS = "roads";
+  const SAVE_ROADS_GEOM = "roadsGeom";
 
   function saveVillagesToStorage() {
     try {
       const arr = Array.from(dynamicVillages.keys());
-      localStorage.setItem(STORAGE_VILLAGES, JSON.stringify(arr));
+      getSaveManager().set(SAVE_VILLAGES, arr);
     } catch (_) {}
   }
 
   function saveRoadsToStorage() {
     try {
       const arr = Array.from(builtRoadKeys.values());
-      localStorage.setItem(STORAGE_ROADS, JSON.stringify(arr));
+      getSaveManager().set(SAVE_ROADS, arr);
     } catch (_) {}
   }
 
@@ -97,16 +99,14 @@ export function initVillages(scene, portals, opts = {}) {
     try {
       const obj = {};
       roadGeoms.forEach((g, k) => { obj[k] = g; });
-      localStorage.setItem(STORAGE_ROADS_GEOM, JSON.stringify(obj));
+      getSaveManager().set(SAVE_ROADS_GEOM, obj);
     } catch (_) {}
   }
 
   (function loadFromStorage() {
     try {
-      const vraw = localStorage.getItem(STORAGE_VILLAGES);
-      const graw = localStorage.getItem(STORAGE_ROADS_GEOM);
-      const rraw = localStorage.getItem(STORAGE_ROADS);
-      const vKeys = vraw ? JSON.parse(vraw) : [];
+      const save = getSaveManager();
+      const vKeys = save.get(SAVE_VILLAGES, []);
       if (Array.isArray(vKeys)) {
         vKeys.forEach((key) => {
           if (typeof key !== "string" || dynamicVillages.has(key)) return;
@@ -118,7 +118,7 @@ export function initVillages(scene, portals, opts = {}) {
           dynamicVillages.set(key, info);
         });
       }
-      const geoms = graw ? JSON.parse(graw) : null;
+      const geoms = save.get(SAVE_ROADS_GEOM, null);
       if (geoms && typeof geoms === "object") {
         Object.keys(geoms).forEach((canonical) => {
           if (typeof canonical !== "string" || builtRoadKeys.has(canonical)) return;
@@ -133,7 +133,7 @@ export function initVillages(scene, portals, opts = {}) {
           }
         });
       }
-      const roads = rraw ? JSON.parse(rraw) : [];
+      const roads = save.get(SAVE_ROADS, []);
       if (Array.isArray(roads)) {
         roads.forEach((canonical) => {
           if (typeof canonical !== "string" || builtRoadKeys.has(canonical)) return;
@@ -303,8 +303,10 @@ export function initVillages(scene, portals, opts = {}) {
     roadGeoms.set(canonical, geomObj);
     roadPolylines.set(canonical, _computePolylineFromGeom(geomObj));
 
-    saveRoadsToStorage();
-    saveRoadGeomsToStorage();
+    getSaveManager().batch(() => {
+      saveRoadsToStorage();
+      saveRoadGeomsToStorage();
+    });
   }
 
   function createTextSprite(text, color = "#e6f4ff", bg = "rgba(0,0,0,0.35)") {
@@ -532,6 +534,10 @@ export function initVillages(scene, portals, opts = {}) {
         ensureRoadBetween(currentVillageKey, key);
       }
       currentVillageKey = key;
+      try {
+        const name = key === "origin" ? null : dynamicVillages.get(key)?.name || null;
+        window.dispatchEvent(new CustomEvent("village-visited", { detail: { key, name } }));
+      } catch (_) {}
     }
   }
 
@@ -563,9 +569,10 @@ export function initVillages(scene, portals, opts = {}) {
     __lastPlayerInVillage = inVillage;
 
     if (inVillage) {
-      // Small passive regen applied by village; additional buffs can be applied by listeners.
-      player.hp = Math.min(player.maxHP, player.hp + 8 * dt);
-      player.mp = Math.min(player.maxMP, player.mp + 10 * dt);
+      // Small passive regen applied by village (more in prosperous ones); additional buffs can be applied by listeners.
+      const mul = getVillageProsperity().regenMul(getVillageKeyAt(p));
+      player.hp = Math.min(player.maxHP, player.hp + 8 * mul * dt);
+      player.mp = Math.min(player.maxMP, player.mp + 10 * mul * dt);
     }
   }
 
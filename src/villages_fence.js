@@ -1,5 +1,18 @@
 import * as THREE from "../vendor/three/build/three.module.js";
 
+function fenceRadiusFor(REST_RADIUS) {
+  return REST_RADIUS - 0.2;
+}
+
+/**
+ * The origin village fence as a circular navigation obstacle (src/navigation.js),
+ * so enemies route around the wall instead of sliding along it.
+ * @returns {{x: number, z: number, r: number, kind: string}}
+ */
+export function villageFenceObstacle(VILLAGE_POS, REST_RADIUS) {
+  return { x: VILLAGE_POS.x, z: VILLAGE_POS.z, r: fenceRadiusFor(REST_RADIUS), kind: "fence" };
+}
+
 /**
  * Create a circular village fence visual around the origin village.
  * This is purely visual — gameplay boundaries still come from REST_RADIUS and game logic.
@@ -11,7 +24,7 @@ export function createVillageFence(VILLAGE_POS, REST_RADIUS, THEME_COLORS) {
   const fenceGroup = new THREE.Group();
 
   const FENCE_POSTS = 28;
-  const fenceRadius = REST_RADIUS - 0.2;
+  const fenceRadius = fenceRadiusFor(REST_RADIUS);
 
   // Posts
   const postGeo = new THREE.CylinderGeometry(0.12, 0.12, 1.6, 8);
@@ -0,0 +1,83 @@
+/**
+ * src/wallet.js
+ *
+ * Hero gold balance.
+ *
+ * - Persists to the active save slot ("gold" section)
+ * - Dispatches a window "gold-changed" event ({ detail: { gold, delta } }) for HUD/shop refresh
+ *
+ * Public API:
+ *   const wallet = getWallet();
+ *   wallet.gold              -> current balance
+ *   wallet.add(amount)       -> new balance
+ *   wallet.canAfford(cost)   -> boolean
+ *   wallet.spend(cost)       -> boolean (false if not enough gold)
+ */
+
+import { getSaveManager } from "./save_manager.js";
+
+const SAVE_SECTION = "gold";
+
+export class Wallet {
+  constructor() {
+    this.gold = 0;
+    this.loadFromStorage();
+  }
+
+  add(amount) {
+    const n = Math.max(0, Math.floor(amount || 0));
+    if (n > 0) {
+      this.gold += n;
+      this.#changed(n);
+    }
+    return this.gold;
+  }
+
+  canAfford(cost) {
+    return this.gold >= Math.max(0, Math.floor(cost || 0));
+  }
+
+  spend(cost) {
+    const n = Math.max(0, Math.floor(cost || 0));
+    if (this.gold < n) return false;
+    this.gold -= n;
+    this.#changed(-n);
+    return true;
+  }
+
+  saveToStorage() {
+    try {
+      getSaveManager().set(SAVE_SECTION, this.gold);
+    } catch (e) {
+      console.warn("Failed to save gold:", e);
+    }
+  }
+
+  loadFromStorage() {
+    try {
+      const v = parseInt(getSaveManager().get(SAVE_SECTION, 0), 10);
+      this.gold = Number.isFinite(v) && v > 0 ? v : 0;
+    } catch (e) {
+      console.warn("Failed to load gold:", e);
+    }
+  }
+
+  #changed(delta) {
+    this.saveToStorage();
+    try {
+      window.dispatchEvent(new CustomEvent("gold-changed", { detail: { gold: this.gold, delta } }));
+    } catch (_) {}
+  }
+}
+
+/**
+ * Global instance (singleton pattern)
+ */
+let globalInstance = null;
+
+export function getWallet() {
+  if (!globalInstance) {
+    globalInstance = new Wallet();
+  }
+  return globalInstance;
+}